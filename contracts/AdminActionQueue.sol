@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title AdminActionQueue
+ * @dev 敏感管理操作的延迟队列（时间锁）
+ *
+ * 工作流程：
+ * 1. 管理员调用 scheduleAdminAction(data) 登记要执行的调用（data 为完整的 calldata）
+ * 2. 等待 adminActionDelay 秒，期间管理员可调用 cancelAdminAction 取消
+ * 3. 到期后管理员以完全相同的参数直接调用目标函数，该调用会消耗队列中的记录
+ *
+ * 设计说明：
+ * - 操作 ID 为 keccak256(calldata)，函数和参数必须与登记时完全一致
+ * - adminActionDelay 为 0 时队列关闭，受保护的函数可直接执行
+ * - 修改延迟本身也受队列保护，防止管理员绕过已开启的延迟
+ * - 所有登记、取消、执行都会触发事件，持币者可提前看到即将发生的管理操作
+ *
+ * @author DIDO Token Team
+ */
+abstract contract AdminActionQueue {
+
+    // ===========================================
+    // 状态变量
+    // ===========================================
+
+    /// @dev 延迟时间上限
+    uint256 public constant MAX_ADMIN_ACTION_DELAY = 30 days;
+
+    /// @dev 当前延迟时间（秒），为 0 表示不启用延迟队列
+    uint256 public adminActionDelay;
+
+    /// @dev 操作 ID => 可执行时间，0 表示未登记
+    mapping(bytes32 => uint256) private _adminActionReadyAt;
+
+    // ===========================================
+    // 事件
+    // ===========================================
+
+    /// @dev 操作登记事件
+    event AdminActionScheduled(bytes32 indexed actionId, bytes data, uint256 readyAt);
+
+    /// @dev 操作取消事件
+    event AdminActionCancelled(bytes32 indexed actionId);
+
+    /// @dev 操作执行事件
+    event AdminActionExecuted(bytes32 indexed actionId);
+
+    /// @dev 延迟时间变更事件
+    event AdminActionDelayUpdated(uint256 previousDelay, uint256 newDelay);
+
+    // ===========================================
+    // 修饰符
+    // ===========================================
+
+    /// @dev 受延迟队列保护的函数
+    modifier timelocked() {
+        _consumeAdminAction();
+        _;
+    }
+
+    // ===========================================
+    // 队列管理
+    // ===========================================
+
+    /**
+     * @dev 登记一个待执行的管理操作
+     * @param data 目标函数的完整 calldata（函数选择器 + 参数）
+     * @return actionId 操作 ID
+     * @notice 只有管理员可以调用此函数
+     */
+    function scheduleAdminAction(bytes calldata data) external returns (bytes32 actionId) {
+        _checkAdminActionCaller();
+        require(adminActionDelay > 0, "AdminActionQueue: delay queue disabled");
+        require(data.length >= 4, "AdminActionQueue: invalid calldata");
+
+        actionId = keccak256(data);
+        require(_adminActionReadyAt[actionId] == 0, "AdminActionQueue: action already scheduled");
+
+        uint256 readyAt = block.timestamp + adminActionDelay;
+        _adminActionReadyAt[actionId] = readyAt;
+        emit AdminActionScheduled(actionId, data, readyAt);
+    }
+
+    /**
+     * @dev 在执行前取消已登记的管理操作
+     * @param actionId 操作 ID
+     * @notice 只有管理员可以调用此函数
+     */
+    function cancelAdminAction(bytes32 actionId) external {
+        _checkAdminActionCaller();
+        require(_adminActionReadyAt[actionId] != 0, "AdminActionQueue: action not scheduled");
+
+        delete _adminActionReadyAt[actionId];
+        emit AdminActionCancelled(actionId);
+    }
+
+    /**
+     * @dev 修改延迟时间
+     * @param newDelay 新的延迟时间（秒），0 表示关闭延迟队列
+     * @notice 只有管理员可以调用此函数
+     * @notice 延迟已开启时，此操作本身也必须先登记并等待
+     */
+    function setAdminActionDelay(uint256 newDelay) external timelocked {
+        _checkAdminActionCaller();
+        require(newDelay <= MAX_ADMIN_ACTION_DELAY, "AdminActionQueue: delay too long");
+
+        emit AdminActionDelayUpdated(adminActionDelay, newDelay);
+        adminActionDelay = newDelay;
+    }
+
+    /**
+     * @dev 查询操作的可执行时间
+     * @param actionId 操作 ID
+     * @return 可执行时间，未登记时返回 0
+     */
+    function getAdminActionReadyAt(bytes32 actionId) external view returns (uint256) {
+        return _adminActionReadyAt[actionId];
+    }
+
+    // ===========================================
+    // 内部函数
+    // ===========================================
+
+    /**
+     * @dev 消耗当前调用对应的队列记录
+     * @notice 延迟队列关闭时直接返回
+     * @notice 记录不存在或尚未到期时回滚
+     */
+    function _consumeAdminAction() internal {
+        if (adminActionDelay == 0) {
+            return;
+        }
+
+        bytes32 actionId = keccak256(msg.data);
+        uint256 readyAt = _adminActionReadyAt[actionId];
+        require(readyAt != 0, "AdminActionQueue: action not scheduled");
+        require(block.timestamp >= readyAt, "AdminActionQueue: action not ready");
+
+        delete _adminActionReadyAt[actionId];
+        emit AdminActionExecuted(actionId);
+    }
+
+    /**
+     * @dev 检查调用者是否有权管理队列，由继承合约实现
+     */
+    function _checkAdminActionCaller() internal view virtual;
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
+
+/**
+ * @title Create2Deployer
+ * @dev CREATE2 部署工厂，使 DIDOToken、TokenVesting 等合约在多条 EVM 链上获得相同的地址
+ *
+ * 功能特性：
+ * - 合约地址只由工厂地址、调用者、salt 和初始化代码（字节码 + 构造参数）决定，与部署者 nonce 无关
+ * - 部署后在同一笔交易中依次调用新合约的初始化函数（initCalls），用于移交角色和所有权
+ * - 工厂本身没有构造参数和管理员，可通过标准确定性部署代理部署到各链的同一地址
+ *
+ * 设计说明：
+ * - 项目合约在构造函数中把管理员角色或所有权交给 msg.sender，通过工厂部署时即为工厂本身；
+ *   调用者需在 initCalls 中把角色和所有权移交给自己（两步移交，部署后由调用者接受）
+ * - 实际使用的 salt 为 keccak256(abi.encode(调用者, salt))，其他地址无法抢先占用同一地址，
+ *   也无法借工厂持有的角色对新合约发起 initCalls
+ * - initCalls 只能作用于本笔交易新部署的合约，工厂无法再对已部署的合约发起调用
+ *
+ * @author DIDO Token Team
+ * @notice 同一调用者、salt 和初始化代码在同一条链上只能部署一次
+ */
+contract Create2Deployer {
+    // ===========================================
+    // 事件
+    // ===========================================
+
+    /// @dev 合约部署事件
+    event ContractDeployed(address indexed caller, bytes32 indexed salt, address indexed deployed);
+
+    // ===========================================
+    // 主要功能
+    // ===========================================
+
+    /**
+     * @dev 使用 CREATE2 部署合约，并调用新合约的初始化函数
+     * @param salt 调用者选择的 salt，与调用者地址一起决定合约地址
+     * @param initCode 初始化代码（合约字节码 + ABI 编码的构造参数）
+     * @param initCalls 部署后依次对新合约发起的调用（ABI 编码的函数调用），任一调用失败则整笔交易回滚
+     * @return deployed 新合约地址
+     */
+    function deploy(
+        bytes32 salt,
+        bytes calldata initCode,
+        bytes[] calldata initCalls
+    ) external returns (address deployed) {
+        deployed = Create2.deploy(0, guardedSalt(msg.sender, salt), initCode);
+
+        for (uint256 i = 0; i < initCalls.length; i++) {
+            Address.functionCall(deployed, initCalls[i]);
+        }
+
+        emit ContractDeployed(msg.sender, salt, deployed);
+    }
+
+    // ===========================================
+    // 查询功能
+    // ===========================================
+
+    /**
+     * @dev 计算部署地址
+     * @param caller 调用者地址
+     * @param salt 调用者选择的 salt
+     * @param initCodeHash 初始化代码的 keccak256 哈希
+     * @return 合约地址
+     */
+    function computeAddress(address caller, bytes32 salt, bytes32 initCodeHash) external view returns (address) {
+        return Create2.computeAddress(guardedSalt(caller, salt), initCodeHash);
+    }
+
+    /**
+     * @dev 计算实际传给 CREATE2 的 salt
+     * @param caller 调用者地址
+     * @param salt 调用者选择的 salt
+     * @return keccak256(abi.encode(caller, salt))
+     */
+    function guardedSalt(address caller, bytes32 salt) public pure returns (bytes32) {
+        return keccak256(abi.encode(caller, salt));
+    }
+}
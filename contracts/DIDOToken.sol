@@ -4,8 +4,14 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/access/IAccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./AdminActionQueue.sol";
+import "./Rescuable.sol";
 
 /**
  * @title DIDOToken
@@ -15,29 +21,48 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * - 标准 ERC20 功能（转账、余额查询等）
  * - 可暂停功能（紧急情况下可冻结所有转账）
  * - 可销毁功能（持币者可自行销毁代币）
- * - 黑名单功能（可禁止特定地址进行转账）
+ * - 黑名单功能（可禁止特定地址进行转账，支持批量操作、原因代码和链上枚举）
+ * - 部分冻结（只冻结争议金额，账户其余余额照常使用）
+ * - 黑名单资金处置（依据司法命令或被盗案件，转移或销毁黑名单地址的余额）
+ * - 找回误转入本合约的 ERC20 代币（包括 DDT 本身）和 ETH
+ * - 批量转账（一笔交易向多个地址转账，用于社区空投）
+ * - EIP-2612 permit（链下签名授权，无需单独的 approve 交易）
+ * - 治理投票权（ERC20Votes：委托、历史余额检查点）
  * - 固定总供应量（1,000,000 DDT，不可增发）
- * - 权限管理（只有 owner 可执行管理操作）
+ * - 基于角色的权限管理（管理员、暂停者、黑名单管理员分离）
+ * - 两步式管理员移交（新管理员必须主动接受）
+ * - 敏感管理操作延迟队列（放弃或撤销管理员角色、修改延迟）
  * - 防重入攻击保护
  * 
  * 代币分配：
  * - 总供应量：1,000,000 DDT
- * - 流动性池：400,000 DDT (40%)
- * - 团队：300,000 DDT (30%) - 锁定在 TokenVesting 合约
- * - 社区：200,000 DDT (20%)
- * - 预留：100,000 DDT (10%)
+ * - 部署时传入接收地址和数量列表，数量之和必须恰好等于总供应量
+ * - 主网默认方案：流动性池 40%、团队 30%（锁定在 TokenVesting 合约）、社区 20%、预留 10%
  * 
  * 安全考虑：
- * - 使用 OpenZeppelin 审计过的标准库
- * - 没有自定义的复杂逻辑，降低漏洞风险
- * - 所有管理函数都有权限控制
+ * - 使用 OpenZeppelin 审计过的标准库作为基础
+ * - 自定义逻辑集中在转账检查（_update）和管理功能：黑名单与原因代码、部分冻结、黑名单资金处置、
+ *   管理员移交与延迟队列、批量转账、误转资产找回，这些部分不在标准库的审计范围内，需要专门审计
+ * - 转账只能动用未冻结的余额；黑名单地址不能接收，除管理员处置外也不能转出
+ * - 所有管理函数都有权限控制，角色可独立授予和撤销
  * - 防重入攻击保护
  * - 暂停机制应对紧急情况
  * 
  * @author DIDO Token Team
  * @notice 此合约已通过基本安全审查，建议在生产环境部署前进行专业审计
  */
-contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGuard {
+contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, ERC20Permit, ERC20Votes, AccessControlEnumerable, ReentrancyGuard, AdminActionQueue, Rescuable {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    
+    // ===========================================
+    // 角色定义
+    // ===========================================
+    
+    /// @dev 暂停者角色，可暂停和恢复转账
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    
+    /// @dev 黑名单管理员角色，可添加和移除黑名单
+    bytes32 public constant BLACKLIST_MANAGER_ROLE = keccak256("BLACKLIST_MANAGER_ROLE");
     
     // ===========================================
     // 状态变量
@@ -46,56 +71,92 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
     /// @dev 代币的最大供应量（固定为 1,000,000 DDT）
     uint256 public constant MAX_SUPPLY = 1_000_000 * 10**18; // 1,000,000 DDT，18位小数
     
-    /// @dev 黑名单映射，被列入黑名单的地址无法进行转账
-    mapping(address => bool) private _blacklisted;
+    /// @dev 黑名单集合，被列入黑名单的地址无法进行转账（可链上枚举）
+    EnumerableSet.AddressSet private _blacklist;
+    
+    /// @dev 黑名单地址对应的原因代码（由合规团队定义，如案件编号）
+    mapping(address => bytes32) private _blacklistReasons;
     
     /// @dev 黑名单事件
     event Blacklisted(address indexed account, bool isBlacklisted);
     
+    /// @dev 黑名单原因事件，仅在提供非零原因代码时触发
+    event BlacklistReason(address indexed account, bool isBlacklisted, bytes32 indexed reason);
+    
+    /// @dev 各地址被冻结的余额，冻结部分不能转出或销毁
+    mapping(address => uint256) private _frozenBalances;
+    
+    /// @dev 余额冻结事件
+    event BalanceFrozen(address indexed account, uint256 amount, uint256 frozenBalance, bytes32 indexed reason);
+    
+    /// @dev 余额解冻事件
+    event BalanceUnfrozen(address indexed account, uint256 amount, uint256 frozenBalance, bytes32 indexed reason);
+    
+    /// @dev 待接受的新管理员地址
+    address public pendingAdmin;
+    
+    /// @dev 发起当前管理员移交的管理员地址
+    address private _pendingAdminFrom;
+    
+    /// @dev 管理员移交发起事件
+    event AdminTransferStarted(address indexed previousAdmin, address indexed newAdmin);
+    
+    /// @dev 管理员移交完成事件
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    
+    /// @dev 黑名单资金处置进行中标记，仅在 recoverBlacklistedFunds 执行期间为 true
+    bool private _recoveryInProgress;
+    
+    /// @dev 黑名单资金处置事件，recipient 为零地址表示销毁
+    event BlacklistedFundsRecovered(
+        address indexed account,
+        address indexed recipient,
+        uint256 amount,
+        bytes32 indexed caseReference
+    );
+    
+    /// @dev 批量转账事件
+    event BatchTransfer(address indexed from, uint256 recipientCount, uint256 totalAmount);
+    
     // ===========================================
     // 构造函数
     // ===========================================
     
     /**
      * @dev 构造函数，初始化代币
-     * @param liquidityPool 流动性池地址，接收 400,000 DDT
-     * @param teamWallet 团队钱包地址，接收 300,000 DDT
-     * @param communityWallet 社区钱包地址，接收 200,000 DDT
-     * @param reserveWallet 预留钱包地址，接收 100,000 DDT
+     * @param recipients 初始分配的接收地址列表
+     * @param amounts 各接收地址的分配数量，与 recipients 一一对应
      * 
      * 注意：
-     * - 部署者将成为合约的 owner
-     * - 代币将按照预定义比例分配给各个地址
-     * - 总供应量固定，无法增发
+     * - 部署者将获得管理员、暂停者和黑名单管理员角色
+     * - 部署后可通过 grantRole / revokeRole 将角色移交给运营地址
+     * - 接收地址不能为零地址且不能重复，每个数量必须大于 0
+     * - 数量之和必须恰好等于 MAX_SUPPLY，部署后无法增发
+     * - EIP-712 域名与代币名称一致（"DIDO Token"），版本为 "1"
      */
     constructor(
-        address liquidityPool,
-        address teamWallet,
-        address communityWallet,
-        address reserveWallet
-    ) ERC20("DIDO Token", "DDT") Ownable(msg.sender) {
-        // 验证地址有效性
-        require(liquidityPool != address(0), "DIDOToken: liquidity pool address cannot be zero");
-        require(teamWallet != address(0), "DIDOToken: team wallet address cannot be zero");
-        require(communityWallet != address(0), "DIDOToken: community wallet address cannot be zero");
-        require(reserveWallet != address(0), "DIDOToken: reserve wallet address cannot be zero");
-        
-        // 验证地址不重复
-        require(liquidityPool != teamWallet, "DIDOToken: addresses must be unique");
-        require(liquidityPool != communityWallet, "DIDOToken: addresses must be unique");
-        require(liquidityPool != reserveWallet, "DIDOToken: addresses must be unique");
-        require(teamWallet != communityWallet, "DIDOToken: addresses must be unique");
-        require(teamWallet != reserveWallet, "DIDOToken: addresses must be unique");
-        require(communityWallet != reserveWallet, "DIDOToken: addresses must be unique");
+        address[] memory recipients,
+        uint256[] memory amounts
+    ) ERC20("DIDO Token", "DDT") ERC20Permit("DIDO Token") {
+        require(recipients.length > 0, "DIDOToken: no recipients");
+        require(recipients.length == amounts.length, "DIDOToken: recipients and amounts length mismatch");
         
-        // 按照预定义比例铸造代币
-        _mint(liquidityPool, 400_000 * 10**18);    // 40% - 流动性池
-        _mint(teamWallet, 300_000 * 10**18);       // 30% - 团队
-        _mint(communityWallet, 200_000 * 10**18);  // 20% - 社区
-        _mint(reserveWallet, 100_000 * 10**18);    // 10% - 预留
+        // 按照分配列表铸造代币
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "DIDOToken: recipient cannot be zero address");
+            require(amounts[i] > 0, "DIDOToken: amount must be greater than zero");
+            // 数量均大于 0，已铸造过的地址余额必然非零
+            require(balanceOf(recipients[i]) == 0, "DIDOToken: addresses must be unique");
+            _mint(recipients[i], amounts[i]);
+        }
         
         // 验证总供应量
         require(totalSupply() == MAX_SUPPLY, "DIDOToken: total supply mismatch");
+        
+        // 初始角色分配给部署者
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(BLACKLIST_MANAGER_ROLE, msg.sender);
     }
     
     // ===========================================
@@ -104,23 +165,106 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
     
     /**
      * @dev 暂停所有转账操作
-     * @notice 只有 owner 可以调用此函数
+     * @notice 只有 PAUSER_ROLE 可以调用此函数
      * @notice 暂停后，所有转账、授权等操作都会被阻止
      * @notice 这是一个紧急功能，用于应对安全漏洞或异常情况
      */
-    function pause() public onlyOwner {
+    function pause() public onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
      * @dev 恢复所有转账操作
-     * @notice 只有 owner 可以调用此函数
+     * @notice 只有 PAUSER_ROLE 可以调用此函数
      * @notice 恢复后，所有转账、授权等操作将正常工作
      */
-    function unpause() public onlyOwner {
+    function unpause() public onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
+    // ===========================================
+    // 管理员移交
+    // ===========================================
+    
+    /**
+     * @dev 发起管理员角色移交
+     * @param newAdmin 新的管理员地址
+     * @notice 只有 DEFAULT_ADMIN_ROLE 可以调用此函数
+     * @notice 新管理员必须调用 acceptAdminTransfer() 后移交才生效，防止地址填错导致合约失控
+     * @notice 在新管理员接受前，可再次调用此函数覆盖待定地址
+     * @notice 建议将管理员角色移交给多签钱包
+     */
+    function beginAdminTransfer(address newAdmin) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newAdmin != address(0), "DIDOToken: new admin cannot be zero address");
+        require(!hasRole(DEFAULT_ADMIN_ROLE, newAdmin), "DIDOToken: new admin must be different");
+        
+        pendingAdmin = newAdmin;
+        _pendingAdminFrom = msg.sender;
+        emit AdminTransferStarted(msg.sender, newAdmin);
+    }
+    
+    /**
+     * @dev 接受管理员角色移交
+     * @notice 只有待定的新管理员可以调用此函数
+     * @notice 接受后，发起移交的管理员将失去管理员角色
+     */
+    function acceptAdminTransfer() external {
+        require(msg.sender == pendingAdmin, "DIDOToken: caller is not the pending admin");
+        address previousAdmin = _pendingAdminFrom;
+        require(hasRole(DEFAULT_ADMIN_ROLE, previousAdmin), "DIDOToken: admin transfer no longer valid");
+        
+        delete pendingAdmin;
+        delete _pendingAdminFrom;
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _revokeRole(DEFAULT_ADMIN_ROLE, previousAdmin);
+        emit AdminTransferred(previousAdmin, msg.sender);
+    }
+    
+    /**
+     * @dev 授予角色
+     * @param role 角色
+     * @param account 被授予的地址
+     * @notice 管理员角色不能直接授予，必须通过 beginAdminTransfer / acceptAdminTransfer 两步完成
+     */
+    function grantRole(bytes32 role, address account) public override(AccessControl, IAccessControl) {
+        require(role != DEFAULT_ADMIN_ROLE, "DIDOToken: use beginAdminTransfer for admin role");
+        super.grantRole(role, account);
+    }
+    
+    /**
+     * @dev 放弃角色
+     * @param role 角色
+     * @param callerConfirmation 调用者地址（防止误操作）
+     * @notice 放弃管理员角色是不可逆操作；启用延迟队列时，必须先通过 scheduleAdminAction 登记并等待到期
+     */
+    function renounceRole(bytes32 role, address callerConfirmation) public override(AccessControl, IAccessControl) {
+        if (role == DEFAULT_ADMIN_ROLE) {
+            _consumeAdminAction();
+        }
+        super.renounceRole(role, callerConfirmation);
+    }
+    
+    /**
+     * @dev 撤销角色
+     * @param role 角色
+     * @param account 被撤销的地址
+     * @notice 撤销管理员角色与放弃管理员角色同样不可逆；启用延迟队列时，必须先通过 scheduleAdminAction 登记并等待到期
+     */
+    function revokeRole(bytes32 role, address account) public override(AccessControl, IAccessControl) {
+        if (role == DEFAULT_ADMIN_ROLE) {
+            _consumeAdminAction();
+        }
+        super.revokeRole(role, account);
+    }
+    
+    /**
+     * @dev 延迟队列的权限检查，只有管理员可以管理队列
+     */
+    function _checkAdminActionCaller() internal view override {
+        _checkRole(DEFAULT_ADMIN_ROLE);
+    }
+    
     // ===========================================
     // 黑名单功能
     // ===========================================
@@ -128,30 +272,51 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
     /**
      * @dev 将地址加入黑名单
      * @param account 要加入黑名单的地址
-     * @notice 只有 owner 可以调用此函数
+     * @notice 只有 BLACKLIST_MANAGER_ROLE 可以调用此函数
      * @notice 被列入黑名单的地址无法进行转账操作
      * @notice 此功能用于应对监管要求或恶意行为
      */
-    function blacklist(address account) public onlyOwner {
-        require(account != address(0), "DIDOToken: cannot blacklist zero address");
-        require(account != owner(), "DIDOToken: cannot blacklist owner");
-        require(!_blacklisted[account], "DIDOToken: account already blacklisted");
-        
-        _blacklisted[account] = true;
-        emit Blacklisted(account, true);
+    function blacklist(address account) public onlyRole(BLACKLIST_MANAGER_ROLE) {
+        _addToBlacklist(account, bytes32(0));
     }
     
     /**
      * @dev 将地址从黑名单中移除
      * @param account 要从黑名单中移除的地址
-     * @notice 只有 owner 可以调用此函数
+     * @notice 只有 BLACKLIST_MANAGER_ROLE 可以调用此函数
      */
-    function unblacklist(address account) public onlyOwner {
-        require(account != address(0), "DIDOToken: cannot unblacklist zero address");
-        require(_blacklisted[account], "DIDOToken: account not blacklisted");
+    function unblacklist(address account) public onlyRole(BLACKLIST_MANAGER_ROLE) {
+        _removeFromBlacklist(account, bytes32(0));
+    }
+    
+    /**
+     * @dev 批量将地址加入黑名单
+     * @param accounts 要加入黑名单的地址列表
+     * @param reason 原因代码，记录在每个地址上并随事件发出
+     * @notice 只有 BLACKLIST_MANAGER_ROLE 可以调用此函数
+     * @notice 任一地址校验失败（零地址、管理员、已在黑名单中）时整批回滚
+     */
+    function blacklistBatch(address[] calldata accounts, bytes32 reason) external onlyRole(BLACKLIST_MANAGER_ROLE) {
+        require(accounts.length > 0, "DIDOToken: empty account list");
         
-        _blacklisted[account] = false;
-        emit Blacklisted(account, false);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _addToBlacklist(accounts[i], reason);
+        }
+    }
+    
+    /**
+     * @dev 批量将地址从黑名单中移除
+     * @param accounts 要从黑名单中移除的地址列表
+     * @param reason 原因代码，随事件发出
+     * @notice 只有 BLACKLIST_MANAGER_ROLE 可以调用此函数
+     * @notice 任一地址不在黑名单中时整批回滚
+     */
+    function unblacklistBatch(address[] calldata accounts, bytes32 reason) external onlyRole(BLACKLIST_MANAGER_ROLE) {
+        require(accounts.length > 0, "DIDOToken: empty account list");
+        
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _removeFromBlacklist(accounts[i], reason);
+        }
     }
     
     /**
@@ -160,7 +325,257 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
      * @return 如果地址在黑名单中返回 true，否则返回 false
      */
     function isBlacklisted(address account) public view returns (bool) {
-        return _blacklisted[account];
+        return _blacklist.contains(account);
+    }
+    
+    /**
+     * @dev 获取地址被加入黑名单时记录的原因代码
+     * @param account 要查询的地址
+     * @return 原因代码，未提供原因或不在黑名单中时返回 0
+     */
+    function getBlacklistReason(address account) external view returns (bytes32) {
+        return _blacklistReasons[account];
+    }
+    
+    /**
+     * @dev 获取当前黑名单中的地址数量
+     * @return 黑名单地址数量
+     */
+    function getBlacklistCount() external view returns (uint256) {
+        return _blacklist.length();
+    }
+    
+    /**
+     * @dev 分页获取当前黑名单
+     * @param offset 起始位置
+     * @param limit 最多返回的地址数量
+     * @return accounts 黑名单地址列表
+     * @return reasons 对应的原因代码列表
+     * @notice 移除地址会改变其余地址的顺序，对账时请在同一区块内完成分页读取
+     */
+    function getBlacklist(uint256 offset, uint256 limit) external view returns (
+        address[] memory accounts,
+        bytes32[] memory reasons
+    ) {
+        uint256 total = _blacklist.length();
+        if (offset >= total) {
+            return (new address[](0), new bytes32[](0));
+        }
+        
+        uint256 end = offset + limit;
+        if (end > total) {
+            end = total;
+        }
+        
+        accounts = new address[](end - offset);
+        reasons = new bytes32[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            accounts[i - offset] = _blacklist.at(i);
+            reasons[i - offset] = _blacklistReasons[accounts[i - offset]];
+        }
+    }
+    
+    /**
+     * @dev 将地址加入黑名单的内部实现
+     * @param account 要加入黑名单的地址
+     * @param reason 原因代码
+     */
+    function _addToBlacklist(address account, bytes32 reason) private {
+        require(account != address(0), "DIDOToken: cannot blacklist zero address");
+        require(!hasRole(DEFAULT_ADMIN_ROLE, account), "DIDOToken: cannot blacklist admin");
+        require(_blacklist.add(account), "DIDOToken: account already blacklisted");
+        
+        _blacklistReasons[account] = reason;
+        emit Blacklisted(account, true);
+        if (reason != bytes32(0)) {
+            emit BlacklistReason(account, true, reason);
+        }
+    }
+    
+    /**
+     * @dev 将地址从黑名单中移除的内部实现
+     * @param account 要从黑名单中移除的地址
+     * @param reason 原因代码
+     */
+    function _removeFromBlacklist(address account, bytes32 reason) private {
+        require(account != address(0), "DIDOToken: cannot unblacklist zero address");
+        require(_blacklist.remove(account), "DIDOToken: account not blacklisted");
+        
+        delete _blacklistReasons[account];
+        emit Blacklisted(account, false);
+        if (reason != bytes32(0)) {
+            emit BlacklistReason(account, false, reason);
+        }
+    }
+    
+    // ===========================================
+    // 部分冻结
+    // ===========================================
+    
+    /**
+     * @dev 冻结地址的部分余额
+     * @param account 要冻结的地址
+     * @param amount 新增冻结数量，累加到已冻结余额上
+     * @param reason 原因代码（如案件编号），随事件发出
+     * @notice 只有 BLACKLIST_MANAGER_ROLE 可以调用此函数
+     * @notice 冻结总额不能超过当前余额，冻结部分不能转出或销毁
+     */
+    function freezeBalance(address account, uint256 amount, bytes32 reason) external onlyRole(BLACKLIST_MANAGER_ROLE) {
+        require(account != address(0), "DIDOToken: cannot freeze zero address");
+        require(amount > 0, "DIDOToken: amount must be greater than zero");
+        
+        uint256 frozen = _frozenBalances[account] + amount;
+        require(frozen <= balanceOf(account), "DIDOToken: freeze amount exceeds balance");
+        
+        _frozenBalances[account] = frozen;
+        emit BalanceFrozen(account, amount, frozen, reason);
+    }
+    
+    /**
+     * @dev 解冻地址的部分余额
+     * @param account 要解冻的地址
+     * @param amount 解冻数量
+     * @param reason 原因代码，随事件发出
+     * @notice 只有 BLACKLIST_MANAGER_ROLE 可以调用此函数
+     */
+    function unfreezeBalance(address account, uint256 amount, bytes32 reason) external onlyRole(BLACKLIST_MANAGER_ROLE) {
+        require(amount > 0, "DIDOToken: amount must be greater than zero");
+        
+        uint256 frozen = _frozenBalances[account];
+        require(amount <= frozen, "DIDOToken: unfreeze amount exceeds frozen balance");
+        
+        _frozenBalances[account] = frozen - amount;
+        emit BalanceUnfrozen(account, amount, frozen - amount, reason);
+    }
+    
+    /**
+     * @dev 获取地址被冻结的余额
+     * @param account 要查询的地址
+     * @return 冻结余额
+     */
+    function frozenBalanceOf(address account) public view returns (uint256) {
+        return _frozenBalances[account];
+    }
+    
+    /**
+     * @dev 获取地址可用于转账和销毁的余额
+     * @param account 要查询的地址
+     * @return 可用余额（总余额减去冻结余额）
+     */
+    function availableBalanceOf(address account) public view returns (uint256) {
+        return balanceOf(account) - _frozenBalances[account];
+    }
+    
+    /**
+     * @dev 获取地址的余额构成
+     * @param account 要查询的地址
+     * @return totalBalance 总余额
+     * @return availableBalance 可用余额
+     * @return frozenBalance 冻结余额
+     */
+    function getBalanceInfo(address account) external view returns (
+        uint256 totalBalance,
+        uint256 availableBalance,
+        uint256 frozenBalance
+    ) {
+        return (balanceOf(account), availableBalanceOf(account), _frozenBalances[account]);
+    }
+    
+    // ===========================================
+    // 黑名单资金处置
+    // ===========================================
+    
+    /**
+     * @dev 转移或销毁黑名单地址的余额
+     * @param account 黑名单地址
+     * @param recipient 接收地址，传入零地址表示销毁
+     * @param amount 处置数量
+     * @param caseReference 案件编号（司法命令或被盗案件的引用），不能为空
+     * @notice 只有 DEFAULT_ADMIN_ROLE 可以调用此函数
+     * @notice 只能处置黑名单地址的余额，接收地址不能在黑名单中
+     * @notice 销毁会永久减少总供应量，MAX_SUPPLY 保持不变且无法再铸造
+     * @notice 不受冻结限制，处置数量优先从冻结余额中扣除
+     * @notice 合约暂停期间无法执行
+     */
+    function recoverBlacklistedFunds(
+        address account,
+        address recipient,
+        uint256 amount,
+        bytes32 caseReference
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(isBlacklisted(account), "DIDOToken: account not blacklisted");
+        require(amount > 0, "DIDOToken: amount must be greater than zero");
+        require(caseReference != bytes32(0), "DIDOToken: case reference required");
+        
+        _recoveryInProgress = true;
+        if (recipient == address(0)) {
+            _burn(account, amount);
+        } else {
+            _transfer(account, recipient, amount);
+        }
+        _recoveryInProgress = false;
+        
+        uint256 frozen = _frozenBalances[account];
+        if (frozen > 0) {
+            uint256 unfrozen = amount < frozen ? amount : frozen;
+            _frozenBalances[account] = frozen - unfrozen;
+            emit BalanceUnfrozen(account, unfrozen, frozen - unfrozen, caseReference);
+        }
+        
+        emit BlacklistedFundsRecovered(account, recipient, amount, caseReference);
+    }
+    
+    // ===========================================
+    // 误转资产找回
+    // ===========================================
+    
+    /**
+     * @dev 找回误转入本合约的 ERC20 代币
+     * @param tokenAddress 代币合约地址（可以是 DDT 本身）
+     * @param to 接收地址
+     * @param amount 找回数量
+     * @notice 只有 DEFAULT_ADMIN_ROLE 可以调用此函数
+     * @notice 找回 DDT 时同样经过黑名单和暂停检查
+     */
+    function rescueERC20(address tokenAddress, address to, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _rescueERC20(tokenAddress, to, amount);
+    }
+    
+    /**
+     * @dev 找回强制转入本合约的 ETH
+     * @param to 接收地址
+     * @param amount 找回数量（wei）
+     * @notice 只有 DEFAULT_ADMIN_ROLE 可以调用此函数
+     */
+    function rescueETH(address payable to, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _rescueETH(to, amount);
+    }
+    
+    // ===========================================
+    // 批量转账
+    // ===========================================
+    
+    /**
+     * @dev 从调用者地址向多个地址转账
+     * @param recipients 接收地址列表
+     * @param amounts 对应的转账数量列表
+     * @return 是否成功
+     * @notice 每一笔转账都经过暂停和黑名单检查，任一笔失败则整批回滚
+     * @notice 每一笔转账都会触发标准 Transfer 事件，整批完成后触发 BatchTransfer 事件
+     * @notice 单批数量受区块 gas 上限约束，大名单请使用 scripts/airdrop.js 分批发送
+     */
+    function batchTransfer(address[] calldata recipients, uint256[] calldata amounts) external returns (bool) {
+        require(recipients.length > 0, "DIDOToken: empty recipient list");
+        require(recipients.length == amounts.length, "DIDOToken: recipients and amounts length mismatch");
+        
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _transfer(msg.sender, recipients[i], amounts[i]);
+            totalAmount += amounts[i];
+        }
+        
+        emit BatchTransfer(msg.sender, recipients.length, totalAmount);
+        return true;
     }
     
     // ===========================================
@@ -175,20 +590,40 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
      * @notice 此函数会在每次转账前被调用
      * @notice 检查发送方和接收方是否在黑名单中
      * @notice 如果任一方在黑名单中，转账将被拒绝
+     * @notice 通过 permit 签名授权后的 transferFrom 同样经过此检查
+     * @notice 发送方有冻结余额时，只能转出或销毁未冻结的部分
+     * @notice 黑名单资金处置期间跳过发送方黑名单和冻结检查，接收方检查仍然有效
+     * @notice 检查通过后由 ERC20Votes 更新投票权检查点（销毁会减少投票总供应量）
      */
     function _update(
         address from,
         address to,
         uint256 value
-    ) internal override(ERC20, ERC20Pausable) nonReentrant {
+    ) internal override(ERC20, ERC20Pausable, ERC20Votes) nonReentrant {
         // 检查黑名单
-        require(!_blacklisted[from], "DIDOToken: sender is blacklisted");
-        require(!_blacklisted[to], "DIDOToken: recipient is blacklisted");
+        require(!isBlacklisted(from) || _recoveryInProgress, "DIDOToken: sender is blacklisted");
+        require(!isBlacklisted(to), "DIDOToken: recipient is blacklisted");
+        
+        // 检查冻结余额
+        uint256 frozen = _frozenBalances[from];
+        if (frozen > 0 && !_recoveryInProgress) {
+            require(value <= balanceOf(from) - frozen, "DIDOToken: transfer amount exceeds available balance");
+        }
         
         // 调用父类的 _update 函数
         super._update(from, to, value);
     }
     
+    /**
+     * @dev 获取地址的 nonce
+     * @param owner 要查询的地址
+     * @return 当前 nonce
+     * @notice permit 与 delegateBySig 共用同一个 nonce 序列
+     */
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+    
     // ===========================================
     // 销毁功能（继承自 ERC20Burnable）
     // ===========================================
@@ -201,7 +636,7 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
      * @notice 这是一个不可逆操作
      */
     function burn(uint256 value) public override {
-        require(!_blacklisted[msg.sender], "DIDOToken: blacklisted address cannot burn");
+        require(!isBlacklisted(msg.sender), "DIDOToken: blacklisted address cannot burn");
         super.burn(value);
     }
     
@@ -213,8 +648,8 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
      * @notice 这是一个不可逆操作
      */
     function burnFrom(address from, uint256 value) public override {
-        require(!_blacklisted[from], "DIDOToken: cannot burn from blacklisted address");
-        require(!_blacklisted[msg.sender], "DIDOToken: blacklisted address cannot burn");
+        require(!isBlacklisted(from), "DIDOToken: cannot burn from blacklisted address");
+        require(!isBlacklisted(msg.sender), "DIDOToken: blacklisted address cannot burn");
         super.burnFrom(from, value);
     }
     
@@ -229,7 +664,9 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
      * @return tokenDecimals 小数位数
      * @return tokenTotalSupply 总供应量
      * @return tokenMaxSupply 最大供应量
-     * @return tokenOwner 合约所有者
+     * @return tokenAdmins 管理员角色持有者
+     * @return tokenPausers 暂停者角色持有者
+     * @return tokenBlacklistManagers 黑名单管理员角色持有者
      * @return tokenPaused 是否暂停
      */
     function getTokenInfo() public view returns (
@@ -238,7 +675,9 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
         uint8 tokenDecimals,
         uint256 tokenTotalSupply,
         uint256 tokenMaxSupply,
-        address tokenOwner,
+        address[] memory tokenAdmins,
+        address[] memory tokenPausers,
+        address[] memory tokenBlacklistManagers,
         bool tokenPaused
     ) {
         return (
@@ -247,34 +686,10 @@ contract DIDOToken is ERC20, ERC20Burnable, ERC20Pausable, Ownable, ReentrancyGu
             decimals(),
             totalSupply(),
             MAX_SUPPLY,
-            owner(),
+            getRoleMembers(DEFAULT_ADMIN_ROLE),
+            getRoleMembers(PAUSER_ROLE),
+            getRoleMembers(BLACKLIST_MANAGER_ROLE),
             paused()
         );
     }
-    
-    // ===========================================
-    // 紧急功能
-    // ===========================================
-    
-    /**
-     * @dev 紧急情况下转移合约所有权
-     * @param newOwner 新的合约所有者
-     * @notice 只有当前 owner 可以调用此函数
-     * @notice 建议将所有权转移给多签钱包以提高安全性
-     */
-    function transferOwnership(address newOwner) public override onlyOwner {
-        require(newOwner != address(0), "DIDOToken: new owner cannot be zero address");
-        require(newOwner != owner(), "DIDOToken: new owner must be different");
-        super.transferOwnership(newOwner);
-    }
-    
-    /**
-     * @dev 放弃合约所有权
-     * @notice 只有当前 owner 可以调用此函数
-     * @notice 放弃后，将无法再执行任何管理操作
-     * @notice 这是一个不可逆操作，请谨慎使用
-     */
-    function renounceOwnership() public override onlyOwner {
-        super.renounceOwnership();
-    }
 }
@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title MerkleDistributor
+ * @dev 基于 Merkle 证明的空投领取合约
+ *
+ * 功能特性：
+ * - 社区钱包一次性转入空投总量，用户自行提交证明领取，无需项目方逐个转账
+ * - 领取窗口（开始时间、结束时间）
+ * - 领取窗口结束后，剩余代币只能退回社区钱包
+ * - 部署后不可修改，没有管理员权限
+ *
+ * Merkle 树格式：
+ * - 与 OpenZeppelin merkle-tree 库的 StandardMerkleTree 一致，叶子编码为 ["address", "uint256"]
+ * - 叶子哈希为 keccak256(bytes.concat(keccak256(abi.encode(account, amount))))
+ * - 使用 scripts/buildMerkleTree.js 从 CSV 生成根哈希和每个地址的证明
+ *
+ * 注意：
+ * - 每个地址只能领取一次，名单中的地址不能重复
+ * - 任何人都可以替名单中的地址提交领取，代币始终转给名单中的地址
+ * - 黑名单地址无法领取（DIDOToken 转账检查），其份额在窗口结束后随剩余代币退回
+ *
+ * @author DIDO Token Team
+ * @notice 合约中的代币需要在领取开始前由社区钱包转入
+ */
+contract MerkleDistributor is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ===========================================
+    // 状态变量
+    // ===========================================
+
+    /// @dev 空投代币合约
+    IERC20 public immutable token;
+
+    /// @dev Merkle 树根哈希
+    bytes32 public immutable merkleRoot;
+
+    /// @dev 领取开始时间
+    uint256 public immutable claimStart;
+
+    /// @dev 领取结束时间（不含），此后只能退回剩余代币
+    uint256 public immutable claimEnd;
+
+    /// @dev 剩余代币的退回地址（社区钱包）
+    address public immutable communityWallet;
+
+    /// @dev 已领取的代币总量
+    uint256 public totalClaimed;
+
+    /// @dev 地址是否已领取
+    mapping(address => bool) private _claimed;
+
+    // ===========================================
+    // 事件
+    // ===========================================
+
+    /// @dev 领取事件
+    event Claimed(address indexed account, uint256 amount);
+
+    /// @dev 剩余代币退回事件
+    event Swept(address indexed to, uint256 amount);
+
+    // ===========================================
+    // 构造函数
+    // ===========================================
+
+    /**
+     * @dev 构造函数
+     * @param _token 空投代币合约地址
+     * @param _merkleRoot Merkle 树根哈希
+     * @param _claimStart 领取开始时间
+     * @param _claimEnd 领取结束时间
+     * @param _communityWallet 剩余代币的退回地址
+     */
+    constructor(
+        address _token,
+        bytes32 _merkleRoot,
+        uint256 _claimStart,
+        uint256 _claimEnd,
+        address _communityWallet
+    ) {
+        require(_token != address(0), "MerkleDistributor: token address cannot be zero");
+        require(_merkleRoot != bytes32(0), "MerkleDistributor: merkle root cannot be zero");
+        require(_claimEnd > _claimStart, "MerkleDistributor: claim end must be after start");
+        require(_claimEnd > block.timestamp, "MerkleDistributor: claim end must be in the future");
+        require(_communityWallet != address(0), "MerkleDistributor: community wallet cannot be zero");
+
+        token = IERC20(_token);
+        merkleRoot = _merkleRoot;
+        claimStart = _claimStart;
+        claimEnd = _claimEnd;
+        communityWallet = _communityWallet;
+    }
+
+    // ===========================================
+    // 主要功能
+    // ===========================================
+
+    /**
+     * @dev 领取空投
+     * @param account 名单中的地址，代币将转入此地址
+     * @param amount 名单中的数量
+     * @param merkleProof 该地址的 Merkle 证明
+     * @notice 任何人都可以替名单中的地址提交领取
+     * @notice 只能在领取窗口内调用，每个地址只能领取一次
+     */
+    function claim(address account, uint256 amount, bytes32[] calldata merkleProof) external nonReentrant {
+        require(block.timestamp >= claimStart, "MerkleDistributor: claim not started");
+        require(block.timestamp < claimEnd, "MerkleDistributor: claim ended");
+        require(!_claimed[account], "MerkleDistributor: already claimed");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+        require(MerkleProof.verifyCalldata(merkleProof, merkleRoot, leaf), "MerkleDistributor: invalid proof");
+
+        _claimed[account] = true;
+        totalClaimed += amount;
+        token.safeTransfer(account, amount);
+
+        emit Claimed(account, amount);
+    }
+
+    /**
+     * @dev 领取窗口结束后，将剩余代币退回社区钱包
+     * @notice 任何人都可以调用，代币只会转入 communityWallet
+     */
+    function sweep() external nonReentrant {
+        require(block.timestamp >= claimEnd, "MerkleDistributor: claim not ended");
+
+        uint256 amount = token.balanceOf(address(this));
+        require(amount > 0, "MerkleDistributor: nothing to sweep");
+
+        token.safeTransfer(communityWallet, amount);
+
+        emit Swept(communityWallet, amount);
+    }
+
+    // ===========================================
+    // 查询函数
+    // ===========================================
+
+    /**
+     * @dev 查询地址是否已领取
+     * @param account 要查询的地址
+     * @return 是否已领取
+     */
+    function isClaimed(address account) external view returns (bool) {
+        return _claimed[account];
+    }
+
+    /**
+     * @dev 获取合约的详细信息
+     * @return tokenAddress 代币合约地址
+     * @return root Merkle 树根哈希
+     * @return startTime 领取开始时间
+     * @return endTime 领取结束时间
+     * @return claimedAmount 已领取的代币总量
+     * @return remainingAmount 合约中剩余的代币数量
+     * @return claimActive 当前是否处于领取窗口
+     */
+    function getDistributorInfo() external view returns (
+        address tokenAddress,
+        bytes32 root,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 claimedAmount,
+        uint256 remainingAmount,
+        bool claimActive
+    ) {
+        return (
+            address(token),
+            merkleRoot,
+            claimStart,
+            claimEnd,
+            totalClaimed,
+            token.balanceOf(address(this)),
+            block.timestamp >= claimStart && block.timestamp < claimEnd
+        );
+    }
+}
@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title Rescuable
+ * @dev 找回误转入合约的 ERC20 代币和 ETH
+ *
+ * 设计说明：
+ * - 只提供内部实现，由继承合约决定对外函数的权限和可找回范围
+ * - 合约不接收普通 ETH 转账，此处只处理 selfdestruct 或出块奖励等强制转入的 ETH
+ *
+ * @author DIDO Token Team
+ */
+abstract contract Rescuable {
+    using SafeERC20 for IERC20;
+
+    // ===========================================
+    // 事件
+    // ===========================================
+
+    /// @dev ERC20 代币找回事件
+    event ERC20Rescued(address indexed token, address indexed to, uint256 amount);
+
+    /// @dev ETH 找回事件
+    event ETHRescued(address indexed to, uint256 amount);
+
+    // ===========================================
+    // 内部函数
+    // ===========================================
+
+    /**
+     * @dev 将合约持有的 ERC20 代币转出
+     * @param tokenAddress 代币合约地址
+     * @param to 接收地址
+     * @param amount 转出数量
+     */
+    function _rescueERC20(address tokenAddress, address to, uint256 amount) internal {
+        require(to != address(0), "Rescuable: recipient cannot be zero address");
+        require(amount > 0, "Rescuable: amount must be greater than zero");
+
+        IERC20(tokenAddress).safeTransfer(to, amount);
+        emit ERC20Rescued(tokenAddress, to, amount);
+    }
+
+    /**
+     * @dev 将合约持有的 ETH 转出
+     * @param to 接收地址
+     * @param amount 转出数量（wei）
+     */
+    function _rescueETH(address payable to, uint256 amount) internal {
+        require(to != address(0), "Rescuable: recipient cannot be zero address");
+        require(amount > 0, "Rescuable: amount must be greater than zero");
+        require(amount <= address(this).balance, "Rescuable: insufficient ETH balance");
+
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "Rescuable: ETH transfer failed");
+        emit ETHRescued(to, amount);
+    }
+}
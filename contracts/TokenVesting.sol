@@ -3,8 +3,12 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./AdminActionQueue.sol";
+import "./Rescuable.sol";
+import "./VestingMath.sol";
 
 /**
  * @title TokenVesting
@@ -14,18 +18,27 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * - 线性释放机制
  * - 悬崖期（cliff period）
  * - 防重入攻击保护
- * - 权限管理
+ * - 权限管理（两步式所有权转移）
  * - 紧急停止功能
+ * - 注资检查：通过 fund() 从调用者拉取差额，余额不足以覆盖受益人未释放的额度时拒绝释放
+ * - 治理投票权：受益人可以把锁定代币的投票权委托给任意地址（需要代币实现 IVotes）
+ * - 任何人都可以触发释放（便于 keeper 或多签中继自动发放），代币只会转给受益人指定的收款地址
+ * - 撤销：成员离队时冻结在当前已归属数量，未归属部分退回指定地址，已归属部分仍由受益人提取
+ * - 更换受益人：受益人私钥泄露时，由 owner 发起、新受益人接受，收款地址和投票权委托一并改为新受益人
+ * - 敏感管理操作延迟队列（放弃所有权、紧急提取、更换受益人、撤销）
+ * - 找回误转入的其他代币和 ETH（不会动用受益人应得的锁定代币）
  * 
- * 释放时间表：
- * - 悬崖期：6 个月（180 天）
- * - 释放期：18 个月（540 天）
- * - 总锁定时间：24 个月（720 天）
+ * 释放时间表（部署时配置，之后不可修改）：
+ * - 开始时间：部署时间，或未来的某个时间点
+ * - 悬崖期：开始时间之后无法提取的时长，可以为 0
+ * - 释放期：悬崖期结束后线性释放的时长
+ * - 步长：为 0 时按秒线性释放；大于 0 时按步长阶梯解锁（例如 30 天表示按月解锁）
+ * - 项目默认配置为 6 个月悬崖期 + 18 个月释放期，共 24 个月
  * 
  * 释放机制：
- * - 前 6 个月：无法提取任何代币
- * - 6-24 个月：线性释放，每天释放 1/540 的代币
- * - 24 个月后：可提取全部剩余代币
+ * - 开始时间 + 悬崖期之前：无法提取任何代币
+ * - 悬崖期结束后：在释放期内按秒线性释放，或每满一个步长解锁一部分
+ * - 开始时间 + 悬崖期 + 释放期之后：可提取全部剩余代币
  * 
  * 安全考虑：
  * - 使用 OpenZeppelin 的安全库
@@ -36,7 +49,7 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * @author DIDO Token Team
  * @notice 此合约用于锁定团队代币，增加项目可信度
  */
-contract TokenVesting is Ownable, ReentrancyGuard {
+contract TokenVesting is Ownable2Step, ReentrancyGuard, AdminActionQueue, Rescuable {
     using SafeERC20 for IERC20;
     
     // ===========================================
@@ -46,23 +59,35 @@ contract TokenVesting is Ownable, ReentrancyGuard {
     /// @dev 被锁定的代币合约
     IERC20 public immutable token;
     
-    /// @dev 受益人地址
-    address public immutable beneficiary;
+    /// @dev 受益人地址，只能通过 beginBeneficiaryTransfer / acceptBeneficiaryTransfer 更换
+    address public beneficiary;
+    
+    /// @dev 待接受的新受益人地址
+    address public pendingBeneficiary;
     
     /// @dev 锁定的代币总量
     uint256 public immutable totalAmount;
     
-    /// @dev 开始时间（部署时间）
+    /// @dev 开始时间
     uint256 public immutable startTime;
     
     /// @dev 悬崖期（秒）
-    uint256 public constant CLIFF_DURATION = 180 days; // 6 个月
+    uint256 public immutable cliffDuration;
     
     /// @dev 释放期（秒）
-    uint256 public constant RELEASE_DURATION = 540 days; // 18 个月
+    uint256 public immutable releaseDuration;
+    
+    /// @dev 总锁定时间（秒），等于悬崖期 + 释放期
+    uint256 public immutable totalDuration;
+    
+    /// @dev 阶梯释放的步长（秒），0 表示按秒线性释放
+    uint256 public immutable stepDuration;
+    
+    /// @dev 开始时间最多可以设置在部署后多久
+    uint256 public constant MAX_START_DELAY = 365 days; // 1 年
     
-    /// @dev 总锁定时间（秒）
-    uint256 public constant TOTAL_DURATION = 720 days; // 24 个月
+    /// @dev 总锁定时间上限
+    uint256 public constant MAX_VESTING_DURATION = 3650 days; // 10 年
     
     /// @dev 已释放的代币数量
     uint256 public released;
@@ -70,6 +95,21 @@ contract TokenVesting is Ownable, ReentrancyGuard {
     /// @dev 是否已暂停
     bool public paused;
     
+    /// @dev 释放代币的收款地址，默认为受益人，只有受益人可以修改
+    address public payoutAddress;
+    
+    /// @dev 是否已撤销（与 paused、payoutAddress 共用一个存储槽，release 只需读取一次）
+    bool public revoked;
+    
+    /// @dev 撤销时未归属代币的退回地址
+    address public revocationReceiver;
+    
+    /// @dev 撤销时间
+    uint256 public revokedAt;
+    
+    /// @dev 撤销时的已归属数量，撤销后归属数量固定为此值
+    uint256 public vestedAtRevocation;
+    
     // ===========================================
     // 事件
     // ===========================================
@@ -83,6 +123,24 @@ contract TokenVesting is Ownable, ReentrancyGuard {
     /// @dev 紧急提取事件
     event EmergencyWithdrawal(uint256 amount, uint256 timestamp);
     
+    /// @dev 注资事件
+    event VestingFunded(address indexed funder, uint256 amount);
+    
+    /// @dev 收款地址变更事件
+    event PayoutAddressUpdated(address indexed previousPayoutAddress, address indexed newPayoutAddress);
+    
+    /// @dev 撤销退回地址变更事件
+    event RevocationReceiverUpdated(address indexed previousReceiver, address indexed newReceiver);
+    
+    /// @dev 受益人更换发起事件
+    event BeneficiaryTransferStarted(address indexed previousBeneficiary, address indexed newBeneficiary);
+    
+    /// @dev 受益人更换完成事件
+    event BeneficiaryTransferred(address indexed previousBeneficiary, address indexed newBeneficiary);
+    
+    /// @dev 撤销事件，unvestedAmount 为实际退回的数量
+    event VestingRevoked(address indexed receiver, uint256 vestedAmount, uint256 unvestedAmount, uint256 timestamp);
+    
     // ===========================================
     // 修饰符
     // ===========================================
@@ -108,28 +166,48 @@ contract TokenVesting is Ownable, ReentrancyGuard {
      * @param _token 被锁定的代币合约地址
      * @param _beneficiary 受益人地址
      * @param _totalAmount 锁定的代币总量
+     * @param _startTime 开始时间，传 0 表示使用部署时间
+     * @param _cliffDuration 悬崖期（秒），可以为 0
+     * @param _releaseDuration 释放期（秒），必须大于 0
+     * @param _stepDuration 阶梯释放的步长（秒），0 表示线性释放；非 0 时释放期必须是步长的整数倍
      * 
      * 注意：
      * - 部署者将成为合约的 owner
-     * - 开始时间设置为部署时间
-     * - 代币必须预先转入此合约
+     * - 开始时间不能早于部署时间，也不能晚于部署后 MAX_START_DELAY
+     * - 悬崖期 + 释放期不能超过 MAX_VESTING_DURATION
+     * - 部署后需要调用 fund() 注资（或直接转入代币），注资完成前无法释放
      */
     constructor(
         address _token,
         address _beneficiary,
-        uint256 _totalAmount
+        uint256 _totalAmount,
+        uint256 _startTime,
+        uint256 _cliffDuration,
+        uint256 _releaseDuration,
+        uint256 _stepDuration
     ) Ownable(msg.sender) {
         require(_token != address(0), "TokenVesting: token address cannot be zero");
         require(_beneficiary != address(0), "TokenVesting: beneficiary address cannot be zero");
         require(_totalAmount > 0, "TokenVesting: total amount must be greater than zero");
         
+        if (_startTime == 0) {
+            _startTime = block.timestamp;
+        }
+        require(_startTime >= block.timestamp, "TokenVesting: start time cannot be in the past");
+        require(_startTime <= block.timestamp + MAX_START_DELAY, "TokenVesting: start time too far in the future");
+        require(_releaseDuration > 0, "TokenVesting: release duration must be greater than zero");
+        require(_cliffDuration + _releaseDuration <= MAX_VESTING_DURATION, "TokenVesting: vesting duration too long");
+        require(_stepDuration == 0 || _releaseDuration % _stepDuration == 0, "TokenVesting: release duration must be a multiple of step duration");
+        
         token = IERC20(_token);
         beneficiary = _beneficiary;
         totalAmount = _totalAmount;
-        startTime = block.timestamp;
-        
-        // 注意：代币应该在部署后转入此合约
-        // 验证将在第一次 release 时进行
+        startTime = _startTime;
+        cliffDuration = _cliffDuration;
+        releaseDuration = _releaseDuration;
+        totalDuration = _cliffDuration + _releaseDuration;
+        stepDuration = _stepDuration;
+        payoutAddress = _beneficiary;
     }
     
     // ===========================================
@@ -138,22 +216,90 @@ contract TokenVesting is Ownable, ReentrancyGuard {
     
     /**
      * @dev 释放可提取的代币
-     * @notice 只有受益人可调用此函数
+     * @notice 任何人都可以调用此函数，例如 keeper 定时触发
      * @notice 根据时间计算可释放的代币数量
-     * @notice 释放的代币将转入受益人地址
+     * @notice 释放的代币将转入 payoutAddress（默认为受益人地址），调用者无法改变去向
      */
     function release() external nonReentrant whenNotPaused {
-        require(msg.sender == beneficiary, "TokenVesting: only beneficiary can release");
+        require(isFunded(), "TokenVesting: contract is underfunded");
         
         uint256 releasableAmount = getReleasableAmount();
         require(releasableAmount > 0, "TokenVesting: no tokens to release");
         
         released += releasableAmount;
-        token.safeTransfer(beneficiary, releasableAmount);
+        token.safeTransfer(payoutAddress, releasableAmount);
         
         emit TokensReleased(releasableAmount, block.timestamp);
     }
     
+    /**
+     * @dev 注资，从调用者拉取合约余额与应持有数量之间的差额
+     * @notice 任何人都可以调用，调用前需要 approve 本合约至少 getFundingShortfall() 的额度
+     * @notice 通常由团队钱包在部署后调用；紧急提取后也可以用它补足余额
+     */
+    function fund() external nonReentrant {
+        uint256 shortfall = getFundingShortfall();
+        require(shortfall > 0, "TokenVesting: already funded");
+        
+        token.safeTransferFrom(msg.sender, address(this), shortfall);
+        
+        emit VestingFunded(msg.sender, shortfall);
+    }
+    
+    /**
+     * @dev 设置释放代币的收款地址
+     * @param newPayoutAddress 新的收款地址，设为受益人地址即恢复默认
+     * @notice 只有受益人可以调用此函数
+     */
+    function setPayoutAddress(address newPayoutAddress) external {
+        require(msg.sender == beneficiary, "TokenVesting: only beneficiary can set payout address");
+        require(newPayoutAddress != address(0), "TokenVesting: payout address cannot be zero address");
+        
+        address previousPayoutAddress = payoutAddress;
+        payoutAddress = newPayoutAddress;
+        emit PayoutAddressUpdated(previousPayoutAddress, newPayoutAddress);
+    }
+    
+    /**
+     * @dev 委托锁定代币的投票权
+     * @param delegatee 委托对象，可以是受益人自己
+     * @notice 只有受益人可以调用此函数
+     * @notice 委托的是本合约持有的全部代币，释放后这部分投票权随代币转出而减少；
+     *         受益人钱包中已释放的代币需要受益人在代币合约上单独委托
+     */
+    function delegate(address delegatee) external {
+        require(msg.sender == beneficiary, "TokenVesting: only beneficiary can delegate");
+        
+        IVotes(address(token)).delegate(delegatee);
+    }
+    
+    /**
+     * @dev 查询锁定代币的投票权委托对象
+     * @return 委托对象，未委托时为零地址
+     */
+    function getDelegate() external view returns (address) {
+        return IVotes(address(token)).delegates(address(this));
+    }
+    
+    /**
+     * @dev 查询合约是否已足额注资
+     * @return 余额是否覆盖受益人未释放的额度
+     */
+    function isFunded() public view returns (bool) {
+        return getFundingShortfall() == 0;
+    }
+    
+    /**
+     * @dev 计算合约余额距离足额注资还差多少
+     * @return 差额，已足额时为 0
+     * @notice 应持有数量为受益人最终可得的数量减去已释放数量，撤销后按撤销时的已归属数量计算
+     */
+    function getFundingShortfall() public view returns (uint256) {
+        uint256 required = _entitledAmount() - released;
+        uint256 balance = token.balanceOf(address(this));
+        return balance >= required ? 0 : required - balance;
+    }
+    
     /**
      * @dev 计算当前可释放的代币数量
      * @return 可释放的代币数量
@@ -167,23 +313,24 @@ contract TokenVesting is Ownable, ReentrancyGuard {
      * @return 已归属的代币数量
      */
     function getVestedAmount() public view returns (uint256) {
-        uint256 currentTime = block.timestamp;
-        
-        // 如果还在悬崖期内，返回 0
-        if (currentTime < startTime + CLIFF_DURATION) {
-            return 0;
+        return vestedAmountAt(block.timestamp);
+    }
+    
+    /**
+     * @dev 计算指定时间点的已归属数量，可用于查询过去或未来的释放曲线
+     * @param timestamp 查询的时间点
+     * @return 已归属的代币数量
+     * @notice 已撤销时，撤销时间及之后返回撤销时的已归属数量，之前按原时间表计算
+     */
+    function vestedAmountAt(uint256 timestamp) public view returns (uint256) {
+        // 撤销后归属数量不再增长
+        if (revoked && timestamp >= revokedAt) {
+            return vestedAtRevocation;
         }
-        
-        // 如果超过总锁定时间，返回全部代币
-        if (currentTime >= startTime + TOTAL_DURATION) {
-            return totalAmount;
+        if (stepDuration > 0) {
+            return VestingMath.stepVestedAmount(totalAmount, startTime, cliffDuration, releaseDuration, stepDuration, timestamp);
         }
-        
-        // 计算线性释放的代币数量
-        uint256 timeSinceCliff = currentTime - (startTime + CLIFF_DURATION);
-        uint256 vestedAmount = (totalAmount * timeSinceCliff) / RELEASE_DURATION;
-        
-        return vestedAmount;
+        return VestingMath.linearVestedAmount(totalAmount, startTime, cliffDuration, releaseDuration, timestamp);
     }
     
     /**
@@ -193,18 +340,24 @@ contract TokenVesting is Ownable, ReentrancyGuard {
      * @return releasableAmount 可释放的代币数量
      * @return remainingAmount 剩余锁定的代币数量
      * @return progressPercent 释放进度百分比（0-100）
+     * @return vestingCliffDuration 悬崖期（秒）
+     * @return vestingReleaseDuration 释放期（秒）
      */
     function getVestingInfo() external view returns (
         uint256 vestedAmount,
         uint256 releasedAmount,
         uint256 releasableAmount,
         uint256 remainingAmount,
-        uint256 progressPercent
+        uint256 progressPercent,
+        uint256 vestingCliffDuration,
+        uint256 vestingReleaseDuration
     ) {
         vestedAmount = getVestedAmount();
         releasedAmount = released;
         releasableAmount = getReleasableAmount();
-        remainingAmount = totalAmount - released;
+        remainingAmount = _entitledAmount() - released;
+        vestingCliffDuration = cliffDuration;
+        vestingReleaseDuration = releaseDuration;
         
         // 计算进度百分比
         if (totalAmount > 0) {
@@ -220,6 +373,7 @@ contract TokenVesting is Ownable, ReentrancyGuard {
      * @return currentTime 当前时间
      * @return timeUntilCliff 距离悬崖期结束的秒数
      * @return timeUntilVestingEnd 距离释放期结束的秒数
+     * @return timeUntilStart 距离开始时间的秒数（已开始时为 0）
      */
     function getTimeInfo() external view returns (
         uint256 contractStartTime,
@@ -227,13 +381,18 @@ contract TokenVesting is Ownable, ReentrancyGuard {
         uint256 vestingEndTime,
         uint256 currentTime,
         uint256 timeUntilCliff,
-        uint256 timeUntilVestingEnd
+        uint256 timeUntilVestingEnd,
+        uint256 timeUntilStart
     ) {
         contractStartTime = startTime;
-        cliffEndTime = startTime + CLIFF_DURATION;
-        vestingEndTime = startTime + TOTAL_DURATION;
+        cliffEndTime = startTime + cliffDuration;
+        vestingEndTime = startTime + totalDuration;
         currentTime = block.timestamp;
         
+        if (currentTime < startTime) {
+            timeUntilStart = startTime - currentTime;
+        }
+        
         if (currentTime < cliffEndTime) {
             timeUntilCliff = cliffEndTime - currentTime;
         } else {
@@ -277,8 +436,9 @@ contract TokenVesting is Ownable, ReentrancyGuard {
      * @notice 只有 owner 可以调用此函数
      * @notice 这是一个紧急功能，用于应对极端情况
      * @notice 提取的代币将转入 owner 地址
+     * @notice 启用延迟队列时，必须先通过 scheduleAdminAction 登记并等待到期
      */
-    function emergencyWithdraw(uint256 amount) external onlyOwner nonReentrant {
+    function emergencyWithdraw(uint256 amount) external onlyOwner nonReentrant timelocked {
         require(amount > 0, "TokenVesting: amount must be greater than zero");
         require(amount <= token.balanceOf(address(this)), "TokenVesting: insufficient balance");
         
@@ -287,9 +447,127 @@ contract TokenVesting is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev 转移合约所有权
+     * @dev 设置撤销时未归属代币的退回地址
+     * @param receiver 退回地址
+     * @notice 只有 owner 可以调用此函数
+     */
+    function setRevocationReceiver(address receiver) external onlyOwner {
+        require(receiver != address(0), "TokenVesting: revocation receiver cannot be zero address");
+        
+        address previousReceiver = revocationReceiver;
+        revocationReceiver = receiver;
+        emit RevocationReceiverUpdated(previousReceiver, receiver);
+    }
+    
+    /**
+     * @dev 发起受益人更换
+     * @param newBeneficiary 新的受益人地址
+     * @notice 只有 owner 可以调用此函数，用于受益人私钥泄露或丢失后把锁仓转到新钱包
+     * @notice 新受益人必须调用 acceptBeneficiaryTransfer() 后更换才生效；接受前可再次调用覆盖待定地址
+     * @notice 启用延迟队列时，必须先通过 scheduleAdminAction 登记并等待到期
+     */
+    function beginBeneficiaryTransfer(address newBeneficiary) external onlyOwner timelocked {
+        require(newBeneficiary != address(0), "TokenVesting: new beneficiary cannot be zero address");
+        require(newBeneficiary != beneficiary, "TokenVesting: new beneficiary must be different");
+        
+        pendingBeneficiary = newBeneficiary;
+        emit BeneficiaryTransferStarted(beneficiary, newBeneficiary);
+    }
+    
+    /**
+     * @dev 接受受益人更换
+     * @notice 只有待定的新受益人可以调用此函数
+     * @notice 收款地址重置为新受益人；锁定代币的投票权已委托时改为委托给新受益人，
+     *         原受益人之前设置的收款地址和委托对象都不再生效
+     */
+    function acceptBeneficiaryTransfer() external {
+        require(msg.sender == pendingBeneficiary, "TokenVesting: caller is not the pending beneficiary");
+        
+        address previousBeneficiary = beneficiary;
+        beneficiary = msg.sender;
+        delete pendingBeneficiary;
+        
+        address previousPayoutAddress = payoutAddress;
+        payoutAddress = msg.sender;
+        emit PayoutAddressUpdated(previousPayoutAddress, msg.sender);
+        
+        // 代币未实现 IVotes 时没有委托可以更换
+        try IVotes(address(token)).delegates(address(this)) returns (address currentDelegate) {
+            if (currentDelegate != address(0)) {
+                IVotes(address(token)).delegate(msg.sender);
+            }
+        } catch {}
+        
+        emit BeneficiaryTransferred(previousBeneficiary, msg.sender);
+    }
+    
+    /**
+     * @dev 撤销锁仓
+     * @notice 只有 owner 可以调用此函数，且只能撤销一次
+     * @notice 归属数量冻结在撤销时的已归属数量，受益人之后仍可提取其中未释放的部分
+     * @notice 未归属的代币转入 revocationReceiver
+     * @notice 退回数量以余额中超出受益人已归属未释放额度的部分为上限，未足额注资时不会动用受益人已归属的代币
+     * @notice 启用延迟队列时，必须先通过 scheduleAdminAction 登记并等待到期；归属数量按实际执行时计算
+     */
+    function revoke() external onlyOwner nonReentrant timelocked {
+        require(!revoked, "TokenVesting: already revoked");
+        require(revocationReceiver != address(0), "TokenVesting: revocation receiver not set");
+        
+        uint256 vestedAmount = getVestedAmount();
+        require(vestedAmount < totalAmount, "TokenVesting: nothing to revoke");
+        
+        // 先为受益人保留已归属未释放的部分，余额不足时只退回剩余部分
+        uint256 owed = vestedAmount - released;
+        uint256 balance = token.balanceOf(address(this));
+        uint256 surplus = balance > owed ? balance - owed : 0;
+        uint256 unvestedAmount = totalAmount - vestedAmount;
+        uint256 refundAmount = unvestedAmount < surplus ? unvestedAmount : surplus;
+        
+        revoked = true;
+        revokedAt = block.timestamp;
+        vestedAtRevocation = vestedAmount;
+        
+        if (refundAmount > 0) {
+            token.safeTransfer(revocationReceiver, refundAmount);
+        }
+        
+        emit VestingRevoked(revocationReceiver, vestedAmount, refundAmount, block.timestamp);
+    }
+    
+    /**
+     * @dev 找回误转入本合约的 ERC20 代币
+     * @param tokenAddress 代币合约地址
+     * @param to 接收地址
+     * @param amount 找回数量
+     * @notice 只有 owner 可以调用此函数
+     * @notice 找回锁定代币时，只能取出超出受益人未释放额度的部分
+     */
+    function rescueERC20(address tokenAddress, address to, uint256 amount) external onlyOwner nonReentrant {
+        if (tokenAddress == address(token)) {
+            uint256 balance = token.balanceOf(address(this));
+            uint256 owed = _entitledAmount() - released;
+            uint256 surplus = balance > owed ? balance - owed : 0;
+            require(amount <= surplus, "TokenVesting: cannot rescue vesting tokens");
+        }
+        _rescueERC20(tokenAddress, to, amount);
+    }
+    
+    /**
+     * @dev 找回强制转入本合约的 ETH
+     * @param to 接收地址
+     * @param amount 找回数量（wei）
+     * @notice 只有 owner 可以调用此函数
+     */
+    function rescueETH(address payable to, uint256 amount) external onlyOwner nonReentrant {
+        _rescueETH(to, amount);
+    }
+    
+    /**
+     * @dev 发起合约所有权转移
      * @param newOwner 新的合约所有者
      * @notice 只有当前 owner 可以调用此函数
+     * @notice 新 owner 必须调用 acceptOwnership() 后转移才生效，防止地址填错导致合约失控
+     * @notice 在新 owner 接受前，可再次调用此函数覆盖待定地址
      * @notice 建议将所有权转移给多签钱包
      */
     function transferOwnership(address newOwner) public override onlyOwner {
@@ -303,11 +581,26 @@ contract TokenVesting is Ownable, ReentrancyGuard {
      * @notice 只有当前 owner 可以调用此函数
      * @notice 放弃后，将无法再执行任何管理操作
      * @notice 这是一个不可逆操作，请谨慎使用
+     * @notice 启用延迟队列时，必须先通过 scheduleAdminAction 登记并等待到期
      */
-    function renounceOwnership() public override onlyOwner {
+    function renounceOwnership() public override onlyOwner timelocked {
         super.renounceOwnership();
     }
     
+    /**
+     * @dev 受益人最终可得的代币总量（撤销后为撤销时的已归属数量）
+     */
+    function _entitledAmount() internal view returns (uint256) {
+        return revoked ? vestedAtRevocation : totalAmount;
+    }
+    
+    /**
+     * @dev 延迟队列的权限检查，只有 owner 可以管理队列
+     */
+    function _checkAdminActionCaller() internal view override {
+        _checkOwner();
+    }
+    
     // ===========================================
     // 查询函数
     // ===========================================
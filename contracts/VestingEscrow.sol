@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+
+/**
+ * @title VestingEscrow
+ * @dev VestingManager 为单个仓位创建的托管合约，单独持有该仓位未释放的代币，使其可以委托投票权
+ *
+ * 设计说明：
+ * - 由 VestingManager 在仓位持有者首次委托时创建，创建者即为管理合约
+ * - 只有管理合约可以委托投票权和转出代币，释放规则仍由 VestingManager 计算
+ * - 代币需要实现 IVotes
+ *
+ * @author DIDO Token Team
+ */
+contract VestingEscrow {
+    using SafeERC20 for IERC20;
+
+    // ===========================================
+    // 状态变量
+    // ===========================================
+
+    /// @dev 托管的代币合约
+    IERC20 public immutable token;
+
+    /// @dev 创建本合约的 VestingManager
+    address public immutable manager;
+
+    // ===========================================
+    // 修饰符
+    // ===========================================
+
+    /// @dev 检查调用者是否为管理合约
+    modifier onlyManager() {
+        require(msg.sender == manager, "VestingEscrow: caller is not the manager");
+        _;
+    }
+
+    // ===========================================
+    // 构造函数
+    // ===========================================
+
+    /**
+     * @dev 构造函数
+     * @param _token 托管的代币合约地址
+     */
+    constructor(address _token) {
+        token = IERC20(_token);
+        manager = msg.sender;
+    }
+
+    // ===========================================
+    // 主要功能
+    // ===========================================
+
+    /**
+     * @dev 委托托管代币的投票权
+     * @param delegatee 委托对象
+     */
+    function delegate(address delegatee) external onlyManager {
+        IVotes(address(token)).delegate(delegatee);
+    }
+
+    /**
+     * @dev 转出托管的代币
+     * @param to 接收地址
+     * @param amount 转出数量
+     */
+    function withdraw(address to, uint256 amount) external onlyManager {
+        token.safeTransfer(to, amount);
+    }
+}
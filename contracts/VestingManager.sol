@@ -0,0 +1,683 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Rescuable.sol";
+import "./VestingEscrow.sol";
+import "./VestingMath.sol";
+
+/**
+ * @title VestingManager
+ * @dev 多受益人锁仓管理合约
+ *
+ * 功能特性：
+ * - 一个合约管理多个锁仓计划，每个计划有独立的受益人、数量、开始时间、悬崖期和释放期
+ * - 每个计划单独释放，同一受益人可以拥有多个计划
+ * - 每个计划对应一个 ERC-721 仓位凭证（tokenId = 计划 ID），凭证持有者即受益人
+ * - owner 控制仓位是否可以转让（默认不可转让），开启后受益人可以把仓位转到新钱包
+ * - 仓位元数据（tokenURI）显示计划的释放进度
+ * - 治理投票权：仓位持有者可以委托仓位中未释放代币的投票权，代币转入该仓位专属的托管合约后计票，
+ *   仓位转让后投票权改为委托给新持有者（需要代币实现 IVotes）
+ * - 汇总查询（按受益人、按合约）
+ * - 紧急暂停释放
+ * - 找回误转入的其他代币和 ETH（不会动用已分配给计划的代币）
+ *
+ * 释放模型（见 VestingMath）：
+ * - 线性：开始时间 + 悬崖期之前不释放，悬崖期结束后在释放期内线性释放（与 TokenVesting 相同）
+ * - 阶梯：悬崖期结束后按固定步长分步解锁，例如按月解锁
+ * - 分批：按指定的解锁时间和数量分批解锁，例如 TGE 解锁 10%，之后按月或按里程碑解锁
+ *
+ * 使用流程：
+ * 1. 部署合约
+ * 2. 将代币转入合约
+ * 3. owner 调用 createSchedule / createStepSchedule / createTrancheSchedule 创建计划，计划数量从未分配余额中扣除
+ * 4. 仓位持有者调用 release(scheduleId) 提取已归属的代币
+ *
+ * @author DIDO Token Team
+ * @notice 用于团队成员、顾问、投资人等多方锁仓，无需为每个钱包单独部署 TokenVesting
+ */
+contract VestingManager is ERC721Enumerable, Ownable2Step, ReentrancyGuard, Rescuable {
+    using SafeERC20 for IERC20;
+    using Strings for uint256;
+
+    // ===========================================
+    // 数据结构
+    // ===========================================
+
+    /// @dev 释放模型
+    enum ScheduleType {
+        Linear,                    // 线性释放
+        Step,                      // 阶梯释放
+        Tranche                    // 分批解锁
+    }
+
+    /// @dev 锁仓计划，受益人为对应仓位凭证的持有者（ownerOf(scheduleId)）
+    struct VestingSchedule {
+        uint256 totalAmount;       // 锁定总量
+        uint256 released;          // 已释放数量
+        uint256 start;             // 开始时间（分批解锁为第一批的解锁时间）
+        uint256 cliffDuration;     // 悬崖期（秒），分批解锁为 0
+        uint256 releaseDuration;   // 悬崖期之后的释放期（秒），分批解锁为第一批到最后一批的间隔
+        uint256 stepDuration;      // 阶梯释放的步长（秒），其他模型为 0
+        ScheduleType scheduleType; // 释放模型
+    }
+
+    // ===========================================
+    // 状态变量
+    // ===========================================
+
+    /// @dev 锁仓的代币合约
+    IERC20 public immutable token;
+
+    /// @dev 单个计划的最长锁定时间（悬崖期 + 释放期）
+    uint256 public constant MAX_VESTING_DURATION = 3650 days; // 10 年
+
+    /// @dev 分批解锁计划的最大批次数
+    uint256 public constant MAX_TRANCHES = 120;
+
+    /// @dev 所有锁仓计划，计划 ID 为数组下标
+    VestingSchedule[] private _schedules;
+
+    /// @dev 计划 ID => 分批解锁的批次列表（仅分批解锁计划）
+    mapping(uint256 => VestingMath.Tranche[]) private _tranches;
+
+    /// @dev 所有计划的锁定总量
+    uint256 public totalAllocated;
+
+    /// @dev 所有计划的已释放总量
+    uint256 public totalReleased;
+
+    /// @dev 是否已暂停
+    bool public paused;
+
+    /// @dev 仓位凭证是否可以转让
+    bool public transfersEnabled;
+
+    /// @dev 计划 ID => 持有该仓位未释放代币的托管合约，未委托过的仓位为零地址
+    mapping(uint256 => VestingEscrow) public escrowOf;
+
+    /// @dev 所有托管合约中尚未释放的代币总量（这部分代币不在本合约余额中）
+    uint256 public totalEscrowed;
+
+    // ===========================================
+    // 事件
+    // ===========================================
+
+    /// @dev 计划创建事件
+    event ScheduleCreated(
+        uint256 indexed scheduleId,
+        address indexed beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliffDuration,
+        uint256 releaseDuration
+    );
+
+    /// @dev 代币释放事件
+    event TokensReleased(uint256 indexed scheduleId, address indexed beneficiary, uint256 amount);
+
+    /// @dev 合约暂停事件
+    event VestingPaused(bool paused, uint256 timestamp);
+
+    /// @dev 仓位转让开关变更事件
+    event TransfersEnabledUpdated(bool enabled);
+
+    /// @dev 仓位托管合约创建事件
+    event EscrowCreated(uint256 indexed scheduleId, address escrow, uint256 amount);
+
+    /// @dev 仓位投票权委托变更事件
+    event PositionDelegated(uint256 indexed scheduleId, address indexed delegatee);
+
+    // ===========================================
+    // 修饰符
+    // ===========================================
+
+    /// @dev 检查合约是否未暂停
+    modifier whenNotPaused() {
+        require(!paused, "VestingManager: vesting is paused");
+        _;
+    }
+
+    /// @dev 检查合约是否已暂停
+    modifier whenPaused() {
+        require(paused, "VestingManager: vesting is not paused");
+        _;
+    }
+
+    /// @dev 检查计划是否存在
+    modifier scheduleExists(uint256 scheduleId) {
+        require(scheduleId < _schedules.length, "VestingManager: schedule does not exist");
+        _;
+    }
+
+    // ===========================================
+    // 构造函数
+    // ===========================================
+
+    /**
+     * @dev 构造函数
+     * @param _token 锁仓的代币合约地址
+     *
+     * 注意：
+     * - 部署者将成为合约的 owner
+     * - 代币需要先转入合约，再创建计划
+     * - 仓位凭证默认不可转让
+     */
+    constructor(address _token) ERC721("DIDO Vesting Position", "vDDT") Ownable(msg.sender) {
+        require(_token != address(0), "VestingManager: token address cannot be zero");
+        token = IERC20(_token);
+    }
+
+    // ===========================================
+    // 计划管理
+    // ===========================================
+
+    /**
+     * @dev 创建线性释放计划
+     * @param beneficiary 受益人地址
+     * @param amount 锁定总量
+     * @param start 开始时间，可以是过去或将来的时间
+     * @param cliffDuration 悬崖期（秒）
+     * @param releaseDuration 悬崖期之后的线性释放期（秒）
+     * @return scheduleId 新计划的 ID
+     * @notice 只有 owner 可以调用此函数
+     * @notice 合约中未分配的代币必须足够覆盖 amount
+     * @notice 同时向受益人铸造 tokenId 为 scheduleId 的仓位凭证
+     */
+    function createSchedule(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliffDuration,
+        uint256 releaseDuration
+    ) external onlyOwner returns (uint256 scheduleId) {
+        require(releaseDuration > 0, "VestingManager: release duration must be greater than zero");
+
+        return _createSchedule(beneficiary, amount, start, cliffDuration, releaseDuration, 0, ScheduleType.Linear);
+    }
+
+    /**
+     * @dev 创建阶梯释放计划
+     * @param beneficiary 受益人地址
+     * @param amount 锁定总量
+     * @param start 开始时间，可以是过去或将来的时间
+     * @param cliffDuration 悬崖期（秒）
+     * @param releaseDuration 悬崖期之后的释放期（秒），必须是 stepDuration 的整数倍
+     * @param stepDuration 步长（秒），例如 30 days 表示按月解锁
+     * @return scheduleId 新计划的 ID
+     * @notice 只有 owner 可以调用此函数
+     * @notice 悬崖期结束后每满一个步长解锁 stepDuration / releaseDuration 的数量
+     */
+    function createStepSchedule(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliffDuration,
+        uint256 releaseDuration,
+        uint256 stepDuration
+    ) external onlyOwner returns (uint256 scheduleId) {
+        require(stepDuration > 0, "VestingManager: step duration must be greater than zero");
+        require(releaseDuration > 0, "VestingManager: release duration must be greater than zero");
+        require(releaseDuration % stepDuration == 0, "VestingManager: release duration must be a multiple of step duration");
+
+        return _createSchedule(beneficiary, amount, start, cliffDuration, releaseDuration, stepDuration, ScheduleType.Step);
+    }
+
+    /**
+     * @dev 创建分批解锁计划
+     * @param beneficiary 受益人地址
+     * @param unlockTimes 每批的解锁时间，必须严格递增
+     * @param amounts 每批的解锁数量，锁定总量为各批之和
+     * @return scheduleId 新计划的 ID
+     * @notice 只有 owner 可以调用此函数
+     * @notice 适用于 TGE 首批解锁、按自然月解锁或按里程碑解锁等不规则时间表
+     */
+    function createTrancheSchedule(
+        address beneficiary,
+        uint256[] calldata unlockTimes,
+        uint256[] calldata amounts
+    ) external onlyOwner returns (uint256 scheduleId) {
+        require(unlockTimes.length > 0, "VestingManager: empty tranche list");
+        require(unlockTimes.length == amounts.length, "VestingManager: tranche times and amounts length mismatch");
+        require(unlockTimes.length <= MAX_TRANCHES, "VestingManager: too many tranches");
+
+        scheduleId = _schedules.length;
+        VestingMath.Tranche[] storage tranches = _tranches[scheduleId];
+        uint256 amount = 0;
+        for (uint256 i = 0; i < unlockTimes.length; i++) {
+            require(amounts[i] > 0, "VestingManager: tranche amount must be greater than zero");
+            require(i == 0 || unlockTimes[i] > unlockTimes[i - 1], "VestingManager: tranche times must be increasing");
+
+            tranches.push(VestingMath.Tranche({unlockTime: unlockTimes[i], amount: amounts[i]}));
+            amount += amounts[i];
+        }
+
+        uint256 first = unlockTimes[0];
+        uint256 last = unlockTimes[unlockTimes.length - 1];
+        _createSchedule(beneficiary, amount, first, 0, last - first, 0, ScheduleType.Tranche);
+    }
+
+    // ===========================================
+    // 主要功能
+    // ===========================================
+
+    /**
+     * @dev 释放计划中可提取的代币
+     * @param scheduleId 计划 ID
+     * @notice 只有该计划仓位凭证的当前持有者可调用此函数
+     * @notice 释放的代币将转入持有者地址
+     */
+    function release(uint256 scheduleId) external nonReentrant whenNotPaused scheduleExists(scheduleId) {
+        VestingSchedule storage schedule = _schedules[scheduleId];
+        require(msg.sender == ownerOf(scheduleId), "VestingManager: only beneficiary can release");
+
+        uint256 releasableAmount = _vestedAmount(scheduleId, block.timestamp) - schedule.released;
+        require(releasableAmount > 0, "VestingManager: no tokens to release");
+
+        schedule.released += releasableAmount;
+        totalReleased += releasableAmount;
+
+        VestingEscrow escrow = escrowOf[scheduleId];
+        if (address(escrow) != address(0)) {
+            totalEscrowed -= releasableAmount;
+            escrow.withdraw(msg.sender, releasableAmount);
+        } else {
+            token.safeTransfer(msg.sender, releasableAmount);
+        }
+
+        emit TokensReleased(scheduleId, msg.sender, releasableAmount);
+    }
+
+    /**
+     * @dev 委托仓位中未释放代币的投票权
+     * @param scheduleId 计划 ID
+     * @param delegatee 委托对象，可以是持有者自己
+     * @notice 只有该计划仓位凭证的当前持有者可调用此函数
+     * @notice 首次委托时为仓位创建托管合约，并把未释放的代币转入其中；之后释放的代币从托管合约转出，
+     *         投票权随之减少，持有者钱包中已释放的代币需要在代币合约上单独委托
+     */
+    function delegate(uint256 scheduleId, address delegatee) external nonReentrant scheduleExists(scheduleId) {
+        require(msg.sender == ownerOf(scheduleId), "VestingManager: only beneficiary can delegate");
+
+        VestingEscrow escrow = escrowOf[scheduleId];
+        if (address(escrow) == address(0)) {
+            VestingSchedule storage schedule = _schedules[scheduleId];
+            uint256 remaining = schedule.totalAmount - schedule.released;
+            require(remaining > 0, "VestingManager: no locked tokens to delegate");
+
+            escrow = new VestingEscrow(address(token));
+            escrowOf[scheduleId] = escrow;
+            totalEscrowed += remaining;
+            token.safeTransfer(address(escrow), remaining);
+
+            emit EscrowCreated(scheduleId, address(escrow), remaining);
+        }
+
+        escrow.delegate(delegatee);
+        emit PositionDelegated(scheduleId, delegatee);
+    }
+
+    // ===========================================
+    // 查询函数
+    // ===========================================
+
+    /**
+     * @dev 查询仓位中未释放代币的投票权委托对象
+     * @param scheduleId 计划 ID
+     * @return 委托对象，未委托时为零地址
+     */
+    function getDelegate(uint256 scheduleId) external view scheduleExists(scheduleId) returns (address) {
+        VestingEscrow escrow = escrowOf[scheduleId];
+        if (address(escrow) == address(0)) {
+            return address(0);
+        }
+        return IVotes(address(token)).delegates(address(escrow));
+    }
+
+    /**
+     * @dev 获取计划数量
+     * @return 计划数量
+     */
+    function getScheduleCount() external view returns (uint256) {
+        return _schedules.length;
+    }
+
+    /**
+     * @dev 获取计划详情
+     * @param scheduleId 计划 ID
+     * @return 计划详情
+     */
+    function getSchedule(uint256 scheduleId) external view scheduleExists(scheduleId) returns (VestingSchedule memory) {
+        return _schedules[scheduleId];
+    }
+
+    /**
+     * @dev 获取受益人当前持有的所有计划 ID
+     * @param beneficiary 受益人地址
+     * @return ids 计划 ID 列表
+     */
+    function getBeneficiarySchedules(address beneficiary) public view returns (uint256[] memory ids) {
+        ids = new uint256[](balanceOf(beneficiary));
+        for (uint256 i = 0; i < ids.length; i++) {
+            ids[i] = tokenOfOwnerByIndex(beneficiary, i);
+        }
+    }
+
+    /**
+     * @dev 获取分批解锁计划的批次列表
+     * @param scheduleId 计划 ID
+     * @return 批次列表（线性和阶梯计划为空）
+     */
+    function getTranches(uint256 scheduleId) external view scheduleExists(scheduleId) returns (VestingMath.Tranche[] memory) {
+        return _tranches[scheduleId];
+    }
+
+    /**
+     * @dev 计算计划当前已归属的代币数量
+     * @param scheduleId 计划 ID
+     * @return 已归属的代币数量
+     */
+    function getVestedAmount(uint256 scheduleId) public view scheduleExists(scheduleId) returns (uint256) {
+        return _vestedAmount(scheduleId, block.timestamp);
+    }
+
+    /**
+     * @dev 计算计划在指定时间点的已归属数量，可用于查询过去或未来的释放曲线
+     * @param scheduleId 计划 ID
+     * @param timestamp 查询的时间点
+     * @return 已归属的代币数量
+     */
+    function vestedAmountAt(uint256 scheduleId, uint256 timestamp) external view scheduleExists(scheduleId) returns (uint256) {
+        return _vestedAmount(scheduleId, timestamp);
+    }
+
+    /**
+     * @dev 计算计划当前可释放的代币数量
+     * @param scheduleId 计划 ID
+     * @return 可释放的代币数量
+     */
+    function getReleasableAmount(uint256 scheduleId) public view scheduleExists(scheduleId) returns (uint256) {
+        return _vestedAmount(scheduleId, block.timestamp) - _schedules[scheduleId].released;
+    }
+
+    /**
+     * @dev 获取受益人所有计划的汇总信息
+     * @param beneficiary 受益人地址
+     * @return scheduleCount 计划数量
+     * @return totalAmount 锁定总量
+     * @return vestedAmount 已归属数量
+     * @return releasedAmount 已释放数量
+     * @return releasableAmount 可释放数量
+     */
+    function getBeneficiaryInfo(address beneficiary) external view returns (
+        uint256 scheduleCount,
+        uint256 totalAmount,
+        uint256 vestedAmount,
+        uint256 releasedAmount,
+        uint256 releasableAmount
+    ) {
+        uint256[] memory ids = getBeneficiarySchedules(beneficiary);
+        scheduleCount = ids.length;
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            VestingSchedule storage schedule = _schedules[ids[i]];
+            totalAmount += schedule.totalAmount;
+            vestedAmount += _vestedAmount(ids[i], block.timestamp);
+            releasedAmount += schedule.released;
+        }
+        releasableAmount = vestedAmount - releasedAmount;
+    }
+
+    /**
+     * @dev 获取仓位凭证的元数据
+     * @param tokenId 仓位 ID（即计划 ID）
+     * @return data URI 格式的 JSON 元数据，包含锁定总量、已归属、已释放、释放进度和关键时间点
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+
+        string memory json = string.concat(
+            '{"name":"DIDO Vesting Position #', tokenId.toString(),
+            '","description":"DIDO Token (DDT) vesting position. The holder can release vested tokens.","attributes":[',
+            _amountAttributes(tokenId),
+            ',',
+            _timeAttributes(_schedules[tokenId]),
+            ']}'
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev 获取合约中尚未分配给任何计划的代币数量
+     * @return 未分配的代币数量
+     * @notice 已转入托管合约的代币不在本合约余额中，不计入未释放数量
+     */
+    function getUnallocatedAmount() public view returns (uint256) {
+        uint256 balance = token.balanceOf(address(this));
+        uint256 outstanding = totalAllocated - totalReleased - totalEscrowed;
+        return balance > outstanding ? balance - outstanding : 0;
+    }
+
+    /**
+     * @dev 获取合约的汇总信息
+     * @return tokenAddress 代币合约地址
+     * @return scheduleCount 计划数量
+     * @return allocatedAmount 所有计划的锁定总量
+     * @return releasedAmount 所有计划的已释放总量
+     * @return unallocatedAmount 未分配的代币数量
+     * @return managerPaused 是否暂停
+     * @return managerOwner 合约所有者
+     */
+    function getManagerInfo() external view returns (
+        address tokenAddress,
+        uint256 scheduleCount,
+        uint256 allocatedAmount,
+        uint256 releasedAmount,
+        uint256 unallocatedAmount,
+        bool managerPaused,
+        address managerOwner
+    ) {
+        return (
+            address(token),
+            _schedules.length,
+            totalAllocated,
+            totalReleased,
+            getUnallocatedAmount(),
+            paused,
+            owner()
+        );
+    }
+
+    // ===========================================
+    // 管理功能
+    // ===========================================
+
+    /**
+     * @dev 暂停释放功能
+     * @notice 只有 owner 可以调用此函数
+     */
+    function pause() external onlyOwner whenNotPaused {
+        paused = true;
+        emit VestingPaused(true, block.timestamp);
+    }
+
+    /**
+     * @dev 恢复释放功能
+     * @notice 只有 owner 可以调用此函数
+     */
+    function unpause() external onlyOwner whenPaused {
+        paused = false;
+        emit VestingPaused(false, block.timestamp);
+    }
+
+    /**
+     * @dev 设置仓位凭证是否可以转让
+     * @param enabled 是否允许转让
+     * @notice 只有 owner 可以调用此函数
+     * @notice 开启后持有者可以把仓位（及之后的释放权）转到其他地址，例如私钥泄露后转到新钱包
+     */
+    function setTransfersEnabled(bool enabled) external onlyOwner {
+        require(transfersEnabled != enabled, "VestingManager: transfer setting unchanged");
+
+        transfersEnabled = enabled;
+        emit TransfersEnabledUpdated(enabled);
+    }
+
+    /**
+     * @dev 找回误转入本合约的 ERC20 代币
+     * @param tokenAddress 代币合约地址
+     * @param to 接收地址
+     * @param amount 找回数量
+     * @notice 只有 owner 可以调用此函数
+     * @notice 找回锁仓代币时，只能取出未分配给任何计划的部分
+     */
+    function rescueERC20(address tokenAddress, address to, uint256 amount) external onlyOwner nonReentrant {
+        if (tokenAddress == address(token)) {
+            require(amount <= getUnallocatedAmount(), "VestingManager: cannot rescue vesting tokens");
+        }
+        _rescueERC20(tokenAddress, to, amount);
+    }
+
+    /**
+     * @dev 找回强制转入本合约的 ETH
+     * @param to 接收地址
+     * @param amount 找回数量（wei）
+     * @notice 只有 owner 可以调用此函数
+     */
+    function rescueETH(address payable to, uint256 amount) external onlyOwner nonReentrant {
+        _rescueETH(to, amount);
+    }
+
+    // ===========================================
+    // 内部函数
+    // ===========================================
+
+    /**
+     * @dev 仓位凭证转移检查，铸造不受限制，持有者之间的转让需要 owner 开启
+     * @notice 已有托管合约的仓位转让后，投票权改为委托给新持有者，原持有者不再控制这部分投票权
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        if (from != address(0) && to != address(0)) {
+            require(transfersEnabled, "VestingManager: position transfers are disabled");
+
+            VestingEscrow escrow = escrowOf[tokenId];
+            if (address(escrow) != address(0)) {
+                escrow.delegate(to);
+                emit PositionDelegated(tokenId, to);
+            }
+        }
+        return super._update(to, tokenId, auth);
+    }
+
+    /**
+     * @dev 生成元数据中的数量属性（单位 DDT，取整）
+     * @param scheduleId 计划 ID
+     * @return JSON 属性片段
+     */
+    function _amountAttributes(uint256 scheduleId) private view returns (string memory) {
+        VestingSchedule storage schedule = _schedules[scheduleId];
+        uint256 vested = _vestedAmount(scheduleId, block.timestamp);
+        string[3] memory typeNames = ["Linear", "Step", "Tranche"];
+        return string.concat(
+            '{"trait_type":"Schedule Type","value":"', typeNames[uint256(schedule.scheduleType)],
+            '"},{"trait_type":"Total Amount","value":', (schedule.totalAmount / 1e18).toString(),
+            '},{"trait_type":"Vested Amount","value":', (vested / 1e18).toString(),
+            '},{"trait_type":"Released Amount","value":', (schedule.released / 1e18).toString(),
+            '},{"display_type":"boost_percentage","trait_type":"Vested","value":', (vested * 100 / schedule.totalAmount).toString(),
+            '}'
+        );
+    }
+
+    /**
+     * @dev 生成元数据中的时间属性
+     * @param schedule 锁仓计划
+     * @return JSON 属性片段
+     */
+    function _timeAttributes(VestingSchedule storage schedule) private view returns (string memory) {
+        uint256 cliffEnd = schedule.start + schedule.cliffDuration;
+        return string.concat(
+            '{"display_type":"date","trait_type":"Start","value":', schedule.start.toString(),
+            '},{"display_type":"date","trait_type":"Cliff End","value":', cliffEnd.toString(),
+            '},{"display_type":"date","trait_type":"Vesting End","value":', (cliffEnd + schedule.releaseDuration).toString(),
+            '}'
+        );
+    }
+
+    /**
+     * @dev 校验参数并创建计划，铸造仓位凭证
+     */
+    function _createSchedule(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliffDuration,
+        uint256 releaseDuration,
+        uint256 stepDuration,
+        ScheduleType scheduleType
+    ) private returns (uint256 scheduleId) {
+        require(beneficiary != address(0), "VestingManager: beneficiary address cannot be zero");
+        require(amount > 0, "VestingManager: amount must be greater than zero");
+        require(start > 0, "VestingManager: start time cannot be zero");
+        require(cliffDuration + releaseDuration <= MAX_VESTING_DURATION, "VestingManager: vesting duration too long");
+        require(amount <= getUnallocatedAmount(), "VestingManager: insufficient unallocated tokens");
+
+        scheduleId = _schedules.length;
+        _schedules.push(VestingSchedule({
+            totalAmount: amount,
+            released: 0,
+            start: start,
+            cliffDuration: cliffDuration,
+            releaseDuration: releaseDuration,
+            stepDuration: stepDuration,
+            scheduleType: scheduleType
+        }));
+        totalAllocated += amount;
+
+        // 使用 _mint 而不是 _safeMint：受益人可能是未实现 onERC721Received 的多签或合约钱包
+        _mint(beneficiary, scheduleId);
+
+        emit ScheduleCreated(scheduleId, beneficiary, amount, start, cliffDuration, releaseDuration);
+    }
+
+    /**
+     * @dev 按计划的释放模型计算指定时间点的已归属数量
+     * @param scheduleId 计划 ID
+     * @param timestamp 查询的时间点
+     * @return 已归属数量
+     */
+    function _vestedAmount(uint256 scheduleId, uint256 timestamp) private view returns (uint256) {
+        VestingSchedule storage schedule = _schedules[scheduleId];
+
+        if (schedule.scheduleType == ScheduleType.Tranche) {
+            return VestingMath.trancheVestedAmount(_tranches[scheduleId], timestamp);
+        }
+
+        if (schedule.scheduleType == ScheduleType.Step) {
+            return VestingMath.stepVestedAmount(
+                schedule.totalAmount,
+                schedule.start,
+                schedule.cliffDuration,
+                schedule.releaseDuration,
+                schedule.stepDuration,
+                timestamp
+            );
+        }
+
+        return VestingMath.linearVestedAmount(
+            schedule.totalAmount,
+            schedule.start,
+            schedule.cliffDuration,
+            schedule.releaseDuration,
+            timestamp
+        );
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title VestingMath
+ * @dev 锁仓释放计算，供 TokenVesting 和 VestingManager 共用
+ *
+ * 支持三种释放模型：
+ * - 线性：开始时间 + 悬崖期之前不释放，之后在释放期内按秒线性释放
+ * - 阶梯：悬崖期结束后每满一个步长释放 1/N（N = 释放期 / 步长），例如按月解锁
+ * - 分批：按指定的解锁时间和数量分批解锁，例如 TGE 解锁 10%，之后按里程碑解锁
+ *
+ * 所有模型在释放期结束（或最后一批解锁）后都返回全部数量
+ *
+ * @author DIDO Token Team
+ */
+library VestingMath {
+
+    /// @dev 分批解锁的单个批次
+    struct Tranche {
+        uint256 unlockTime;        // 解锁时间
+        uint256 amount;            // 本批解锁数量
+    }
+
+    /**
+     * @dev 计算线性释放模型在指定时间点的已归属数量
+     * @param totalAmount 锁定总量
+     * @param start 开始时间
+     * @param cliffDuration 悬崖期（秒）
+     * @param releaseDuration 悬崖期之后的线性释放期（秒），必须大于 0
+     * @param timestamp 查询的时间点
+     * @return 已归属数量
+     */
+    function linearVestedAmount(
+        uint256 totalAmount,
+        uint256 start,
+        uint256 cliffDuration,
+        uint256 releaseDuration,
+        uint256 timestamp
+    ) internal pure returns (uint256) {
+        uint256 cliffEnd = start + cliffDuration;
+
+        // 如果还在悬崖期内，返回 0
+        if (timestamp < cliffEnd) {
+            return 0;
+        }
+
+        // 如果超过总锁定时间，返回全部代币
+        if (timestamp >= cliffEnd + releaseDuration) {
+            return totalAmount;
+        }
+
+        // 计算线性释放的代币数量
+        return (totalAmount * (timestamp - cliffEnd)) / releaseDuration;
+    }
+
+    /**
+     * @dev 计算阶梯释放模型在指定时间点的已归属数量
+     * @param totalAmount 锁定总量
+     * @param start 开始时间
+     * @param cliffDuration 悬崖期（秒）
+     * @param releaseDuration 悬崖期之后的释放期（秒），必须是 stepDuration 的整数倍
+     * @param stepDuration 步长（秒），必须大于 0
+     * @param timestamp 查询的时间点
+     * @return 已归属数量
+     *
+     * 第 k 步在 悬崖期结束 + k × 步长 时解锁，解锁后已归属数量为 总量 × k / 步数
+     */
+    function stepVestedAmount(
+        uint256 totalAmount,
+        uint256 start,
+        uint256 cliffDuration,
+        uint256 releaseDuration,
+        uint256 stepDuration,
+        uint256 timestamp
+    ) internal pure returns (uint256) {
+        uint256 cliffEnd = start + cliffDuration;
+
+        if (timestamp < cliffEnd) {
+            return 0;
+        }
+
+        uint256 stepCount = releaseDuration / stepDuration;
+        uint256 stepsElapsed = (timestamp - cliffEnd) / stepDuration;
+        if (stepsElapsed >= stepCount) {
+            return totalAmount;
+        }
+
+        return (totalAmount * stepsElapsed) / stepCount;
+    }
+
+    /**
+     * @dev 计算分批解锁模型在指定时间点的已归属数量
+     * @param tranches 批次列表，解锁时间严格递增
+     * @param timestamp 查询的时间点
+     * @return vested 已归属数量（解锁时间不晚于 timestamp 的批次数量之和）
+     */
+    function trancheVestedAmount(
+        Tranche[] storage tranches,
+        uint256 timestamp
+    ) internal view returns (uint256 vested) {
+        for (uint256 i = 0; i < tranches.length; i++) {
+            if (tranches[i].unlockTime > timestamp) {
+                break;
+            }
+            vested += tranches[i].amount;
+        }
+    }
+}
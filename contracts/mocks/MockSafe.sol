@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title MockSafe
+ * @dev 仅用于测试的最小多签合约，提供与 Safe 相同的 getThreshold() / getOwners() 查询
+ *
+ * 设计说明：
+ * - 不收集签名：任一所有者都可以通过 execTransaction 以多签身份调用其他合约，
+ *   用于在测试中接受管理员和所有权移交
+ * - 不要部署到任何正式网络
+ */
+contract MockSafe {
+    // ===========================================
+    // 状态变量
+    // ===========================================
+
+    /// @dev 所有者列表
+    address[] private _owners;
+
+    /// @dev 签名门槛
+    uint256 private _threshold;
+
+    /// @dev 是否为所有者
+    mapping(address => bool) public isOwner;
+
+    // ===========================================
+    // 构造函数
+    // ===========================================
+
+    /**
+     * @dev 构造函数
+     * @param owners 所有者列表
+     * @param threshold 签名门槛
+     */
+    constructor(address[] memory owners, uint256 threshold) {
+        require(owners.length > 0, "MockSafe: owners required");
+        require(threshold > 0 && threshold <= owners.length, "MockSafe: invalid threshold");
+
+        for (uint256 i = 0; i < owners.length; i++) {
+            require(owners[i] != address(0), "MockSafe: invalid owner");
+            require(!isOwner[owners[i]], "MockSafe: duplicate owner");
+            isOwner[owners[i]] = true;
+        }
+        _owners = owners;
+        _threshold = threshold;
+    }
+
+    // ===========================================
+    // 主要功能
+    // ===========================================
+
+    /**
+     * @dev 以多签身份调用其他合约
+     * @param to 目标合约
+     * @param data ABI 编码的调用数据
+     * @return 调用返回数据
+     */
+    function execTransaction(address to, bytes calldata data) external returns (bytes memory) {
+        require(isOwner[msg.sender], "MockSafe: caller is not an owner");
+        return Address.functionCall(to, data);
+    }
+
+    // ===========================================
+    // 查询功能
+    // ===========================================
+
+    /**
+     * @dev 获取签名门槛
+     * @return 签名门槛
+     */
+    function getThreshold() external view returns (uint256) {
+        return _threshold;
+    }
+
+    /**
+     * @dev 获取所有者列表
+     * @return 所有者列表
+     */
+    function getOwners() external view returns (address[] memory) {
+        return _owners;
+    }
+}
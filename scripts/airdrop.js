@@ -0,0 +1,329 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parseAirdropCsv } = require("./lib/csv");
+const { isDeploymentComplete } = require("./lib/deployJournal");
+
+/**
+ * DIDO Token 空投脚本
+ *
+ * 功能：
+ * - 读取 CSV 文件中的接收地址和数量（每行：地址,数量，数量单位为 DDT）
+ * - 校验地址格式、重复地址、数量和黑名单状态
+ * - 按 gas 上限把名单拆分为多批，通过 DIDOToken.batchTransfer 发送
+ * - 记录每批进度，中断后重新运行会从未完成的位置继续
+ *
+ * 环境变量：
+ * - AIRDROP_CSV：CSV 文件路径（必需）
+ * - AIRDROP_BATCH_GAS_LIMIT：单批交易的 gas 上限（默认 5,000,000）
+ * - AIRDROP_DRY_RUN：设为 true 时只校验名单和计算分批，不发送交易
+ *
+ * 使用方法：
+ * - 测试网：AIRDROP_CSV=airdrop.csv npx hardhat run scripts/airdrop.js --network sepolia
+ * - 主网：AIRDROP_CSV=airdrop.csv npx hardhat run scripts/airdrop.js --network mainnet
+ *
+ * 注意：
+ * - 发送方为配置的部署账户（PRIVATE_KEY），通常应为社区钱包
+ * - 进度保存在 deployments/<network>-airdrop-progress.json，CSV 内容变化后旧进度将被拒绝
+ */
+
+/// 默认单批 gas 上限
+const DEFAULT_BATCH_GAS_LIMIT = 5_000_000n;
+
+/**
+ * 按单批最大接收人数拆分名单
+ * @param {number} totalCount 名单总人数
+ * @param {number} startIndex 起始下标（已完成的人数）
+ * @param {number} maxPerBatch 单批最大接收人数
+ * @returns {{ start: number, end: number }[]} 每批的下标范围（end 不包含）
+ */
+function splitIntoBatches(totalCount, startIndex, maxPerBatch) {
+    if (!Number.isInteger(maxPerBatch) || maxPerBatch < 1) {
+        throw new Error("单批接收人数必须为正整数");
+    }
+
+    const batches = [];
+    for (let start = startIndex; start < totalCount; start += maxPerBatch) {
+        batches.push({ start, end: Math.min(start + maxPerBatch, totalCount) });
+    }
+    return batches;
+}
+
+/**
+ * 根据 gas 估算计算单批最大接收人数
+ * @param {bigint} singleGas 一个接收人的 batchTransfer gas 估算
+ * @param {bigint} doubleGas 两个接收人的 batchTransfer gas 估算
+ * @param {bigint} gasLimit 单批 gas 上限
+ * @returns {number} 单批最大接收人数
+ *
+ * 两次估算的差值即为每增加一个接收人的边际 gas，用全新地址估算可得到最坏情况
+ */
+function computeMaxPerBatch(singleGas, doubleGas, gasLimit) {
+    const perRecipient = doubleGas - singleGas;
+    const baseGas = singleGas - perRecipient;
+    if (perRecipient <= 0n || gasLimit < singleGas) {
+        throw new Error(`gas 上限 ${gasLimit} 不足以发送单笔空投（需要约 ${singleGas}）`);
+    }
+    return Number((gasLimit - baseGas) / perRecipient);
+}
+
+/**
+ * 计算 CSV 内容的哈希，用于判断进度文件是否属于同一份名单
+ * @param {string} content CSV 文件内容
+ * @returns {string} sha256 十六进制哈希
+ */
+function hashCsv(content) {
+    return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * 读取空投进度，不存在时创建新进度
+ * @param {string} progressFile 进度文件路径
+ * @param {object} identity 本次空投的标识（CSV 哈希、代币地址、发送方）
+ * @returns {object} 进度对象
+ */
+function loadProgress(progressFile, identity) {
+    if (!fs.existsSync(progressFile)) {
+        return { ...identity, completed: 0, batches: [] };
+    }
+
+    const progress = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+    for (const key of Object.keys(identity)) {
+        if (progress[key] !== identity[key]) {
+            throw new Error(`进度文件 ${progressFile} 的 ${key} 与本次空投不一致，如需重新开始请先删除该文件`);
+        }
+    }
+    return progress;
+}
+
+/**
+ * 保存空投进度
+ * @param {string} progressFile 进度文件路径
+ * @param {object} progress 进度对象
+ */
+function saveProgress(progressFile, progress) {
+    fs.mkdirSync(path.dirname(progressFile), { recursive: true });
+    progress.updatedAt = new Date().toISOString();
+    fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
+}
+
+/**
+ * 处理上次中断时已发出但未确认的批次
+ * @param {object} progress 进度对象
+ * @param {object} provider 网络提供者
+ * @returns {Promise<void>}
+ *
+ * - 交易已成功上链：标记完成并推进进度
+ * - 交易已上链但失败，或已从节点消失：标记失败，该批次将重新发送
+ * - 交易仍在等待打包：等待其确认
+ */
+async function settlePendingBatch(progress, provider) {
+    const pending = progress.batches.find(batch => batch.status === "pending");
+    if (!pending) {
+        return;
+    }
+
+    console.log(`⏳ 检查上次未确认的批次 #${pending.index}: ${pending.txHash}`);
+    let receipt = await provider.getTransactionReceipt(pending.txHash);
+    if (!receipt) {
+        const tx = await provider.getTransaction(pending.txHash);
+        if (tx) {
+            try {
+                receipt = await tx.wait();
+            } catch (error) {
+                // ethers 在交易回滚时抛出异常，回执附在异常上
+                receipt = error.receipt || null;
+            }
+        }
+    }
+
+    if (receipt && receipt.status === 1) {
+        pending.status = "confirmed";
+        pending.blockNumber = receipt.blockNumber;
+        progress.completed = pending.end;
+        console.log(`✅ 批次 #${pending.index} 已确认，区块 ${receipt.blockNumber}`);
+    } else {
+        pending.status = "failed";
+        console.log(`⚠️  批次 #${pending.index} 未成功，将重新发送`);
+    }
+}
+
+async function main() {
+    console.log("🪂 开始执行 DIDO Token 空投...\n");
+
+    const csvFile = process.env.AIRDROP_CSV;
+    if (!csvFile) {
+        console.error("❌ 缺少必需的环境变量: AIRDROP_CSV");
+        process.exit(1);
+    }
+    if (!fs.existsSync(csvFile)) {
+        console.error("❌ 找不到 CSV 文件:", csvFile);
+        process.exit(1);
+    }
+    const gasLimit = process.env.AIRDROP_BATCH_GAS_LIMIT
+        ? BigInt(process.env.AIRDROP_BATCH_GAS_LIMIT)
+        : DEFAULT_BATCH_GAS_LIMIT;
+    const dryRun = process.env.AIRDROP_DRY_RUN === "true";
+
+    // 读取部署信息
+    const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}-deployment.json`);
+    if (!fs.existsSync(deploymentFile)) {
+        console.error("❌ 找不到部署信息文件:", deploymentFile);
+        console.error("请先运行部署脚本: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    if (!isDeploymentComplete(deploymentInfo)) {
+        console.error("❌ 部署尚未完成:", deploymentFile);
+        console.error("请重新运行部署脚本从中断处继续: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+
+    const [sender] = await ethers.getSigners();
+    const DIDOToken = await ethers.getContractFactory("DIDOToken");
+    const didoToken = DIDOToken.attach(deploymentInfo.contracts.DIDOToken.address).connect(sender);
+    const tokenAddress = await didoToken.getAddress();
+
+    console.log("📋 空投信息:");
+    console.log("   网络:", network.name);
+    console.log("   代币合约:", tokenAddress);
+    console.log("   发送方:", sender.address);
+    console.log("   CSV 文件:", csvFile);
+    console.log("   单批 gas 上限:", gasLimit.toString());
+    console.log("");
+
+    // 1. 解析并校验名单
+    console.log("🔍 校验空投名单...");
+    const content = fs.readFileSync(csvFile, "utf8");
+    const { entries, errors } = parseAirdropCsv(content);
+    if (errors.length > 0) {
+        console.error(`❌ 名单中有 ${errors.length} 个错误:`);
+        errors.forEach(error => console.error("   " + error));
+        process.exit(1);
+    }
+    if (entries.length === 0) {
+        console.error("❌ 名单为空");
+        process.exit(1);
+    }
+
+    const blacklisted = [];
+    for (const entry of entries) {
+        if (await didoToken.isBlacklisted(entry.address)) {
+            blacklisted.push(entry);
+        }
+    }
+    if (blacklisted.length > 0) {
+        console.error(`❌ 名单中有 ${blacklisted.length} 个黑名单地址:`);
+        blacklisted.forEach(entry => console.error(`   第 ${entry.line} 行: ${entry.address}`));
+        process.exit(1);
+    }
+
+    const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0n);
+    console.log("   接收地址数:", entries.length);
+    console.log("   空投总量:", ethers.formatEther(totalAmount), "DDT");
+    console.log("");
+
+    // 2. 读取进度
+    const progressFile = path.join(__dirname, "..", "deployments", `${network.name}-airdrop-progress.json`);
+    const progress = loadProgress(progressFile, {
+        csvHash: hashCsv(content),
+        token: tokenAddress,
+        sender: sender.address
+    });
+    await settlePendingBatch(progress, ethers.provider);
+
+    const remaining = entries.slice(progress.completed);
+    const remainingAmount = remaining.reduce((sum, entry) => sum + entry.amount, 0n);
+    if (remaining.length === 0) {
+        console.log("🎉 空投已全部完成，无需继续");
+        return;
+    }
+    if (progress.completed > 0) {
+        console.log(`🔁 从第 ${progress.completed + 1} 个地址继续（剩余 ${remaining.length} 个）`);
+        console.log("");
+    }
+
+    // 3. 检查发送方状态
+    if (await didoToken.paused()) {
+        console.error("❌ 代币合约已暂停，无法空投");
+        process.exit(1);
+    }
+    if (await didoToken.isBlacklisted(sender.address)) {
+        console.error("❌ 发送方在黑名单中，无法空投");
+        process.exit(1);
+    }
+    // 被冻结的部分不能转出，按可用余额检查
+    const available = await didoToken.availableBalanceOf(sender.address);
+    if (available < remainingAmount) {
+        const frozen = await didoToken.frozenBalanceOf(sender.address);
+        console.error("❌ 发送方可用余额不足:", ethers.formatEther(available), "DDT（已冻结", ethers.formatEther(frozen), "DDT），需要", ethers.formatEther(remainingAmount), "DDT");
+        process.exit(1);
+    }
+
+    // 4. 按 gas 拆分批次（用全新地址估算，得到最坏情况的边际 gas）
+    console.log("⛽ 估算批次大小...");
+    const probes = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+    const singleGas = await didoToken.batchTransfer.estimateGas([probes[0]], [1n]);
+    const doubleGas = await didoToken.batchTransfer.estimateGas(probes, [1n, 1n]);
+    const maxPerBatch = computeMaxPerBatch(singleGas, doubleGas, gasLimit);
+    const batches = splitIntoBatches(entries.length, progress.completed, maxPerBatch);
+    console.log("   单批最多接收人数:", maxPerBatch);
+    console.log("   剩余批次数:", batches.length);
+    console.log("");
+
+    if (dryRun) {
+        console.log("📝 AIRDROP_DRY_RUN=true，仅校验名单，不发送交易");
+        return;
+    }
+
+    // 5. 逐批发送
+    for (const { start, end } of batches) {
+        const batch = entries.slice(start, end);
+        const index = progress.batches.length;
+
+        console.log(`📤 发送批次 #${index}（第 ${start + 1} - ${end} 个地址）...`);
+        const tx = await didoToken.batchTransfer(
+            batch.map(entry => entry.address),
+            batch.map(entry => entry.amount),
+            { gasLimit }
+        );
+
+        // 先记录交易哈希，确保中断后可以核对该批次是否上链
+        const record = { index, start, end, txHash: tx.hash, status: "pending" };
+        progress.batches.push(record);
+        saveProgress(progressFile, progress);
+        console.log("   交易哈希:", tx.hash);
+
+        const receipt = await tx.wait();
+        record.status = "confirmed";
+        record.blockNumber = receipt.blockNumber;
+        progress.completed = end;
+        saveProgress(progressFile, progress);
+        console.log(`✅ 批次 #${index} 已确认，区块 ${receipt.blockNumber}，gas ${receipt.gasUsed}`);
+    }
+
+    console.log("");
+    console.log("🎉 空投完成!");
+    console.log("   接收地址数:", entries.length);
+    console.log("   空投总量:", ethers.formatEther(totalAmount), "DDT");
+    console.log("   进度文件:", progressFile);
+}
+
+module.exports = {
+    splitIntoBatches,
+    computeMaxPerBatch,
+    hashCsv,
+    loadProgress,
+    settlePendingBatch
+};
+
+// 直接运行时执行空投，被测试引用时只导出工具函数
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ 空投脚本执行失败:", error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { parseAirdropCsv } = require("./lib/csv");
+
+/**
+ * Merkle 空投树生成脚本
+ *
+ * 功能：
+ * - 读取 CSV 名单（每行：地址,数量，数量单位为 DDT），校验规则与 scripts/airdrop.js 相同
+ * - 生成与 MerkleDistributor 合约匹配的 Merkle 树（叶子编码 ["address", "uint256"]）
+ * - 将根哈希、总量和每个地址的领取证明写入 JSON 文件，供前端或领取脚本使用
+ *
+ * 使用方法：
+ * - node scripts/buildMerkleTree.js <CSV 文件> [输出 JSON 文件]
+ * - 未指定输出文件时，写入 CSV 同目录下的 <CSV 文件名>-merkle.json
+ *
+ * 注意：
+ * - 相同的 CSV 内容总是生成相同的根哈希和证明
+ * - 生成后请将 merkleRoot 和 totalAmount 用于部署 MerkleDistributor（scripts/deployMerkleDistributor.js）
+ */
+
+/// Merkle 树叶子编码，必须与 MerkleDistributor.claim 中的 abi.encode(account, amount) 一致
+const LEAF_ENCODING = ["address", "uint256"];
+
+/**
+ * 根据名单生成 Merkle 树
+ * @param {{ address: string, amount: bigint }[]} entries 名单（地址不能重复）
+ * @returns {{ tree: StandardMerkleTree, merkleRoot: string, totalAmount: bigint, claims: object }} 生成结果
+ *
+ * claims 以校验和地址为键，值为 { amount, proof }，amount 为 wei 单位的十进制字符串
+ */
+function buildMerkleTree(entries) {
+    if (entries.length === 0) {
+        throw new Error("名单为空，无法生成 Merkle 树");
+    }
+
+    const tree = StandardMerkleTree.of(
+        entries.map(entry => [entry.address, entry.amount.toString()]),
+        LEAF_ENCODING
+    );
+
+    const claims = {};
+    let totalAmount = 0n;
+    for (const [index, [address, amount]] of tree.entries()) {
+        claims[address] = {
+            amount,
+            proof: tree.getProof(index)
+        };
+        totalAmount += BigInt(amount);
+    }
+
+    return { tree, merkleRoot: tree.root, totalAmount, claims };
+}
+
+/**
+ * 生成写入 JSON 文件的分发数据
+ * @param {string} content CSV 文件内容
+ * @returns {object} 分发数据（merkleRoot、totalAmount、recipientCount、claims）
+ * @throws 名单有错误时抛出异常，错误信息包含所有出错的行
+ */
+function buildDistribution(content) {
+    const { entries, errors } = parseAirdropCsv(content);
+    if (errors.length > 0) {
+        throw new Error(`名单中有 ${errors.length} 个错误:\n` + errors.map(error => "   " + error).join("\n"));
+    }
+
+    const { merkleRoot, totalAmount, claims } = buildMerkleTree(entries);
+    return {
+        merkleRoot,
+        leafEncoding: LEAF_ENCODING,
+        totalAmount: totalAmount.toString(),
+        recipientCount: entries.length,
+        claims
+    };
+}
+
+function main() {
+    const [csvFile, outputArg] = process.argv.slice(2);
+    if (!csvFile) {
+        console.error("❌ 用法: node scripts/buildMerkleTree.js <CSV 文件> [输出 JSON 文件]");
+        process.exit(1);
+    }
+    if (!fs.existsSync(csvFile)) {
+        console.error("❌ 找不到 CSV 文件:", csvFile);
+        process.exit(1);
+    }
+
+    console.log("🌳 生成 Merkle 空投树...\n");
+
+    const distribution = buildDistribution(fs.readFileSync(csvFile, "utf8"));
+    const outputFile = outputArg || path.join(
+        path.dirname(csvFile),
+        `${path.basename(csvFile, path.extname(csvFile))}-merkle.json`
+    );
+    fs.writeFileSync(outputFile, JSON.stringify(distribution, null, 2));
+
+    console.log("✅ Merkle 树生成成功!");
+    console.log("   根哈希:", distribution.merkleRoot);
+    console.log("   接收地址数:", distribution.recipientCount);
+    console.log("   空投总量:", ethers.formatEther(distribution.totalAmount), "DDT");
+    console.log("   输出文件:", outputFile);
+    console.log("");
+    console.log("📝 下一步:");
+    console.log("   MERKLE_FILE=" + outputFile + " npx hardhat run scripts/deployMerkleDistributor.js --network <network>");
+}
+
+module.exports = {
+    LEAF_ENCODING,
+    buildMerkleTree,
+    buildDistribution
+};
+
+// 直接运行时生成文件，被测试引用时只导出工具函数
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error("❌ Merkle 树生成失败:", error.message);
+        process.exit(1);
+    }
+}
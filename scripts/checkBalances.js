@@ -1,6 +1,9 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { allocationFromDeployment } = require("./lib/allocation");
+const { manifestPath, loadManifest } = require("./lib/manifest");
+const { isDeploymentComplete } = require("./lib/deployJournal");
 
 /**
  * DIDO Token 余额查询脚本
@@ -9,12 +12,24 @@ const path = require("path");
  * - 查询各地址的代币余额
  * - 查询时间锁合约的释放信息
  * - 显示代币分配情况
+ * - 按部署清单核对分配、角色和合约所有者
  * 
  * 使用方法：
  * - 测试网：npx hardhat run scripts/checkBalances.js --network sepolia
  * - 主网：npx hardhat run scripts/checkBalances.js --network mainnet
  */
 
+/**
+ * 比较两个地址列表是否包含相同的地址（忽略顺序和大小写）
+ * @param {string[]} a 地址列表
+ * @param {string[]} b 地址列表
+ * @returns {boolean} 是否相同
+ */
+function sameAddresses(a, b) {
+    const normalize = list => [...new Set(list.map(address => address.toLowerCase()))].sort().join(",");
+    return normalize(a) === normalize(b);
+}
+
 async function main() {
     console.log("💰 查询 DIDO Token 余额信息...\n");
     
@@ -28,6 +43,11 @@ async function main() {
     }
     
     const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    if (!isDeploymentComplete(deploymentInfo)) {
+        console.error("❌ 部署尚未完成:", deploymentFile);
+        console.error("请重新运行部署脚本从中断处继续: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
     console.log("📋 部署信息:");
     console.log("   网络:", deploymentInfo.network);
     console.log("   部署时间:", deploymentInfo.deploymentTime);
@@ -45,31 +65,28 @@ async function main() {
         // 1. 查询代币基本信息
         console.log("🔍 代币基本信息:");
         const tokenInfo = await didoToken.getTokenInfo();
-        console.log("   代币名称:", tokenInfo.name);
-        console.log("   代币符号:", tokenInfo.symbol);
-        console.log("   小数位数:", tokenInfo.decimals);
-        console.log("   总供应量:", ethers.formatEther(tokenInfo.totalSupply), "DDT");
-        console.log("   最大供应量:", ethers.formatEther(tokenInfo.maxSupply), "DDT");
-        console.log("   合约所有者:", tokenInfo.owner);
-        console.log("   是否暂停:", tokenInfo.paused);
+        console.log("   代币名称:", tokenInfo.tokenName);
+        console.log("   代币符号:", tokenInfo.tokenSymbol);
+        console.log("   小数位数:", tokenInfo.tokenDecimals);
+        console.log("   总供应量:", ethers.formatEther(tokenInfo.tokenTotalSupply), "DDT");
+        console.log("   最大供应量:", ethers.formatEther(tokenInfo.tokenMaxSupply), "DDT");
+        console.log("   管理员:", tokenInfo.tokenAdmins.join(", "));
+        console.log("   暂停者:", tokenInfo.tokenPausers.join(", "));
+        console.log("   黑名单管理员:", tokenInfo.tokenBlacklistManagers.join(", "));
+        console.log("   是否暂停:", tokenInfo.tokenPaused);
         console.log("");
         
         // 2. 查询各地址余额
         console.log("💰 代币分配情况:");
         console.log("=".repeat(60));
         
-        const addresses = [
-            { name: "流动性池", address: deploymentInfo.tokenAllocation.liquidityPool.address, percentage: "40%" },
-            { name: "团队钱包", address: deploymentInfo.tokenAllocation.team.address, percentage: "30%" },
-            { name: "社区钱包", address: deploymentInfo.tokenAllocation.community.address, percentage: "20%" },
-            { name: "预留钱包", address: deploymentInfo.tokenAllocation.reserve.address, percentage: "10%" }
-        ];
-        
-        for (const addr of addresses) {
-            const balance = await didoToken.balanceOf(addr.address);
+        const allocation = allocationFromDeployment(deploymentInfo.tokenAllocation);
+        for (const entry of allocation) {
+            const balance = await didoToken.balanceOf(entry.address);
             const formattedBalance = ethers.formatEther(balance);
-            console.log(`   ${addr.name} (${addr.percentage}):`);
-            console.log(`      地址: ${addr.address}`);
+            console.log(`   ${entry.label} (${entry.percentage}):`);
+            console.log(`      地址: ${entry.address}`);
+            console.log(`      初始分配: ${ethers.formatEther(entry.amount)} DDT`);
             console.log(`      余额: ${formattedBalance} DDT`);
             console.log("");
         }
@@ -84,11 +101,28 @@ async function main() {
         
         console.log("   合约地址:", vestingInfo.tokenAddress);
         console.log("   受益人地址:", vestingInfo.beneficiaryAddress);
-        console.log("   总锁定数量:", ethers.formatEther(vestingInfo.totalAmount), "DDT");
+        const pendingBeneficiary = await tokenVesting.pendingBeneficiary();
+        if (pendingBeneficiary !== ethers.ZeroAddress) {
+            console.log("   ⏳ 待接受的新受益人:", pendingBeneficiary);
+        }
+        console.log("   总锁定数量:", ethers.formatEther(vestingInfo.contractTotalAmount), "DDT");
         console.log("   已释放数量:", ethers.formatEther(vestingInfo.releasedAmount), "DDT");
-        console.log("   开始时间:", new Date(Number(vestingInfo.startTime) * 1000).toLocaleString());
-        console.log("   是否暂停:", vestingInfo.paused);
-        console.log("   合约所有者:", vestingInfo.owner);
+        console.log("   开始时间:", new Date(Number(vestingInfo.contractStartTime) * 1000).toLocaleString());
+        console.log("   是否暂停:", vestingInfo.contractPaused);
+        if (await tokenVesting.isFunded()) {
+            console.log("   注资状态: 已足额");
+        } else {
+            console.log("   ⚠️  注资状态: 不足，差额", ethers.formatEther(await tokenVesting.getFundingShortfall()), "DDT，释放将被拒绝");
+        }
+        console.log("   收款地址:", await tokenVesting.payoutAddress());
+        const vestingDelegate = await tokenVesting.getDelegate();
+        console.log("   投票权委托:", vestingDelegate === ethers.ZeroAddress ? "未委托" : vestingDelegate);
+        console.log("   撤销退回地址:", await tokenVesting.revocationReceiver());
+        if (await tokenVesting.revoked()) {
+            console.log("   ⚠️  已撤销:", new Date(Number(await tokenVesting.revokedAt()) * 1000).toLocaleString(),
+                "，归属数量固定为", ethers.formatEther(await tokenVesting.vestedAtRevocation()), "DDT");
+        }
+        console.log("   合约所有者:", vestingInfo.contractOwner);
         console.log("");
         
         // 4. 查询释放进度
@@ -98,12 +132,16 @@ async function main() {
         console.log("   可释放数量:", ethers.formatEther(vestingDetails.releasableAmount), "DDT");
         console.log("   剩余锁定数量:", ethers.formatEther(vestingDetails.remainingAmount), "DDT");
         console.log("   释放进度:", vestingDetails.progressPercent + "%");
+        console.log("   悬崖期:", Number(vestingDetails.vestingCliffDuration) / (24 * 60 * 60), "天");
+        console.log("   释放期:", Number(vestingDetails.vestingReleaseDuration) / (24 * 60 * 60), "天");
+        const stepDuration = Number(await tokenVesting.stepDuration());
+        console.log("   释放方式:", stepDuration === 0 ? "按秒线性释放" : `每 ${stepDuration / (24 * 60 * 60)} 天解锁一次`);
         console.log("");
         
         // 5. 查询时间信息
         console.log("⏰ 时间信息:");
         const currentTime = new Date();
-        const startTime = new Date(Number(timeInfo.startTime) * 1000);
+        const startTime = new Date(Number(timeInfo.contractStartTime) * 1000);
         const cliffEndTime = new Date(Number(timeInfo.cliffEndTime) * 1000);
         const vestingEndTime = new Date(Number(timeInfo.vestingEndTime) * 1000);
         
@@ -116,6 +154,11 @@ async function main() {
         // 计算时间差
         const timeUntilCliff = Number(timeInfo.timeUntilCliff);
         const timeUntilVestingEnd = Number(timeInfo.timeUntilVestingEnd);
+        const timeUntilStart = Number(timeInfo.timeUntilStart);
+        
+        if (timeUntilStart > 0) {
+            console.log("   距离开始时间:", Math.ceil(timeUntilStart / (24 * 60 * 60)), "天");
+        }
         
         if (timeUntilCliff > 0) {
             const daysUntilCliff = Math.ceil(timeUntilCliff / (24 * 60 * 60));
@@ -138,24 +181,129 @@ async function main() {
         console.log("   时间锁合约余额:", ethers.formatEther(contractBalance), "DDT");
         console.log("");
         
-        // 7. 查询黑名单状态
+        // 7. 查询多受益人锁仓计划
+        if (deploymentInfo.contracts.VestingManager) {
+            const VestingManager = await ethers.getContractFactory("VestingManager");
+            const vestingManager = VestingManager.attach(deploymentInfo.contracts.VestingManager.address);
+            const managerInfo = await vestingManager.getManagerInfo();
+            
+            console.log("📅 多受益人锁仓合约:");
+            console.log("   合约地址:", deploymentInfo.contracts.VestingManager.address);
+            console.log("   计划数量:", managerInfo.scheduleCount.toString());
+            console.log("   已分配数量:", ethers.formatEther(managerInfo.allocatedAmount), "DDT");
+            console.log("   已释放数量:", ethers.formatEther(managerInfo.releasedAmount), "DDT");
+            console.log("   未分配数量:", ethers.formatEther(managerInfo.unallocatedAmount), "DDT");
+            console.log("   是否暂停:", managerInfo.managerPaused);
+            console.log("   仓位可转让:", await vestingManager.transfersEnabled());
+            
+            const labels = {};
+            for (const schedule of deploymentInfo.contracts.VestingManager.schedules || []) {
+                labels[schedule.id] = schedule.label;
+            }
+            for (let id = 0; id < Number(managerInfo.scheduleCount); id++) {
+                const schedule = await vestingManager.getSchedule(id);
+                const holder = await vestingManager.ownerOf(id);
+                const vested = await vestingManager.getVestedAmount(id);
+                const releasable = await vestingManager.getReleasableAmount(id);
+                const typeName = ["线性", "阶梯", "分批"][Number(schedule.scheduleType)];
+                console.log(`   #${id} ${labels[id] || ""} [${typeName}] ${holder}`);
+                console.log(`      总量: ${ethers.formatEther(schedule.totalAmount)} DDT，已归属: ${ethers.formatEther(vested)} DDT，已释放: ${ethers.formatEther(schedule.released)} DDT，可释放: ${ethers.formatEther(releasable)} DDT`);
+                const delegatee = await vestingManager.getDelegate(id);
+                if (delegatee !== ethers.ZeroAddress) {
+                    console.log(`      投票权委托: ${delegatee}`);
+                }
+            }
+            console.log("");
+        }
+        
+        // 8. 查询黑名单状态
         console.log("🚫 黑名单状态:");
-        for (const addr of addresses) {
-            const isBlacklisted = await didoToken.isBlacklisted(addr.address);
-            console.log(`   ${addr.name}: ${isBlacklisted ? "❌ 已列入黑名单" : "✅ 正常"}`);
+        for (const entry of allocation) {
+            const isBlacklisted = await didoToken.isBlacklisted(entry.address);
+            console.log(`   ${entry.label}: ${isBlacklisted ? "❌ 已列入黑名单" : "✅ 正常"}`);
         }
+        console.log("   黑名单地址总数:", (await didoToken.getBlacklistCount()).toString());
         console.log("");
         
-        // 8. 总结
+        // 9. 核对部署清单
+        console.log("🧾 部署清单核对:");
+        const manifestFile = manifestPath(network.name, process.env);
+        let manifest = null;
+        try {
+            let manifestHash;
+            ({ manifest, sha256: manifestHash } = loadManifest(manifestFile, { network: network.name, chainId: network.config.chainId }));
+            console.log("   清单文件:", path.relative(process.cwd(), manifestFile));
+            if (deploymentInfo.manifest && deploymentInfo.manifest.sha256 !== manifestHash) {
+                console.log("   ⚠️  清单在部署后被修改过，以下按当前清单核对");
+            }
+        } catch (error) {
+            console.log("   ⚠️  无法读取部署清单，跳过核对:", error.message.split("\n")[0]);
+        }
+        
+        if (manifest) {
+            const mark = ok => (ok ? "✅" : "❌");
+            
+            const recorded = allocationFromDeployment(deploymentInfo.tokenAllocation);
+            const allocationMatches = recorded.length === manifest.allocations.length && manifest.allocations.every((entry, i) =>
+                recorded[i].key === entry.key
+                && recorded[i].address.toLowerCase() === entry.address.toLowerCase()
+                && recorded[i].amount === entry.amount);
+            console.log(`   ${mark(allocationMatches)} 初始分配${allocationMatches ? "与清单一致" : "与清单不一致"}`);
+            
+            // 清单未配置的角色和所有者应由部署者持有；配置 multisig 时管理员、所有者和未配置的角色都是多签
+            const multisigAddress = manifest.multisig && manifest.multisig.address;
+            const expectedAdmin = manifest.roles.admin || multisigAddress || deploymentInfo.deployer;
+            const admins = [...tokenInfo.tokenAdmins];
+            const pendingAdmin = await didoToken.pendingAdmin();
+            if (sameAddresses(admins, [expectedAdmin])) {
+                console.log("   ✅ 管理员:", expectedAdmin);
+            } else if (pendingAdmin.toLowerCase() === expectedAdmin.toLowerCase()) {
+                console.log("   ⏳ 管理员:", expectedAdmin, "待接受（需调用 acceptAdminTransfer()）");
+            } else {
+                console.log("   ❌ 管理员: 清单为", expectedAdmin, "，链上为", admins.join(", "));
+            }
+            
+            for (const [name, expected, actual] of [
+                ["暂停者", manifest.roles.pausers || [multisigAddress || deploymentInfo.deployer], [...tokenInfo.tokenPausers]],
+                ["黑名单管理员", manifest.roles.blacklistManagers || [multisigAddress || deploymentInfo.deployer], [...tokenInfo.tokenBlacklistManagers]]
+            ]) {
+                const matches = sameAddresses(expected, actual);
+                console.log(`   ${mark(matches)} ${name}:`, matches ? actual.join(", ") : `清单为 ${expected.join(", ")}，链上为 ${actual.join(", ")}`);
+            }
+            
+            const expectedOwner = manifest.owner || multisigAddress || deploymentInfo.deployer;
+            const ownedContracts = [["TokenVesting", tokenVesting]];
+            if (deploymentInfo.contracts.VestingManager) {
+                const VestingManager = await ethers.getContractFactory("VestingManager");
+                ownedContracts.push(["VestingManager", VestingManager.attach(deploymentInfo.contracts.VestingManager.address)]);
+            }
+            for (const [name, contract] of ownedContracts) {
+                const owner = await contract.owner();
+                const pendingOwner = await contract.pendingOwner();
+                if (owner.toLowerCase() === expectedOwner.toLowerCase()) {
+                    console.log(`   ✅ ${name} 所有者:`, owner);
+                } else if (pendingOwner.toLowerCase() === expectedOwner.toLowerCase()) {
+                    console.log(`   ⏳ ${name} 所有者:`, expectedOwner, "待接受（需调用 acceptOwnership()）");
+                } else {
+                    console.log(`   ❌ ${name} 所有者: 清单为`, expectedOwner, "，链上为", owner);
+                }
+            }
+        }
+        console.log("");
+        
+        // 10. 总结
         console.log("📋 查询总结:");
         console.log("=".repeat(60));
         console.log("   网络:", network.name);
         console.log("   查询时间:", new Date().toLocaleString());
         console.log("   代币合约:", deploymentInfo.contracts.DIDOToken.address);
         console.log("   时间锁合约:", deploymentInfo.contracts.TokenVesting.address);
+        if (deploymentInfo.contracts.VestingManager) {
+            console.log("   多受益人锁仓合约:", deploymentInfo.contracts.VestingManager.address);
+        }
         console.log("");
         
-        // 9. 下一步建议
+        // 11. 下一步建议
         console.log("💡 下一步建议:");
         if (vestingDetails.releasableAmount > 0) {
             console.log("   - 团队可以调用 release() 函数提取可释放的代币");
@@ -0,0 +1,68 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { manifestPath, loadManifest } = require("./lib/manifest");
+const { confirmBatch } = require("./deploy");
+
+/**
+ * 团队钱包交易批次确认脚本
+ *
+ * 功能：
+ * - 部署脚本无法代团队钱包签名时，会把待执行的调用写入 deployments/<network>-team-batch.json
+ * - 团队钱包在 Safe 中执行批次后，运行本脚本按链上状态确认每个步骤（例如时间锁合约已足额注资）
+ * - 确认的步骤写入部署信息文件，不发送任何交易；之后重新运行部署脚本即从暂停的步骤继续
+ *
+ * 使用方法：
+ * - 测试网：npx hardhat run scripts/confirmBatch.js --network sepolia
+ * - 主网：npx hardhat run scripts/confirmBatch.js --network mainnet
+ *
+ * 注意：
+ * - 使用与部署时相同的部署清单和部署者账户
+ * - 仍有调用未执行时以退出码 1 结束
+ */
+
+async function main() {
+    console.log("🔍 确认团队钱包交易批次...\n");
+
+    const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}-deployment.json`);
+    if (!fs.existsSync(deploymentFile)) {
+        console.error("❌ 找不到部署信息文件:", deploymentFile);
+        console.error("请先运行部署脚本: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+
+    const manifestFile = manifestPath(network.name, process.env);
+    let manifest;
+    let manifestHash;
+    try {
+        ({ manifest, sha256: manifestHash } = loadManifest(manifestFile, { network: network.name, chainId: network.config.chainId }));
+    } catch (error) {
+        console.error("❌", error.message);
+        process.exit(1);
+    }
+
+    const [deployer] = await ethers.getSigners();
+    const { confirmed, pending } = await confirmBatch({
+        manifest,
+        manifestFile,
+        manifestHash,
+        deployer,
+        journalFile: deploymentFile
+    });
+    console.log("");
+
+    if (pending.length > 0) {
+        console.error(`❌ 仍有 ${pending.length} 个步骤的调用尚未执行，请在 Safe 中执行批次后重新确认`);
+        process.exit(1);
+    }
+    if (confirmed.length > 0) {
+        console.log("✅ 批次中的调用均已执行，重新运行部署脚本继续: npx hardhat run scripts/deploy.js --network", network.name);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ 确认失败:", error);
+        process.exit(1);
+    });
@@ -1,25 +1,772 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
+const { ethers, network, artifacts } = require("hardhat");
 const path = require("path");
+const { TEAM_KEY, formatPercentage, toConstructorArgs } = require("./lib/allocation");
+const { manifestPath, loadManifest, teamVestingAmount, tokenVestingArgs } = require("./lib/manifest");
+const { DEPLOYMENT_STATUS, STEP_STATUS, isDeploymentComplete, loadJournal, saveJournal, runSteps } = require("./lib/deployJournal");
+const { DETERMINISTIC_DEPLOYMENT_PROXY, factoryDeployData, predictDeployment, handoverCalls } = require("./lib/create2");
+const { checkMultisig } = require("./lib/multisig");
+const { buildSafeBatch, writeSafeBatch } = require("./lib/safeBatch");
 
 /**
  * DIDO Token 部署脚本
- * 
+ *
  * 功能：
- * - 部署 DIDOToken 合约
+ * - 读取并校验当前网络的部署清单（manifests/<network>.json，或 DEPLOY_MANIFEST 指定的文件）
+ * - 按清单中的分配列表部署 DIDOToken 合约
  * - 部署 TokenVesting 合约
  * - 将团队代币转入时间锁合约
- * - 保存部署信息到文件
+ * - 可选：部署 VestingManager 并按清单中的计划列表创建多个受益人的锁仓计划
+ * - 按清单分配管理员、暂停者、黑名单管理员角色，发起合约所有权移交
+ * - 可选：清单配置 multisig 时，最后一步检查多签合约的签名门槛，再把管理员角色和合约所有权移交给多签，
+ *   部署者同时放弃暂停者、黑名单管理员角色
+ * - 团队钱包不由本机账户控制时（例如多签），把需要团队钱包执行的调用写成 Safe 交易批次，执行并确认后继续
+ * - 可选：清单配置 create2.salt 时通过 CREATE2 工厂部署，各链地址相同，发送交易前先输出预测地址
+ * - 每个步骤完成后立即写入部署信息文件，中断后重新运行会从第一个未完成的步骤继续
  * - 验证部署结果
- * 
+ *
  * 使用方法：
+ * - 本地节点：npx hardhat run scripts/deploy.js --network localhost
  * - 测试网：npx hardhat run scripts/deploy.js --network sepolia
  * - 主网：npx hardhat run scripts/deploy.js --network mainnet
+ *
+ * 注意：
+ * - 部署信息文件 deployments/<network>-deployment.json 同时是步骤日志，部署未完成时不要删除
+ * - 团队钱包的待执行调用写入 deployments/<network>-team-batch.json，在 Safe 执行后运行
+ *   scripts/confirmBatch.js 确认，再重新运行部署脚本
+ * - 部署完成后重新运行不会发送任何交易；如需重新部署，先移走该文件
  */
 
+/**
+ * 清单未配置暂停者、黑名单管理员时的默认持有者
+ * @param {object} manifest parseManifest 返回的清单
+ * @param {object} deployer 部署者账户
+ * @returns {string} 配置 multisig 时为多签地址，否则为部署者地址
+ */
+function defaultRoleHolder(manifest, deployer) {
+    return manifest.multisig ? manifest.multisig.address : deployer.address;
+}
+
+/**
+ * 构造部署步骤
+ * @param {object} context 部署上下文
+ * @param {object} context.manifest parseManifest 返回的清单
+ * @param {object} context.deployer 部署者账户
+ * @param {object|null} context.teamSigner 团队钱包账户（为时间锁合约和 VestingManager 注资），本机无法签名时为 null
+ * @param {object} context.journal 部署记录，部署合约后写入合约地址
+ * @param {object|null} context.create2 CREATE2 预测结果（见 lib/create2.js 的 predictDeployment），未启用时为 null
+ * @param {Function} context.log 输出函数
+ * @returns {object[]} 步骤列表，见 lib/deployJournal.js 的 runSteps
+ *
+ * 每个步骤的 isDone() 只依据链上状态判断，因此中断在任意位置（包括交易已发出、尚未写入完成状态）
+ * 都可以安全地重新运行
+ *
+ * 团队钱包无法签名时（例如团队钱包是多签），注资步骤不发送交易，而是交出待团队钱包执行的调用，
+ * 由 runDeployment 写成 Safe 交易批次；创建计划依赖 VestingManager 注资，在注资确认前暂停
+ *
+ * CREATE2 模式下合约由工厂部署，角色和所有权先由工厂在部署交易中发起移交，部署者随后接受；
+ * 部署步骤在部署者接受移交后才算完成，之后的步骤与直接部署相同
+ */
+function buildSteps({ manifest, deployer, teamSigner, journal, create2, log }) {
+    const teamVestingConfig = manifest.teamVesting;
+    const vestingSchedules = manifest.schedules;
+    const scheduledAmount = vestingSchedules.reduce((sum, schedule) => sum + schedule.amount, 0n);
+    const adminAddress = manifest.roles.admin || deployer.address;
+    const roleHolder = defaultRoleHolder(manifest, deployer);
+    const roleConfig = [
+        { name: "暂停者", role: ethers.id("PAUSER_ROLE"), holders: manifest.roles.pausers || [roleHolder] },
+        { name: "黑名单管理员", role: ethers.id("BLACKLIST_MANAGER_ROLE"), holders: manifest.roles.blacklistManagers || [roleHolder] }
+    ];
+    const isDeployer = address => address.toLowerCase() === deployer.address.toLowerCase();
+    const teamWallet = manifest.allocations.find(entry => entry.key === TEAM_KEY).address;
+    // 待团队钱包执行的调用
+    const teamCall = (label, contract, method, args) => ({
+        label,
+        to: contract.target,
+        value: "0",
+        data: contract.interface.encodeFunctionData(method, args)
+    });
+    const transfersOwnership = Boolean(manifest.owner) && !isDeployer(manifest.owner);
+
+    // 已部署的合约以部署记录中的地址为准
+    const contractAt = async name => (await ethers.getContractFactory(name, deployer)).attach(journal.contracts[name].address);
+    const isDeployed = async name => Boolean(journal.contracts[name])
+        && (await ethers.provider.getCode(journal.contracts[name].address)) !== "0x";
+
+    // CREATE2 模式下部署者接受工厂发起的移交后，才与直接部署的状态一致
+    const handoverAccepted = async name => {
+        const contract = await contractAt(name);
+        return name === "DIDOToken"
+            ? contract.hasRole(ethers.ZeroHash, deployer.address)
+            : (await contract.owner()) === deployer.address;
+    };
+    const isDeployedBy = async name => (await isDeployed(name)) && (!create2 || (await handoverAccepted(name)));
+
+    // 部署合约：地址和交易哈希先写入部署记录，再等待确认
+    const deployContract = async (send, name, args, record = {}) => {
+        if (create2) {
+            return deployContractCreate2(send, name, record);
+        }
+        log(`📦 正在部署 ${name} 合约...`);
+        const factory = await ethers.getContractFactory(name, deployer);
+        const contract = await factory.deploy(...args);
+        journal.contracts[name] = {
+            address: await contract.getAddress(),
+            transactionHash: contract.deploymentTransaction().hash,
+            ...record
+        };
+        await send(`部署 ${name}`, contract.deploymentTransaction());
+
+        log(`✅ ${name} 合约部署成功!`);
+        log("   合约地址:", journal.contracts[name].address);
+        log("   交易哈希:", journal.contracts[name].transactionHash);
+        log("");
+        return contract;
+    };
+
+    // 通过 CREATE2 工厂部署到预测地址，构造参数已包含在预测时生成的初始化代码中；
+    // 上次部署交易已上链、尚未接受移交时只补发接受交易
+    const deployContractCreate2 = async (send, name, record) => {
+        const { salt, initCode, address } = create2.contracts[name];
+        if ((await ethers.provider.getCode(address)) === "0x") {
+            log(`📦 正在通过 CREATE2 工厂部署 ${name} 合约...`);
+            const factory = await ethers.getContractAt("Create2Deployer", create2.factory, deployer);
+            const calls = handoverCalls(name, await artifacts.readArtifact(name), create2.factory, deployer.address);
+            const tx = await factory.deploy(salt, initCode, calls);
+            journal.contracts[name] = { address, transactionHash: tx.hash, ...record };
+            const receipt = await send(`部署 ${name}`, tx);
+
+            const event = receipt.logs
+                .filter(entry => entry.address === create2.factory)
+                .map(entry => factory.interface.parseLog(entry))
+                .find(parsed => parsed && parsed.name === "ContractDeployed");
+            if (event.args.deployed !== address) {
+                throw new Error(`${name} 部署地址 ${event.args.deployed} 与预测地址 ${address} 不一致`);
+            }
+        } else if (!journal.contracts[name]) {
+            throw new Error(`预测地址 ${address} 上已有 ${name} 合约（同一部署者和 salt 已部署过），如需重新部署请更换 create2.salt`);
+        }
+
+        const contract = await contractAt(name);
+        if (!(await handoverAccepted(name))) {
+            const receipt = name === "DIDOToken"
+                ? await send("接受 DIDOToken 管理员移交", contract.acceptAdminTransfer())
+                : await send(`接受 ${name} 所有权`, contract.acceptOwnership());
+            log("   已接受工厂发起的移交，交易哈希:", receipt.hash);
+        }
+
+        log(`✅ ${name} 合约部署成功!`);
+        log("   合约地址:", address);
+        log("   交易哈希:", journal.contracts[name].transactionHash);
+        log("");
+        return contract;
+    };
+
+    // 两步移交所有权的合约，新所有者接受前为 pendingOwner
+    const ownedContracts = async () => {
+        const contracts = [["TokenVesting", await contractAt("TokenVesting")]];
+        if (journal.contracts.VestingManager) {
+            contracts.push(["VestingManager", await contractAt("VestingManager")]);
+        }
+        return contracts;
+    };
+    const ownershipHandedOver = async (contract, newOwner) => {
+        const target = newOwner.toLowerCase();
+        return (await contract.owner()).toLowerCase() === target || (await contract.pendingOwner()).toLowerCase() === target;
+    };
+    const adminHandedOver = async (didoToken, newAdmin) => (await didoToken.pendingAdmin()) === newAdmin
+        || (await didoToken.hasRole(ethers.ZeroHash, newAdmin));
+
+    // 工厂在各链地址相同，已由其他部署创建时直接使用；未启用 CREATE2 时不出现在部署记录中
+    const factoryStep = {
+        name: "deployFactory",
+        title: "部署 CREATE2 工厂",
+        isDone: async () => (await ethers.provider.getCode(create2.factory)) !== "0x",
+        run: async send => {
+            if ((await ethers.provider.getCode(create2.factory)) !== "0x") {
+                log("🏭 CREATE2 工厂已存在:", create2.factory);
+                log("");
+                return;
+            }
+            if ((await ethers.provider.getCode(DETERMINISTIC_DEPLOYMENT_PROXY)) === "0x") {
+                throw new Error(`当前网络没有标准确定性部署代理 ${DETERMINISTIC_DEPLOYMENT_PROXY}，无法部署 CREATE2 工厂`);
+            }
+            log("🏭 正在通过标准确定性部署代理部署 CREATE2 工厂...");
+            const receipt = await send("部署 CREATE2 工厂", deployer.sendTransaction({
+                to: DETERMINISTIC_DEPLOYMENT_PROXY,
+                data: factoryDeployData(await artifacts.readArtifact("Create2Deployer"))
+            }));
+            log("✅ CREATE2 工厂:", create2.factory, "交易哈希:", receipt.hash);
+            log("");
+        }
+    };
+
+    // 部署者仍持有的暂停者、黑名单管理员角色
+    const deployerRoles = async didoToken => {
+        const held = [];
+        for (const config of roleConfig) {
+            if (await didoToken.hasRole(config.role, deployer.address)) {
+                held.push(config);
+            }
+        }
+        return held;
+    };
+
+    // 最后一步：管理员角色和合约所有权一起移交给多签，移交前再次检查多签合约；未配置多签时不出现在部署记录中
+    // 部署者仍持有的暂停者、黑名单管理员角色先转给多签，移交后部署者不保留任何权限
+    // 团队钱包的注资写入交易批次时，移交等注资确认后再进行，部署者在此之前保留权限
+    const multisigStep = {
+        name: "handoffToMultisig",
+        title: "移交给多签",
+        dependsOn: ["fundVesting", "fundVestingManager"],
+        isDone: async () => {
+            const didoToken = await contractAt("DIDOToken");
+            if ((await deployerRoles(didoToken)).length > 0) {
+                return false;
+            }
+            if (!(await adminHandedOver(didoToken, manifest.multisig.address))) {
+                return false;
+            }
+            for (const [, contract] of await ownedContracts()) {
+                if (!(await ownershipHandedOver(contract, manifest.multisig.address))) {
+                    return false;
+                }
+            }
+            return true;
+        },
+        run: async send => {
+            const target = manifest.multisig.address;
+            const { threshold, owners } = await checkMultisig(ethers.provider, manifest.multisig);
+            log(`🔐 正在移交给多签 ${target}（${threshold}/${owners.length} 签名）...`);
+
+            const didoToken = await contractAt("DIDOToken");
+            for (const config of await deployerRoles(didoToken)) {
+                if (!(await didoToken.hasRole(config.role, target))) {
+                    const receipt = await send(`授予多签${config.name}`, didoToken.grantRole(config.role, target));
+                    log(`   已授予多签${config.name}，交易哈希:`, receipt.hash);
+                }
+                const receipt = await send(`部署者放弃${config.name}`, didoToken.renounceRole(config.role, deployer.address));
+                log(`   部署者已放弃${config.name}角色，交易哈希:`, receipt.hash);
+            }
+            log("   部署者已不持有暂停者、黑名单管理员角色");
+
+            if (!(await adminHandedOver(didoToken, target))) {
+                const receipt = await send("移交 DIDOToken 管理员", didoToken.beginAdminTransfer(target));
+                log("   DIDOToken 管理员:", target, "交易哈希:", receipt.hash);
+            }
+            for (const [name, contract] of await ownedContracts()) {
+                if (!(await ownershipHandedOver(contract, target))) {
+                    const receipt = await send(`移交 ${name} 所有权`, contract.transferOwnership(target));
+                    log(`   ${name} 所有权:`, target, "交易哈希:", receipt.hash);
+                }
+            }
+            log("   ⚠️  多签需调用 DIDOToken.acceptAdminTransfer() 和各合约的 acceptOwnership() 完成移交");
+            log("");
+        }
+    };
+
+    return [
+        ...(create2 ? [factoryStep] : []),
+        {
+            name: "deployToken",
+            title: "部署 DIDOToken",
+            isDone: () => isDeployedBy("DIDOToken"),
+            run: async send => {
+                const didoToken = await deployContract(send, "DIDOToken", toConstructorArgs(manifest.allocations));
+
+                // 验证代币分配（此后团队代币会转入时间锁合约，只能在部署后立即核对）
+                log("💰 验证代币分配...");
+                for (const entry of manifest.allocations) {
+                    const balance = await didoToken.balanceOf(entry.address);
+                    log(`   ${entry.label}余额:`, ethers.formatEther(balance), "DDT");
+                    if (balance !== entry.amount) {
+                        throw new Error(`${entry.label}余额 ${ethers.formatEther(balance)} DDT 与分配数量 ${ethers.formatEther(entry.amount)} DDT 不一致`);
+                    }
+                }
+                log("");
+            }
+        },
+        {
+            // 团队代币中分配给多受益人计划的部分转入 VestingManager，其余锁定在此
+            name: "deployVesting",
+            title: "部署 TokenVesting",
+            isDone: () => isDeployedBy("TokenVesting"),
+            run: async send => {
+                await deployContract(send, "TokenVesting", tokenVestingArgs(manifest, journal.contracts.DIDOToken.address), {
+                    totalAmount: ethers.formatEther(teamVestingAmount(manifest)),
+                    startTimeParam: teamVestingConfig.startTime, // 构造函数参数，0 表示部署时开始
+                    cliffDuration: teamVestingConfig.cliffDuration,
+                    releaseDuration: teamVestingConfig.releaseDuration,
+                    stepDuration: teamVestingConfig.stepDuration,
+                    revocationReceiver: teamVestingConfig.revocationReceiver
+                });
+            }
+        },
+        {
+            name: "setRevocationReceiver",
+            title: "设置撤销退回地址",
+            enabled: Boolean(teamVestingConfig.revocationReceiver),
+            isDone: async () => (await (await contractAt("TokenVesting")).revocationReceiver()) === teamVestingConfig.revocationReceiver,
+            run: async send => {
+                const tokenVesting = await contractAt("TokenVesting");
+                await send("设置撤销退回地址", tokenVesting.setRevocationReceiver(teamVestingConfig.revocationReceiver));
+                log("🔙 撤销退回地址:", teamVestingConfig.revocationReceiver);
+                log("");
+            }
+        },
+        {
+            name: "fundVesting",
+            title: "为时间锁合约注资",
+            isDone: async () => (await contractAt("TokenVesting")).isFunded(),
+            run: async (send, defer) => {
+                const tokenVestingAddress = journal.contracts.TokenVesting.address;
+
+                // 授权时间锁合约拉取差额（上次已授权足够额度时跳过），再由团队钱包调用 fund()
+                const shortfall = await (await contractAt("TokenVesting")).getFundingShortfall();
+                const needsApproval = (await (await contractAt("DIDOToken")).allowance(teamWallet, tokenVestingAddress)) < shortfall;
+                if (!teamSigner) {
+                    defer([
+                        ...(needsApproval ? [teamCall("授权时间锁合约", await contractAt("DIDOToken"), "approve", [tokenVestingAddress, shortfall])] : []),
+                        teamCall("注资", await contractAt("TokenVesting"), "fund", [])
+                    ]);
+                    log("🔏 为时间锁合约注资需要团队钱包签名，已加入待执行的调用");
+                    log("");
+                    return;
+                }
+
+                log("🔄 正在为时间锁合约注资...");
+                const didoToken = (await contractAt("DIDOToken")).connect(teamSigner);
+                const tokenVesting = (await contractAt("TokenVesting")).connect(teamSigner);
+                if (needsApproval) {
+                    const approveReceipt = await send("授权时间锁合约", didoToken.approve(tokenVestingAddress, shortfall));
+                    log("   授权交易哈希:", approveReceipt.hash);
+                }
+                const fundReceipt = await send("注资", tokenVesting.fund());
+                log("   注资交易哈希:", fundReceipt.hash);
+
+                // 以链上注资状态为准
+                if (!(await tokenVesting.isFunded())) {
+                    throw new Error(`时间锁合约注资不足，仍差 ${ethers.formatEther(await tokenVesting.getFundingShortfall())} DDT`);
+                }
+
+                log("✅ 时间锁合约已足额注资");
+                log("   时间锁合约余额:", ethers.formatEther(await didoToken.balanceOf(tokenVestingAddress)), "DDT");
+                log("   团队钱包余额:", ethers.formatEther(await didoToken.balanceOf(teamWallet)), "DDT");
+                log("");
+            }
+        },
+        {
+            name: "deployVestingManager",
+            title: "部署 VestingManager",
+            enabled: vestingSchedules.length > 0,
+            isDone: () => isDeployedBy("VestingManager"),
+            run: async send => {
+                await deployContract(send, "VestingManager", [journal.contracts.DIDOToken.address], {
+                    totalAmount: ethers.formatEther(scheduledAmount)
+                });
+            }
+        },
+        {
+            name: "fundVestingManager",
+            title: "转入多受益人计划代币",
+            enabled: vestingSchedules.length > 0,
+            isDone: async () => {
+                const didoToken = await contractAt("DIDOToken");
+                const vestingManager = await contractAt("VestingManager");
+                const received = (await didoToken.balanceOf(journal.contracts.VestingManager.address)) + (await vestingManager.totalReleased());
+                return received >= scheduledAmount;
+            },
+            run: async (send, defer) => {
+                const managerAddress = journal.contracts.VestingManager.address;
+                const missing = scheduledAmount - (await (await contractAt("DIDOToken")).balanceOf(managerAddress));
+                if (!teamSigner) {
+                    defer([teamCall("转入计划代币", await contractAt("DIDOToken"), "transfer", [managerAddress, missing])]);
+                    log("🔏 转入计划代币需要团队钱包签名，已加入待执行的调用:", ethers.formatEther(missing), "DDT");
+                    log("");
+                    return;
+                }
+
+                const didoToken = (await contractAt("DIDOToken")).connect(teamSigner);
+                const receipt = await send("转入计划代币", didoToken.transfer(managerAddress, missing));
+                log("🔄 转入计划代币:", ethers.formatEther(missing), "DDT，交易哈希:", receipt.hash);
+                log("");
+            }
+        },
+        {
+            // 计划按清单顺序创建，计划 ID 即清单中的下标，重新运行时从链上的计划数量继续
+            name: "createSchedules",
+            title: "创建多受益人锁仓计划",
+            enabled: vestingSchedules.length > 0,
+            dependsOn: ["fundVestingManager"],
+            isDone: async () => (await (await contractAt("VestingManager")).getScheduleCount()) >= BigInt(vestingSchedules.length),
+            run: async send => {
+                log("📅 正在创建多受益人锁仓计划...");
+                const vestingManager = await contractAt("VestingManager");
+                const defaultStart = (await ethers.provider.getBlock("latest")).timestamp;
+                for (let id = Number(await vestingManager.getScheduleCount()); id < vestingSchedules.length; id++) {
+                    const schedule = vestingSchedules[id];
+                    let createTx;
+                    if (schedule.type === "tranche") {
+                        createTx = vestingManager.createTrancheSchedule(
+                            schedule.beneficiary,
+                            schedule.tranches.map(tranche => tranche.unlockTime),
+                            schedule.tranches.map(tranche => tranche.amount)
+                        );
+                    } else if (schedule.type === "step") {
+                        createTx = vestingManager.createStepSchedule(
+                            schedule.beneficiary,
+                            schedule.amount,
+                            schedule.start ?? defaultStart,
+                            schedule.cliffDuration,
+                            schedule.releaseDuration,
+                            schedule.stepDuration
+                        );
+                    } else {
+                        createTx = vestingManager.createSchedule(
+                            schedule.beneficiary,
+                            schedule.amount,
+                            schedule.start ?? defaultStart,
+                            schedule.cliffDuration,
+                            schedule.releaseDuration
+                        );
+                    }
+                    const receipt = await send(`创建计划 #${id} (${schedule.label})`, createTx);
+                    log(`   已创建计划 #${id} (${schedule.label})，交易哈希:`, receipt.hash);
+                }
+                log("");
+            }
+        },
+        {
+            name: "assignRoles",
+            title: "分配角色",
+            isDone: async () => {
+                const didoToken = await contractAt("DIDOToken");
+                for (const config of roleConfig) {
+                    for (const holder of config.holders) {
+                        if (!(await didoToken.hasRole(config.role, holder))) {
+                            return false;
+                        }
+                    }
+                    if (!config.holders.some(isDeployer) && (await didoToken.hasRole(config.role, deployer.address))) {
+                        return false;
+                    }
+                }
+                // 新管理员接受移交之前，pendingAdmin 为新管理员即视为完成
+                return isDeployer(adminAddress) || adminHandedOver(didoToken, adminAddress);
+            },
+            run: async send => {
+                log("🔑 正在分配角色...");
+                const didoToken = await contractAt("DIDOToken");
+                for (const config of roleConfig) {
+                    for (const holder of config.holders) {
+                        if (!(await didoToken.hasRole(config.role, holder))) {
+                            const receipt = await send(`授予${config.name} ${holder}`, didoToken.grantRole(config.role, holder));
+                            log(`   已授予${config.name}:`, holder, "交易哈希:", receipt.hash);
+                        }
+                    }
+
+                    // 部署者不在配置中时撤销其角色
+                    if (!config.holders.some(isDeployer) && (await didoToken.hasRole(config.role, deployer.address))) {
+                        const receipt = await send(`部署者放弃${config.name}`, didoToken.renounceRole(config.role, deployer.address));
+                        log(`   部署者已放弃${config.name}角色，交易哈希:`, receipt.hash);
+                    }
+                }
+
+                // 管理员角色必须最后处理：发起两步移交，部署者在新管理员接受后才失去管理员角色
+                if (!isDeployer(adminAddress) && (await didoToken.pendingAdmin()) !== adminAddress) {
+                    const receipt = await send("发起管理员移交", didoToken.beginAdminTransfer(adminAddress));
+                    log("   已发起管理员移交:", adminAddress, "交易哈希:", receipt.hash);
+                    log("   ⚠️  新管理员需调用 acceptAdminTransfer() 完成移交");
+                }
+                log("");
+            }
+        },
+        {
+            // 两步移交，新所有者调用 acceptOwnership() 后生效
+            name: "transferOwnership",
+            title: "移交合约所有权",
+            enabled: transfersOwnership,
+            isDone: async () => {
+                for (const [, contract] of await ownedContracts()) {
+                    if (!(await ownershipHandedOver(contract, manifest.owner))) {
+                        return false;
+                    }
+                }
+                return true;
+            },
+            run: async send => {
+                log("👑 正在发起合约所有权移交...");
+                for (const [name, contract] of await ownedContracts()) {
+                    if (!(await ownershipHandedOver(contract, manifest.owner))) {
+                        const receipt = await send(`移交 ${name} 所有权`, contract.transferOwnership(manifest.owner));
+                        log(`   ${name}:`, manifest.owner, "交易哈希:", receipt.hash);
+                    }
+                }
+                log("   ⚠️  新所有者需在各合约调用 acceptOwnership() 完成移交");
+                log("");
+            }
+        },
+        ...(manifest.multisig ? [multisigStep] : [])
+    ];
+}
+
+/**
+ * 所有步骤完成后，从链上读取最终状态补全部署记录
+ * @param {object} journal 部署记录
+ * @param {object} manifest parseManifest 返回的清单
+ */
+async function completeJournal(journal, manifest) {
+    for (const record of Object.values(journal.contracts)) {
+        record.blockNumber = (await ethers.provider.getTransactionReceipt(record.transactionHash)).blockNumber;
+    }
+
+    const didoToken = await ethers.getContractAt("DIDOToken", journal.contracts.DIDOToken.address);
+    const tokenVesting = await ethers.getContractAt("TokenVesting", journal.contracts.TokenVesting.address);
+    journal.contracts.TokenVesting.startTime = Number(await tokenVesting.startTime());
+
+    if (journal.contracts.VestingManager) {
+        const vestingManager = await ethers.getContractAt("VestingManager", journal.contracts.VestingManager.address);
+        const schedules = [];
+        for (const [id, schedule] of manifest.schedules.entries()) {
+            const onChain = await vestingManager.getSchedule(id);
+            schedules.push({
+                id,
+                label: schedule.label,
+                type: schedule.type,
+                beneficiary: schedule.beneficiary,
+                amount: ethers.formatEther(schedule.amount),
+                start: Number(onChain.start),
+                ...(schedule.type === "tranche"
+                    ? { tranches: schedule.tranches.map(tranche => ({ unlockTime: tranche.unlockTime, amount: ethers.formatEther(tranche.amount) })) }
+                    : { cliffDuration: schedule.cliffDuration, releaseDuration: schedule.releaseDuration, stepDuration: schedule.stepDuration })
+            });
+        }
+        journal.contracts.VestingManager.schedules = schedules;
+    }
+
+    const pendingAdmin = await didoToken.pendingAdmin();
+    journal.roles = {
+        pendingAdmin: pendingAdmin === ethers.ZeroAddress ? null : pendingAdmin,
+        pausers: [...(await didoToken.getRoleMembers(ethers.id("PAUSER_ROLE")))],
+        blacklistManagers: [...(await didoToken.getRoleMembers(ethers.id("BLACKLIST_MANAGER_ROLE")))],
+        admins: [...(await didoToken.getRoleMembers(ethers.ZeroHash))]
+    };
+    const pendingOwner = await tokenVesting.pendingOwner();
+    journal.ownership = {
+        owner: await tokenVesting.owner(),
+        pendingOwner: pendingOwner === ethers.ZeroAddress ? null : pendingOwner
+    };
+    if (manifest.multisig) {
+        journal.multisig = { address: manifest.multisig.address, ...(await checkMultisig(ethers.provider, manifest.multisig)) };
+    }
+
+    // 按构造参数顺序记录，verify.js 据此还原构造参数
+    journal.tokenAllocation = Object.fromEntries(manifest.allocations.map(entry => [entry.key, {
+        label: entry.label,
+        address: entry.address,
+        amount: ethers.formatEther(entry.amount),
+        percentage: formatPercentage(entry.amount),
+        ...(entry.key === TEAM_KEY ? { vestingContract: journal.contracts.TokenVesting.address } : {})
+    }]));
+    if (journal.contracts.VestingManager) {
+        journal.tokenAllocation.team.vestingManager = journal.contracts.VestingManager.address;
+    }
+    journal.status = DEPLOYMENT_STATUS.COMPLETED;
+}
+
+/**
+ * 预测 CREATE2 模式下各合约的地址
+ * @param {object} manifest parseManifest 返回的清单，必须配置 create2
+ * @param {string} caller 部署者地址
+ * @returns {Promise<object>} 见 lib/create2.js 的 predictDeployment
+ */
+async function predictCreate2Deployment(manifest, caller) {
+    const contractArtifacts = {};
+    for (const name of ["Create2Deployer", "DIDOToken", "TokenVesting", "VestingManager"]) {
+        contractArtifacts[name] = await artifacts.readArtifact(name);
+    }
+    return predictDeployment(manifest, caller, contractArtifacts, tokenVestingArgs);
+}
+
+/**
+ * 读取部署记录，并检查未完成的记录与本次部署一致
+ * @param {string} journalFile 部署信息文件路径
+ * @param {string} manifestFile 清单文件路径
+ * @param {string} manifestHash 清单文件的 SHA-256
+ * @param {object} deployer 部署者账户
+ * @returns {object} 部署记录，见 lib/deployJournal.js 的 loadJournal
+ */
+function openJournal(journalFile, manifestFile, manifestHash, deployer) {
+    return loadJournal(journalFile, {
+        network: network.name,
+        chainId: network.config.chainId,
+        deployer: deployer.address,
+        // 清单文件哈希，verify.js 和 checkBalances.js 据此提示部署后清单是否被修改
+        manifest: {
+            file: path.relative(path.join(__dirname, ".."), manifestFile),
+            sha256: manifestHash
+        }
+    });
+}
+
+/**
+ * 团队钱包待执行调用的批次文件路径，与部署信息文件放在同一目录
+ * @param {string} journalFile 部署信息文件路径
+ * @returns {string} 批次文件路径
+ */
+function teamBatchPath(journalFile) {
+    return path.join(path.dirname(journalFile), `${network.name}-team-batch.json`);
+}
+
+/**
+ * 按清单执行部署，已完成的步骤不会重复执行
+ * @param {object} options 选项
+ * @param {object} options.manifest parseManifest 返回的清单
+ * @param {string} options.manifestFile 清单文件路径
+ * @param {string} options.manifestHash 清单文件的 SHA-256
+ * @param {object} options.deployer 部署者账户
+ * @param {object|null} options.teamSigner 团队钱包账户，本机无法签名时为 null
+ * @param {string} options.journalFile 部署信息文件路径
+ * @param {Function} [options.log] 输出函数，默认 console.log
+ * @param {object} [options.hooks] 测试用的注入点，见 lib/deployJournal.js 的 runSteps
+ * @returns {Promise<object>} 部署记录；有待团队钱包执行的调用时 status 仍为 in-progress，pendingBatch 记录批次文件
+ * @throws {Error} 任一步骤失败时抛出，此前完成的步骤已写入部署信息文件
+ */
+async function runDeployment({ manifest, manifestFile, manifestHash, deployer, teamSigner, journalFile, log = console.log, hooks }) {
+    const journal = openJournal(journalFile, manifestFile, manifestHash, deployer);
+    const save = () => saveJournal(journalFile, journal);
+
+    if (isDeploymentComplete(journal)) {
+        log("✅ 部署记录显示部署已完成，不会发送任何交易:", journalFile);
+        if (journal.manifest && journal.manifest.sha256 !== manifestHash) {
+            log("⚠️  部署清单在部署后被修改过；如需按新清单重新部署，请先移走该部署记录");
+        }
+        log("");
+        return journal;
+    }
+    if (Object.keys(journal.steps).length > 0) {
+        log("🔁 发现未完成的部署，从第一个未完成的步骤继续:", journalFile);
+        log("");
+    }
+
+    // 开始时间只在部署 TokenVesting 之前检查，恢复部署时时间锁可能已经按原参数部署
+    const startTime = manifest.teamVesting.startTime;
+    if (!journal.contracts.TokenVesting && startTime !== 0 && startTime <= Math.floor(Date.now() / 1000)) {
+        throw new Error("部署清单有误: vesting.startTime 不能早于当前时间");
+    }
+
+    // 多签在发送任何交易之前先检查一次，填错地址或门槛时不会部署到一半才失败
+    if (manifest.multisig) {
+        const isDeployer = address => address.toLowerCase() === deployer.address.toLowerCase();
+        for (const [field, holders] of [["roles.pausers", manifest.roles.pausers], ["roles.blacklistManagers", manifest.roles.blacklistManagers]]) {
+            if (holders && holders.some(isDeployer)) {
+                throw new Error(`部署清单有误: ${field} 包含部署者 ${deployer.address}，配置 multisig 后部署者在移交时放弃所有角色`);
+            }
+        }
+        const { threshold, owners } = await checkMultisig(ethers.provider, manifest.multisig);
+        log(`🔐 多签检查通过: ${manifest.multisig.address}（${threshold}/${owners.length} 签名）`);
+        log("");
+    }
+
+    // CREATE2 地址在发送任何交易之前算出并写入部署记录
+    const create2 = manifest.create2 ? await predictCreate2Deployment(manifest, deployer.address) : null;
+    if (create2) {
+        journal.create2 = { salt: manifest.create2.salt, factory: create2.factory };
+        log("📍 CREATE2 预测地址 (salt:", manifest.create2.salt + "):");
+        log("   Create2Deployer:", create2.factory);
+        for (const [name, { address }] of Object.entries(create2.contracts)) {
+            log(`   ${name}:`, address);
+        }
+        log("");
+    }
+
+    const { awaiting } = await runSteps(buildSteps({ manifest, deployer, teamSigner, journal, create2, log }), {
+        journal,
+        save,
+        provider: ethers.provider,
+        log,
+        hooks
+    });
+
+    // 所有待执行的调用合并为一个批次，团队钱包在 Safe 中一次签名执行
+    if (awaiting.length > 0) {
+        const teamWallet = manifest.allocations.find(entry => entry.key === TEAM_KEY).address;
+        const calls = awaiting.flatMap(entry => entry.calls);
+        const batchFile = teamBatchPath(journalFile);
+        writeSafeBatch(batchFile, buildSafeBatch({
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            safeAddress: teamWallet,
+            name: `DIDO 部署 (${network.name}): 团队钱包待执行交易`,
+            description: `部署者 ${deployer.address} 无法代团队钱包签名，请按顺序执行以下调用：`,
+            calls
+        }));
+        journal.pendingBatch = { file: path.basename(batchFile), safe: teamWallet, steps: awaiting.map(entry => entry.name) };
+        save();
+
+        log("🔏 以下调用需要团队钱包", teamWallet, "执行，已写入 Safe 交易批次:", batchFile);
+        calls.forEach((call, i) => log(`   ${i + 1}. ${call.label} → ${call.to}`));
+        if ((await ethers.provider.getCode(teamWallet)) === "0x") {
+            log("   ⚠️  团队钱包不是合约，无法导入 Safe，请用团队钱包按顺序手动发送以上调用");
+        }
+        log("   在 Safe Transaction Builder 中导入并执行后，运行确认命令: npx hardhat run scripts/confirmBatch.js --network", network.name);
+        log("   确认后重新运行部署脚本，从暂停的步骤继续");
+        log("");
+        return journal;
+    }
+
+    delete journal.pendingBatch;
+    await completeJournal(journal, manifest);
+    save();
+    return journal;
+}
+
+/**
+ * 确认团队钱包已执行批次中的调用
+ * @param {object} options 选项，同 runDeployment（不需要 teamSigner 和 hooks）
+ * @returns {Promise<{ confirmed: string[], pending: string[] }>} 已确认和仍未执行的步骤名
+ * @throws {Error} 部署记录不存在或与本次部署不一致时抛出
+ *
+ * 按各步骤的链上完成条件检查（例如时间锁合约已足额注资），确认的步骤记录为 completed，
+ * 不发送任何交易；之后重新运行部署脚本即从暂停的步骤继续
+ */
+async function confirmBatch({ manifest, manifestFile, manifestHash, deployer, journalFile, log = console.log }) {
+    const journal = openJournal(journalFile, manifestFile, manifestHash, deployer);
+    const result = { confirmed: [], pending: [] };
+    if (isDeploymentComplete(journal)) {
+        log("✅ 部署记录显示部署已完成，没有待确认的调用");
+        return result;
+    }
+
+    const create2 = manifest.create2 ? await predictCreate2Deployment(manifest, deployer.address) : null;
+    for (const step of buildSteps({ manifest, deployer, teamSigner: null, journal, create2, log })) {
+        const record = journal.steps[step.name];
+        if (!record || record.status !== STEP_STATUS.AWAITING_EXECUTION) {
+            continue;
+        }
+        const done = await step.isDone();
+        log(`${done ? "✅" : "❌"} ${step.title}: ${done ? "已在链上执行" : "尚未在链上执行"}`);
+        record.calls.forEach(call => log(`   ${call.label} → ${call.to}`));
+        if (done) {
+            record.status = STEP_STATUS.COMPLETED;
+            record.completedAt = new Date().toISOString();
+            record.executedBy = journal.pendingBatch ? journal.pendingBatch.safe : null;
+            result.confirmed.push(step.name);
+        } else {
+            result.pending.push(step.name);
+        }
+    }
+    if (result.confirmed.length === 0 && result.pending.length === 0) {
+        log("ℹ️  部署记录中没有待团队钱包执行的调用");
+    }
+    if (result.pending.length === 0) {
+        delete journal.pendingBatch;
+    }
+    saveJournal(journalFile, journal);
+    return result;
+}
+
 async function main() {
     console.log("🚀 开始部署 DIDO Token 项目...\n");
-    
+
     // 获取部署者账户
     const [deployer] = await ethers.getSigners();
     console.log("📋 部署信息:");
@@ -28,250 +775,197 @@ async function main() {
     console.log("   网络:", network.name);
     console.log("   链 ID:", network.config.chainId);
     console.log("");
-    
-    // 检查环境变量
-    const requiredEnvVars = [
-        "LIQUIDITY_POOL_ADDRESS",
-        "TEAM_WALLET_ADDRESS", 
-        "COMMUNITY_WALLET_ADDRESS",
-        "RESERVE_WALLET_ADDRESS"
-    ];
-    
-    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-    if (missingVars.length > 0) {
-        console.error("❌ 缺少必需的环境变量:", missingVars.join(", "));
-        console.error("请检查 .env 文件中的配置");
+
+    // 读取部署清单
+    const manifestFile = manifestPath(network.name, process.env);
+    let manifest;
+    let manifestHash;
+    try {
+        ({ manifest, sha256: manifestHash } = loadManifest(manifestFile, { network: network.name, chainId: network.config.chainId }));
+    } catch (error) {
+        console.error("❌", error.message);
+        console.error("请参考 manifests/example.json 为当前网络创建清单，或通过 DEPLOY_MANIFEST 指定清单文件");
         process.exit(1);
     }
-    
-    // 获取分配地址
-    const liquidityPool = process.env.LIQUIDITY_POOL_ADDRESS;
-    const teamWallet = process.env.TEAM_WALLET_ADDRESS;
-    const communityWallet = process.env.COMMUNITY_WALLET_ADDRESS;
-    const reserveWallet = process.env.RESERVE_WALLET_ADDRESS;
-    
-    console.log("📊 代币分配地址:");
-    console.log("   流动性池:", liquidityPool);
-    console.log("   团队钱包:", teamWallet);
-    console.log("   社区钱包:", communityWallet);
-    console.log("   预留钱包:", reserveWallet);
+    const teamVestingConfig = manifest.teamVesting;
+    console.log("📄 部署清单:", path.relative(process.cwd(), manifestFile));
     console.log("");
-    
-    // 验证地址格式
-    const addresses = [liquidityPool, teamWallet, communityWallet, reserveWallet];
-    for (const addr of addresses) {
-        if (!ethers.isAddress(addr)) {
-            console.error("❌ 无效的地址格式:", addr);
-            process.exit(1);
+
+    const allocation = manifest.allocations;
+    const teamWallet = allocation.find(entry => entry.key === TEAM_KEY).address;
+
+    console.log("📊 代币分配:");
+    for (const entry of allocation) {
+        console.log(`   ${entry.label} (${formatPercentage(entry.amount)}):`, entry.address, ethers.formatEther(entry.amount), "DDT");
+    }
+    console.log("");
+
+    // 角色配置（清单未配置时由部署者持有，配置 multisig 时由多签持有；管理员角色只能两步移交，因此只接受单个地址）
+    console.log("🔑 角色配置:");
+    console.log("   暂停者:", (manifest.roles.pausers || [defaultRoleHolder(manifest, deployer)]).join(", "));
+    console.log("   黑名单管理员:", (manifest.roles.blacklistManagers || [defaultRoleHolder(manifest, deployer)]).join(", "));
+    if (manifest.multisig) {
+        console.log("   管理员、合约所有者: 部署最后移交给多签", `${manifest.multisig.address}（要求 ${manifest.multisig.threshold} 签名）`);
+    } else {
+        console.log("   管理员:", manifest.roles.admin || deployer.address);
+        console.log("   合约所有者:", manifest.owner || `${deployer.address}（部署者）`);
+    }
+    console.log("");
+
+    console.log("⏳ 团队时间锁配置:");
+    console.log("   开始时间:", teamVestingConfig.startTime === 0 ? "部署时" : new Date(teamVestingConfig.startTime * 1000).toLocaleString());
+    console.log("   悬崖期:", teamVestingConfig.cliffDuration / (24 * 60 * 60), "天");
+    console.log("   释放期:", teamVestingConfig.releaseDuration / (24 * 60 * 60), "天");
+    console.log("   释放方式:", teamVestingConfig.stepDuration === 0 ? "按秒线性释放" : `每 ${teamVestingConfig.stepDuration / (24 * 60 * 60)} 天解锁一次`);
+    console.log("   撤销退回地址:", teamVestingConfig.revocationReceiver || "未设置");
+    console.log("");
+
+    // 多受益人锁仓计划（可选）
+    if (manifest.schedules.length > 0) {
+        console.log("📅 多受益人锁仓计划:");
+        for (const schedule of manifest.schedules) {
+            console.log(`   ${schedule.label}: ${schedule.beneficiary} ${ethers.formatEther(schedule.amount)} DDT`);
         }
+        console.log("");
     }
-    
-    // 检查地址重复
-    const uniqueAddresses = new Set(addresses);
-    if (uniqueAddresses.size !== addresses.length) {
-        console.error("❌ 分配地址不能重复");
-        process.exit(1);
+
+    // 部署信息文件同时是步骤日志
+    const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}-deployment.json`);
+
+    // 团队钱包只有在本机配置的账户中时才能签名，否则需要团队钱包签名的调用写入 Safe 交易批次
+    const controlled = (await ethers.getSigners()).some(signer => signer.address.toLowerCase() === teamWallet.toLowerCase());
+    if (!controlled) {
+        console.log("🔏 团队钱包不由本机账户控制，需要团队钱包签名的调用将写入 Safe 交易批次:", teamWallet);
+        console.log("");
     }
-    
+
     try {
-        // 1. 部署 DIDOToken 合约
-        console.log("📦 正在部署 DIDOToken 合约...");
-        const DIDOToken = await ethers.getContractFactory("DIDOToken");
-        const didoToken = await DIDOToken.deploy(
-            liquidityPool,
-            teamWallet,
-            communityWallet,
-            reserveWallet
-        );
-        
-        await didoToken.waitForDeployment();
-        const didoTokenAddress = await didoToken.getAddress();
-        
-        console.log("✅ DIDOToken 合约部署成功!");
-        console.log("   合约地址:", didoTokenAddress);
-        console.log("   交易哈希:", didoToken.deploymentTransaction().hash);
-        console.log("");
-        
+        // 1. 按步骤部署，每个步骤完成后写入部署信息文件
+        const deploymentInfo = await runDeployment({
+            manifest,
+            manifestFile,
+            manifestHash,
+            deployer,
+            teamSigner: controlled ? await ethers.getSigner(teamWallet) : null,
+            journalFile: deploymentFile
+        });
+        if (!isDeploymentComplete(deploymentInfo)) {
+            console.log("⏸️  部署已暂停，等待团队钱包执行批次中的调用，已完成的步骤已记录在:", deploymentFile);
+            return;
+        }
+        const contracts = deploymentInfo.contracts;
+
         // 2. 验证代币信息
+        const didoToken = await ethers.getContractAt("DIDOToken", contracts.DIDOToken.address);
         console.log("🔍 验证代币信息...");
         const tokenInfo = await didoToken.getTokenInfo();
-        console.log("   代币名称:", tokenInfo.name);
-        console.log("   代币符号:", tokenInfo.symbol);
-        console.log("   小数位数:", tokenInfo.decimals);
-        console.log("   总供应量:", ethers.formatEther(tokenInfo.totalSupply), "DDT");
-        console.log("   最大供应量:", ethers.formatEther(tokenInfo.maxSupply), "DDT");
-        console.log("   合约所有者:", tokenInfo.owner);
-        console.log("   是否暂停:", tokenInfo.paused);
-        console.log("");
-        
-        // 3. 验证代币分配
-        console.log("💰 验证代币分配...");
-        const balances = await Promise.all([
-            didoToken.balanceOf(liquidityPool),
-            didoToken.balanceOf(teamWallet),
-            didoToken.balanceOf(communityWallet),
-            didoToken.balanceOf(reserveWallet)
-        ]);
-        
-        console.log("   流动性池余额:", ethers.formatEther(balances[0]), "DDT");
-        console.log("   团队钱包余额:", ethers.formatEther(balances[1]), "DDT");
-        console.log("   社区钱包余额:", ethers.formatEther(balances[2]), "DDT");
-        console.log("   预留钱包余额:", ethers.formatEther(balances[3]), "DDT");
-        console.log("");
-        
-        // 4. 部署 TokenVesting 合约
-        console.log("📦 正在部署 TokenVesting 合约...");
-        const TokenVesting = await ethers.getContractFactory("TokenVesting");
-        const tokenVesting = await TokenVesting.deploy(
-            didoTokenAddress,
-            teamWallet,
-            balances[1] // 团队代币数量
-        );
-        
-        await tokenVesting.waitForDeployment();
-        const tokenVestingAddress = await tokenVesting.getAddress();
-        
-        console.log("✅ TokenVesting 合约部署成功!");
-        console.log("   合约地址:", tokenVestingAddress);
-        console.log("   交易哈希:", tokenVesting.deploymentTransaction().hash);
+        console.log("   代币名称:", tokenInfo.tokenName);
+        console.log("   代币符号:", tokenInfo.tokenSymbol);
+        console.log("   小数位数:", tokenInfo.tokenDecimals);
+        console.log("   总供应量:", ethers.formatEther(tokenInfo.tokenTotalSupply), "DDT");
+        console.log("   最大供应量:", ethers.formatEther(tokenInfo.tokenMaxSupply), "DDT");
+        console.log("   是否暂停:", tokenInfo.tokenPaused);
         console.log("");
-        
-        // 5. 将团队代币转入时间锁合约
-        console.log("🔄 正在转移团队代币到时间锁合约...");
-        
-        // 首先需要团队钱包授权
-        const teamSigner = await ethers.getSigner(teamWallet);
-        const teamTokenContract = didoToken.connect(teamSigner);
-        
-        // 授权时间锁合约使用团队代币
-        const approveTx = await teamTokenContract.approve(tokenVestingAddress, balances[1]);
-        await approveTx.wait();
-        console.log("   授权交易哈希:", approveTx.hash);
-        
-        // 转移代币到时间锁合约
-        const transferTx = await teamTokenContract.transfer(tokenVestingAddress, balances[1]);
-        await transferTx.wait();
-        console.log("   转移交易哈希:", transferTx.hash);
-        
-        // 验证转移结果
-        const vestingBalance = await didoToken.balanceOf(tokenVestingAddress);
-        const teamBalance = await didoToken.balanceOf(teamWallet);
-        
-        console.log("   时间锁合约余额:", ethers.formatEther(vestingBalance), "DDT");
-        console.log("   团队钱包余额:", ethers.formatEther(teamBalance), "DDT");
-        console.log("");
-        
-        // 6. 验证时间锁合约信息
+
+        // 3. 验证时间锁合约信息
+        const tokenVesting = await ethers.getContractAt("TokenVesting", contracts.TokenVesting.address);
         console.log("🔍 验证时间锁合约信息...");
         const vestingInfo = await tokenVesting.getContractInfo();
         console.log("   代币合约地址:", vestingInfo.tokenAddress);
         console.log("   受益人地址:", vestingInfo.beneficiaryAddress);
-        console.log("   总锁定数量:", ethers.formatEther(vestingInfo.totalAmount), "DDT");
+        console.log("   总锁定数量:", ethers.formatEther(vestingInfo.contractTotalAmount), "DDT");
         console.log("   已释放数量:", ethers.formatEther(vestingInfo.releasedAmount), "DDT");
-        console.log("   开始时间:", new Date(Number(vestingInfo.startTime) * 1000).toLocaleString());
-        console.log("   是否暂停:", vestingInfo.paused);
-        console.log("   合约所有者:", vestingInfo.owner);
+        console.log("   开始时间:", new Date(Number(vestingInfo.contractStartTime) * 1000).toLocaleString());
+        console.log("   悬崖期:", Number(await tokenVesting.cliffDuration()) / (24 * 60 * 60), "天");
+        console.log("   释放期:", Number(await tokenVesting.releaseDuration()) / (24 * 60 * 60), "天");
+        console.log("   是否暂停:", vestingInfo.contractPaused);
+        console.log("   合约所有者:", vestingInfo.contractOwner);
         console.log("");
-        
-        // 7. 保存部署信息
-        const deploymentInfo = {
-            network: network.name,
-            chainId: network.config.chainId,
-            deployer: deployer.address,
-            deploymentTime: new Date().toISOString(),
-            contracts: {
-                DIDOToken: {
-                    address: didoTokenAddress,
-                    transactionHash: didoToken.deploymentTransaction().hash,
-                    blockNumber: await didoToken.deploymentTransaction().getBlockNumber()
-                },
-                TokenVesting: {
-                    address: tokenVestingAddress,
-                    transactionHash: tokenVesting.deploymentTransaction().hash,
-                    blockNumber: await tokenVesting.deploymentTransaction().getBlockNumber()
-                }
-            },
-            tokenAllocation: {
-                liquidityPool: {
-                    address: liquidityPool,
-                    amount: ethers.formatEther(balances[0]),
-                    percentage: "40%"
-                },
-                team: {
-                    address: teamWallet,
-                    amount: ethers.formatEther(balances[1]),
-                    percentage: "30%",
-                    vestingContract: tokenVestingAddress
-                },
-                community: {
-                    address: communityWallet,
-                    amount: ethers.formatEther(balances[2]),
-                    percentage: "20%"
-                },
-                reserve: {
-                    address: reserveWallet,
-                    amount: ethers.formatEther(balances[3]),
-                    percentage: "10%"
-                }
-            }
-        };
-        
-        // 创建 deployments 目录
-        const deploymentsDir = path.join(__dirname, "..", "deployments");
-        if (!fs.existsSync(deploymentsDir)) {
-            fs.mkdirSync(deploymentsDir);
+
+        // 4. 验证多受益人锁仓合约
+        if (contracts.VestingManager) {
+            const vestingManager = await ethers.getContractAt("VestingManager", contracts.VestingManager.address);
+            const managerInfo = await vestingManager.getManagerInfo();
+            console.log("🔍 验证多受益人锁仓合约信息...");
+            console.log("   计划数量:", managerInfo.scheduleCount.toString());
+            console.log("   已分配数量:", ethers.formatEther(managerInfo.allocatedAmount), "DDT");
+            console.log("");
         }
-        
-        // 保存部署信息
-        const deploymentFile = path.join(deploymentsDir, `${network.name}-deployment.json`);
-        fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
-        
+
+        // 5. 角色持有者
+        console.log("🔑 角色持有者:");
+        console.log("   暂停者:", deploymentInfo.roles.pausers.join(", "));
+        console.log("   黑名单管理员:", deploymentInfo.roles.blacklistManagers.join(", "));
+        console.log("   管理员:", deploymentInfo.roles.admins.join(", ") + (deploymentInfo.roles.pendingAdmin ? `（待接受: ${deploymentInfo.roles.pendingAdmin}）` : ""));
+        console.log("");
+
         console.log("💾 部署信息已保存到:", deploymentFile);
         console.log("");
-        
-        // 8. 部署总结
+
+        // 6. 部署总结
         console.log("🎉 部署完成!");
         console.log("=".repeat(50));
         console.log("📋 部署总结:");
         console.log("   网络:", network.name);
-        console.log("   部署时间:", new Date().toLocaleString());
+        console.log("   部署时间:", new Date(deploymentInfo.deploymentTime).toLocaleString());
         console.log("   部署者:", deployer.address);
         console.log("");
         console.log("📦 合约地址:");
-        console.log("   DIDOToken:", didoTokenAddress);
-        console.log("   TokenVesting:", tokenVestingAddress);
+        console.log("   DIDOToken:", contracts.DIDOToken.address);
+        console.log("   TokenVesting:", contracts.TokenVesting.address);
+        if (contracts.VestingManager) {
+            console.log("   VestingManager:", contracts.VestingManager.address);
+        }
+        if (deploymentInfo.create2) {
+            console.log("   CREATE2 工厂:", deploymentInfo.create2.factory, `(salt: ${deploymentInfo.create2.salt})`);
+        }
         console.log("");
         console.log("💰 代币分配:");
-        console.log("   流动性池 (40%):", ethers.formatEther(balances[0]), "DDT");
-        console.log("   团队 (30%):", ethers.formatEther(balances[1]), "DDT (已锁定)");
-        console.log("   社区 (20%):", ethers.formatEther(balances[2]), "DDT");
-        console.log("   预留 (10%):", ethers.formatEther(balances[3]), "DDT");
+        for (const entry of allocation) {
+            console.log(`   ${entry.label} (${formatPercentage(entry.amount)}):`, ethers.formatEther(entry.amount), "DDT" + (entry.key === TEAM_KEY ? " (已锁定)" : ""));
+        }
         console.log("");
         console.log("🔗 下一步:");
         console.log("   1. 验证合约: npx hardhat run scripts/verify.js --network", network.name);
         console.log("   2. 检查余额: npx hardhat run scripts/checkBalances.js --network", network.name);
         console.log("   3. 运行测试: npm test");
         console.log("");
-        
-        // 9. 安全提醒
+
+        // 7. 安全提醒
         console.log("⚠️  安全提醒:");
         console.log("   - 请妥善保管私钥，不要泄露");
-        console.log("   - 建议将合约所有权转移给多签钱包");
+        if (manifest.multisig) {
+            console.log("   - 多签需调用 DIDOToken.acceptAdminTransfer() 和各合约的 acceptOwnership() 完成移交，接受前部署者仍持有权限");
+        } else if (!manifest.roles.admin || !manifest.owner) {
+            console.log("   - 建议在部署清单中配置 multisig，部署最后把管理员角色和合约所有权移交给多签钱包");
+        }
+        console.log("   - 可通过 setAdminActionDelay 为放弃管理权、紧急提取等敏感操作开启延迟队列");
         console.log("   - 在生产环境部署前，建议进行安全审计");
-        console.log("   - 团队代币已锁定 24 个月，6 个月后开始线性释放");
+        const cliffDays = teamVestingConfig.cliffDuration / (24 * 60 * 60);
+        const totalDays = cliffDays + teamVestingConfig.releaseDuration / (24 * 60 * 60);
+        console.log(`   - 团队代币已锁定 ${totalDays} 天，开始时间 + ${cliffDays} 天后开始${teamVestingConfig.stepDuration === 0 ? "线性" : "分步"}释放`);
         console.log("");
-        
+
     } catch (error) {
         console.error("❌ 部署失败:", error.message);
         console.error("错误详情:", error);
+        console.error(`已完成的步骤已记录在 ${deploymentFile}，排查问题后重新运行部署脚本即可从中断处继续`);
         process.exit(1);
     }
 }
 
-// 执行部署
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error("❌ 部署脚本执行失败:", error);
-        process.exit(1);
-    });
+module.exports = {
+    runDeployment,
+    confirmBatch,
+    predictCreate2Deployment
+};
+
+// 直接运行时执行部署，被测试引用时只导出部署流程
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ 部署脚本执行失败:", error);
+            process.exit(1);
+        });
+}
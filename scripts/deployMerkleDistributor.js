@@ -0,0 +1,161 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { isDeploymentComplete } = require("./lib/deployJournal");
+
+/**
+ * MerkleDistributor 部署脚本
+ *
+ * 功能：
+ * - 读取 scripts/buildMerkleTree.js 生成的 JSON 文件
+ * - 部署 MerkleDistributor 合约（剩余代币退回部署信息中的社区钱包）
+ * - 部署者为社区钱包时，自动转入空投总量
+ * - 保存分发信息到 deployments/<network>-merkle-distributors.json
+ *
+ * 环境变量：
+ * - MERKLE_FILE：buildMerkleTree.js 生成的 JSON 文件（必需）
+ * - MERKLE_CLAIM_START：领取开始时间（Unix 秒），默认为当前时间
+ * - MERKLE_CLAIM_DAYS：领取窗口天数，默认 90 天
+ *
+ * 使用方法：
+ * - 测试网：MERKLE_FILE=airdrop-merkle.json npx hardhat run scripts/deployMerkleDistributor.js --network sepolia
+ * - 主网：MERKLE_FILE=airdrop-merkle.json npx hardhat run scripts/deployMerkleDistributor.js --network mainnet
+ */
+
+/// 默认领取窗口天数
+const DEFAULT_CLAIM_DAYS = 90;
+
+async function main() {
+    console.log("🚀 开始部署 MerkleDistributor...\n");
+
+    const merkleFile = process.env.MERKLE_FILE;
+    if (!merkleFile) {
+        console.error("❌ 缺少必需的环境变量: MERKLE_FILE");
+        process.exit(1);
+    }
+    if (!fs.existsSync(merkleFile)) {
+        console.error("❌ 找不到 Merkle 文件:", merkleFile);
+        process.exit(1);
+    }
+    const distribution = JSON.parse(fs.readFileSync(merkleFile, "utf8"));
+
+    // 读取部署信息
+    const deploymentsDir = path.join(__dirname, "..", "deployments");
+    const deploymentFile = path.join(deploymentsDir, `${network.name}-deployment.json`);
+    if (!fs.existsSync(deploymentFile)) {
+        console.error("❌ 找不到部署信息文件:", deploymentFile);
+        console.error("请先运行部署脚本: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    if (!isDeploymentComplete(deploymentInfo)) {
+        console.error("❌ 部署尚未完成:", deploymentFile);
+        console.error("请重新运行部署脚本从中断处继续: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+    const tokenAddress = deploymentInfo.contracts.DIDOToken.address;
+    if (!deploymentInfo.tokenAllocation.community) {
+        console.error("❌ 部署信息中没有 key 为 community 的社区分配，无法确定注资钱包");
+        process.exit(1);
+    }
+    const communityWallet = deploymentInfo.tokenAllocation.community.address;
+
+    const [deployer] = await ethers.getSigners();
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const claimStart = process.env.MERKLE_CLAIM_START
+        ? Number(process.env.MERKLE_CLAIM_START)
+        : latestBlock.timestamp;
+    const claimDays = process.env.MERKLE_CLAIM_DAYS
+        ? Number(process.env.MERKLE_CLAIM_DAYS)
+        : DEFAULT_CLAIM_DAYS;
+    const claimEnd = claimStart + claimDays * 24 * 60 * 60;
+    const totalAmount = BigInt(distribution.totalAmount);
+
+    console.log("📋 分发信息:");
+    console.log("   网络:", network.name);
+    console.log("   部署者:", deployer.address);
+    console.log("   代币合约:", tokenAddress);
+    console.log("   社区钱包:", communityWallet);
+    console.log("   根哈希:", distribution.merkleRoot);
+    console.log("   接收地址数:", distribution.recipientCount);
+    console.log("   空投总量:", ethers.formatEther(totalAmount), "DDT");
+    console.log("   领取开始:", new Date(claimStart * 1000).toISOString());
+    console.log("   领取结束:", new Date(claimEnd * 1000).toISOString());
+    console.log("");
+
+    try {
+        // 1. 部署合约
+        console.log("📦 正在部署 MerkleDistributor 合约...");
+        const MerkleDistributor = await ethers.getContractFactory("MerkleDistributor");
+        const distributor = await MerkleDistributor.deploy(
+            tokenAddress,
+            distribution.merkleRoot,
+            claimStart,
+            claimEnd,
+            communityWallet
+        );
+        await distributor.waitForDeployment();
+        const distributorAddress = await distributor.getAddress();
+
+        console.log("✅ MerkleDistributor 合约部署成功!");
+        console.log("   合约地址:", distributorAddress);
+        console.log("   交易哈希:", distributor.deploymentTransaction().hash);
+        console.log("");
+
+        // 2. 转入空投代币
+        const didoToken = await ethers.getContractAt("DIDOToken", tokenAddress);
+        if (deployer.address.toLowerCase() === communityWallet.toLowerCase()) {
+            console.log("💰 从社区钱包转入空投代币...");
+            const fundTx = await didoToken.transfer(distributorAddress, totalAmount);
+            await fundTx.wait();
+            console.log("✅ 代币转入成功");
+        } else {
+            console.log("⚠️  部署者不是社区钱包，请由社区钱包手动转入空投代币:");
+            console.log(`   transfer(${distributorAddress}, ${totalAmount})`);
+        }
+        const balance = await didoToken.balanceOf(distributorAddress);
+        console.log("   合约余额:", ethers.formatEther(balance), "DDT");
+        console.log("");
+
+        // 3. 保存分发信息
+        if (!fs.existsSync(deploymentsDir)) {
+            fs.mkdirSync(deploymentsDir);
+        }
+        const recordFile = path.join(deploymentsDir, `${network.name}-merkle-distributors.json`);
+        const records = fs.existsSync(recordFile) ? JSON.parse(fs.readFileSync(recordFile, "utf8")) : [];
+        records.push({
+            address: distributorAddress,
+            merkleRoot: distribution.merkleRoot,
+            merkleFile: path.resolve(merkleFile),
+            recipientCount: distribution.recipientCount,
+            totalAmount: distribution.totalAmount,
+            claimStart,
+            claimEnd,
+            communityWallet,
+            deployer: deployer.address,
+            blockNumber: (await distributor.deploymentTransaction().wait()).blockNumber,
+            deploymentTime: new Date().toISOString()
+        });
+        fs.writeFileSync(recordFile, JSON.stringify(records, null, 2));
+
+        console.log("💾 分发信息已保存到:", recordFile);
+        console.log("");
+        console.log("🎉 部署完成!");
+        console.log("   用户领取: claim(account, amount, proof)，证明见", merkleFile);
+        console.log("   领取结束后任何人可调用 sweep() 将剩余代币退回社区钱包");
+        console.log("");
+
+    } catch (error) {
+        console.error("❌ 部署失败:", error.message);
+        console.error("错误详情:", error);
+        process.exit(1);
+    }
+}
+
+// 执行部署
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ 部署脚本执行失败:", error);
+        process.exit(1);
+    });
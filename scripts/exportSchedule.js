@@ -0,0 +1,278 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { isDeploymentComplete } = require("./lib/deployJournal");
+
+/**
+ * DIDO Token 释放时间表导出脚本
+ *
+ * 功能：
+ * - 读取部署信息，汇总 TokenVesting 和 VestingManager 中每个计划的释放曲线
+ * - 按天或按月取时间点，调用合约的 vestedAmountAt 查询每个时间点的已归属数量
+ * - 导出 CSV 和 JSON 两种格式，供财务做资金规划
+ *
+ * 环境变量：
+ * - EXPORT_RESOLUTION：daily（按天）或 monthly（按月，默认）
+ * - EXPORT_OUTPUT_DIR：输出目录，默认 deployments/
+ *
+ * 使用方法：
+ * - 测试网：npx hardhat run scripts/exportSchedule.js --network sepolia
+ * - 主网：EXPORT_RESOLUTION=daily npx hardhat run scripts/exportSchedule.js --network mainnet
+ *
+ * 输出：
+ * - <network>-unlock-schedule-<resolution>.csv：每行一个时间点，每个计划一列，最后两列为合计已归属数量和本期新增归属数量
+ * - <network>-unlock-schedule-<resolution>.json：同样的数据，附带每个计划的合约地址和总量
+ *
+ * 注意：
+ * - 时间点为开始时间、期间每个 UTC 零点（按天）或每月 1 日 UTC 零点（按月），以及最后一个计划的结束时间
+ * - 数量以 DDT 为单位；已撤销的计划在撤销之后按撤销时的已归属数量计算
+ */
+
+/// 支持的时间粒度
+const RESOLUTIONS = ["daily", "monthly"];
+
+/**
+ * 生成导出的时间点
+ * @param {number} start 起始时间（Unix 秒）
+ * @param {number} end 结束时间（Unix 秒）
+ * @param {string} resolution daily 或 monthly
+ * @returns {number[]} 严格递增的时间点，包含起始和结束时间
+ */
+function buildTimePoints(start, end, resolution) {
+    if (!RESOLUTIONS.includes(resolution)) {
+        throw new Error(`不支持的时间粒度 ${resolution}，可选: ${RESOLUTIONS.join(", ")}`);
+    }
+    if (end < start) {
+        throw new Error("结束时间不能早于起始时间");
+    }
+
+    const points = [start];
+    const cursor = new Date(start * 1000);
+    cursor.setUTCHours(0, 0, 0, 0);
+    if (resolution === "monthly") {
+        cursor.setUTCDate(1);
+    }
+    for (;;) {
+        if (resolution === "daily") {
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        } else {
+            cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+        }
+        const timestamp = cursor.getTime() / 1000;
+        if (timestamp >= end) {
+            break;
+        }
+        points.push(timestamp);
+    }
+    if (end > start) {
+        points.push(end);
+    }
+    return points;
+}
+
+/**
+ * 按时间点查询每个计划的已归属数量
+ * @param {{ label: string, vestedAmountAt: function(number): Promise<bigint> }[]} sources 计划列表
+ * @param {number[]} points 时间点
+ * @returns {Promise<{ timestamp: number, vested: bigint[], totalVested: bigint, unlocked: bigint }[]>} 每个时间点一行
+ *
+ * unlocked 为与上一行相比新增的归属数量，第一行为该时间点的全部已归属数量
+ */
+async function buildUnlockSchedule(sources, points) {
+    const rows = [];
+    let previousTotal = 0n;
+    for (const timestamp of points) {
+        const vested = [];
+        for (const source of sources) {
+            vested.push(await source.vestedAmountAt(timestamp));
+        }
+        const totalVested = vested.reduce((sum, amount) => sum + amount, 0n);
+        rows.push({ timestamp, vested, totalVested, unlocked: totalVested - previousTotal });
+        previousTotal = totalVested;
+    }
+    return rows;
+}
+
+/**
+ * 把时间戳格式化为 UTC 时间字符串（精确到秒）
+ * @param {number} timestamp Unix 秒
+ * @returns {string} 例如 2025-07-01T00:00:00Z
+ */
+function formatTimestamp(timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace(".000Z", "Z");
+}
+
+/**
+ * 生成 CSV 内容
+ * @param {{ label: string }[]} sources 计划列表
+ * @param {object[]} rows buildUnlockSchedule 的结果
+ * @returns {string} CSV 内容，数量以 DDT 为单位
+ */
+function formatCsv(sources, rows) {
+    const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value);
+    const header = ["date", "timestamp", ...sources.map(source => source.label), "total_vested", "unlocked_in_period"];
+    const lines = [header.map(escape).join(",")];
+    for (const row of rows) {
+        lines.push([
+            formatTimestamp(row.timestamp),
+            String(row.timestamp),
+            ...row.vested.map(amount => ethers.formatEther(amount)),
+            ethers.formatEther(row.totalVested),
+            ethers.formatEther(row.unlocked)
+        ].join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * 生成 JSON 内容
+ * @param {object} meta 导出信息（网络、时间粒度等）
+ * @param {{ label: string, contract: string, address: string, scheduleId?: number, totalAmount: bigint }[]} sources 计划列表
+ * @param {object[]} rows buildUnlockSchedule 的结果
+ * @returns {object} 可直接序列化的对象，数量以 DDT 字符串表示
+ */
+function formatJson(meta, sources, rows) {
+    return {
+        ...meta,
+        sources: sources.map(source => ({
+            label: source.label,
+            contract: source.contract,
+            address: source.address,
+            ...(source.scheduleId === undefined ? {} : { scheduleId: source.scheduleId }),
+            totalAmount: ethers.formatEther(source.totalAmount)
+        })),
+        rows: rows.map(row => ({
+            date: formatTimestamp(row.timestamp),
+            timestamp: row.timestamp,
+            vested: Object.fromEntries(sources.map((source, i) => [source.label, ethers.formatEther(row.vested[i])])),
+            totalVested: ethers.formatEther(row.totalVested),
+            unlocked: ethers.formatEther(row.unlocked)
+        }))
+    };
+}
+
+/**
+ * 从部署信息读取需要导出的计划
+ * @param {object} deploymentInfo 部署信息
+ * @returns {Promise<object[]>} 计划列表，每项包含标签、合约、总量、起止时间和查询函数
+ */
+async function loadSources(deploymentInfo) {
+    const sources = [];
+
+    const TokenVesting = await ethers.getContractFactory("TokenVesting");
+    const tokenVesting = TokenVesting.attach(deploymentInfo.contracts.TokenVesting.address);
+    const timeInfo = await tokenVesting.getTimeInfo();
+    sources.push({
+        label: "团队时间锁",
+        contract: "TokenVesting",
+        address: deploymentInfo.contracts.TokenVesting.address,
+        totalAmount: await tokenVesting.totalAmount(),
+        start: Number(timeInfo.contractStartTime),
+        end: Number(timeInfo.vestingEndTime),
+        vestedAmountAt: timestamp => tokenVesting.vestedAmountAt(timestamp)
+    });
+
+    if (deploymentInfo.contracts.VestingManager) {
+        const VestingManager = await ethers.getContractFactory("VestingManager");
+        const vestingManager = VestingManager.attach(deploymentInfo.contracts.VestingManager.address);
+        const labels = {};
+        for (const schedule of deploymentInfo.contracts.VestingManager.schedules || []) {
+            labels[schedule.id] = schedule.label;
+        }
+
+        const count = Number(await vestingManager.getScheduleCount());
+        for (let id = 0; id < count; id++) {
+            const schedule = await vestingManager.getSchedule(id);
+            const start = Number(schedule.start);
+            sources.push({
+                label: `${labels[id] || "计划"} #${id}`,
+                contract: "VestingManager",
+                address: deploymentInfo.contracts.VestingManager.address,
+                scheduleId: id,
+                totalAmount: schedule.totalAmount,
+                start,
+                end: start + Number(schedule.cliffDuration) + Number(schedule.releaseDuration),
+                vestedAmountAt: timestamp => vestingManager.vestedAmountAt(id, timestamp)
+            });
+        }
+    }
+
+    return sources;
+}
+
+async function main() {
+    console.log("📤 导出 DIDO Token 释放时间表...\n");
+
+    const resolution = process.env.EXPORT_RESOLUTION || "monthly";
+    if (!RESOLUTIONS.includes(resolution)) {
+        console.error(`❌ EXPORT_RESOLUTION 必须为 ${RESOLUTIONS.join(" 或 ")}:`, resolution);
+        process.exit(1);
+    }
+    const outputDir = process.env.EXPORT_OUTPUT_DIR || path.join(__dirname, "..", "deployments");
+
+    // 读取部署信息
+    const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}-deployment.json`);
+    if (!fs.existsSync(deploymentFile)) {
+        console.error("❌ 找不到部署信息文件:", deploymentFile);
+        console.error("请先运行部署脚本: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    if (!isDeploymentComplete(deploymentInfo)) {
+        console.error("❌ 部署尚未完成:", deploymentFile);
+        console.error("请重新运行部署脚本从中断处继续: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+
+    // 1. 读取计划
+    console.log("🔍 读取锁仓计划...");
+    const sources = await loadSources(deploymentInfo);
+    for (const source of sources) {
+        console.log(`   ${source.label}: ${ethers.formatEther(source.totalAmount)} DDT，${formatTimestamp(source.start)} ~ ${formatTimestamp(source.end)}`);
+    }
+    console.log("");
+
+    // 2. 按时间点查询已归属数量
+    const start = Math.min(...sources.map(source => source.start));
+    const end = Math.max(...sources.map(source => source.end));
+    const points = buildTimePoints(start, end, resolution);
+    console.log(`⏳ 查询 ${points.length} 个时间点（${resolution === "daily" ? "按天" : "按月"}）...`);
+    const rows = await buildUnlockSchedule(sources, points);
+    console.log("");
+
+    // 3. 写入文件
+    fs.mkdirSync(outputDir, { recursive: true });
+    const baseName = `${network.name}-unlock-schedule-${resolution}`;
+    const csvFile = path.join(outputDir, `${baseName}.csv`);
+    const jsonFile = path.join(outputDir, `${baseName}.json`);
+    const meta = {
+        network: network.name,
+        generatedAt: new Date().toISOString(),
+        resolution
+    };
+    fs.writeFileSync(csvFile, formatCsv(sources, rows));
+    fs.writeFileSync(jsonFile, JSON.stringify(formatJson(meta, sources, rows), null, 2));
+
+    console.log("🎉 导出完成!");
+    console.log("   锁仓总量:", ethers.formatEther(sources.reduce((sum, source) => sum + source.totalAmount, 0n)), "DDT");
+    console.log("   时间点数量:", rows.length);
+    console.log("   CSV 文件:", csvFile);
+    console.log("   JSON 文件:", jsonFile);
+}
+
+module.exports = {
+    buildTimePoints,
+    buildUnlockSchedule,
+    formatCsv,
+    formatJson
+};
+
+// 直接运行时执行导出，被测试引用时只导出工具函数
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ 导出脚本执行失败:", error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,141 @@
+const { ethers } = require("ethers");
+
+/**
+ * 初始代币分配工具
+ *
+ * DIDOToken 构造函数接收地址和数量两个列表，数量之和必须恰好等于最大供应量。
+ * 分配列表来自部署清单的 allocations（见 lib/manifest.js），供 scripts/deploy.js（生成构造参数和部署记录）、
+ * scripts/verify.js 和 scripts/checkBalances.js 共用，不依赖 Hardhat 运行环境
+ */
+
+/// 代币最大供应量，与合约中的 MAX_SUPPLY 一致
+const MAX_SUPPLY = ethers.parseEther("1000000");
+
+/// 锁定在 TokenVesting 的团队分配的 key
+const TEAM_KEY = "team";
+
+/**
+ * 校验分配列表
+ * @param {object[]} list 分配列表，每项为 { key, label, address, amount }，amount 以 DDT 为单位
+ * @returns {{ entries: { key: string, label: string, address: string, amount: bigint }[], errors: string[] }} 校验结果
+ *
+ * 规则：
+ * - key 只能包含字母、数字和下划线且不能以数字开头（保证写入部署信息后顺序不变），必须唯一
+ * - 必须有一项 key 为 team（团队代币，部署后锁定在 TokenVesting）
+ * - label 省略时使用 key
+ * - 地址统一转换为校验和格式，不能为零地址，不能重复
+ * - 数量必须大于 0，总和必须恰好等于最大供应量
+ */
+function parseAllocation(list) {
+    const entries = [];
+    const errors = [];
+
+    if (!Array.isArray(list) || list.length === 0) {
+        return { entries, errors: ["分配列表必须是非空数组"] };
+    }
+
+    const keys = new Set();
+    const addresses = new Set();
+    list.forEach((item, index) => {
+        const name = `第 ${index + 1} 项`;
+        if (!item || typeof item !== "object") {
+            errors.push(`${name}: 必须是对象`);
+            return;
+        }
+
+        const key = typeof item.key === "string" ? item.key.trim() : "";
+        if (key === "") {
+            errors.push(`${name}: 缺少 key`);
+            return;
+        }
+        if (!/^[A-Za-z_]\w*$/.test(key)) {
+            errors.push(`${name}: key ${key} 只能包含字母、数字和下划线，且不能以数字开头`);
+            return;
+        }
+        if (keys.has(key)) {
+            errors.push(`${name}: key ${key} 重复`);
+            return;
+        }
+        keys.add(key);
+
+        if (typeof item.address !== "string" || !ethers.isAddress(item.address) || item.address === ethers.ZeroAddress) {
+            errors.push(`${name} (${key}): 无效的地址 ${item.address}`);
+            return;
+        }
+        const address = ethers.getAddress(item.address);
+        if (addresses.has(address)) {
+            errors.push(`${name} (${key}): 地址 ${address} 重复`);
+            return;
+        }
+        addresses.add(address);
+
+        let amount;
+        try {
+            amount = ethers.parseEther(String(item.amount));
+        } catch (error) {
+            errors.push(`${name} (${key}): 无效的数量 ${item.amount}`);
+            return;
+        }
+        if (amount <= 0n) {
+            errors.push(`${name} (${key}): 数量必须大于 0`);
+            return;
+        }
+
+        entries.push({ key, label: item.label || key, address, amount });
+    });
+
+    if (errors.length === 0) {
+        if (!keys.has(TEAM_KEY)) {
+            errors.push(`缺少 key 为 ${TEAM_KEY} 的团队分配`);
+        }
+        const total = entries.reduce((sum, entry) => sum + entry.amount, 0n);
+        if (total !== MAX_SUPPLY) {
+            errors.push(`分配总量 ${ethers.formatEther(total)} DDT 必须等于最大供应量 ${ethers.formatEther(MAX_SUPPLY)} DDT`);
+        }
+    }
+
+    return { entries, errors };
+}
+
+/**
+ * 计算分配数量占最大供应量的百分比
+ * @param {bigint} amount 数量（wei）
+ * @returns {string} 例如 "40%"、"12.5%"，最多保留两位小数
+ */
+function formatPercentage(amount) {
+    const basisPoints = Number((amount * 10000n) / MAX_SUPPLY);
+    return `${Number((basisPoints / 100).toFixed(2))}%`;
+}
+
+/**
+ * 生成 DIDOToken 构造参数
+ * @param {{ address: string, amount: bigint }[]} entries 分配列表
+ * @returns {[string[], bigint[]]} 地址列表和数量列表
+ */
+function toConstructorArgs(entries) {
+    return [entries.map(entry => entry.address), entries.map(entry => entry.amount)];
+}
+
+/**
+ * 从部署信息的 tokenAllocation 还原分配列表（保持部署时的顺序）
+ * @param {object} tokenAllocation 部署信息中的 tokenAllocation
+ * @returns {{ key: string, label: string, address: string, amount: bigint, percentage: string }[]} 分配列表
+ */
+function allocationFromDeployment(tokenAllocation) {
+    return Object.entries(tokenAllocation).map(([key, item]) => ({
+        key,
+        label: item.label || key,
+        address: item.address,
+        amount: ethers.parseEther(item.amount),
+        percentage: item.percentage
+    }));
+}
+
+module.exports = {
+    MAX_SUPPLY,
+    TEAM_KEY,
+    parseAllocation,
+    formatPercentage,
+    toConstructorArgs,
+    allocationFromDeployment
+};
@@ -0,0 +1,147 @@
+const { ethers } = require("ethers");
+
+/**
+ * CREATE2 确定性部署工具
+ *
+ * 部署链路：标准确定性部署代理 → Create2Deployer 工厂 → DIDOToken / TokenVesting / VestingManager。
+ * 代理在各链上地址相同，工厂没有构造参数，因此工厂地址在各链上相同；项目合约地址只由
+ * 工厂地址、部署者地址、salt 和初始化代码决定，相同的部署清单和部署者在每条链上得到相同的地址。
+ * 所有地址都可以在发送任何交易之前算出。供 scripts/deploy.js 和 scripts/predictAddresses.js 共用，不依赖 Hardhat 运行环境
+ *
+ * 注意：
+ * - 初始化代码包含编译产物，各链部署必须使用同一份合约源码和编译器配置
+ * - 构造参数必须一致：分配列表、团队时间锁参数（startTime 为 0 或同一个固定时间）在各网络清单中要相同
+ */
+
+/// 标准确定性部署代理（https://github.com/Arachnid/deterministic-deployment-proxy），调用数据为 salt + 初始化代码
+const DETERMINISTIC_DEPLOYMENT_PROXY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+/// 通过标准代理部署 Create2Deployer 时使用的 salt
+const FACTORY_SALT = ethers.ZeroHash;
+
+/**
+ * 生成初始化代码
+ * @param {{ abi: object, bytecode: string }} artifact 编译产物（artifacts.readArtifact 的结果）
+ * @param {Array} args 构造参数
+ * @returns {string} 字节码 + ABI 编码的构造参数
+ */
+function initCode(artifact, args = []) {
+    return ethers.concat([artifact.bytecode, ethers.Interface.from(artifact.abi).encodeDeploy(args)]);
+}
+
+/**
+ * 各合约使用的 salt：由清单中的 salt 字符串和合约名派生，同一清单中的合约互不冲突
+ * @param {string} salt 清单中的 create2.salt
+ * @param {string} contractName 合约名
+ * @returns {string} bytes32
+ */
+function contractSalt(salt, contractName) {
+    return ethers.id(`${salt}:${contractName}`);
+}
+
+/**
+ * Create2Deployer 实际传给 CREATE2 的 salt，与合约中的 guardedSalt 一致
+ * @param {string} caller 调用者地址
+ * @param {string} salt bytes32
+ * @returns {string} keccak256(abi.encode(caller, salt))
+ */
+function guardedSalt(caller, salt) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [caller, salt]));
+}
+
+/**
+ * 通过标准代理部署工厂时的交易数据
+ * @param {{ abi: object, bytecode: string }} factoryArtifact Create2Deployer 编译产物
+ * @returns {string} 调用数据
+ */
+function factoryDeployData(factoryArtifact) {
+    return ethers.concat([FACTORY_SALT, initCode(factoryArtifact)]);
+}
+
+/**
+ * 预测工厂地址
+ * @param {{ abi: object, bytecode: string }} factoryArtifact Create2Deployer 编译产物
+ * @returns {string} 工厂地址
+ */
+function predictFactoryAddress(factoryArtifact) {
+    return ethers.getCreate2Address(DETERMINISTIC_DEPLOYMENT_PROXY, FACTORY_SALT, ethers.keccak256(initCode(factoryArtifact)));
+}
+
+/**
+ * 预测通过工厂部署的合约地址
+ * @param {{ factory: string, caller: string, salt: string, initCode: string }} params 工厂地址、调用者、salt（bytes32）和初始化代码
+ * @returns {string} 合约地址
+ */
+function predictAddress({ factory, caller, salt, initCode: code }) {
+    return ethers.getCreate2Address(factory, guardedSalt(caller, salt), ethers.keccak256(code));
+}
+
+/**
+ * 预测部署清单中各合约的地址
+ * @param {object} manifest parseManifest 返回的清单，必须配置 create2
+ * @param {string} caller 部署者地址
+ * @param {object} artifacts 编译产物：{ Create2Deployer, DIDOToken, TokenVesting, VestingManager }
+ * @param {Function} tokenVestingArgs 生成 TokenVesting 构造参数的函数（见 lib/manifest.js）
+ * @returns {{ factory: string, contracts: object }} 工厂地址和各合约的 { salt, initCode, address }
+ *
+ * TokenVesting 和 VestingManager 的构造参数包含 DIDOToken 地址，因此按部署顺序依次计算；
+ * 没有多受益人计划时不包含 VestingManager
+ */
+function predictDeployment(manifest, caller, artifacts, tokenVestingArgs) {
+    const factory = predictFactoryAddress(artifacts.Create2Deployer);
+    const contracts = {};
+    const add = (name, args) => {
+        const salt = contractSalt(manifest.create2.salt, name);
+        const code = initCode(artifacts[name], args);
+        contracts[name] = { salt, initCode: code, address: predictAddress({ factory, caller, salt, initCode: code }) };
+        return contracts[name].address;
+    };
+
+    const tokenAddress = add("DIDOToken", [
+        manifest.allocations.map(entry => entry.address),
+        manifest.allocations.map(entry => entry.amount)
+    ]);
+    add("TokenVesting", tokenVestingArgs(manifest, tokenAddress));
+    if (manifest.schedules.length > 0) {
+        add("VestingManager", [tokenAddress]);
+    }
+    return { factory, contracts };
+}
+
+/**
+ * 部署后由工厂对新合约发起的移交调用
+ * @param {string} contractName 合约名
+ * @param {{ abi: object }} artifact 编译产物
+ * @param {string} factory 工厂地址
+ * @param {string} caller 部署者地址
+ * @returns {string[]} ABI 编码的调用列表
+ *
+ * 项目合约把初始角色和所有权交给构造时的 msg.sender（即工厂），移交后的状态与部署者直接部署一致：
+ * - DIDOToken：授予部署者暂停者、黑名单管理员角色，工厂放弃这两个角色，并发起管理员移交
+ * - TokenVesting、VestingManager：发起所有权移交
+ * 部署者随后调用 acceptAdminTransfer() / acceptOwnership() 完成移交
+ */
+function handoverCalls(contractName, artifact, factory, caller) {
+    const iface = ethers.Interface.from(artifact.abi);
+    if (contractName === "DIDOToken") {
+        const roles = [ethers.id("PAUSER_ROLE"), ethers.id("BLACKLIST_MANAGER_ROLE")];
+        return [
+            ...roles.map(role => iface.encodeFunctionData("grantRole", [role, caller])),
+            ...roles.map(role => iface.encodeFunctionData("renounceRole", [role, factory])),
+            iface.encodeFunctionData("beginAdminTransfer", [caller])
+        ];
+    }
+    return [iface.encodeFunctionData("transferOwnership", [caller])];
+}
+
+module.exports = {
+    DETERMINISTIC_DEPLOYMENT_PROXY,
+    initCode,
+    contractSalt,
+    guardedSalt,
+    factoryDeployData,
+    predictFactoryAddress,
+    predictAddress,
+    predictDeployment,
+    handoverCalls
+};
@@ -0,0 +1,84 @@
+const { ethers } = require("ethers");
+
+/**
+ * 分发名单 CSV 解析工具
+ *
+ * 供 scripts/airdrop.js（直接转账空投）和 scripts/buildMerkleTree.js（Merkle 领取）共用，
+ * 不依赖 Hardhat 运行环境，可以直接用 node 调用
+ */
+
+/**
+ * 解析空投 CSV 内容
+ * @param {string} content CSV 文件内容
+ * @returns {{ entries: { line: number, address: string, amount: bigint }[], errors: string[] }} 解析结果
+ *
+ * 规则：
+ * - 空行和 # 开头的注释行会被忽略
+ * - 第一行的第一列不是地址时视为表头并跳过
+ * - 地址统一转换为校验和格式，重复地址视为错误
+ * - 数量以 DDT 为单位（支持小数），必须大于 0
+ */
+function parseAirdropCsv(content) {
+    const entries = [];
+    const errors = [];
+    const seen = new Map();
+    let firstRow = true;
+
+    const lines = content.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const lineNumber = i + 1;
+        const line = lines[i].trim();
+        if (line === "" || line.startsWith("#")) {
+            continue;
+        }
+
+        const columns = line.split(",").map(column => column.trim());
+        const isHeader = firstRow && !/^0x/i.test(columns[0]);
+        firstRow = false;
+        if (isHeader) {
+            continue;
+        }
+
+        if (columns.length !== 2) {
+            errors.push(`第 ${lineNumber} 行: 应为 "地址,数量" 两列`);
+            continue;
+        }
+
+        const [rawAddress, rawAmount] = columns;
+        if (!ethers.isAddress(rawAddress)) {
+            errors.push(`第 ${lineNumber} 行: 无效的地址 ${rawAddress}`);
+            continue;
+        }
+        const address = ethers.getAddress(rawAddress);
+        if (address === ethers.ZeroAddress) {
+            errors.push(`第 ${lineNumber} 行: 不能向零地址空投`);
+            continue;
+        }
+
+        let amount;
+        try {
+            amount = ethers.parseEther(rawAmount);
+        } catch (error) {
+            errors.push(`第 ${lineNumber} 行: 无效的数量 ${rawAmount}`);
+            continue;
+        }
+        if (amount <= 0n) {
+            errors.push(`第 ${lineNumber} 行: 数量必须大于 0`);
+            continue;
+        }
+
+        if (seen.has(address)) {
+            errors.push(`第 ${lineNumber} 行: 地址 ${address} 与第 ${seen.get(address)} 行重复`);
+            continue;
+        }
+        seen.set(address, lineNumber);
+
+        entries.push({ line: lineNumber, address, amount });
+    }
+
+    return { entries, errors };
+}
+
+module.exports = {
+    parseAirdropCsv
+};
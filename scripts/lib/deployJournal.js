@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * 部署步骤日志工具
+ *
+ * scripts/deploy.js 把部署信息文件（deployments/<network>-deployment.json）同时用作步骤日志：
+ * 步骤开始、每笔交易发出、步骤完成时都立即写回文件。部署中断后重新运行部署脚本，
+ * 每个未记录为完成的步骤先以链上状态判断是否其实已经完成，再从第一个未完成的步骤继续，
+ * 不会重复部署已经上链的合约。不依赖 Hardhat 运行环境
+ *
+ * 部署记录的 status：
+ * - in-progress：部署未完成，重新运行部署脚本继续
+ * - completed：部署完成（早于步骤日志的部署记录没有 status 字段，同样视为已完成）
+ *
+ * 需要由部署者无法控制的账户（例如多签团队钱包）执行的步骤不发送交易，而是记录为 awaiting-execution
+ * 并附上待执行的调用；依赖它的步骤暂停，等链上确认这些调用已执行后再继续
+ */
+
+/// 部署记录状态
+const DEPLOYMENT_STATUS = {
+    IN_PROGRESS: "in-progress",
+    COMPLETED: "completed"
+};
+
+/// 步骤状态
+const STEP_STATUS = {
+    PENDING: "pending",
+    AWAITING_EXECUTION: "awaiting-execution",
+    COMPLETED: "completed",
+    SKIPPED: "skipped"
+};
+
+/**
+ * 部署是否已完成
+ * @param {object} deploymentInfo 部署信息
+ * @returns {boolean} 是否已完成
+ */
+function isDeploymentComplete(deploymentInfo) {
+    return deploymentInfo.status === undefined || deploymentInfo.status === DEPLOYMENT_STATUS.COMPLETED;
+}
+
+/**
+ * 读取部署记录，不存在时创建新记录
+ * @param {string} file 部署信息文件路径
+ * @param {{ network: string, chainId: number, deployer: string, manifest: { file: string, sha256: string } }} identity 本次部署的标识
+ * @returns {object} 部署记录
+ * @throws {Error} 未完成的部署记录与本次部署的网络、部署者或清单不一致时抛出
+ */
+function loadJournal(file, identity) {
+    if (!fs.existsSync(file)) {
+        return {
+            ...identity,
+            status: DEPLOYMENT_STATUS.IN_PROGRESS,
+            deploymentTime: new Date().toISOString(),
+            steps: {},
+            contracts: {}
+        };
+    }
+
+    const journal = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (isDeploymentComplete(journal)) {
+        return journal;
+    }
+
+    const recorded = { ...journal, manifest: journal.manifest && journal.manifest.sha256 };
+    const expected = { ...identity, manifest: identity.manifest.sha256 };
+    for (const key of ["network", "chainId", "deployer", "manifest"]) {
+        if (recorded[key] !== expected[key]) {
+            throw new Error(`部署记录 ${file} 的 ${key} 与本次部署不一致，如需重新开始请先删除该文件`);
+        }
+    }
+    return journal;
+}
+
+/**
+ * 保存部署记录
+ * @param {string} file 部署信息文件路径
+ * @param {object} journal 部署记录
+ */
+function saveJournal(file, journal) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    journal.updatedAt = new Date().toISOString();
+    fs.writeFileSync(file, JSON.stringify(journal, null, 2));
+}
+
+/**
+ * 等待上次中断时已发出但未确认的交易
+ * @param {{ hash: string }[]} transactions 步骤记录的交易
+ * @param {object} provider 网络提供者
+ * @returns {Promise<void>}
+ *
+ * 只负责等待交易落定，交易成功与否由步骤的链上检查判断：
+ * 已上链的交易直接跳过；仍在等待打包的交易等待其确认；回滚或已从节点消失的交易忽略
+ */
+async function settleTransactions(transactions, provider) {
+    for (const { hash } of transactions) {
+        if (await provider.getTransactionReceipt(hash)) {
+            continue;
+        }
+        const tx = await provider.getTransaction(hash);
+        if (tx) {
+            try {
+                await tx.wait();
+            } catch (error) {
+                // 交易回滚，交由链上检查决定是否重新执行
+            }
+        }
+    }
+}
+
+/**
+ * 依次执行部署步骤，跳过已完成的步骤
+ * @param {object[]} steps 步骤列表，每项为 { name, title, enabled, dependsOn, isDone, run }
+ * @param {object} options 选项
+ * @param {object} options.journal 部署记录
+ * @param {Function} options.save 保存部署记录
+ * @param {object} options.provider 网络提供者
+ * @param {Function} [options.log] 输出函数，默认 console.log
+ * @param {object} [options.hooks] 测试用的注入点：beforeStep(name)、afterTransaction(name, label, tx)
+ * @returns {Promise<{ awaiting: object[] }>} 等待外部执行的步骤（{ name, title, calls }），全部完成时为空数组
+ * @throws {Error} 步骤执行失败，或执行后链上检查仍未通过时抛出，已完成的步骤保留在部署记录中
+ *
+ * 步骤约定：
+ * - enabled 为 false 时记录为 skipped（例如没有多受益人计划时不部署 VestingManager）
+ * - isDone() 只读取链上状态（及部署记录中的合约地址），判断步骤是否已经完成
+ * - run(send, defer) 执行步骤，交易通过 send(label, tx) 发出：交易哈希先写入部署记录再等待确认，回滚时抛出异常
+ * - 步骤需要的账户不可用时，run 调用 defer(calls) 交出待执行的调用（{ label, to, value, data }），
+ *   步骤记录为 awaiting-execution，继续执行后面的步骤
+ * - dependsOn 列出的步骤仍在等待外部执行时，在此步骤处停止，已完成的步骤保留在部署记录中
+ */
+async function runSteps(steps, { journal, save, provider, log = console.log, hooks = {} }) {
+    const awaiting = [];
+    for (const step of steps) {
+        const record = journal.steps[step.name];
+        if (record && record.status !== STEP_STATUS.PENDING && record.status !== STEP_STATUS.AWAITING_EXECUTION) {
+            log(`⏭️  ${step.title}: ${record.status === STEP_STATUS.SKIPPED ? "无需执行" : "已完成"}`);
+            continue;
+        }
+        if (step.enabled === false) {
+            journal.steps[step.name] = { status: STEP_STATUS.SKIPPED };
+            save();
+            continue;
+        }
+
+        const blockedBy = (step.dependsOn || []).filter(name => awaiting.some(entry => entry.name === name));
+        if (blockedBy.length > 0) {
+            log(`⏸️  ${step.title}: 等待外部执行的步骤完成后继续`);
+            return { awaiting };
+        }
+
+        if (record) {
+            const wasAwaiting = record.status === STEP_STATUS.AWAITING_EXECUTION;
+            await settleTransactions(record.transactions, provider);
+            if (await step.isDone()) {
+                record.status = STEP_STATUS.COMPLETED;
+                record.completedAt = new Date().toISOString();
+                save();
+                log(`⏭️  ${step.title}: ${wasAwaiting ? "待执行的调用已在链上执行" : "上次中断前已在链上完成"}`);
+                continue;
+            }
+            log(wasAwaiting ? `⏳ ${step.title}: 待执行的调用尚未在链上执行` : `🔁 ${step.title}: 上次未完成，重新执行`);
+        }
+
+        const current = { status: STEP_STATUS.PENDING, startedAt: new Date().toISOString(), transactions: record ? record.transactions : [] };
+        journal.steps[step.name] = current;
+        save();
+
+        if (hooks.beforeStep) {
+            await hooks.beforeStep(step.name);
+        }
+        let deferredCalls = null;
+        await step.run(async (label, txOrPromise) => {
+            const tx = await txOrPromise;
+            current.transactions.push({ label, hash: tx.hash });
+            save();
+            if (hooks.afterTransaction) {
+                await hooks.afterTransaction(step.name, label, tx);
+            }
+            return tx.wait();
+        }, calls => {
+            deferredCalls = calls;
+        });
+
+        // 待执行的调用以本次运行时的链上状态生成，重新运行时覆盖上次的记录
+        if (deferredCalls) {
+            current.status = STEP_STATUS.AWAITING_EXECUTION;
+            current.calls = deferredCalls;
+            save();
+            awaiting.push({ name: step.name, title: step.title, calls: deferredCalls });
+            continue;
+        }
+
+        if (!(await step.isDone())) {
+            throw new Error(`${step.title}: 执行后链上状态仍未完成`);
+        }
+        current.status = STEP_STATUS.COMPLETED;
+        current.completedAt = new Date().toISOString();
+        save();
+    }
+    return { awaiting };
+}
+
+module.exports = {
+    DEPLOYMENT_STATUS,
+    STEP_STATUS,
+    isDeploymentComplete,
+    loadJournal,
+    saveJournal,
+    settleTransactions,
+    runSteps
+};
@@ -0,0 +1,483 @@
+const { ethers } = require("ethers");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { TEAM_KEY, parseAllocation } = require("./allocation");
+
+/**
+ * 部署清单工具
+ *
+ * 每个网络一个清单文件（默认 manifests/<network>.json），集中描述初始分配、团队时间锁参数、
+ * 多受益人锁仓计划、DIDOToken 角色和合约最终所有者。
+ * 供 scripts/deploy.js、scripts/verify.js 和 scripts/checkBalances.js 共用，不依赖 Hardhat 运行环境
+ *
+ * 校验分两步：
+ * 1. 按 MANIFEST_SCHEMA 检查结构和字段类型（缺少字段、类型错误、未知字段）
+ * 2. 检查字段之间的约束（分配总量、步长整除释放期、计划总量不超过团队代币等）
+ * 所有错误一次性返回，错误信息以字段路径开头，例如 "vesting.cliffDays: 不能小于 0"
+ */
+
+/// 一天的秒数
+const DAY = 24 * 60 * 60;
+
+/// 悬崖期 + 释放期的上限（天），与合约一致
+const MAX_VESTING_DAYS = 3650;
+
+/// 分批解锁计划的批次上限，与 VestingManager 一致
+const MAX_TRANCHES = 120;
+
+/// 锁仓计划条目的结构
+const SCHEDULE_SCHEMA = {
+    type: "object",
+    required: ["beneficiary"],
+    properties: {
+        label: { type: "string" },
+        type: { type: "string", enum: ["linear", "step", "tranche"] },
+        beneficiary: { type: "address" },
+        amount: { type: "amount" },
+        start: { type: "timestamp" },
+        cliffDays: { type: "integer", minimum: 0 },
+        releaseDays: { type: "integer", minimum: 1 },
+        stepDays: { type: "integer", minimum: 1 },
+        tranches: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_TRANCHES,
+            items: {
+                type: "object",
+                required: ["time", "amount"],
+                properties: {
+                    time: { type: "timestamp" },
+                    amount: { type: "amount" }
+                }
+            }
+        }
+    }
+};
+
+/// 部署清单的结构
+const MANIFEST_SCHEMA = {
+    type: "object",
+    required: ["network", "chainId", "allocations", "vesting"],
+    properties: {
+        description: { type: "string" },
+        network: { type: "string" },
+        chainId: { type: "integer", minimum: 1 },
+        allocations: {
+            type: "array",
+            minItems: 1,
+            items: {
+                type: "object",
+                required: ["key", "address", "amount"],
+                properties: {
+                    key: { type: "string", pattern: /^[A-Za-z_]\w*$/, patternMessage: "只能包含字母、数字和下划线，且不能以数字开头" },
+                    label: { type: "string" },
+                    address: { type: "address" },
+                    amount: { type: "amount" }
+                }
+            }
+        },
+        vesting: {
+            type: "object",
+            required: ["cliffDays", "releaseDays"],
+            properties: {
+                startTime: { type: "timestamp" },
+                cliffDays: { type: "integer", minimum: 0 },
+                releaseDays: { type: "integer", minimum: 1 },
+                stepDays: { type: "integer", minimum: 0 },
+                revocationReceiver: { type: "address" },
+                schedules: { type: "array", items: SCHEDULE_SCHEMA }
+            }
+        },
+        roles: {
+            type: "object",
+            properties: {
+                admin: { type: "address" },
+                pausers: { type: "array", minItems: 1, items: { type: "address" } },
+                blacklistManagers: { type: "array", minItems: 1, items: { type: "address" } }
+            }
+        },
+        owner: { type: "address" },
+        multisig: {
+            type: "object",
+            required: ["address", "threshold"],
+            properties: {
+                address: { type: "address" },
+                threshold: { type: "integer", minimum: 1 },
+                owners: { type: "array", minItems: 1, items: { type: "address" } }
+            }
+        },
+        create2: {
+            type: "object",
+            required: ["salt"],
+            properties: {
+                salt: { type: "string" }
+            }
+        }
+    }
+};
+
+/**
+ * 解析时间配置
+ * @param {string|number} value ISO 时间字符串或 Unix 秒
+ * @returns {number|null} Unix 秒，无法解析时返回 null
+ */
+function parseStartTime(value) {
+    if (typeof value !== "number" && typeof value !== "string") {
+        return null;
+    }
+    const start = typeof value === "number" || /^\d+$/.test(value.trim())
+        ? Number(value)
+        : Math.floor(Date.parse(value) / 1000);
+    return Number.isInteger(start) && start > 0 ? start : null;
+}
+
+/**
+ * 解析 DDT 数量
+ * @param {string|number} value 以 DDT 为单位的数量
+ * @returns {bigint|null} wei，无法解析或不大于 0 时返回 null
+ */
+function parseAmount(value) {
+    if (typeof value !== "number" && typeof value !== "string") {
+        return null;
+    }
+    try {
+        const amount = ethers.parseEther(String(value));
+        return amount > 0n ? amount : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 按结构定义校验数据
+ * @param {*} value 待校验的数据
+ * @param {object} schema 结构定义（MANIFEST_SCHEMA 或其中的一部分）
+ * @param {string} at 当前字段路径，用于错误信息
+ * @returns {string[]} 错误列表
+ *
+ * 支持的类型：object、array、string、integer，以及 address（非零地址）、amount（大于 0 的 DDT 数量）、
+ * timestamp（ISO 时间字符串或 Unix 秒）。对象不允许出现结构定义之外的字段，避免拼写错误被静默忽略
+ */
+function validateSchema(value, schema, at = "") {
+    const name = at || "清单";
+    const errors = [];
+
+    switch (schema.type) {
+    case "object":
+        if (value === null || typeof value !== "object" || Array.isArray(value)) {
+            return [`${name}: 必须是对象`];
+        }
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${at ? at + "." : ""}${key}: 缺少必填字段`);
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childAt = at ? `${at}.${key}` : key;
+            if (!schema.properties[key]) {
+                errors.push(`${childAt}: 不支持的字段`);
+            } else if (child !== undefined) {
+                errors.push(...validateSchema(child, schema.properties[key], childAt));
+            }
+        }
+        break;
+    case "array":
+        if (!Array.isArray(value)) {
+            return [`${name}: 必须是数组`];
+        }
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${name}: 至少需要 ${schema.minItems} 项`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${name}: 最多 ${schema.maxItems} 项`);
+        }
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${name}[${i}]`)));
+        break;
+    case "string":
+        if (typeof value !== "string" || value.trim() === "") {
+            return [`${name}: 必须是非空字符串`];
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${name}: 必须是 ${schema.enum.join("、")} 之一`);
+        }
+        if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push(`${name}: ${schema.patternMessage}`);
+        }
+        break;
+    case "integer":
+        if (!Number.isInteger(value)) {
+            return [`${name}: 必须是整数`];
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${name}: 不能小于 ${schema.minimum}`);
+        }
+        break;
+    case "address":
+        if (typeof value !== "string" || !ethers.isAddress(value) || value === ethers.ZeroAddress) {
+            errors.push(`${name}: 必须是有效的非零地址`);
+        }
+        break;
+    case "amount":
+        if (parseAmount(value) === null) {
+            errors.push(`${name}: 必须是大于 0 的 DDT 数量`);
+        }
+        break;
+    case "timestamp":
+        if (parseStartTime(value) === null) {
+            errors.push(`${name}: 必须是 ISO 时间字符串或 Unix 秒`);
+        }
+        break;
+    default:
+        throw new Error(`未知的结构类型: ${schema.type}`);
+    }
+
+    return errors;
+}
+
+/**
+ * 解析锁仓计划条目（结构已通过校验）
+ * @param {object} item 计划条目
+ * @param {string} at 字段路径，用于错误信息
+ * @param {string[]} errors 错误列表，约束错误追加到此处
+ * @returns {object} 计划，amount 为 wei，start 为 Unix 秒（未配置时为 null，表示部署时开始）
+ */
+function parseSchedule(item, at, errors) {
+    const type = item.type || "linear";
+    const label = item.label || at;
+    const beneficiary = ethers.getAddress(item.beneficiary);
+
+    if (type === "tranche") {
+        for (const field of ["amount", "start", "cliffDays", "releaseDays", "stepDays"]) {
+            if (item[field] !== undefined) {
+                errors.push(`${at}.${field}: 分批解锁计划不使用此字段，数量和时间由 tranches 决定`);
+            }
+        }
+        if (item.tranches === undefined) {
+            errors.push(`${at}.tranches: 分批解锁计划缺少必填字段`);
+            return { label, type, beneficiary, amount: 0n, tranches: [] };
+        }
+        const tranches = item.tranches.map(tranche => ({
+            unlockTime: parseStartTime(tranche.time),
+            amount: parseAmount(tranche.amount)
+        }));
+        for (let i = 1; i < tranches.length; i++) {
+            if (tranches[i].unlockTime <= tranches[i - 1].unlockTime) {
+                errors.push(`${at}.tranches[${i}].time: 必须晚于上一批`);
+            }
+        }
+        return {
+            label,
+            type,
+            beneficiary,
+            amount: tranches.reduce((sum, tranche) => sum + tranche.amount, 0n),
+            tranches
+        };
+    }
+
+    for (const field of ["amount", "releaseDays"]) {
+        if (item[field] === undefined) {
+            errors.push(`${at}.${field}: 缺少必填字段`);
+        }
+    }
+    if (item.tranches !== undefined) {
+        errors.push(`${at}.tranches: 只有分批解锁计划使用此字段`);
+    }
+    const cliffDays = item.cliffDays ?? 0;
+    const releaseDays = item.releaseDays ?? 0;
+    let stepDays = 0;
+    if (type === "step") {
+        if (item.stepDays === undefined) {
+            errors.push(`${at}.stepDays: 阶梯释放计划缺少必填字段`);
+        } else if (releaseDays % item.stepDays !== 0) {
+            errors.push(`${at}.stepDays: 必须能整除 releaseDays`);
+        }
+        stepDays = item.stepDays ?? 0;
+    } else if (item.stepDays !== undefined) {
+        errors.push(`${at}.stepDays: 只有阶梯释放计划使用此字段`);
+    }
+    if (cliffDays + releaseDays > MAX_VESTING_DAYS) {
+        errors.push(`${at}: cliffDays + releaseDays 不能超过 ${MAX_VESTING_DAYS} 天`);
+    }
+
+    return {
+        label,
+        type,
+        beneficiary,
+        amount: parseAmount(item.amount) ?? 0n,
+        start: item.start === undefined ? null : parseStartTime(item.start),
+        cliffDuration: cliffDays * DAY,
+        releaseDuration: releaseDays * DAY,
+        stepDuration: stepDays * DAY
+    };
+}
+
+/**
+ * 校验并解析部署清单
+ * @param {object} raw 清单文件内容（JSON.parse 的结果）
+ * @param {{ network?: string, chainId?: number }} expected 当前网络，提供时检查清单是否属于该网络
+ * @returns {{ manifest: object|null, errors: string[] }} 解析结果，有错误时 manifest 为 null
+ *
+ * manifest 字段：
+ * - allocations：初始分配列表（见 lib/allocation.js 的 parseAllocation），包含 key 为 team 的团队分配
+ * - teamVesting：{ startTime, cliffDuration, releaseDuration, stepDuration, revocationReceiver }，startTime 为 0 表示部署时开始
+ * - schedules：多受益人锁仓计划，没有时为空数组
+ * - roles：{ admin, pausers, blacklistManagers }，未配置的为 null，表示由部署者持有（配置 multisig 时由多签持有）
+ * - owner：TokenVesting 和 VestingManager 的最终所有者，未配置时为 null
+ * - multisig：{ address, threshold, owners }，部署最后把管理员角色和合约所有权移交给该多签，未配置时为 null
+ * - create2：{ salt }，配置后通过 CREATE2 工厂部署（见 lib/create2.js），未配置时为 null
+ */
+function parseManifest(raw, expected = {}) {
+    const errors = validateSchema(raw, MANIFEST_SCHEMA);
+    if (errors.length > 0) {
+        return { manifest: null, errors };
+    }
+
+    if (expected.network !== undefined && raw.network !== expected.network) {
+        errors.push(`network: 清单属于 ${raw.network}，当前网络为 ${expected.network}`);
+    }
+    if (expected.chainId !== undefined && raw.chainId !== expected.chainId) {
+        errors.push(`chainId: 清单为 ${raw.chainId}，当前网络为 ${expected.chainId}`);
+    }
+
+    const { entries: allocations, errors: allocationErrors } = parseAllocation(raw.allocations);
+    errors.push(...allocationErrors.map(error => `allocations: ${error}`));
+
+    const vesting = raw.vesting;
+    const stepDays = vesting.stepDays ?? 0;
+    if (stepDays > 0 && vesting.releaseDays % stepDays !== 0) {
+        errors.push("vesting.stepDays: 必须能整除 releaseDays");
+    }
+    if (vesting.cliffDays + vesting.releaseDays > MAX_VESTING_DAYS) {
+        errors.push(`vesting: cliffDays + releaseDays 不能超过 ${MAX_VESTING_DAYS} 天`);
+    }
+
+    const schedules = (vesting.schedules || []).map((item, i) => parseSchedule(item, `vesting.schedules[${i}]`, errors));
+    const team = allocations.find(entry => entry.key === TEAM_KEY);
+    const scheduledAmount = schedules.reduce((sum, schedule) => sum + schedule.amount, 0n);
+    if (team && scheduledAmount >= team.amount) {
+        errors.push(`vesting.schedules: 计划总量 ${ethers.formatEther(scheduledAmount)} DDT 必须小于团队分配 ${ethers.formatEther(team.amount)} DDT`);
+    }
+
+    // 多签接管管理员角色和合约所有权，不能再另行指定
+    const roles = raw.roles || {};
+    if (raw.multisig) {
+        if (roles.admin) {
+            errors.push("roles.admin: 配置 multisig 后管理员角色移交给多签，不能同时配置");
+        }
+        if (raw.owner) {
+            errors.push("owner: 配置 multisig 后合约所有权移交给多签，不能同时配置");
+        }
+        if (raw.multisig.owners && raw.multisig.threshold > raw.multisig.owners.length) {
+            errors.push(`multisig.threshold: 不能大于 owners 数量 ${raw.multisig.owners.length}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { manifest: null, errors };
+    }
+
+    return {
+        manifest: {
+            network: raw.network,
+            chainId: raw.chainId,
+            allocations,
+            teamVesting: {
+                startTime: vesting.startTime === undefined ? 0 : parseStartTime(vesting.startTime),
+                cliffDuration: vesting.cliffDays * DAY,
+                releaseDuration: vesting.releaseDays * DAY,
+                stepDuration: stepDays * DAY,
+                revocationReceiver: vesting.revocationReceiver ? ethers.getAddress(vesting.revocationReceiver) : null
+            },
+            schedules,
+            roles: {
+                admin: roles.admin ? ethers.getAddress(roles.admin) : null,
+                pausers: roles.pausers ? roles.pausers.map(address => ethers.getAddress(address)) : null,
+                blacklistManagers: roles.blacklistManagers ? roles.blacklistManagers.map(address => ethers.getAddress(address)) : null
+            },
+            owner: raw.owner ? ethers.getAddress(raw.owner) : null,
+            multisig: raw.multisig ? {
+                address: ethers.getAddress(raw.multisig.address),
+                threshold: raw.multisig.threshold,
+                owners: raw.multisig.owners ? raw.multisig.owners.map(address => ethers.getAddress(address)) : null
+            } : null,
+            create2: raw.create2 ? { salt: raw.create2.salt } : null
+        },
+        errors: []
+    };
+}
+
+/**
+ * 清单文件路径：DEPLOY_MANIFEST 环境变量优先，否则为 manifests/<network>.json
+ * @param {string} networkName 网络名称
+ * @param {object} env 环境变量
+ * @returns {string} 清单文件路径
+ */
+function manifestPath(networkName, env) {
+    return env.DEPLOY_MANIFEST || path.join(__dirname, "..", "..", "manifests", `${networkName}.json`);
+}
+
+/**
+ * 读取并校验清单文件
+ * @param {string} file 清单文件路径
+ * @param {{ network?: string, chainId?: number }} expected 当前网络
+ * @returns {{ manifest: object, sha256: string }} 解析后的清单和文件内容哈希（记录到部署信息中）
+ * @throws {Error} 文件不存在、不是有效 JSON 或校验失败时抛出，错误信息包含全部问题
+ */
+function loadManifest(file, expected = {}) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`找不到部署清单: ${file}`);
+    }
+    const content = fs.readFileSync(file, "utf8");
+    let raw;
+    try {
+        raw = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`部署清单不是有效的 JSON: ${file}: ${error.message}`);
+    }
+
+    const { manifest, errors } = parseManifest(raw, expected);
+    if (errors.length > 0) {
+        throw new Error(`部署清单有误 (${file}):\n` + errors.map(error => "   - " + error).join("\n"));
+    }
+    return { manifest, sha256: crypto.createHash("sha256").update(content).digest("hex") };
+}
+
+/**
+ * 团队时间锁锁定的数量：团队分配扣除多受益人计划总量
+ * @param {object} manifest parseManifest 返回的清单
+ * @returns {bigint} wei
+ */
+function teamVestingAmount(manifest) {
+    const team = manifest.allocations.find(entry => entry.key === TEAM_KEY);
+    return team.amount - manifest.schedules.reduce((sum, schedule) => sum + schedule.amount, 0n);
+}
+
+/**
+ * 生成 TokenVesting 构造参数
+ * @param {object} manifest parseManifest 返回的清单
+ * @param {string} tokenAddress DIDOToken 合约地址
+ * @returns {Array} 构造参数
+ */
+function tokenVestingArgs(manifest, tokenAddress) {
+    const team = manifest.allocations.find(entry => entry.key === TEAM_KEY);
+    return [
+        tokenAddress,
+        team.address,
+        teamVestingAmount(manifest), // 团队代币数量（扣除多受益人计划）
+        manifest.teamVesting.startTime, // 0 表示从部署时开始
+        manifest.teamVesting.cliffDuration,
+        manifest.teamVesting.releaseDuration,
+        manifest.teamVesting.stepDuration // 0 表示按秒线性释放
+    ];
+}
+
+module.exports = {
+    MANIFEST_SCHEMA,
+    validateSchema,
+    parseManifest,
+    manifestPath,
+    loadManifest,
+    teamVestingAmount,
+    tokenVestingArgs
+};
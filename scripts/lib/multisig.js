@@ -0,0 +1,58 @@
+const { ethers } = require("ethers");
+
+/**
+ * 多签钱包检查工具
+ *
+ * 部署脚本把 DIDOToken 管理员角色和 TokenVesting / VestingManager 所有权移交给多签之前，
+ * 先确认目标地址确实是 Safe 风格的多签合约，且签名门槛（和所有者）与部署清单一致，
+ * 避免把权限移交给填错的地址、普通账户或门槛过低的多签。不依赖 Hardhat 运行环境
+ */
+
+/// 检查所需的 Safe 接口（Safe v1.x 的 OwnerManager）
+const SAFE_ABI = [
+    "function getThreshold() view returns (uint256)",
+    "function getOwners() view returns (address[])"
+];
+
+/**
+ * 读取并检查多签合约
+ * @param {object} provider 网络提供者
+ * @param {{ address: string, threshold: number, owners: string[]|null }} multisig 清单中的多签配置
+ * @returns {Promise<{ threshold: number, owners: string[] }>} 链上的签名门槛和所有者
+ * @throws {Error} 地址不是合约、不是 Safe 风格的多签，或门槛、所有者与清单不一致时抛出
+ */
+async function checkMultisig(provider, multisig) {
+    const { address } = multisig;
+    if ((await provider.getCode(address)) === "0x") {
+        throw new Error(`多签地址 ${address} 不是合约，请确认该网络上的多签地址`);
+    }
+
+    const safe = new ethers.Contract(address, SAFE_ABI, provider);
+    let threshold;
+    let owners;
+    try {
+        threshold = Number(await safe.getThreshold());
+        owners = [...(await safe.getOwners())];
+    } catch (error) {
+        throw new Error(`多签地址 ${address} 不是 Safe 风格的多签合约（无法读取 getThreshold() / getOwners()）`);
+    }
+
+    if (threshold !== multisig.threshold) {
+        throw new Error(`多签 ${address} 的签名门槛为 ${threshold}/${owners.length}，清单要求 ${multisig.threshold}`);
+    }
+    if (threshold > owners.length) {
+        throw new Error(`多签 ${address} 的签名门槛 ${threshold} 大于所有者数量 ${owners.length}`);
+    }
+    if (multisig.owners) {
+        const normalize = list => list.map(owner => owner.toLowerCase()).sort().join(",");
+        if (normalize(owners) !== normalize(multisig.owners)) {
+            throw new Error(`多签 ${address} 的所有者与清单不一致，链上为 ${owners.join(", ")}`);
+        }
+    }
+    return { threshold, owners };
+}
+
+module.exports = {
+    SAFE_ABI,
+    checkMultisig
+};
@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Safe 交易批次工具
+ *
+ * 部署脚本遇到需要由部署者无法控制的账户（例如团队多签钱包）发起的调用时，把这些调用写成
+ * Safe Transaction Builder 可以导入的 JSON 批次文件，在 Safe 中一次签名执行。不依赖 Hardhat 运行环境
+ *
+ * 导入方式：Safe 网页 → Apps → Transaction Builder → 拖入批次文件 → Create Batch → Send Batch
+ */
+
+/// Transaction Builder 批次格式版本
+const BATCH_VERSION = "1.0";
+
+/**
+ * 生成 Safe Transaction Builder 批次
+ * @param {object} options 选项
+ * @param {number|bigint} options.chainId 链 ID
+ * @param {string} options.safeAddress 执行批次的 Safe 地址
+ * @param {string} options.name 批次名称
+ * @param {string} options.description 批次说明
+ * @param {{ label: string, to: string, value: string, data: string }[]} options.calls 按执行顺序排列的调用
+ * @param {number} [options.createdAt] 创建时间（毫秒），默认当前时间
+ * @returns {object} 批次内容
+ *
+ * 调用以原始 calldata 提交（contractMethod 为 null），导入时不需要 ABI；
+ * 每个调用的说明写入 meta.description，便于签名人核对
+ */
+function buildSafeBatch({ chainId, safeAddress, name, description, calls, createdAt = Date.now() }) {
+    const lines = calls.map((call, i) => `${i + 1}. ${call.label} → ${call.to}`);
+    return {
+        version: BATCH_VERSION,
+        chainId: chainId.toString(),
+        createdAt,
+        meta: {
+            name,
+            description: [description, ...lines].join("\n"),
+            createdFromSafeAddress: safeAddress
+        },
+        transactions: calls.map(call => ({
+            to: call.to,
+            value: call.value,
+            data: call.data,
+            contractMethod: null,
+            contractInputsValues: null
+        }))
+    };
+}
+
+/**
+ * 写入批次文件
+ * @param {string} file 文件路径
+ * @param {object} batch buildSafeBatch 的结果
+ */
+function writeSafeBatch(file, batch) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(batch, null, 2));
+}
+
+module.exports = {
+    BATCH_VERSION,
+    buildSafeBatch,
+    writeSafeBatch
+};
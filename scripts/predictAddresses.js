@@ -0,0 +1,72 @@
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { manifestPath, loadManifest } = require("./lib/manifest");
+const { DETERMINISTIC_DEPLOYMENT_PROXY } = require("./lib/create2");
+const { predictCreate2Deployment } = require("./deploy");
+
+/**
+ * CREATE2 地址预测脚本
+ *
+ * 功能：
+ * - 读取当前网络的部署清单，按 create2.salt 和构造参数计算 CREATE2 工厂及各合约的地址
+ * - 只读取链上状态，不发送任何交易：检查标准确定性部署代理、工厂是否已存在，预测地址上是否已有合约
+ *
+ * 环境变量：
+ * - DEPLOY_MANIFEST：部署清单文件，默认 manifests/<network>.json
+ * - DEPLOYER_ADDRESS：部署者地址，默认为 Hardhat 配置的第一个账户（未配置私钥时必须指定）
+ *
+ * 使用方法：
+ * - 测试网：npx hardhat run scripts/predictAddresses.js --network sepolia
+ * - 主网：DEPLOYER_ADDRESS=0x... npx hardhat run scripts/predictAddresses.js --network mainnet
+ *
+ * 注意：
+ * - 地址与部署者、salt、合约字节码和构造参数都有关，各链部署前分别运行本脚本，确认预测地址一致
+ */
+
+async function main() {
+    console.log("📍 预测 CREATE2 部署地址...\n");
+
+    const manifestFile = manifestPath(network.name, process.env);
+    let manifest;
+    try {
+        ({ manifest } = loadManifest(manifestFile, { network: network.name, chainId: network.config.chainId }));
+    } catch (error) {
+        console.error("❌", error.message);
+        process.exit(1);
+    }
+    if (!manifest.create2) {
+        console.error("❌ 部署清单未配置 create2.salt:", path.relative(process.cwd(), manifestFile));
+        process.exit(1);
+    }
+
+    const deployerAddress = process.env.DEPLOYER_ADDRESS
+        ? ethers.getAddress(process.env.DEPLOYER_ADDRESS)
+        : (await ethers.getSigners())[0].address;
+    const prediction = await predictCreate2Deployment(manifest, deployerAddress);
+    const hasCode = async address => (await ethers.provider.getCode(address)) !== "0x";
+
+    console.log("📋 预测参数:");
+    console.log("   网络:", network.name);
+    console.log("   部署清单:", path.relative(process.cwd(), manifestFile));
+    console.log("   部署者:", deployerAddress);
+    console.log("   salt:", manifest.create2.salt);
+    console.log("");
+
+    console.log("🏭 工厂:");
+    console.log("   标准确定性部署代理:", DETERMINISTIC_DEPLOYMENT_PROXY, await hasCode(DETERMINISTIC_DEPLOYMENT_PROXY) ? "✅ 已存在" : "❌ 不存在，无法部署工厂");
+    console.log("   Create2Deployer:", prediction.factory, await hasCode(prediction.factory) ? "✅ 已存在" : "⏳ 部署时创建");
+    console.log("");
+
+    console.log("📦 合约地址:");
+    for (const [name, { address }] of Object.entries(prediction.contracts)) {
+        console.log(`   ${name}: ${address}${await hasCode(address) ? " ⚠️  已有合约" : ""}`);
+    }
+    console.log("");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ 地址预测失败:", error);
+        process.exit(1);
+    });
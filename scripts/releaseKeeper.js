@@ -0,0 +1,177 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { isDeploymentComplete } = require("./lib/deployJournal");
+
+/**
+ * DIDO Token 释放 keeper 脚本
+ *
+ * 功能：
+ * - 按固定间隔检查 TokenVesting 的可释放数量，达到阈值时调用 release()
+ * - release() 允许任何人调用，代币始终转入受益人设置的收款地址，keeper 账户只支付 gas
+ * - 合约暂停、注资不足、没有可释放代币或低于阈值时跳过本轮，交易失败时记录错误并在下一轮重试
+ *
+ * 环境变量：
+ * - KEEPER_INTERVAL_SECONDS：检查间隔（秒），默认 3600
+ * - KEEPER_MIN_RELEASE：单次释放的最小数量（DDT），默认 0，即有可释放代币就释放
+ * - KEEPER_RUN_ONCE：设为 true 时只检查一轮后退出，便于由 cron 等外部调度器触发
+ *
+ * 使用方法：
+ * - 本地节点：npx hardhat node，部署后运行 npx hardhat run scripts/releaseKeeper.js --network localhost
+ * - 测试网：npx hardhat run scripts/releaseKeeper.js --network sepolia
+ *
+ * 注意：
+ * - 调用者为配置的部署账户（PRIVATE_KEY），建议使用只存放少量 ETH 的专用 keeper 账户
+ * - 脚本常驻运行，按 Ctrl+C 退出
+ */
+
+/// 默认检查间隔（秒）
+const DEFAULT_INTERVAL_SECONDS = 3600;
+
+/**
+ * 解析 keeper 配置
+ * @param {object} env 环境变量
+ * @returns {{ intervalSeconds: number, minAmount: bigint, runOnce: boolean }} keeper 配置
+ */
+function parseKeeperConfig(env) {
+    const intervalSeconds = env.KEEPER_INTERVAL_SECONDS === undefined
+        ? DEFAULT_INTERVAL_SECONDS
+        : Number(env.KEEPER_INTERVAL_SECONDS);
+    if (!Number.isInteger(intervalSeconds) || intervalSeconds <= 0) {
+        throw new Error(`KEEPER_INTERVAL_SECONDS 必须为正整数: ${env.KEEPER_INTERVAL_SECONDS}`);
+    }
+
+    let minAmount = 0n;
+    if (env.KEEPER_MIN_RELEASE !== undefined) {
+        try {
+            minAmount = ethers.parseEther(env.KEEPER_MIN_RELEASE);
+        } catch (error) {
+            throw new Error(`KEEPER_MIN_RELEASE 不是有效的数量: ${env.KEEPER_MIN_RELEASE}`);
+        }
+        if (minAmount < 0n) {
+            throw new Error(`KEEPER_MIN_RELEASE 不能为负数: ${env.KEEPER_MIN_RELEASE}`);
+        }
+    }
+
+    return { intervalSeconds, minAmount, runOnce: env.KEEPER_RUN_ONCE === "true" };
+}
+
+/**
+ * 检查一轮，满足条件时调用 release()
+ * @param {object} tokenVesting 已连接 keeper 账户的 TokenVesting 合约实例
+ * @param {bigint} minAmount 单次释放的最小数量
+ * @returns {Promise<{ status: string, reason?: string, amount?: bigint, txHash?: string }>} 本轮结果
+ *
+ * status 取值：
+ * - released：已释放，附带数量和交易哈希
+ * - skipped：本轮跳过，reason 为 paused、underfunded、nothing-to-release 或 below-minimum
+ * - failed：交易失败，reason 为错误信息，下一轮会重试
+ */
+async function checkAndRelease(tokenVesting, minAmount) {
+    if (await tokenVesting.paused()) {
+        return { status: "skipped", reason: "paused" };
+    }
+    if (!(await tokenVesting.isFunded())) {
+        return { status: "skipped", reason: "underfunded" };
+    }
+
+    const amount = await tokenVesting.getReleasableAmount();
+    if (amount === 0n) {
+        return { status: "skipped", reason: "nothing-to-release" };
+    }
+    if (amount < minAmount) {
+        return { status: "skipped", reason: "below-minimum", amount };
+    }
+
+    try {
+        const tx = await tokenVesting.release();
+        await tx.wait();
+        return { status: "released", amount, txHash: tx.hash };
+    } catch (error) {
+        return { status: "failed", reason: error.shortMessage || error.message };
+    }
+}
+
+/**
+ * 输出一轮检查的结果
+ * @param {object} result checkAndRelease 的返回值
+ */
+function logResult(result) {
+    const time = new Date().toISOString();
+    switch (result.status) {
+    case "released":
+        console.log(`✅ [${time}] 已释放 ${ethers.formatEther(result.amount)} DDT，交易哈希: ${result.txHash}`);
+        break;
+    case "failed":
+        console.error(`❌ [${time}] 释放失败，将在下一轮重试: ${result.reason}`);
+        break;
+    case "skipped":
+        if (result.reason === "paused") {
+            console.log(`⏸️  [${time}] 时间锁合约已暂停，跳过本轮`);
+        } else if (result.reason === "underfunded") {
+            console.log(`⚠️  [${time}] 时间锁合约注资不足，跳过本轮`);
+        } else if (result.reason === "below-minimum") {
+            console.log(`⏭️  [${time}] 可释放 ${ethers.formatEther(result.amount)} DDT，低于阈值，跳过本轮`);
+        } else {
+            console.log(`⏭️  [${time}] 暂无可释放代币，跳过本轮`);
+        }
+        break;
+    }
+}
+
+async function main() {
+    console.log("🤖 启动 DIDO Token 释放 keeper...\n");
+
+    const config = parseKeeperConfig(process.env);
+
+    // 读取部署信息
+    const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}-deployment.json`);
+    if (!fs.existsSync(deploymentFile)) {
+        console.error("❌ 找不到部署信息文件:", deploymentFile);
+        console.error("请先运行部署脚本: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    if (!isDeploymentComplete(deploymentInfo)) {
+        console.error("❌ 部署尚未完成:", deploymentFile);
+        console.error("请重新运行部署脚本从中断处继续: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
+
+    const [keeper] = await ethers.getSigners();
+    const TokenVesting = await ethers.getContractFactory("TokenVesting");
+    const tokenVesting = TokenVesting.attach(deploymentInfo.contracts.TokenVesting.address).connect(keeper);
+
+    console.log("📋 keeper 信息:");
+    console.log("   网络:", network.name);
+    console.log("   时间锁合约:", await tokenVesting.getAddress());
+    console.log("   受益人:", await tokenVesting.beneficiary());
+    console.log("   收款地址:", await tokenVesting.payoutAddress());
+    console.log("   keeper 账户:", keeper.address);
+    console.log("   检查间隔:", config.intervalSeconds, "秒");
+    console.log("   最小释放数量:", ethers.formatEther(config.minAmount), "DDT");
+    console.log("");
+
+    for (;;) {
+        logResult(await checkAndRelease(tokenVesting, config.minAmount));
+        if (config.runOnce) {
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, config.intervalSeconds * 1000));
+    }
+}
+
+module.exports = {
+    parseKeeperConfig,
+    checkAndRelease
+};
+
+// 直接运行时启动 keeper，被测试引用时只导出工具函数
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ keeper 脚本执行失败:", error);
+            process.exit(1);
+        });
+}
@@ -1,11 +1,16 @@
 const { run } = require("hardhat");
+const { toConstructorArgs, allocationFromDeployment } = require("./lib/allocation");
+const { manifestPath, loadManifest, tokenVestingArgs } = require("./lib/manifest");
+const { isDeploymentComplete } = require("./lib/deployJournal");
 
 /**
  * DIDO Token 合约验证脚本
  * 
  * 功能：
+ * - 按部署清单生成构造参数，并与部署记录核对
  * - 验证 DIDOToken 合约源码
  * - 验证 TokenVesting 合约源码
+ * - 验证 VestingManager 合约源码（如已部署）
  * - 在 Etherscan 上公开合约源码
  * 
  * 使用方法：
@@ -13,6 +18,17 @@ const { run } = require("hardhat");
  * - 主网：npx hardhat run scripts/verify.js --network mainnet
  */
 
+/**
+ * 比较两组构造参数是否一致（bigint 按字符串比较）
+ * @param {Array} a 构造参数
+ * @param {Array} b 构造参数
+ * @returns {boolean} 是否一致
+ */
+function sameArgs(a, b) {
+    const normalize = args => JSON.stringify(args, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+    return normalize(a) === normalize(b);
+}
+
 async function main() {
     console.log("🔍 开始验证 DIDO Token 合约...\n");
     
@@ -34,25 +50,66 @@ async function main() {
     }
     
     const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    if (!isDeploymentComplete(deploymentInfo)) {
+        console.error("❌ 部署尚未完成:", deploymentFile);
+        console.error("请重新运行部署脚本从中断处继续: npx hardhat run scripts/deploy.js --network", network.name);
+        process.exit(1);
+    }
     console.log("📋 部署信息:");
     console.log("   网络:", deploymentInfo.network);
     console.log("   部署时间:", deploymentInfo.deploymentTime);
     console.log("   部署者:", deploymentInfo.deployer);
     console.log("");
     
+    // 读取部署清单，构造参数以清单为准
+    const manifestFile = manifestPath(network.name, process.env);
+    let manifest;
+    let manifestHash;
+    try {
+        ({ manifest, sha256: manifestHash } = loadManifest(manifestFile, { network: network.name, chainId: network.config.chainId }));
+    } catch (error) {
+        console.error("❌", error.message);
+        process.exit(1);
+    }
+    if (deploymentInfo.manifest && deploymentInfo.manifest.sha256 !== manifestHash) {
+        console.log("⚠️  部署清单在部署后被修改过，将以清单生成构造参数并与部署记录核对");
+        console.log("");
+    }
+    
+    const didoTokenAddress = deploymentInfo.contracts.DIDOToken.address;
+    const didoTokenArgs = toConstructorArgs(manifest.allocations);
+    const tokenVestingArgsFromManifest = tokenVestingArgs(manifest, didoTokenAddress);
+    
+    // 与部署记录核对，避免提交与链上不一致的构造参数
+    const recordedVesting = deploymentInfo.contracts.TokenVesting;
+    const mismatched = [];
+    if (!sameArgs(didoTokenArgs, toConstructorArgs(allocationFromDeployment(deploymentInfo.tokenAllocation)))) {
+        mismatched.push("DIDOToken（allocations）");
+    }
+    if (!sameArgs(tokenVestingArgsFromManifest, [
+        didoTokenAddress,
+        deploymentInfo.tokenAllocation.team.address,
+        ethers.parseEther(recordedVesting.totalAmount),
+        recordedVesting.startTimeParam,
+        recordedVesting.cliffDuration,
+        recordedVesting.releaseDuration,
+        recordedVesting.stepDuration || 0
+    ])) {
+        mismatched.push("TokenVesting（vesting 或团队分配）");
+    }
+    if (mismatched.length > 0) {
+        console.error("❌ 部署清单与部署记录中的构造参数不一致:", mismatched.join("、"));
+        console.error("请恢复部署时使用的清单后重试");
+        process.exit(1);
+    }
+    
     try {
         // 1. 验证 DIDOToken 合约
         console.log("🔍 正在验证 DIDOToken 合约...");
-        const didoTokenAddress = deploymentInfo.contracts.DIDOToken.address;
         
         await run("verify:verify", {
             address: didoTokenAddress,
-            constructorArguments: [
-                deploymentInfo.tokenAllocation.liquidityPool.address,
-                deploymentInfo.tokenAllocation.team.address,
-                deploymentInfo.tokenAllocation.community.address,
-                deploymentInfo.tokenAllocation.reserve.address
-            ],
+            constructorArguments: didoTokenArgs,
         });
         
         console.log("✅ DIDOToken 合约验证成功!");
@@ -66,11 +123,7 @@ async function main() {
         
         await run("verify:verify", {
             address: tokenVestingAddress,
-            constructorArguments: [
-                didoTokenAddress,
-                deploymentInfo.tokenAllocation.team.address,
-                ethers.parseEther(deploymentInfo.tokenAllocation.team.amount)
-            ],
+            constructorArguments: tokenVestingArgsFromManifest,
         });
         
         console.log("✅ TokenVesting 合约验证成功!");
@@ -78,7 +131,23 @@ async function main() {
         console.log("   Etherscan 链接:", `https://${network.name === "mainnet" ? "" : network.name + "."}etherscan.io/address/${tokenVestingAddress}`);
         console.log("");
         
-        // 3. 验证总结
+        // 3. 验证 VestingManager 合约（如已部署）
+        const vestingManagerAddress = deploymentInfo.contracts.VestingManager && deploymentInfo.contracts.VestingManager.address;
+        if (vestingManagerAddress) {
+            console.log("🔍 正在验证 VestingManager 合约...");
+            
+            await run("verify:verify", {
+                address: vestingManagerAddress,
+                constructorArguments: [didoTokenAddress],
+            });
+            
+            console.log("✅ VestingManager 合约验证成功!");
+            console.log("   合约地址:", vestingManagerAddress);
+            console.log("   Etherscan 链接:", `https://${network.name === "mainnet" ? "" : network.name + "."}etherscan.io/address/${vestingManagerAddress}`);
+            console.log("");
+        }
+        
+        // 4. 验证总结
         console.log("🎉 合约验证完成!");
         console.log("=".repeat(50));
         console.log("📋 验证总结:");
@@ -88,10 +157,16 @@ async function main() {
         console.log("📦 已验证的合约:");
         console.log("   DIDOToken:", didoTokenAddress);
         console.log("   TokenVesting:", tokenVestingAddress);
+        if (vestingManagerAddress) {
+            console.log("   VestingManager:", vestingManagerAddress);
+        }
         console.log("");
         console.log("🔗 Etherscan 链接:");
         console.log("   DIDOToken:", `https://${network.name === "mainnet" ? "" : network.name + "."}etherscan.io/address/${didoTokenAddress}`);
         console.log("   TokenVesting:", `https://${network.name === "mainnet" ? "" : network.name + "."}etherscan.io/address/${tokenVestingAddress}`);
+        if (vestingManagerAddress) {
+            console.log("   VestingManager:", `https://${network.name === "mainnet" ? "" : network.name + "."}etherscan.io/address/${vestingManagerAddress}`);
+        }
         console.log("");
         console.log("✅ 合约源码已公开，可以在 Etherscan 上查看");
         console.log("✅ 合约已通过验证，符合交易所上币要求");
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { mine, time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
 
 /**
  * DIDOToken 合约测试套件
@@ -9,9 +10,17 @@ const { ethers } = require("hardhat");
  * - 初始分配（验证各地址收到正确数量）
  * - 转账功能（正常转账、余额不足、零地址）
  * - 销毁功能（持币者销毁、总量减少）
- * - 暂停功能（只有 owner 可暂停、暂停后无法转账）
+ * - 暂停功能（只有暂停者可暂停、暂停后无法转账）
  * - 黑名单功能（加入黑名单后无法转账）
- * - 权限控制（非 owner 无法调用管理函数）
+ * - 批量黑名单（原因代码、分页枚举）
+ * - 部分冻结（冻结金额不可转出或销毁，可用余额照常使用）
+ * - 黑名单资金处置（转移、销毁、供应量核算）
+ * - 误转资产找回（ERC20、ETH）
+ * - 批量转账（整批原子执行、黑名单和暂停检查）
+ * - Permit 功能（EIP-2612 链下签名授权）
+ * - 治理投票权（委托、历史投票权、历史总供应量）
+ * - 权限控制（角色授予、撤销，无角色无法调用管理函数）
+ * - 管理员移交（两步式移交）与管理操作延迟队列
  */
 
 describe("DIDOToken", function () {
@@ -35,6 +44,11 @@ describe("DIDOToken", function () {
     const COMMUNITY_AMOUNT = ethers.parseEther("200000"); // 200,000 DDT
     const RESERVE_AMOUNT = ethers.parseEther("100000"); // 100,000 DDT
 
+    // 角色常量
+    const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+    const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+    const BLACKLIST_MANAGER_ROLE = ethers.id("BLACKLIST_MANAGER_ROLE");
+
     beforeEach(async function () {
         // 获取测试账户
         [owner, liquidityPool, teamWallet, communityWallet, reserveWallet, user1, user2, ...addrs] = await ethers.getSigners();
@@ -42,10 +56,8 @@ describe("DIDOToken", function () {
         // 部署合约
         const DIDOToken = await ethers.getContractFactory("DIDOToken");
         didoToken = await DIDOToken.deploy(
-            liquidityPool.address,
-            teamWallet.address,
-            communityWallet.address,
-            reserveWallet.address
+            [liquidityPool.address, teamWallet.address, communityWallet.address, reserveWallet.address],
+            [LIQUIDITY_AMOUNT, TEAM_AMOUNT, COMMUNITY_AMOUNT, RESERVE_AMOUNT]
         );
         await didoToken.waitForDeployment();
     });
@@ -59,7 +71,9 @@ describe("DIDOToken", function () {
             expect(tokenInfo.tokenDecimals).to.equal(TOKEN_DECIMALS);
             expect(tokenInfo.tokenTotalSupply).to.equal(MAX_SUPPLY);
             expect(tokenInfo.tokenMaxSupply).to.equal(MAX_SUPPLY);
-            expect(tokenInfo.tokenOwner).to.equal(owner.address);
+            expect(tokenInfo.tokenAdmins).to.deep.equal([owner.address]);
+            expect(tokenInfo.tokenPausers).to.deep.equal([owner.address]);
+            expect(tokenInfo.tokenBlacklistManagers).to.deep.equal([owner.address]);
             expect(tokenInfo.tokenPaused).to.be.false;
         });
 
@@ -83,29 +97,64 @@ describe("DIDOToken", function () {
             expect(totalSupply).to.equal(MAX_SUPPLY);
         });
 
+        it("应该按照传入的列表分配代币", async function () {
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+            const amounts = [ethers.parseEther("700000"), ethers.parseEther("250000"), ethers.parseEther("50000")];
+
+            const variant = await DIDOToken.deploy([user1.address, user2.address, addrs[0].address], amounts);
+
+            expect(await variant.balanceOf(user1.address)).to.equal(amounts[0]);
+            expect(await variant.balanceOf(user2.address)).to.equal(amounts[1]);
+            expect(await variant.balanceOf(addrs[0].address)).to.equal(amounts[2]);
+            expect(await variant.totalSupply()).to.equal(MAX_SUPPLY);
+        });
+
+        it("应该允许全部代币分配给单个地址", async function () {
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+
+            const variant = await DIDOToken.deploy([user1.address], [MAX_SUPPLY]);
+
+            expect(await variant.balanceOf(user1.address)).to.equal(MAX_SUPPLY);
+        });
+
         it("应该拒绝无效的构造函数参数", async function () {
             const DIDOToken = await ethers.getContractFactory("DIDOToken");
+            const half = MAX_SUPPLY / 2n;
+
+            // 测试空列表
+            await expect(DIDOToken.deploy([], [])).to.be.revertedWith("DIDOToken: no recipients");
+
+            // 测试长度不一致
+            await expect(
+                DIDOToken.deploy([user1.address, user2.address], [MAX_SUPPLY])
+            ).to.be.revertedWith("DIDOToken: recipients and amounts length mismatch");
 
             // 测试零地址
             await expect(
-                DIDOToken.deploy(
-                    ethers.ZeroAddress,
-                    teamWallet.address,
-                    communityWallet.address,
-                    reserveWallet.address
-                )
-            ).to.be.revertedWith("DIDOToken: liquidity pool address cannot be zero");
+                DIDOToken.deploy([ethers.ZeroAddress, user2.address], [half, half])
+            ).to.be.revertedWith("DIDOToken: recipient cannot be zero address");
+
+            // 测试零数量
+            await expect(
+                DIDOToken.deploy([user1.address, user2.address], [MAX_SUPPLY, 0])
+            ).to.be.revertedWith("DIDOToken: amount must be greater than zero");
 
             // 测试重复地址
             await expect(
-                DIDOToken.deploy(
-                    liquidityPool.address,
-                    liquidityPool.address,
-                    communityWallet.address,
-                    reserveWallet.address
-                )
+                DIDOToken.deploy([user1.address, user1.address], [half, half])
             ).to.be.revertedWith("DIDOToken: addresses must be unique");
         });
+
+        it("分配总量必须恰好等于最大供应量", async function () {
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+
+            await expect(
+                DIDOToken.deploy([user1.address, user2.address], [MAX_SUPPLY / 2n, MAX_SUPPLY / 2n - 1n])
+            ).to.be.revertedWith("DIDOToken: total supply mismatch");
+            await expect(
+                DIDOToken.deploy([user1.address, user2.address], [MAX_SUPPLY, 1n])
+            ).to.be.revertedWith("DIDOToken: total supply mismatch");
+        });
     });
 
     describe("转账功能", function () {
@@ -179,6 +228,276 @@ describe("DIDOToken", function () {
         });
     });
 
+    describe("Permit 功能", function () {
+        // 使用 EIP-712 对 permit 消息进行链下签名
+        async function signPermit(signer, spender, value, deadline) {
+            const nonce = await didoToken.nonces(signer.address);
+            const { chainId } = await ethers.provider.getNetwork();
+
+            const domain = {
+                name: TOKEN_NAME,
+                version: "1",
+                chainId,
+                verifyingContract: await didoToken.getAddress()
+            };
+            const types = {
+                Permit: [
+                    { name: "owner", type: "address" },
+                    { name: "spender", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+            const message = {
+                owner: signer.address,
+                spender,
+                value,
+                nonce,
+                deadline
+            };
+
+            return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+        }
+
+        async function futureDeadline() {
+            const block = await ethers.provider.getBlock("latest");
+            return BigInt(block.timestamp + 60 * 60);
+        }
+
+        it("应该返回正确的 EIP-712 域信息", async function () {
+            const domain = await didoToken.eip712Domain();
+            const { chainId } = await ethers.provider.getNetwork();
+
+            expect(domain.name).to.equal(TOKEN_NAME);
+            expect(domain.version).to.equal("1");
+            expect(domain.chainId).to.equal(chainId);
+            expect(domain.verifyingContract).to.equal(await didoToken.getAddress());
+        });
+
+        it("应该允许通过签名授权并转账", async function () {
+            const value = ethers.parseEther("1000");
+            const deadline = await futureDeadline();
+            const sig = await signPermit(liquidityPool, user1.address, value, deadline);
+
+            // 由第三方（user2）提交 permit，签名者无需支付 gas
+            await expect(
+                didoToken.connect(user2).permit(liquidityPool.address, user1.address, value, deadline, sig.v, sig.r, sig.s)
+            ).to.emit(didoToken, "Approval").withArgs(liquidityPool.address, user1.address, value);
+
+            expect(await didoToken.allowance(liquidityPool.address, user1.address)).to.equal(value);
+            expect(await didoToken.nonces(liquidityPool.address)).to.equal(1);
+
+            await didoToken.connect(user1).transferFrom(liquidityPool.address, user2.address, value);
+            expect(await didoToken.balanceOf(user2.address)).to.equal(value);
+        });
+
+        it("应该拒绝重放已使用的签名", async function () {
+            const value = ethers.parseEther("1000");
+            const deadline = await futureDeadline();
+            const sig = await signPermit(liquidityPool, user1.address, value, deadline);
+
+            await didoToken.permit(liquidityPool.address, user1.address, value, deadline, sig.v, sig.r, sig.s);
+
+            await expect(
+                didoToken.permit(liquidityPool.address, user1.address, value, deadline, sig.v, sig.r, sig.s)
+            ).to.be.revertedWithCustomError(didoToken, "ERC2612InvalidSigner");
+        });
+
+        it("应该拒绝过期的签名", async function () {
+            const value = ethers.parseEther("1000");
+            const block = await ethers.provider.getBlock("latest");
+            const deadline = BigInt(block.timestamp - 1);
+            const sig = await signPermit(liquidityPool, user1.address, value, deadline);
+
+            await expect(
+                didoToken.permit(liquidityPool.address, user1.address, value, deadline, sig.v, sig.r, sig.s)
+            ).to.be.revertedWithCustomError(didoToken, "ERC2612ExpiredSignature");
+        });
+
+        it("应该拒绝非持有者签名的 permit", async function () {
+            const value = ethers.parseEther("1000");
+            const deadline = await futureDeadline();
+            // user2 签名，但声称是 liquidityPool 的授权
+            const sig = await signPermit(user2, user1.address, value, deadline);
+
+            await expect(
+                didoToken.permit(liquidityPool.address, user1.address, value, deadline, sig.v, sig.r, sig.s)
+            ).to.be.revertedWithCustomError(didoToken, "ERC2612InvalidSigner");
+        });
+
+        it("黑名单地址通过 permit 授权后仍然无法被转出", async function () {
+            const value = ethers.parseEther("1000");
+            const deadline = await futureDeadline();
+            const sig = await signPermit(liquidityPool, user1.address, value, deadline);
+
+            await didoToken.permit(liquidityPool.address, user1.address, value, deadline, sig.v, sig.r, sig.s);
+            await didoToken.blacklist(liquidityPool.address);
+
+            await expect(
+                didoToken.connect(user1).transferFrom(liquidityPool.address, user2.address, value)
+            ).to.be.revertedWith("DIDOToken: sender is blacklisted");
+        });
+
+        it("permit 授权后无法转账给黑名单地址", async function () {
+            const value = ethers.parseEther("1000");
+            const deadline = await futureDeadline();
+            const sig = await signPermit(liquidityPool, user1.address, value, deadline);
+
+            await didoToken.permit(liquidityPool.address, user1.address, value, deadline, sig.v, sig.r, sig.s);
+            await didoToken.blacklist(user2.address);
+
+            await expect(
+                didoToken.connect(user1).transferFrom(liquidityPool.address, user2.address, value)
+            ).to.be.revertedWith("DIDOToken: recipient is blacklisted");
+        });
+
+        it("暂停后 permit 授权的转账应该被阻止", async function () {
+            const value = ethers.parseEther("1000");
+            const deadline = await futureDeadline();
+            const sig = await signPermit(liquidityPool, user1.address, value, deadline);
+
+            await didoToken.pause();
+
+            // 与 approve 一致，permit 本身在暂停期间仍可提交
+            await didoToken.permit(liquidityPool.address, user1.address, value, deadline, sig.v, sig.r, sig.s);
+
+            await expect(
+                didoToken.connect(user1).transferFrom(liquidityPool.address, user2.address, value)
+            ).to.be.revertedWithCustomError(didoToken, "EnforcedPause");
+        });
+    });
+
+    describe("治理投票权", function () {
+        it("未委托时投票权应该为零", async function () {
+            expect(await didoToken.getVotes(liquidityPool.address)).to.equal(0);
+            expect(await didoToken.delegates(liquidityPool.address)).to.equal(ethers.ZeroAddress);
+        });
+
+        it("应该允许自我委托并获得投票权", async function () {
+            await expect(didoToken.connect(liquidityPool).delegate(liquidityPool.address))
+                .to.emit(didoToken, "DelegateChanged")
+                .withArgs(liquidityPool.address, ethers.ZeroAddress, liquidityPool.address);
+
+            expect(await didoToken.getVotes(liquidityPool.address)).to.equal(LIQUIDITY_AMOUNT);
+        });
+
+        it("应该允许委托给其他地址", async function () {
+            await didoToken.connect(liquidityPool).delegate(user1.address);
+            await didoToken.connect(teamWallet).delegate(user1.address);
+
+            expect(await didoToken.getVotes(user1.address)).to.equal(LIQUIDITY_AMOUNT + TEAM_AMOUNT);
+            expect(await didoToken.getVotes(liquidityPool.address)).to.equal(0);
+        });
+
+        it("转账应该在委托人之间移动投票权", async function () {
+            const transferAmount = ethers.parseEther("1000");
+            await didoToken.connect(liquidityPool).delegate(liquidityPool.address);
+            await didoToken.connect(user1).delegate(user1.address);
+
+            await expect(didoToken.connect(liquidityPool).transfer(user1.address, transferAmount))
+                .to.emit(didoToken, "DelegateVotesChanged")
+                .withArgs(user1.address, 0, transferAmount);
+
+            expect(await didoToken.getVotes(liquidityPool.address)).to.equal(LIQUIDITY_AMOUNT - transferAmount);
+            expect(await didoToken.getVotes(user1.address)).to.equal(transferAmount);
+        });
+
+        it("应该返回历史投票权", async function () {
+            const transferAmount = ethers.parseEther("1000");
+            await didoToken.connect(liquidityPool).delegate(liquidityPool.address);
+            const checkpointBlock = await ethers.provider.getBlockNumber();
+
+            await didoToken.connect(liquidityPool).transfer(user1.address, transferAmount);
+            await mine();
+
+            expect(await didoToken.getPastVotes(liquidityPool.address, checkpointBlock)).to.equal(LIQUIDITY_AMOUNT);
+            expect(await didoToken.getPastVotes(liquidityPool.address, checkpointBlock - 1)).to.equal(0);
+            expect(await didoToken.getVotes(liquidityPool.address)).to.equal(LIQUIDITY_AMOUNT - transferAmount);
+        });
+
+        it("应该拒绝查询未来区块", async function () {
+            const currentBlock = await ethers.provider.getBlockNumber();
+
+            await expect(
+                didoToken.getPastVotes(liquidityPool.address, currentBlock + 10)
+            ).to.be.revertedWithCustomError(didoToken, "ERC5805FutureLookup");
+        });
+
+        it("销毁应该减少投票权和历史总供应量", async function () {
+            const burnAmount = ethers.parseEther("1000");
+            await didoToken.connect(liquidityPool).delegate(liquidityPool.address);
+            const beforeBurnBlock = await ethers.provider.getBlockNumber();
+
+            await didoToken.connect(liquidityPool).burn(burnAmount);
+            const afterBurnBlock = await ethers.provider.getBlockNumber();
+            await mine();
+
+            expect(await didoToken.getPastTotalSupply(beforeBurnBlock)).to.equal(MAX_SUPPLY);
+            expect(await didoToken.getPastTotalSupply(afterBurnBlock)).to.equal(MAX_SUPPLY - burnAmount);
+            expect(await didoToken.getVotes(liquidityPool.address)).to.equal(LIQUIDITY_AMOUNT - burnAmount);
+        });
+
+        it("授权销毁应该减少委托人的投票权", async function () {
+            const burnAmount = ethers.parseEther("500");
+            await didoToken.connect(liquidityPool).delegate(user2.address);
+            await didoToken.connect(liquidityPool).approve(user1.address, burnAmount);
+
+            await didoToken.connect(user1).burnFrom(liquidityPool.address, burnAmount);
+
+            expect(await didoToken.getVotes(user2.address)).to.equal(LIQUIDITY_AMOUNT - burnAmount);
+        });
+
+        it("黑名单和暂停检查应该阻止投票权转移", async function () {
+            await didoToken.connect(liquidityPool).delegate(liquidityPool.address);
+            await didoToken.blacklist(liquidityPool.address);
+
+            await expect(
+                didoToken.connect(liquidityPool).transfer(user1.address, ethers.parseEther("1"))
+            ).to.be.revertedWith("DIDOToken: sender is blacklisted");
+
+            await didoToken.unblacklist(liquidityPool.address);
+            await didoToken.pause();
+
+            await expect(
+                didoToken.connect(liquidityPool).transfer(user1.address, ethers.parseEther("1"))
+            ).to.be.revertedWithCustomError(didoToken, "EnforcedPause");
+
+            expect(await didoToken.getVotes(liquidityPool.address)).to.equal(LIQUIDITY_AMOUNT);
+        });
+
+        it("应该支持通过签名委托", async function () {
+            const nonce = await didoToken.nonces(liquidityPool.address);
+            const block = await ethers.provider.getBlock("latest");
+            const expiry = BigInt(block.timestamp + 60 * 60);
+            const { chainId } = await ethers.provider.getNetwork();
+
+            const domain = {
+                name: TOKEN_NAME,
+                version: "1",
+                chainId,
+                verifyingContract: await didoToken.getAddress()
+            };
+            const types = {
+                Delegation: [
+                    { name: "delegatee", type: "address" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "expiry", type: "uint256" }
+                ]
+            };
+            const sig = ethers.Signature.from(
+                await liquidityPool.signTypedData(domain, types, { delegatee: user1.address, nonce, expiry })
+            );
+
+            await didoToken.connect(user2).delegateBySig(user1.address, nonce, expiry, sig.v, sig.r, sig.s);
+
+            expect(await didoToken.delegates(liquidityPool.address)).to.equal(user1.address);
+            expect(await didoToken.getVotes(user1.address)).to.equal(LIQUIDITY_AMOUNT);
+            // permit 与委托签名共用 nonce
+            expect(await didoToken.nonces(liquidityPool.address)).to.equal(nonce + 1n);
+        });
+    });
+
     describe("销毁功能", function () {
         it("应该允许持币者销毁代币", async function () {
             const burnAmount = ethers.parseEther("1000");
@@ -218,13 +537,14 @@ describe("DIDOToken", function () {
     });
 
     describe("暂停功能", function () {
-        it("应该只有 owner 可以暂停", async function () {
+        it("应该只有暂停者可以暂停", async function () {
             await expect(
                 didoToken.connect(user1).pause()
-            ).to.be.revertedWithCustomError(didoToken, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, PAUSER_ROLE);
         });
 
-        it("应该允许 owner 暂停和恢复", async function () {
+        it("应该允许暂停者暂停和恢复", async function () {
             // 暂停
             await didoToken.pause();
             let tokenInfo = await didoToken.getTokenInfo();
@@ -263,13 +583,14 @@ describe("DIDOToken", function () {
     });
 
     describe("黑名单功能", function () {
-        it("应该只有 owner 可以管理黑名单", async function () {
+        it("应该只有黑名单管理员可以管理黑名单", async function () {
             await expect(
                 didoToken.connect(user1).blacklist(user2.address)
-            ).to.be.revertedWithCustomError(didoToken, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, BLACKLIST_MANAGER_ROLE);
         });
 
-        it("应该允许 owner 添加和移除黑名单", async function () {
+        it("应该允许黑名单管理员添加和移除黑名单", async function () {
             // 添加到黑名单
             await didoToken.blacklist(user1.address);
             let isBlacklisted = await didoToken.isBlacklisted(user1.address);
@@ -287,10 +608,10 @@ describe("DIDOToken", function () {
             ).to.be.revertedWith("DIDOToken: cannot blacklist zero address");
         });
 
-        it("应该拒绝将 owner 加入黑名单", async function () {
+        it("应该拒绝将管理员加入黑名单", async function () {
             await expect(
                 didoToken.blacklist(owner.address)
-            ).to.be.revertedWith("DIDOToken: cannot blacklist owner");
+            ).to.be.revertedWith("DIDOToken: cannot blacklist admin");
         });
 
         it("应该拒绝重复添加黑名单", async function () {
@@ -348,37 +669,774 @@ describe("DIDOToken", function () {
         });
     });
 
+    describe("批量黑名单功能", function () {
+        const REASON = ethers.encodeBytes32String("OFAC-2024-001");
+
+        it("应该只有黑名单管理员可以批量管理黑名单", async function () {
+            await expect(
+                didoToken.connect(user1).blacklistBatch([user2.address], REASON)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+
+            await expect(
+                didoToken.connect(user1).unblacklistBatch([user2.address], REASON)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+        });
+
+        it("应该允许批量加入黑名单并记录原因", async function () {
+            const accounts = [user1.address, user2.address, addrs[0].address];
+
+            const tx = didoToken.blacklistBatch(accounts, REASON);
+            for (const account of accounts) {
+                await expect(tx).to.emit(didoToken, "Blacklisted").withArgs(account, true);
+                await expect(tx).to.emit(didoToken, "BlacklistReason").withArgs(account, true, REASON);
+            }
+
+            for (const account of accounts) {
+                expect(await didoToken.isBlacklisted(account)).to.be.true;
+                expect(await didoToken.getBlacklistReason(account)).to.equal(REASON);
+            }
+            expect(await didoToken.getBlacklistCount()).to.equal(3);
+        });
+
+        it("应该允许批量移除黑名单并清除原因", async function () {
+            const accounts = [user1.address, user2.address];
+            const removeReason = ethers.encodeBytes32String("CASE-CLOSED");
+            await didoToken.blacklistBatch(accounts, REASON);
+
+            await expect(didoToken.unblacklistBatch(accounts, removeReason))
+                .to.emit(didoToken, "BlacklistReason")
+                .withArgs(user1.address, false, removeReason);
+
+            expect(await didoToken.isBlacklisted(user1.address)).to.be.false;
+            expect(await didoToken.getBlacklistReason(user1.address)).to.equal(ethers.ZeroHash);
+            expect(await didoToken.getBlacklistCount()).to.equal(0);
+        });
+
+        it("单个加入黑名单时不应触发原因事件", async function () {
+            await expect(didoToken.blacklist(user1.address))
+                .to.not.emit(didoToken, "BlacklistReason");
+            expect(await didoToken.getBlacklistReason(user1.address)).to.equal(ethers.ZeroHash);
+        });
+
+        it("批量中任一地址无效时应该整批回滚", async function () {
+            await didoToken.blacklist(user2.address);
+
+            await expect(
+                didoToken.blacklistBatch([user1.address, user2.address], REASON)
+            ).to.be.revertedWith("DIDOToken: account already blacklisted");
+
+            await expect(
+                didoToken.blacklistBatch([user1.address, owner.address], REASON)
+            ).to.be.revertedWith("DIDOToken: cannot blacklist admin");
+
+            await expect(
+                didoToken.unblacklistBatch([user2.address, user1.address], REASON)
+            ).to.be.revertedWith("DIDOToken: account not blacklisted");
+
+            expect(await didoToken.isBlacklisted(user1.address)).to.be.false;
+            expect(await didoToken.isBlacklisted(user2.address)).to.be.true;
+        });
+
+        it("应该拒绝空列表", async function () {
+            await expect(
+                didoToken.blacklistBatch([], REASON)
+            ).to.be.revertedWith("DIDOToken: empty account list");
+
+            await expect(
+                didoToken.unblacklistBatch([], REASON)
+            ).to.be.revertedWith("DIDOToken: empty account list");
+        });
+
+        it("应该支持分页枚举黑名单", async function () {
+            const accounts = addrs.slice(0, 3).map(signer => signer.address);
+            await didoToken.blacklistBatch(accounts, REASON);
+            await didoToken.blacklist(user1.address);
+
+            const firstPage = await didoToken.getBlacklist(0, 2);
+            const secondPage = await didoToken.getBlacklist(2, 2);
+            const emptyPage = await didoToken.getBlacklist(4, 2);
+
+            expect([...firstPage.accounts, ...secondPage.accounts]).to.deep.equal([...accounts, user1.address]);
+            expect([...firstPage.reasons, ...secondPage.reasons]).to.deep.equal([REASON, REASON, REASON, ethers.ZeroHash]);
+            expect(emptyPage.accounts).to.deep.equal([]);
+        });
+
+        it("批量加入黑名单后地址应该无法转账", async function () {
+            await didoToken.blacklistBatch([liquidityPool.address], REASON);
+
+            await expect(
+                didoToken.connect(liquidityPool).transfer(user1.address, ethers.parseEther("1"))
+            ).to.be.revertedWith("DIDOToken: sender is blacklisted");
+        });
+
+        it("应该能够在单笔交易中处理 200 个地址", async function () {
+            const accounts = Array.from({ length: 200 }, () => ethers.Wallet.createRandom().address);
+
+            await didoToken.blacklistBatch(accounts, REASON);
+            expect(await didoToken.getBlacklistCount()).to.equal(200);
+
+            await didoToken.unblacklistBatch(accounts, REASON);
+            expect(await didoToken.getBlacklistCount()).to.equal(0);
+        });
+    });
+
+    describe("部分冻结", function () {
+        const CASE_REF = ethers.encodeBytes32String("DISPUTE-001");
+        const BALANCE = ethers.parseEther("1000");
+        const FROZEN = ethers.parseEther("400");
+
+        beforeEach(async function () {
+            await didoToken.connect(liquidityPool).transfer(user1.address, BALANCE);
+        });
+
+        it("应该允许黑名单管理员冻结部分余额", async function () {
+            await expect(didoToken.freezeBalance(user1.address, FROZEN, CASE_REF))
+                .to.emit(didoToken, "BalanceFrozen")
+                .withArgs(user1.address, FROZEN, FROZEN, CASE_REF);
+
+            const info = await didoToken.getBalanceInfo(user1.address);
+            expect(info.totalBalance).to.equal(BALANCE);
+            expect(info.availableBalance).to.equal(BALANCE - FROZEN);
+            expect(info.frozenBalance).to.equal(FROZEN);
+            expect(await didoToken.frozenBalanceOf(user1.address)).to.equal(FROZEN);
+            expect(await didoToken.availableBalanceOf(user1.address)).to.equal(BALANCE - FROZEN);
+        });
+
+        it("多次冻结应该累加", async function () {
+            await didoToken.freezeBalance(user1.address, FROZEN, CASE_REF);
+
+            await expect(didoToken.freezeBalance(user1.address, FROZEN, CASE_REF))
+                .to.emit(didoToken, "BalanceFrozen")
+                .withArgs(user1.address, FROZEN, FROZEN * 2n, CASE_REF);
+        });
+
+        it("应该只能转出未冻结的余额", async function () {
+            await didoToken.freezeBalance(user1.address, FROZEN, CASE_REF);
+
+            await didoToken.connect(user1).transfer(user2.address, BALANCE - FROZEN);
+            expect(await didoToken.balanceOf(user2.address)).to.equal(BALANCE - FROZEN);
+
+            await expect(
+                didoToken.connect(user1).transfer(user2.address, 1)
+            ).to.be.revertedWith("DIDOToken: transfer amount exceeds available balance");
+        });
+
+        it("冻结余额应该无法通过 transferFrom 或销毁转出", async function () {
+            await didoToken.freezeBalance(user1.address, FROZEN, CASE_REF);
+            await didoToken.connect(user1).approve(user2.address, BALANCE);
+
+            await expect(
+                didoToken.connect(user2).transferFrom(user1.address, user2.address, BALANCE)
+            ).to.be.revertedWith("DIDOToken: transfer amount exceeds available balance");
+
+            await expect(
+                didoToken.connect(user1).burn(BALANCE - FROZEN + 1n)
+            ).to.be.revertedWith("DIDOToken: transfer amount exceeds available balance");
+
+            await didoToken.connect(user1).burn(BALANCE - FROZEN);
+            expect(await didoToken.balanceOf(user1.address)).to.equal(FROZEN);
+        });
+
+        it("转入的代币应该计入可用余额", async function () {
+            await didoToken.freezeBalance(user1.address, BALANCE, CASE_REF);
+            await didoToken.connect(liquidityPool).transfer(user1.address, FROZEN);
+
+            expect(await didoToken.availableBalanceOf(user1.address)).to.equal(FROZEN);
+            await didoToken.connect(user1).transfer(user2.address, FROZEN);
+        });
+
+        it("应该允许解冻部分余额", async function () {
+            await didoToken.freezeBalance(user1.address, FROZEN, CASE_REF);
+
+            await expect(didoToken.unfreezeBalance(user1.address, FROZEN / 2n, CASE_REF))
+                .to.emit(didoToken, "BalanceUnfrozen")
+                .withArgs(user1.address, FROZEN / 2n, FROZEN / 2n, CASE_REF);
+
+            expect(await didoToken.availableBalanceOf(user1.address)).to.equal(BALANCE - FROZEN / 2n);
+        });
+
+        it("应该拒绝无效的冻结和解冻参数", async function () {
+            await expect(
+                didoToken.freezeBalance(ethers.ZeroAddress, FROZEN, CASE_REF)
+            ).to.be.revertedWith("DIDOToken: cannot freeze zero address");
+
+            await expect(
+                didoToken.freezeBalance(user1.address, 0, CASE_REF)
+            ).to.be.revertedWith("DIDOToken: amount must be greater than zero");
+
+            await expect(
+                didoToken.freezeBalance(user1.address, BALANCE + 1n, CASE_REF)
+            ).to.be.revertedWith("DIDOToken: freeze amount exceeds balance");
+
+            await expect(
+                didoToken.unfreezeBalance(user1.address, 1, CASE_REF)
+            ).to.be.revertedWith("DIDOToken: unfreeze amount exceeds frozen balance");
+        });
+
+        it("应该只有黑名单管理员可以冻结和解冻", async function () {
+            await expect(
+                didoToken.connect(user2).freezeBalance(user1.address, FROZEN, CASE_REF)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount")
+                .withArgs(user2.address, BLACKLIST_MANAGER_ROLE);
+
+            await expect(
+                didoToken.connect(user2).unfreezeBalance(user1.address, FROZEN, CASE_REF)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount")
+                .withArgs(user2.address, BLACKLIST_MANAGER_ROLE);
+        });
+
+        it("处置黑名单资金时应该优先扣除冻结余额", async function () {
+            const COURT_REF = ethers.encodeBytes32String("COURT-2024-0042");
+            await didoToken.freezeBalance(user1.address, FROZEN, CASE_REF);
+            await didoToken.blacklist(user1.address);
+
+            await expect(didoToken.recoverBlacklistedFunds(user1.address, user2.address, FROZEN / 2n, COURT_REF))
+                .to.emit(didoToken, "BalanceUnfrozen")
+                .withArgs(user1.address, FROZEN / 2n, FROZEN / 2n, COURT_REF);
+
+            await didoToken.recoverBlacklistedFunds(user1.address, ethers.ZeroAddress, BALANCE - FROZEN / 2n, COURT_REF);
+            expect(await didoToken.balanceOf(user1.address)).to.equal(0);
+            expect(await didoToken.frozenBalanceOf(user1.address)).to.equal(0);
+        });
+    });
+
+    describe("黑名单资金处置", function () {
+        const CASE_REF = ethers.encodeBytes32String("COURT-2024-0042");
+        const RECOVER_AMOUNT = ethers.parseEther("1000");
+
+        beforeEach(async function () {
+            await didoToken.connect(liquidityPool).transfer(user1.address, RECOVER_AMOUNT * 2n);
+            await didoToken.blacklist(user1.address);
+        });
+
+        it("应该只有管理员可以处置资金", async function () {
+            await didoToken.grantRole(BLACKLIST_MANAGER_ROLE, user2.address);
+
+            await expect(
+                didoToken.connect(user2).recoverBlacklistedFunds(user1.address, user2.address, RECOVER_AMOUNT, CASE_REF)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount")
+                .withArgs(user2.address, DEFAULT_ADMIN_ROLE);
+        });
+
+        it("应该允许将黑名单地址的余额转移给受害者", async function () {
+            await expect(didoToken.recoverBlacklistedFunds(user1.address, user2.address, RECOVER_AMOUNT, CASE_REF))
+                .to.emit(didoToken, "BlacklistedFundsRecovered")
+                .withArgs(user1.address, user2.address, RECOVER_AMOUNT, CASE_REF)
+                .and.to.emit(didoToken, "Transfer")
+                .withArgs(user1.address, user2.address, RECOVER_AMOUNT);
+
+            expect(await didoToken.balanceOf(user1.address)).to.equal(RECOVER_AMOUNT);
+            expect(await didoToken.balanceOf(user2.address)).to.equal(RECOVER_AMOUNT);
+            // 转移不改变总供应量，地址仍在黑名单中
+            expect(await didoToken.totalSupply()).to.equal(MAX_SUPPLY);
+            expect(await didoToken.isBlacklisted(user1.address)).to.be.true;
+        });
+
+        it("应该允许销毁黑名单地址的余额", async function () {
+            await expect(didoToken.recoverBlacklistedFunds(user1.address, ethers.ZeroAddress, RECOVER_AMOUNT * 2n, CASE_REF))
+                .to.emit(didoToken, "BlacklistedFundsRecovered")
+                .withArgs(user1.address, ethers.ZeroAddress, RECOVER_AMOUNT * 2n, CASE_REF);
+
+            expect(await didoToken.balanceOf(user1.address)).to.equal(0);
+
+            const tokenInfo = await didoToken.getTokenInfo();
+            expect(tokenInfo.tokenTotalSupply).to.equal(MAX_SUPPLY - RECOVER_AMOUNT * 2n);
+            expect(tokenInfo.tokenMaxSupply).to.equal(MAX_SUPPLY);
+        });
+
+        it("销毁应该减少投票总供应量", async function () {
+            await didoToken.connect(user1).delegate(user1.address);
+            await didoToken.recoverBlacklistedFunds(user1.address, ethers.ZeroAddress, RECOVER_AMOUNT, CASE_REF);
+            const wipeBlock = await ethers.provider.getBlockNumber();
+            await mine();
+
+            expect(await didoToken.getPastTotalSupply(wipeBlock)).to.equal(MAX_SUPPLY - RECOVER_AMOUNT);
+            expect(await didoToken.getVotes(user1.address)).to.equal(RECOVER_AMOUNT);
+        });
+
+        it("应该只能处置黑名单地址的余额", async function () {
+            await expect(
+                didoToken.recoverBlacklistedFunds(liquidityPool.address, user2.address, RECOVER_AMOUNT, CASE_REF)
+            ).to.be.revertedWith("DIDOToken: account not blacklisted");
+        });
+
+        it("应该拒绝转移到黑名单地址", async function () {
+            await didoToken.blacklist(user2.address);
+
+            await expect(
+                didoToken.recoverBlacklistedFunds(user1.address, user2.address, RECOVER_AMOUNT, CASE_REF)
+            ).to.be.revertedWith("DIDOToken: recipient is blacklisted");
+        });
+
+        it("应该拒绝无效的处置参数", async function () {
+            await expect(
+                didoToken.recoverBlacklistedFunds(user1.address, user2.address, 0, CASE_REF)
+            ).to.be.revertedWith("DIDOToken: amount must be greater than zero");
+
+            await expect(
+                didoToken.recoverBlacklistedFunds(user1.address, user2.address, RECOVER_AMOUNT, ethers.ZeroHash)
+            ).to.be.revertedWith("DIDOToken: case reference required");
+
+            await expect(
+                didoToken.recoverBlacklistedFunds(user1.address, user2.address, RECOVER_AMOUNT * 3n, CASE_REF)
+            ).to.be.revertedWithCustomError(didoToken, "ERC20InsufficientBalance");
+        });
+
+        it("处置后黑名单地址仍然无法转账", async function () {
+            await didoToken.recoverBlacklistedFunds(user1.address, user2.address, RECOVER_AMOUNT, CASE_REF);
+
+            await expect(
+                didoToken.connect(user1).transfer(user2.address, 1)
+            ).to.be.revertedWith("DIDOToken: sender is blacklisted");
+        });
+
+        it("burnFrom 仍然不能销毁黑名单地址的余额", async function () {
+            // 即使黑名单地址此前已授权，也只能由管理员通过处置流程销毁
+            await didoToken.unblacklist(user1.address);
+            await didoToken.connect(user1).approve(user2.address, RECOVER_AMOUNT);
+            await didoToken.blacklist(user1.address);
+
+            await expect(
+                didoToken.connect(user2).burnFrom(user1.address, RECOVER_AMOUNT)
+            ).to.be.revertedWith("DIDOToken: cannot burn from blacklisted address");
+
+            await didoToken.recoverBlacklistedFunds(user1.address, ethers.ZeroAddress, RECOVER_AMOUNT, CASE_REF);
+
+            // 处置销毁不消耗第三方的授权额度
+            expect(await didoToken.allowance(user1.address, user2.address)).to.equal(RECOVER_AMOUNT);
+            expect(await didoToken.totalSupply()).to.equal(MAX_SUPPLY - RECOVER_AMOUNT);
+        });
+
+        it("暂停期间应该无法处置", async function () {
+            await didoToken.pause();
+
+            await expect(
+                didoToken.recoverBlacklistedFunds(user1.address, user2.address, RECOVER_AMOUNT, CASE_REF)
+            ).to.be.revertedWithCustomError(didoToken, "EnforcedPause");
+        });
+    });
+
+    describe("批量转账", function () {
+        const AMOUNTS = [ethers.parseEther("100"), ethers.parseEther("200"), ethers.parseEther("300")];
+
+        it("应该一次向多个地址转账", async function () {
+            const recipients = [user1.address, user2.address, addrs[0].address];
+
+            await expect(didoToken.connect(communityWallet).batchTransfer(recipients, AMOUNTS))
+                .to.emit(didoToken, "BatchTransfer")
+                .withArgs(communityWallet.address, 3, ethers.parseEther("600"));
+
+            expect(await didoToken.balanceOf(user1.address)).to.equal(AMOUNTS[0]);
+            expect(await didoToken.balanceOf(user2.address)).to.equal(AMOUNTS[1]);
+            expect(await didoToken.balanceOf(addrs[0].address)).to.equal(AMOUNTS[2]);
+            expect(await didoToken.balanceOf(communityWallet.address)).to.equal(COMMUNITY_AMOUNT - ethers.parseEther("600"));
+        });
+
+        it("应该为每个接收地址触发 Transfer 事件", async function () {
+            await expect(didoToken.connect(communityWallet).batchTransfer([user1.address, user2.address], AMOUNTS.slice(0, 2)))
+                .to.emit(didoToken, "Transfer").withArgs(communityWallet.address, user1.address, AMOUNTS[0])
+                .and.to.emit(didoToken, "Transfer").withArgs(communityWallet.address, user2.address, AMOUNTS[1]);
+        });
+
+        it("应该拒绝空列表和长度不一致的参数", async function () {
+            await expect(
+                didoToken.connect(communityWallet).batchTransfer([], [])
+            ).to.be.revertedWith("DIDOToken: empty recipient list");
+
+            await expect(
+                didoToken.connect(communityWallet).batchTransfer([user1.address, user2.address], [AMOUNTS[0]])
+            ).to.be.revertedWith("DIDOToken: recipients and amounts length mismatch");
+        });
+
+        it("任一接收地址在黑名单中时应该整批回滚", async function () {
+            await didoToken.blacklist(user2.address);
+
+            await expect(
+                didoToken.connect(communityWallet).batchTransfer([user1.address, user2.address], AMOUNTS.slice(0, 2))
+            ).to.be.revertedWith("DIDOToken: recipient is blacklisted");
+
+            expect(await didoToken.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("余额不足时应该整批回滚", async function () {
+            await expect(
+                didoToken.connect(user1).batchTransfer([user2.address], [AMOUNTS[0]])
+            ).to.be.revertedWithCustomError(didoToken, "ERC20InsufficientBalance");
+        });
+
+        it("暂停期间应该无法批量转账", async function () {
+            await didoToken.pause();
+
+            await expect(
+                didoToken.connect(communityWallet).batchTransfer([user1.address], [AMOUNTS[0]])
+            ).to.be.revertedWithCustomError(didoToken, "EnforcedPause");
+        });
+    });
+
+    describe("误转资产找回", function () {
+        const RESCUE_AMOUNT = ethers.parseEther("500");
+
+        it("应该允许管理员找回误转入的 DDT", async function () {
+            const tokenAddress = await didoToken.getAddress();
+            await didoToken.connect(liquidityPool).transfer(tokenAddress, RESCUE_AMOUNT);
+
+            await expect(didoToken.rescueERC20(tokenAddress, user1.address, RESCUE_AMOUNT))
+                .to.emit(didoToken, "ERC20Rescued")
+                .withArgs(tokenAddress, user1.address, RESCUE_AMOUNT);
+
+            expect(await didoToken.balanceOf(tokenAddress)).to.equal(0);
+            expect(await didoToken.balanceOf(user1.address)).to.equal(RESCUE_AMOUNT);
+        });
+
+        it("应该允许管理员找回误转入的其他 ERC20 代币", async function () {
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+            const otherToken = await DIDOToken.deploy(
+                [user1.address, user2.address, addrs[0].address, addrs[1].address],
+                [LIQUIDITY_AMOUNT, TEAM_AMOUNT, COMMUNITY_AMOUNT, RESERVE_AMOUNT]
+            );
+            await otherToken.connect(user1).transfer(await didoToken.getAddress(), RESCUE_AMOUNT);
+
+            await didoToken.rescueERC20(await otherToken.getAddress(), user1.address, RESCUE_AMOUNT);
+
+            expect(await otherToken.balanceOf(await didoToken.getAddress())).to.equal(0);
+            expect(await otherToken.balanceOf(user1.address)).to.equal(LIQUIDITY_AMOUNT);
+        });
+
+        it("找回 DDT 时应该遵守黑名单检查", async function () {
+            const tokenAddress = await didoToken.getAddress();
+            await didoToken.connect(liquidityPool).transfer(tokenAddress, RESCUE_AMOUNT);
+            await didoToken.blacklist(user1.address);
+
+            await expect(
+                didoToken.rescueERC20(tokenAddress, user1.address, RESCUE_AMOUNT)
+            ).to.be.revertedWith("DIDOToken: recipient is blacklisted");
+        });
+
+        it("应该允许管理员找回强制转入的 ETH", async function () {
+            const tokenAddress = await didoToken.getAddress();
+            const ethAmount = ethers.parseEther("1");
+            await setBalance(tokenAddress, ethAmount);
+
+            await expect(didoToken.rescueETH(user1.address, ethAmount))
+                .to.emit(didoToken, "ETHRescued")
+                .withArgs(user1.address, ethAmount);
+            expect(await ethers.provider.getBalance(tokenAddress)).to.equal(0);
+        });
+
+        it("应该拒绝普通 ETH 转账", async function () {
+            await expect(
+                user1.sendTransaction({ to: await didoToken.getAddress(), value: ethers.parseEther("1") })
+            ).to.be.reverted;
+        });
+
+        it("应该只有管理员可以找回资产", async function () {
+            await expect(
+                didoToken.connect(user1).rescueERC20(await didoToken.getAddress(), user1.address, RESCUE_AMOUNT)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+
+            await expect(
+                didoToken.connect(user1).rescueETH(user1.address, 1)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+        });
+
+        it("应该拒绝无效的找回参数", async function () {
+            const tokenAddress = await didoToken.getAddress();
+
+            await expect(
+                didoToken.rescueERC20(tokenAddress, ethers.ZeroAddress, RESCUE_AMOUNT)
+            ).to.be.revertedWith("Rescuable: recipient cannot be zero address");
+
+            await expect(
+                didoToken.rescueERC20(tokenAddress, user1.address, 0)
+            ).to.be.revertedWith("Rescuable: amount must be greater than zero");
+
+            await expect(
+                didoToken.rescueETH(user1.address, 1)
+            ).to.be.revertedWith("Rescuable: insufficient ETH balance");
+        });
+    });
+
     describe("权限控制", function () {
-        it("应该只有 owner 可以转移所有权", async function () {
+        it("应该只有管理员可以授予角色", async function () {
             await expect(
-                didoToken.connect(user1).transferOwnership(user2.address)
-            ).to.be.revertedWithCustomError(didoToken, "OwnableUnauthorizedAccount");
+                didoToken.connect(user1).grantRole(PAUSER_ROLE, user2.address)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, DEFAULT_ADMIN_ROLE);
         });
 
-        it("应该允许 owner 转移所有权", async function () {
-            await didoToken.transferOwnership(user1.address);
-            
-            const newOwner = await didoToken.owner();
-            expect(newOwner).to.equal(user1.address);
+        it("应该允许管理员独立授予和撤销暂停者角色", async function () {
+            await expect(didoToken.grantRole(PAUSER_ROLE, user1.address))
+                .to.emit(didoToken, "RoleGranted")
+                .withArgs(PAUSER_ROLE, user1.address, owner.address);
+
+            await didoToken.connect(user1).pause();
+            expect(await didoToken.paused()).to.be.true;
+
+            // 暂停者角色不包含黑名单权限
+            await expect(
+                didoToken.connect(user1).blacklist(user2.address)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+
+            await expect(didoToken.revokeRole(PAUSER_ROLE, user1.address))
+                .to.emit(didoToken, "RoleRevoked")
+                .withArgs(PAUSER_ROLE, user1.address, owner.address);
+
+            await expect(
+                didoToken.connect(user1).unpause()
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
         });
 
-        it("应该拒绝转移给零地址", async function () {
+        it("应该允许管理员独立授予和撤销黑名单管理员角色", async function () {
+            await didoToken.grantRole(BLACKLIST_MANAGER_ROLE, user1.address);
+
+            await didoToken.connect(user1).blacklist(user2.address);
+            expect(await didoToken.isBlacklisted(user2.address)).to.be.true;
+
+            // 黑名单管理员角色不包含暂停权限
             await expect(
-                didoToken.transferOwnership(ethers.ZeroAddress)
-            ).to.be.revertedWith("DIDOToken: new owner cannot be zero address");
+                didoToken.connect(user1).pause()
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+
+            await didoToken.revokeRole(BLACKLIST_MANAGER_ROLE, user1.address);
+
+            await expect(
+                didoToken.connect(user1).unblacklist(user2.address)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+        });
+
+        it("应该在代币信息中反映角色持有者", async function () {
+            await didoToken.grantRole(PAUSER_ROLE, user1.address);
+            await didoToken.grantRole(BLACKLIST_MANAGER_ROLE, user2.address);
+            await didoToken.revokeRole(BLACKLIST_MANAGER_ROLE, owner.address);
+
+            const tokenInfo = await didoToken.getTokenInfo();
+            expect(tokenInfo.tokenAdmins).to.deep.equal([owner.address]);
+            expect(tokenInfo.tokenPausers).to.deep.equal([owner.address, user1.address]);
+            expect(tokenInfo.tokenBlacklistManagers).to.deep.equal([user2.address]);
         });
 
-        it("应该拒绝转移给当前 owner", async function () {
+        it("应该禁止直接授予管理员角色", async function () {
             await expect(
-                didoToken.transferOwnership(owner.address)
-            ).to.be.revertedWith("DIDOToken: new owner must be different");
+                didoToken.grantRole(DEFAULT_ADMIN_ROLE, user1.address)
+            ).to.be.revertedWith("DIDOToken: use beginAdminTransfer for admin role");
         });
+    });
 
-        it("应该允许 owner 放弃所有权", async function () {
-            await didoToken.renounceOwnership();
-            
-            const newOwner = await didoToken.owner();
-            expect(newOwner).to.equal(ethers.ZeroAddress);
+    describe("管理员移交", function () {
+        it("应该只有管理员可以发起移交", async function () {
+            await expect(
+                didoToken.connect(user1).beginAdminTransfer(user1.address)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+        });
+
+        it("应该在新管理员接受后完成移交", async function () {
+            await expect(didoToken.beginAdminTransfer(user1.address))
+                .to.emit(didoToken, "AdminTransferStarted")
+                .withArgs(owner.address, user1.address);
+
+            // 接受前管理员不变
+            expect(await didoToken.pendingAdmin()).to.equal(user1.address);
+            expect(await didoToken.hasRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.false;
+            expect(await didoToken.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.true;
+
+            await expect(didoToken.connect(user1).acceptAdminTransfer())
+                .to.emit(didoToken, "AdminTransferred")
+                .withArgs(owner.address, user1.address);
+
+            expect(await didoToken.pendingAdmin()).to.equal(ethers.ZeroAddress);
+            expect(await didoToken.hasRole(DEFAULT_ADMIN_ROLE, user1.address)).to.be.true;
+            expect(await didoToken.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+
+            await expect(
+                didoToken.grantRole(PAUSER_ROLE, user2.address)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+        });
+
+        it("应该拒绝非待定地址接受移交", async function () {
+            await didoToken.beginAdminTransfer(user1.address);
+
+            await expect(
+                didoToken.connect(user2).acceptAdminTransfer()
+            ).to.be.revertedWith("DIDOToken: caller is not the pending admin");
+        });
+
+        it("应该允许在接受前覆盖待定地址", async function () {
+            await didoToken.beginAdminTransfer(user1.address);
+            await didoToken.beginAdminTransfer(user2.address);
+
+            await expect(
+                didoToken.connect(user1).acceptAdminTransfer()
+            ).to.be.revertedWith("DIDOToken: caller is not the pending admin");
+
+            await didoToken.connect(user2).acceptAdminTransfer();
+            expect(await didoToken.hasRole(DEFAULT_ADMIN_ROLE, user2.address)).to.be.true;
+        });
+
+        it("应该拒绝移交给零地址或现任管理员", async function () {
+            await expect(
+                didoToken.beginAdminTransfer(ethers.ZeroAddress)
+            ).to.be.revertedWith("DIDOToken: new admin cannot be zero address");
+
+            await expect(
+                didoToken.beginAdminTransfer(owner.address)
+            ).to.be.revertedWith("DIDOToken: new admin must be different");
+        });
+
+        it("发起者失去管理员角色后移交应该失效", async function () {
+            await didoToken.beginAdminTransfer(user1.address);
+            await didoToken.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+
+            await expect(
+                didoToken.connect(user1).acceptAdminTransfer()
+            ).to.be.revertedWith("DIDOToken: admin transfer no longer valid");
+        });
+    });
+
+    describe("管理操作延迟队列", function () {
+        const DELAY = 2 * 24 * 60 * 60; // 2 天
+
+        function renounceAdminData() {
+            return didoToken.interface.encodeFunctionData("renounceRole", [DEFAULT_ADMIN_ROLE, owner.address]);
+        }
+
+        it("未启用延迟时应该可以直接放弃管理员角色", async function () {
+            expect(await didoToken.adminActionDelay()).to.equal(0);
+
+            await didoToken.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+            expect(await didoToken.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+        });
+
+        it("应该只有管理员可以管理延迟队列", async function () {
+            await expect(
+                didoToken.connect(user1).setAdminActionDelay(DELAY)
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+
+            await didoToken.setAdminActionDelay(DELAY);
+
+            await expect(
+                didoToken.connect(user1).scheduleAdminAction(renounceAdminData())
+            ).to.be.revertedWithCustomError(didoToken, "AccessControlUnauthorizedAccount");
+        });
+
+        it("启用延迟后放弃管理员角色必须先登记并等待", async function () {
+            await expect(didoToken.setAdminActionDelay(DELAY))
+                .to.emit(didoToken, "AdminActionDelayUpdated")
+                .withArgs(0, DELAY);
+
+            await expect(
+                didoToken.renounceRole(DEFAULT_ADMIN_ROLE, owner.address)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+
+            const data = renounceAdminData();
+            const actionId = ethers.keccak256(data);
+            await expect(didoToken.scheduleAdminAction(data))
+                .to.emit(didoToken, "AdminActionScheduled")
+                .withArgs(actionId, data, await time.latest() + 1 + DELAY);
+
+            await expect(
+                didoToken.renounceRole(DEFAULT_ADMIN_ROLE, owner.address)
+            ).to.be.revertedWith("AdminActionQueue: action not ready");
+
+            await time.increase(DELAY);
+
+            await expect(didoToken.renounceRole(DEFAULT_ADMIN_ROLE, owner.address))
+                .to.emit(didoToken, "AdminActionExecuted")
+                .withArgs(actionId);
+            expect(await didoToken.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+        });
+
+        it("启用延迟后撤销管理员角色同样必须先登记并等待", async function () {
+            await didoToken.setAdminActionDelay(DELAY);
+
+            await expect(
+                didoToken.revokeRole(DEFAULT_ADMIN_ROLE, owner.address)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+            expect(await didoToken.getRoleMemberCount(DEFAULT_ADMIN_ROLE)).to.equal(1);
+
+            const data = didoToken.interface.encodeFunctionData("revokeRole", [DEFAULT_ADMIN_ROLE, owner.address]);
+            await didoToken.scheduleAdminAction(data);
+            await expect(
+                didoToken.revokeRole(DEFAULT_ADMIN_ROLE, owner.address)
+            ).to.be.revertedWith("AdminActionQueue: action not ready");
+
+            await time.increase(DELAY);
+
+            await expect(didoToken.revokeRole(DEFAULT_ADMIN_ROLE, owner.address))
+                .to.emit(didoToken, "AdminActionExecuted")
+                .withArgs(ethers.keccak256(data));
+            expect(await didoToken.getRoleMemberCount(DEFAULT_ADMIN_ROLE)).to.equal(0);
+        });
+
+        it("撤销其他角色不受延迟限制", async function () {
+            await didoToken.setAdminActionDelay(DELAY);
+
+            await didoToken.revokeRole(PAUSER_ROLE, owner.address);
+            expect(await didoToken.hasRole(PAUSER_ROLE, owner.address)).to.be.false;
+        });
+
+        it("放弃其他角色不受延迟限制", async function () {
+            await didoToken.setAdminActionDelay(DELAY);
+
+            await didoToken.renounceRole(PAUSER_ROLE, owner.address);
+            expect(await didoToken.hasRole(PAUSER_ROLE, owner.address)).to.be.false;
+        });
+
+        it("应该允许在到期前取消已登记的操作", async function () {
+            await didoToken.setAdminActionDelay(DELAY);
+            const data = renounceAdminData();
+            const actionId = ethers.keccak256(data);
+            await didoToken.scheduleAdminAction(data);
+
+            await expect(didoToken.cancelAdminAction(actionId))
+                .to.emit(didoToken, "AdminActionCancelled")
+                .withArgs(actionId);
+            expect(await didoToken.getAdminActionReadyAt(actionId)).to.equal(0);
+
+            await time.increase(DELAY);
+            await expect(
+                didoToken.renounceRole(DEFAULT_ADMIN_ROLE, owner.address)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+        });
+
+        it("修改延迟本身也应该受延迟限制", async function () {
+            await didoToken.setAdminActionDelay(DELAY);
+
+            await expect(
+                didoToken.setAdminActionDelay(0)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+
+            await didoToken.scheduleAdminAction(didoToken.interface.encodeFunctionData("setAdminActionDelay", [0]));
+            await time.increase(DELAY);
+            await didoToken.setAdminActionDelay(0);
+
+            expect(await didoToken.adminActionDelay()).to.equal(0);
+        });
+
+        it("应该拒绝无效的登记", async function () {
+            await expect(
+                didoToken.scheduleAdminAction(renounceAdminData())
+            ).to.be.revertedWith("AdminActionQueue: delay queue disabled");
+
+            await didoToken.setAdminActionDelay(DELAY);
+            await didoToken.scheduleAdminAction(renounceAdminData());
+
+            await expect(
+                didoToken.scheduleAdminAction(renounceAdminData())
+            ).to.be.revertedWith("AdminActionQueue: action already scheduled");
+
+            await expect(
+                didoToken.scheduleAdminAction("0x1234")
+            ).to.be.revertedWith("AdminActionQueue: invalid calldata");
+
+            await expect(
+                didoToken.cancelAdminAction(ethers.ZeroHash)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+        });
+
+        it("应该拒绝超过上限的延迟", async function () {
+            await expect(
+                didoToken.setAdminActionDelay(31 * 24 * 60 * 60)
+            ).to.be.revertedWith("AdminActionQueue: delay too long");
         });
     });
 
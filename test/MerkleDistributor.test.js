@@ -0,0 +1,286 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { LEAF_ENCODING, buildMerkleTree, buildDistribution } = require("../scripts/buildMerkleTree");
+
+/**
+ * MerkleDistributor 合约测试套件
+ *
+ * 测试覆盖：
+ * - Merkle 树生成（CSV 解析、证明可验证、结果确定）
+ * - 部署参数校验
+ * - 领取功能（领取窗口、重复领取、无效证明、代领）
+ * - 与 DIDOToken 的集成（黑名单地址无法领取）
+ * - 剩余代币退回社区钱包
+ */
+
+describe("MerkleDistributor", function () {
+    let didoToken;
+    let distributor;
+    let tree;
+    let claims;
+    let owner;
+    let liquidityPool;
+    let teamWallet;
+    let communityWallet;
+    let reserveWallet;
+    let user1;
+    let user2;
+    let user3;
+    let addrs;
+    let claimStart;
+    let claimEnd;
+
+    const CLAIM_WINDOW = 30 * 24 * 60 * 60; // 30 天
+    const AMOUNTS = [ethers.parseEther("100"), ethers.parseEther("200"), ethers.parseEther("300")];
+    const TOTAL_AMOUNT = ethers.parseEther("600");
+
+    beforeEach(async function () {
+        [owner, liquidityPool, teamWallet, communityWallet, reserveWallet, user1, user2, user3, ...addrs] = await ethers.getSigners();
+
+        const DIDOToken = await ethers.getContractFactory("DIDOToken");
+        didoToken = await DIDOToken.deploy(
+            [liquidityPool.address, teamWallet.address, communityWallet.address, reserveWallet.address],
+            [ethers.parseEther("400000"), ethers.parseEther("300000"), ethers.parseEther("200000"), ethers.parseEther("100000")]
+        );
+
+        ({ tree, claims } = buildMerkleTree([
+            { address: user1.address, amount: AMOUNTS[0] },
+            { address: user2.address, amount: AMOUNTS[1] },
+            { address: user3.address, amount: AMOUNTS[2] }
+        ]));
+
+        claimStart = (await time.latest()) + 100;
+        claimEnd = claimStart + CLAIM_WINDOW;
+
+        const MerkleDistributor = await ethers.getContractFactory("MerkleDistributor");
+        distributor = await MerkleDistributor.deploy(
+            await didoToken.getAddress(),
+            tree.root,
+            claimStart,
+            claimEnd,
+            communityWallet.address
+        );
+
+        // 社区钱包转入空投总量
+        await didoToken.connect(communityWallet).transfer(await distributor.getAddress(), TOTAL_AMOUNT);
+    });
+
+    /**
+     * 按名单提交领取
+     */
+    function claimFor(account, caller = account) {
+        const claim = claims[account.address];
+        return distributor.connect(caller).claim(account.address, claim.amount, claim.proof);
+    }
+
+    describe("Merkle 树生成", function () {
+        it("应该从 CSV 生成根哈希、总量和每个地址的证明", async function () {
+            const csv = [
+                "address,amount",
+                `${user1.address},100`,
+                `${user2.address},200`,
+                `${user3.address},300`
+            ].join("\n");
+
+            const distribution = buildDistribution(csv);
+
+            expect(distribution.merkleRoot).to.equal(tree.root);
+            expect(distribution.leafEncoding).to.deep.equal(LEAF_ENCODING);
+            expect(distribution.totalAmount).to.equal(TOTAL_AMOUNT.toString());
+            expect(distribution.recipientCount).to.equal(3);
+            expect(distribution.claims[user2.address].amount).to.equal(AMOUNTS[1].toString());
+        });
+
+        it("生成的证明应该可以用 StandardMerkleTree 验证", async function () {
+            for (const [address, claim] of Object.entries(claims)) {
+                expect(StandardMerkleTree.verify(tree.root, LEAF_ENCODING, [address, claim.amount], claim.proof)).to.be.true;
+            }
+        });
+
+        it("相同名单应该生成相同的结果", async function () {
+            const csv = `${user1.address},100\n${user2.address},200`;
+
+            expect(buildDistribution(csv)).to.deep.equal(buildDistribution(csv));
+        });
+
+        it("名单有错误时应该拒绝生成", async function () {
+            const csv = `${user1.address},100\n${user1.address},200\n0x1234,1`;
+
+            expect(() => buildDistribution(csv)).to.throw("名单中有 2 个错误");
+        });
+
+        it("空名单应该拒绝生成", async function () {
+            expect(() => buildDistribution("address,amount\n")).to.throw("名单为空");
+        });
+    });
+
+    describe("部署和初始化", function () {
+        it("应该正确设置分发参数", async function () {
+            expect(await distributor.token()).to.equal(await didoToken.getAddress());
+            expect(await distributor.merkleRoot()).to.equal(tree.root);
+            expect(await distributor.claimStart()).to.equal(claimStart);
+            expect(await distributor.claimEnd()).to.equal(claimEnd);
+            expect(await distributor.communityWallet()).to.equal(communityWallet.address);
+            expect(await distributor.totalClaimed()).to.equal(0);
+        });
+
+        it("应该返回正确的合约信息", async function () {
+            const info = await distributor.getDistributorInfo();
+
+            expect(info.tokenAddress).to.equal(await didoToken.getAddress());
+            expect(info.root).to.equal(tree.root);
+            expect(info.startTime).to.equal(claimStart);
+            expect(info.endTime).to.equal(claimEnd);
+            expect(info.claimedAmount).to.equal(0);
+            expect(info.remainingAmount).to.equal(TOTAL_AMOUNT);
+            expect(info.claimActive).to.be.false;
+        });
+
+        it("应该拒绝无效的部署参数", async function () {
+            const MerkleDistributor = await ethers.getContractFactory("MerkleDistributor");
+            const tokenAddress = await didoToken.getAddress();
+
+            await expect(
+                MerkleDistributor.deploy(ethers.ZeroAddress, tree.root, claimStart, claimEnd, communityWallet.address)
+            ).to.be.revertedWith("MerkleDistributor: token address cannot be zero");
+
+            await expect(
+                MerkleDistributor.deploy(tokenAddress, ethers.ZeroHash, claimStart, claimEnd, communityWallet.address)
+            ).to.be.revertedWith("MerkleDistributor: merkle root cannot be zero");
+
+            await expect(
+                MerkleDistributor.deploy(tokenAddress, tree.root, claimStart, claimStart, communityWallet.address)
+            ).to.be.revertedWith("MerkleDistributor: claim end must be after start");
+
+            const now = await time.latest();
+            await expect(
+                MerkleDistributor.deploy(tokenAddress, tree.root, now - 200, now - 100, communityWallet.address)
+            ).to.be.revertedWith("MerkleDistributor: claim end must be in the future");
+
+            await expect(
+                MerkleDistributor.deploy(tokenAddress, tree.root, claimStart, claimEnd, ethers.ZeroAddress)
+            ).to.be.revertedWith("MerkleDistributor: community wallet cannot be zero");
+        });
+    });
+
+    describe("领取功能", function () {
+        beforeEach(async function () {
+            await time.increaseTo(claimStart);
+        });
+
+        it("应该允许名单中的地址领取对应数量", async function () {
+            await expect(claimFor(user1))
+                .to.emit(distributor, "Claimed")
+                .withArgs(user1.address, AMOUNTS[0]);
+
+            expect(await didoToken.balanceOf(user1.address)).to.equal(AMOUNTS[0]);
+            expect(await distributor.isClaimed(user1.address)).to.be.true;
+            expect(await distributor.isClaimed(user2.address)).to.be.false;
+            expect(await distributor.totalClaimed()).to.equal(AMOUNTS[0]);
+        });
+
+        it("应该允许他人代为提交领取，代币转给名单中的地址", async function () {
+            await claimFor(user2, addrs[0]);
+
+            expect(await didoToken.balanceOf(user2.address)).to.equal(AMOUNTS[1]);
+            expect(await didoToken.balanceOf(addrs[0].address)).to.equal(0);
+        });
+
+        it("应该拒绝重复领取", async function () {
+            await claimFor(user1);
+
+            await expect(claimFor(user1)).to.be.revertedWith("MerkleDistributor: already claimed");
+        });
+
+        it("应该拒绝错误的数量或证明", async function () {
+            const claim = claims[user1.address];
+
+            await expect(
+                distributor.claim(user1.address, AMOUNTS[1], claim.proof)
+            ).to.be.revertedWith("MerkleDistributor: invalid proof");
+
+            await expect(
+                distributor.claim(user1.address, claim.amount, claims[user2.address].proof)
+            ).to.be.revertedWith("MerkleDistributor: invalid proof");
+
+            await expect(
+                distributor.claim(addrs[0].address, claim.amount, claim.proof)
+            ).to.be.revertedWith("MerkleDistributor: invalid proof");
+        });
+
+        it("应该允许全部地址领取完毕", async function () {
+            await claimFor(user1);
+            await claimFor(user2);
+            await claimFor(user3);
+
+            expect(await distributor.totalClaimed()).to.equal(TOTAL_AMOUNT);
+            expect(await didoToken.balanceOf(await distributor.getAddress())).to.equal(0);
+        });
+
+        it("黑名单地址应该无法领取", async function () {
+            await didoToken.blacklist(user1.address);
+
+            await expect(claimFor(user1)).to.be.revertedWith("DIDOToken: recipient is blacklisted");
+            expect(await distributor.isClaimed(user1.address)).to.be.false;
+        });
+
+        it("代币暂停期间应该无法领取", async function () {
+            await didoToken.pause();
+
+            await expect(claimFor(user1)).to.be.revertedWithCustomError(didoToken, "EnforcedPause");
+        });
+    });
+
+    describe("领取窗口", function () {
+        it("开始时间之前应该无法领取", async function () {
+            await expect(claimFor(user1)).to.be.revertedWith("MerkleDistributor: claim not started");
+        });
+
+        it("结束时间之后应该无法领取", async function () {
+            await time.increaseTo(claimEnd);
+
+            await expect(claimFor(user1)).to.be.revertedWith("MerkleDistributor: claim ended");
+        });
+
+        it("应该正确反映领取窗口状态", async function () {
+            await time.increaseTo(claimStart);
+            expect((await distributor.getDistributorInfo()).claimActive).to.be.true;
+
+            await time.increaseTo(claimEnd);
+            expect((await distributor.getDistributorInfo()).claimActive).to.be.false;
+        });
+    });
+
+    describe("剩余代币退回", function () {
+        it("领取窗口结束前应该无法退回", async function () {
+            await time.increaseTo(claimEnd - 10);
+
+            await expect(distributor.sweep()).to.be.revertedWith("MerkleDistributor: claim not ended");
+        });
+
+        it("领取窗口结束后应该将剩余代币退回社区钱包", async function () {
+            await time.increaseTo(claimStart);
+            await claimFor(user1);
+            await time.increaseTo(claimEnd);
+
+            const remaining = TOTAL_AMOUNT - AMOUNTS[0];
+            const communityBalance = await didoToken.balanceOf(communityWallet.address);
+
+            await expect(distributor.connect(addrs[0]).sweep())
+                .to.emit(distributor, "Swept")
+                .withArgs(communityWallet.address, remaining);
+
+            expect(await didoToken.balanceOf(communityWallet.address)).to.equal(communityBalance + remaining);
+            expect(await didoToken.balanceOf(await distributor.getAddress())).to.equal(0);
+        });
+
+        it("没有剩余代币时应该拒绝退回", async function () {
+            await time.increaseTo(claimEnd);
+            await distributor.sweep();
+
+            await expect(distributor.sweep()).to.be.revertedWith("MerkleDistributor: nothing to sweep");
+        });
+    });
+});
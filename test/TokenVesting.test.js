@@ -1,19 +1,29 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
 
 /**
  * TokenVesting 合约测试套件
  * 
  * 测试覆盖：
  * - 初始状态（受益人、总量、开始时间正确）
+ * - 释放时间表参数（未来开始时间、自定义悬崖期和释放期、参数校验）
+ * - 阶梯释放（每个解锁边界的精确数量）
+ * - 时间点查询（不依赖区块时间查询过去和未来的归属数量）
  * - 悬崖期（6 个月内无法提取）
  * - 线性释放（时间推移后可提取对应数量）
  * - 重复提取（已提取的不能再提取）
  * - 完全释放（24 个月后可提取全部）
  * - 暂停功能
  * - 紧急提取功能
+ * - 撤销锁仓（已归属部分仍归受益人，未归属部分退回指定地址）
+ * - 更换受益人（owner 发起、新受益人接受，收款地址和投票权委托随之更换）
  * - 权限控制
+ * - 注资（拉取差额、注资检查、余额不足时拒绝释放）
+ * - 代为释放与收款地址（任何人可触发释放，受益人可指定收款地址）
+ * - 治理投票权（受益人委托锁定代币的投票权，释放后投票权随代币转移）
+ * - 两步式所有权转移与管理操作延迟队列
+ * - 误转资产找回（不能动用受益人应得的代币）
  */
 
 describe("TokenVesting", function () {
@@ -24,11 +34,13 @@ describe("TokenVesting", function () {
     let user1;
     let user2;
     let addrs;
+    let startTime;
 
     // 时间常量
     const CLIFF_DURATION = 180 * 24 * 60 * 60; // 6 个月（秒）
     const RELEASE_DURATION = 540 * 24 * 60 * 60; // 18 个月（秒）
     const TOTAL_DURATION = 720 * 24 * 60 * 60; // 24 个月（秒）
+    const START_DELAY = 60; // 开始时间设在部署后 1 分钟
     
     // 代币常量
     const VESTING_AMOUNT = ethers.parseEther("300000"); // 300,000 DDT
@@ -40,19 +52,22 @@ describe("TokenVesting", function () {
         // 部署 DIDOToken 合约
         const DIDOToken = await ethers.getContractFactory("DIDOToken");
         didoToken = await DIDOToken.deploy(
-            user1.address, // 流动性池
-            beneficiary.address, // 团队钱包
-            user2.address, // 社区钱包
-            owner.address // 预留钱包
+            [user1.address, beneficiary.address, user2.address, owner.address],
+            [ethers.parseEther("400000"), ethers.parseEther("300000"), ethers.parseEther("200000"), ethers.parseEther("100000")]
         );
         await didoToken.waitForDeployment();
 
         // 部署 TokenVesting 合约
+        startTime = (await time.latest()) + START_DELAY;
         const TokenVesting = await ethers.getContractFactory("TokenVesting");
         tokenVesting = await TokenVesting.deploy(
             await didoToken.getAddress(),
             beneficiary.address,
-            VESTING_AMOUNT
+            VESTING_AMOUNT,
+            startTime,
+            CLIFF_DURATION,
+            RELEASE_DURATION,
+            0 // 按秒线性释放
         );
         await tokenVesting.waitForDeployment();
 
@@ -76,10 +91,15 @@ describe("TokenVesting", function () {
             const timeInfo = await tokenVesting.getTimeInfo();
             const currentTime = await time.latest();
             
-            expect(Number(timeInfo.contractStartTime)).to.be.closeTo(Number(currentTime), 1);
-            expect(timeInfo.cliffEndTime).to.equal(Number(timeInfo.contractStartTime) + CLIFF_DURATION);
-            expect(timeInfo.vestingEndTime).to.equal(Number(timeInfo.contractStartTime) + TOTAL_DURATION);
-            expect(Number(timeInfo.currentTime)).to.be.closeTo(Number(currentTime), 1);
+            expect(timeInfo.contractStartTime).to.equal(startTime);
+            expect(timeInfo.cliffEndTime).to.equal(startTime + CLIFF_DURATION);
+            expect(timeInfo.vestingEndTime).to.equal(startTime + TOTAL_DURATION);
+            expect(timeInfo.currentTime).to.equal(currentTime);
+            expect(timeInfo.timeUntilStart).to.equal(startTime - currentTime);
+            
+            expect(await tokenVesting.cliffDuration()).to.equal(CLIFF_DURATION);
+            expect(await tokenVesting.releaseDuration()).to.equal(RELEASE_DURATION);
+            expect(await tokenVesting.totalDuration()).to.equal(TOTAL_DURATION);
         });
 
         it("应该正确计算初始释放信息", async function () {
@@ -90,6 +110,8 @@ describe("TokenVesting", function () {
             expect(vestingInfo.releasableAmount).to.equal(0);
             expect(vestingInfo.remainingAmount).to.equal(VESTING_AMOUNT);
             expect(vestingInfo.progressPercent).to.equal(0);
+            expect(vestingInfo.vestingCliffDuration).to.equal(CLIFF_DURATION);
+            expect(vestingInfo.vestingReleaseDuration).to.equal(RELEASE_DURATION);
         });
 
         it("应该拒绝无效的构造函数参数", async function () {
@@ -100,7 +122,11 @@ describe("TokenVesting", function () {
                 TokenVesting.deploy(
                     ethers.ZeroAddress,
                     beneficiary.address,
-                    VESTING_AMOUNT
+                    VESTING_AMOUNT,
+                    0,
+                    CLIFF_DURATION,
+                    RELEASE_DURATION,
+                    0
                 )
             ).to.be.revertedWith("TokenVesting: token address cannot be zero");
 
@@ -108,7 +134,11 @@ describe("TokenVesting", function () {
                 TokenVesting.deploy(
                     await didoToken.getAddress(),
                     ethers.ZeroAddress,
-                    VESTING_AMOUNT
+                    VESTING_AMOUNT,
+                    0,
+                    CLIFF_DURATION,
+                    RELEASE_DURATION,
+                    0
                 )
             ).to.be.revertedWith("TokenVesting: beneficiary address cannot be zero");
 
@@ -117,16 +147,208 @@ describe("TokenVesting", function () {
                 TokenVesting.deploy(
                     await didoToken.getAddress(),
                     beneficiary.address,
+                    0,
+                    0,
+                    CLIFF_DURATION,
+                    RELEASE_DURATION,
                     0
                 )
             ).to.be.revertedWith("TokenVesting: total amount must be greater than zero");
         });
     });
 
+    describe("释放时间表参数", function () {
+        let TokenVesting;
+        let tokenAddress;
+
+        beforeEach(async function () {
+            TokenVesting = await ethers.getContractFactory("TokenVesting");
+            tokenAddress = await didoToken.getAddress();
+        });
+
+        it("开始时间为 0 时应该使用部署时间", async function () {
+            const vesting = await TokenVesting.deploy(tokenAddress, beneficiary.address, VESTING_AMOUNT, 0, CLIFF_DURATION, RELEASE_DURATION, 0);
+            const deployBlock = await ethers.provider.getBlock(vesting.deploymentTransaction().blockNumber);
+
+            expect(await vesting.startTime()).to.equal(deployBlock.timestamp);
+        });
+
+        it("开始时间之前应该没有任何归属", async function () {
+            const futureStart = (await time.latest()) + 30 * 24 * 60 * 60;
+            const vesting = await TokenVesting.deploy(tokenAddress, beneficiary.address, VESTING_AMOUNT, futureStart, 0, RELEASE_DURATION, 0);
+
+            await time.increaseTo(futureStart - 1);
+            expect(await vesting.getVestedAmount()).to.equal(0);
+            expect((await vesting.getTimeInfo()).timeUntilStart).to.equal(1);
+
+            await time.increaseTo(futureStart + RELEASE_DURATION / 2);
+            expect(await vesting.getVestedAmount()).to.equal(VESTING_AMOUNT / 2n);
+            expect((await vesting.getTimeInfo()).timeUntilStart).to.equal(0);
+        });
+
+        it("应该按自定义的悬崖期和释放期计算归属", async function () {
+            const cliff = 30 * 24 * 60 * 60;
+            const release = 100 * 24 * 60 * 60;
+            const vesting = await TokenVesting.deploy(tokenAddress, beneficiary.address, VESTING_AMOUNT, startTime, cliff, release, 0);
+
+            const timeInfo = await vesting.getTimeInfo();
+            expect(timeInfo.cliffEndTime).to.equal(startTime + cliff);
+            expect(timeInfo.vestingEndTime).to.equal(startTime + cliff + release);
+
+            await time.increaseTo(startTime + cliff - 1);
+            expect(await vesting.getVestedAmount()).to.equal(0);
+
+            await time.increaseTo(startTime + cliff + release / 4);
+            expect(await vesting.getVestedAmount()).to.equal(VESTING_AMOUNT / 4n);
+
+            await time.increaseTo(startTime + cliff + release);
+            expect(await vesting.getVestedAmount()).to.equal(VESTING_AMOUNT);
+        });
+
+        it("悬崖期为 0 时应该从开始时间起线性释放", async function () {
+            const vesting = await TokenVesting.deploy(tokenAddress, beneficiary.address, VESTING_AMOUNT, startTime, 0, RELEASE_DURATION, 0);
+
+            await time.increaseTo(startTime + RELEASE_DURATION / 10);
+            expect(await vesting.getVestedAmount()).to.equal(VESTING_AMOUNT / 10n);
+        });
+
+        it("应该拒绝不合理的时间表参数", async function () {
+            const now = await time.latest();
+            const maxStartDelay = Number(await tokenVesting.MAX_START_DELAY());
+            const maxDuration = Number(await tokenVesting.MAX_VESTING_DURATION());
+
+            await expect(
+                TokenVesting.deploy(tokenAddress, beneficiary.address, VESTING_AMOUNT, now - 100, CLIFF_DURATION, RELEASE_DURATION, 0)
+            ).to.be.revertedWith("TokenVesting: start time cannot be in the past");
+
+            await expect(
+                TokenVesting.deploy(tokenAddress, beneficiary.address, VESTING_AMOUNT, now + maxStartDelay + 100, CLIFF_DURATION, RELEASE_DURATION, 0)
+            ).to.be.revertedWith("TokenVesting: start time too far in the future");
+
+            await expect(
+                TokenVesting.deploy(tokenAddress, beneficiary.address, VESTING_AMOUNT, startTime, CLIFF_DURATION, 0, 0)
+            ).to.be.revertedWith("TokenVesting: release duration must be greater than zero");
+
+            await expect(
+                TokenVesting.deploy(tokenAddress, beneficiary.address, VESTING_AMOUNT, startTime, CLIFF_DURATION, maxDuration - CLIFF_DURATION + 1, 0)
+            ).to.be.revertedWith("TokenVesting: vesting duration too long");
+        });
+    });
+
+    describe("时间点查询", function () {
+        it("应该查询未来任意时间点的归属数量", async function () {
+            expect(await tokenVesting.vestedAmountAt(0)).to.equal(0);
+            expect(await tokenVesting.vestedAmountAt(startTime + CLIFF_DURATION - 1)).to.equal(0);
+            expect(await tokenVesting.vestedAmountAt(startTime + CLIFF_DURATION + RELEASE_DURATION / 3)).to.equal(VESTING_AMOUNT / 3n);
+            expect(await tokenVesting.vestedAmountAt(startTime + TOTAL_DURATION)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.vestedAmountAt(startTime + TOTAL_DURATION * 2)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("当前时间的查询结果应该与 getVestedAmount 一致", async function () {
+            await time.increaseTo(startTime + CLIFF_DURATION + 12345);
+
+            expect(await tokenVesting.vestedAmountAt(await time.latest())).to.equal(await tokenVesting.getVestedAmount());
+        });
+
+        it("阶梯释放时应该按步长查询", async function () {
+            const step = 30 * 24 * 60 * 60;
+            const TokenVesting = await ethers.getContractFactory("TokenVesting");
+            const vesting = await TokenVesting.deploy(
+                await didoToken.getAddress(), beneficiary.address, VESTING_AMOUNT, startTime, CLIFF_DURATION, RELEASE_DURATION, step
+            );
+            const stepAmount = VESTING_AMOUNT / 18n;
+
+            expect(await vesting.vestedAmountAt(startTime + CLIFF_DURATION + step - 1)).to.equal(0);
+            expect(await vesting.vestedAmountAt(startTime + CLIFF_DURATION + step)).to.equal(stepAmount);
+            expect(await vesting.vestedAmountAt(startTime + CLIFF_DURATION + 5 * step + 1)).to.equal(VESTING_AMOUNT * 5n / 18n);
+        });
+
+        it("撤销后，撤销时间之前按原时间表查询，之后固定为撤销时的归属数量", async function () {
+            await tokenVesting.setRevocationReceiver(addrs[0].address);
+            const revokeTime = startTime + CLIFF_DURATION + RELEASE_DURATION / 2;
+            await time.setNextBlockTimestamp(revokeTime);
+            await tokenVesting.revoke();
+
+            expect(await tokenVesting.vestedAmountAt(startTime + CLIFF_DURATION + RELEASE_DURATION / 4)).to.equal(VESTING_AMOUNT / 4n);
+            expect(await tokenVesting.vestedAmountAt(revokeTime)).to.equal(VESTING_AMOUNT / 2n);
+            expect(await tokenVesting.vestedAmountAt(startTime + TOTAL_DURATION)).to.equal(VESTING_AMOUNT / 2n);
+        });
+    });
+
+    describe("阶梯释放", function () {
+        const STEP_CLIFF = 90 * 24 * 60 * 60; // 3 个月
+        const STEP = 30 * 24 * 60 * 60; // 每 30 天解锁一次
+        const STEP_COUNT = 12;
+        let stepVesting;
+
+        beforeEach(async function () {
+            const TokenVesting = await ethers.getContractFactory("TokenVesting");
+            stepVesting = await TokenVesting.deploy(
+                await didoToken.getAddress(),
+                beneficiary.address,
+                VESTING_AMOUNT,
+                startTime,
+                STEP_CLIFF,
+                STEP * STEP_COUNT,
+                STEP
+            );
+        });
+
+        it("应该记录步长", async function () {
+            expect(await stepVesting.stepDuration()).to.equal(STEP);
+            expect(await tokenVesting.stepDuration()).to.equal(0);
+        });
+
+        it("每个解锁边界前后的归属数量应该精确", async function () {
+            const cliffEnd = startTime + STEP_CLIFF;
+
+            await time.increaseTo(cliffEnd - 1);
+            expect(await stepVesting.getVestedAmount()).to.equal(0);
+
+            for (let k = 0; k <= STEP_COUNT; k++) {
+                const boundary = cliffEnd + k * STEP;
+                const expected = (VESTING_AMOUNT * BigInt(k)) / BigInt(STEP_COUNT);
+
+                if (k > 0) {
+                    await time.increaseTo(boundary - 1);
+                    expect(await stepVesting.getVestedAmount()).to.equal((VESTING_AMOUNT * BigInt(k - 1)) / BigInt(STEP_COUNT));
+                }
+
+                await time.increaseTo(boundary);
+                expect(await stepVesting.getVestedAmount()).to.equal(expected);
+            }
+
+            await time.increaseTo(cliffEnd + STEP_COUNT * STEP + 365 * 24 * 60 * 60);
+            expect(await stepVesting.getVestedAmount()).to.equal(VESTING_AMOUNT);
+        });
+
+        it("两个边界之间释放后应该等到下一个边界才能再次释放", async function () {
+            await didoToken.connect(user1).transfer(await stepVesting.getAddress(), VESTING_AMOUNT);
+
+            const firstStep = startTime + STEP_CLIFF + STEP;
+            await time.increaseTo(firstStep + STEP / 2);
+            await stepVesting.connect(beneficiary).release();
+            expect(await stepVesting.released()).to.equal(VESTING_AMOUNT / BigInt(STEP_COUNT));
+
+            await time.setNextBlockTimestamp(firstStep + STEP - 1);
+            await expect(
+                stepVesting.connect(beneficiary).release()
+            ).to.be.revertedWith("TokenVesting: no tokens to release");
+        });
+
+        it("应该拒绝不能整除的步长", async function () {
+            const TokenVesting = await ethers.getContractFactory("TokenVesting");
+
+            await expect(
+                TokenVesting.deploy(await didoToken.getAddress(), beneficiary.address, VESTING_AMOUNT, startTime, STEP_CLIFF, STEP * STEP_COUNT + 1, STEP)
+            ).to.be.revertedWith("TokenVesting: release duration must be a multiple of step duration");
+        });
+    });
+
     describe("悬崖期功能", function () {
         it("悬崖期内应该无法提取代币", async function () {
             // 快进到悬崖期中间
-            await time.increase(CLIFF_DURATION / 2);
+            await time.increaseTo(startTime + CLIFF_DURATION / 2);
             
             const releasableAmount = await tokenVesting.getReleasableAmount();
             expect(releasableAmount).to.equal(0);
@@ -138,13 +360,13 @@ describe("TokenVesting", function () {
 
         it("悬崖期结束时应该可以开始提取", async function () {
             // 快进到悬崖期结束
-            await time.increase(CLIFF_DURATION);
+            await time.increaseTo(startTime + CLIFF_DURATION);
             
             const releasableAmount = await tokenVesting.getReleasableAmount();
-            expect(Number(releasableAmount)).to.be.closeTo(0, 1000000); // 允许小的计算误差
+            expect(releasableAmount).to.equal(0);
             
             // 快进一天
-            await time.increase(24 * 60 * 60);
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
             
             const newReleasableAmount = await tokenVesting.getReleasableAmount();
             expect(newReleasableAmount).to.be.greaterThan(0);
@@ -154,10 +376,10 @@ describe("TokenVesting", function () {
     describe("线性释放功能", function () {
         it("应该正确计算线性释放的代币数量", async function () {
             // 快进到悬崖期结束
-            await time.increase(CLIFF_DURATION);
+            await time.increaseTo(startTime + CLIFF_DURATION);
             
             // 快进到释放期中间
-            await time.increase(RELEASE_DURATION / 2);
+            await time.increaseTo(startTime + CLIFF_DURATION + RELEASE_DURATION / 2);
             
             const vestingInfo = await tokenVesting.getVestingInfo();
             const expectedVested = VESTING_AMOUNT / 2n; // 应该释放一半
@@ -168,7 +390,7 @@ describe("TokenVesting", function () {
 
         it("应该允许提取可释放的代币", async function () {
             // 快进到悬崖期结束 + 1 天
-            await time.increase(CLIFF_DURATION + 24 * 60 * 60);
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
             
             const releasableAmount = await tokenVesting.getReleasableAmount();
             const initialBalance = await didoToken.balanceOf(beneficiary.address);
@@ -184,20 +406,21 @@ describe("TokenVesting", function () {
 
         it("应该正确触发释放事件", async function () {
             // 快进到悬崖期结束 + 1 天
-            await time.increase(CLIFF_DURATION + 24 * 60 * 60);
+            const releaseTime = startTime + CLIFF_DURATION + 24 * 60 * 60;
+            await time.setNextBlockTimestamp(releaseTime);
             
-            const releasableAmount = await tokenVesting.getReleasableAmount();
+            const expectedAmount = (VESTING_AMOUNT * BigInt(24 * 60 * 60)) / BigInt(RELEASE_DURATION);
             
             await expect(tokenVesting.connect(beneficiary).release())
                 .to.emit(tokenVesting, "TokensReleased")
-                .withArgs(releasableAmount, await time.latest() + 1);
+                .withArgs(expectedAmount, releaseTime);
         });
     });
 
     describe("完全释放功能", function () {
         it("释放期结束后应该可以提取全部代币", async function () {
             // 快进到释放期结束
-            await time.increase(TOTAL_DURATION);
+            await time.increaseTo(startTime + TOTAL_DURATION);
             
             const vestingInfo = await tokenVesting.getVestingInfo();
             expect(vestingInfo.vestedAmount).to.equal(VESTING_AMOUNT);
@@ -214,7 +437,7 @@ describe("TokenVesting", function () {
 
         it("完全释放后应该无法再次提取", async function () {
             // 快进到释放期结束
-            await time.increase(TOTAL_DURATION);
+            await time.increaseTo(startTime + TOTAL_DURATION);
             
             // 第一次提取
             await tokenVesting.connect(beneficiary).release();
@@ -227,13 +450,14 @@ describe("TokenVesting", function () {
     });
 
     describe("权限控制", function () {
-        it("应该只有受益人可以释放代币", async function () {
-            // 快进到悬崖期结束 + 1 天
-            await time.increase(CLIFF_DURATION + 24 * 60 * 60);
-            
+        it("应该只有受益人可以设置收款地址", async function () {
             await expect(
-                tokenVesting.connect(user1).release()
-            ).to.be.revertedWith("TokenVesting: only beneficiary can release");
+                tokenVesting.connect(owner).setPayoutAddress(user1.address)
+            ).to.be.revertedWith("TokenVesting: only beneficiary can set payout address");
+
+            await expect(
+                tokenVesting.connect(user1).setPayoutAddress(user1.address)
+            ).to.be.revertedWith("TokenVesting: only beneficiary can set payout address");
         });
 
         it("应该只有 owner 可以暂停", async function () {
@@ -257,6 +481,264 @@ describe("TokenVesting", function () {
         });
     });
 
+    describe("注资", function () {
+        let unfundedVesting;
+        let funder;
+
+        beforeEach(async function () {
+            funder = user2; // 社区钱包，持有 200,000 DDT
+            const TokenVesting = await ethers.getContractFactory("TokenVesting");
+            unfundedVesting = await TokenVesting.deploy(
+                await didoToken.getAddress(),
+                beneficiary.address,
+                ethers.parseEther("100000"),
+                startTime,
+                CLIFF_DURATION,
+                RELEASE_DURATION,
+                0
+            );
+        });
+
+        it("转入全部代币后应该处于已注资状态", async function () {
+            expect(await tokenVesting.isFunded()).to.be.true;
+            expect(await tokenVesting.getFundingShortfall()).to.equal(0);
+        });
+
+        it("未注资时应该返回全部差额", async function () {
+            expect(await unfundedVesting.isFunded()).to.be.false;
+            expect(await unfundedVesting.getFundingShortfall()).to.equal(ethers.parseEther("100000"));
+        });
+
+        it("应该通过 transferFrom 从调用者拉取差额", async function () {
+            const amount = ethers.parseEther("100000");
+            const funderBalance = await didoToken.balanceOf(funder.address);
+            await didoToken.connect(funder).approve(await unfundedVesting.getAddress(), amount);
+
+            await expect(unfundedVesting.connect(funder).fund())
+                .to.emit(unfundedVesting, "VestingFunded")
+                .withArgs(funder.address, amount);
+
+            expect(await unfundedVesting.isFunded()).to.be.true;
+            expect(await didoToken.balanceOf(await unfundedVesting.getAddress())).to.equal(amount);
+            expect(await didoToken.balanceOf(funder.address)).to.equal(funderBalance - amount);
+        });
+
+        it("已有部分余额时应该只拉取剩余差额", async function () {
+            const vestingAddress = await unfundedVesting.getAddress();
+            await didoToken.connect(funder).transfer(vestingAddress, ethers.parseEther("40000"));
+            await didoToken.connect(funder).approve(vestingAddress, ethers.parseEther("100000"));
+
+            await expect(unfundedVesting.connect(funder).fund())
+                .to.emit(unfundedVesting, "VestingFunded")
+                .withArgs(funder.address, ethers.parseEther("60000"));
+
+            expect(await didoToken.balanceOf(vestingAddress)).to.equal(ethers.parseEther("100000"));
+            expect(await didoToken.allowance(funder.address, vestingAddress)).to.equal(ethers.parseEther("40000"));
+        });
+
+        it("未授权时注资应该失败", async function () {
+            await expect(
+                unfundedVesting.connect(funder).fund()
+            ).to.be.revertedWithCustomError(didoToken, "ERC20InsufficientAllowance");
+        });
+
+        it("已足额时应该拒绝注资", async function () {
+            await expect(
+                tokenVesting.connect(funder).fund()
+            ).to.be.revertedWith("TokenVesting: already funded");
+        });
+
+        it("未足额注资时应该拒绝释放", async function () {
+            await didoToken.connect(funder).transfer(await unfundedVesting.getAddress(), ethers.parseEther("99999"));
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * 24 * 60 * 60);
+
+            await expect(
+                unfundedVesting.connect(beneficiary).release()
+            ).to.be.revertedWith("TokenVesting: contract is underfunded");
+        });
+
+        it("紧急提取后应该拒绝释放，补足差额后恢复", async function () {
+            const withdrawAmount = ethers.parseEther("1000");
+            await tokenVesting.emergencyWithdraw(withdrawAmount);
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * 24 * 60 * 60);
+
+            expect(await tokenVesting.getFundingShortfall()).to.equal(withdrawAmount);
+            await expect(
+                tokenVesting.connect(beneficiary).release()
+            ).to.be.revertedWith("TokenVesting: contract is underfunded");
+
+            await didoToken.connect(owner).approve(await tokenVesting.getAddress(), withdrawAmount);
+            await tokenVesting.connect(owner).fund();
+            await tokenVesting.connect(beneficiary).release();
+
+            expect(await didoToken.balanceOf(beneficiary.address)).to.be.greaterThan(0);
+        });
+
+        it("释放和撤销后应该按剩余应得数量判断是否足额", async function () {
+            await tokenVesting.setRevocationReceiver(addrs[0].address);
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * 24 * 60 * 60);
+
+            await tokenVesting.connect(beneficiary).release();
+            expect(await tokenVesting.isFunded()).to.be.true;
+
+            await tokenVesting.revoke();
+            expect(await tokenVesting.isFunded()).to.be.true;
+            expect(await tokenVesting.getFundingShortfall()).to.equal(0);
+        });
+    });
+
+    describe("代为释放与收款地址", function () {
+        const RELEASE_DAYS = 54; // 释放期的 1/10
+        const EXPECTED_AMOUNT = VESTING_AMOUNT / 10n;
+
+        async function releaseAt(caller, timestamp) {
+            await time.setNextBlockTimestamp(timestamp);
+            return tokenVesting.connect(caller).release();
+        }
+
+        it("默认收款地址应该是受益人", async function () {
+            expect(await tokenVesting.payoutAddress()).to.equal(beneficiary.address);
+        });
+
+        it("任何人都可以触发释放，代币转给受益人", async function () {
+            const releaseTime = startTime + CLIFF_DURATION + RELEASE_DAYS * 24 * 60 * 60;
+
+            await expect(releaseAt(user1, releaseTime))
+                .to.emit(tokenVesting, "TokensReleased")
+                .withArgs(EXPECTED_AMOUNT, releaseTime);
+
+            expect(await didoToken.balanceOf(beneficiary.address)).to.equal(EXPECTED_AMOUNT);
+            expect(await didoToken.balanceOf(user1.address)).to.equal(ethers.parseEther("400000"));
+            expect(await tokenVesting.released()).to.equal(EXPECTED_AMOUNT);
+        });
+
+        it("受益人设置收款地址后，释放的代币应该转入收款地址", async function () {
+            const payout = addrs[0];
+
+            await expect(tokenVesting.connect(beneficiary).setPayoutAddress(payout.address))
+                .to.emit(tokenVesting, "PayoutAddressUpdated")
+                .withArgs(beneficiary.address, payout.address);
+
+            await releaseAt(user1, startTime + CLIFF_DURATION + RELEASE_DAYS * 24 * 60 * 60);
+
+            expect(await didoToken.balanceOf(payout.address)).to.equal(EXPECTED_AMOUNT);
+            expect(await didoToken.balanceOf(beneficiary.address)).to.equal(0);
+        });
+
+        it("收款地址可以改回受益人", async function () {
+            await tokenVesting.connect(beneficiary).setPayoutAddress(addrs[0].address);
+            await tokenVesting.connect(beneficiary).setPayoutAddress(beneficiary.address);
+
+            await releaseAt(user2, startTime + CLIFF_DURATION + RELEASE_DAYS * 24 * 60 * 60);
+
+            expect(await didoToken.balanceOf(beneficiary.address)).to.equal(EXPECTED_AMOUNT);
+            expect(await didoToken.balanceOf(addrs[0].address)).to.equal(0);
+        });
+
+        it("应该拒绝零地址作为收款地址", async function () {
+            await expect(
+                tokenVesting.connect(beneficiary).setPayoutAddress(ethers.ZeroAddress)
+            ).to.be.revertedWith("TokenVesting: payout address cannot be zero address");
+        });
+
+        it("收款地址在黑名单中时释放应该失败，受益人更换收款地址后可继续释放", async function () {
+            await tokenVesting.connect(beneficiary).setPayoutAddress(addrs[0].address);
+            await didoToken.blacklist(addrs[0].address);
+            await time.increaseTo(startTime + CLIFF_DURATION + RELEASE_DAYS * 24 * 60 * 60);
+
+            await expect(
+                tokenVesting.connect(user1).release()
+            ).to.be.revertedWith("DIDOToken: recipient is blacklisted");
+
+            await tokenVesting.connect(beneficiary).setPayoutAddress(addrs[1].address);
+            await tokenVesting.connect(user1).release();
+
+            expect(await didoToken.balanceOf(addrs[1].address)).to.be.greaterThan(0);
+        });
+    });
+
+    describe("治理投票权", function () {
+        let delegatee;
+        let vestingAddress;
+
+        beforeEach(async function () {
+            delegatee = addrs[0];
+            vestingAddress = await tokenVesting.getAddress();
+        });
+
+        it("未委托时锁定代币不计入任何地址的投票权", async function () {
+            expect(await tokenVesting.getDelegate()).to.equal(ethers.ZeroAddress);
+            expect(await didoToken.getVotes(beneficiary.address)).to.equal(0);
+        });
+
+        it("受益人可以把锁定代币的投票权委托给自己", async function () {
+            await tokenVesting.connect(beneficiary).delegate(beneficiary.address);
+
+            expect(await tokenVesting.getDelegate()).to.equal(beneficiary.address);
+            expect(await didoToken.getVotes(beneficiary.address)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("受益人可以把投票权委托给其他地址，并随时更换", async function () {
+            await expect(tokenVesting.connect(beneficiary).delegate(delegatee.address))
+                .to.emit(didoToken, "DelegateChanged")
+                .withArgs(vestingAddress, ethers.ZeroAddress, delegatee.address);
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(VESTING_AMOUNT);
+
+            await tokenVesting.connect(beneficiary).delegate(addrs[1].address);
+
+            expect(await tokenVesting.getDelegate()).to.equal(addrs[1].address);
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(0);
+            expect(await didoToken.getVotes(addrs[1].address)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("应该只有受益人可以委托", async function () {
+            await expect(
+                tokenVesting.connect(owner).delegate(owner.address)
+            ).to.be.revertedWith("TokenVesting: only beneficiary can delegate");
+
+            await expect(
+                tokenVesting.connect(user1).delegate(user1.address)
+            ).to.be.revertedWith("TokenVesting: only beneficiary can delegate");
+        });
+
+        it("释放后投票权应该随代币从锁定部分转到受益人的委托对象", async function () {
+            await tokenVesting.connect(beneficiary).delegate(delegatee.address);
+            await didoToken.connect(beneficiary).delegate(beneficiary.address);
+
+            const releaseTime = startTime + CLIFF_DURATION + 54 * 24 * 60 * 60;
+            await time.setNextBlockTimestamp(releaseTime);
+            await tokenVesting.connect(beneficiary).release();
+            const releaseBlock = await ethers.provider.getBlockNumber();
+            const releasedAmount = VESTING_AMOUNT / 10n;
+
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(VESTING_AMOUNT - releasedAmount);
+            expect(await didoToken.getVotes(beneficiary.address)).to.equal(releasedAmount);
+
+            // 历史检查点保留释放前的投票权
+            await time.advanceBlock();
+            expect(await didoToken.getPastVotes(delegatee.address, releaseBlock - 1)).to.equal(VESTING_AMOUNT);
+            expect(await didoToken.getPastVotes(beneficiary.address, releaseBlock - 1)).to.equal(0);
+
+            // 全部释放后锁定部分不再有投票权
+            await time.increaseTo(startTime + TOTAL_DURATION);
+            await tokenVesting.connect(beneficiary).release();
+
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(0);
+            expect(await didoToken.getVotes(beneficiary.address)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("撤销后退回的代币应该不再计入委托对象的投票权", async function () {
+            await tokenVesting.setRevocationReceiver(addrs[2].address);
+            await tokenVesting.connect(beneficiary).delegate(delegatee.address);
+
+            await time.increaseTo(startTime + CLIFF_DURATION + 54 * 24 * 60 * 60);
+            await tokenVesting.revoke();
+
+            const vestedAmount = await tokenVesting.vestedAtRevocation();
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(vestedAmount);
+        });
+    });
+
     describe("暂停功能", function () {
         it("应该允许 owner 暂停和恢复", async function () {
             // 暂停
@@ -272,7 +754,7 @@ describe("TokenVesting", function () {
 
         it("暂停后应该阻止释放代币", async function () {
             // 快进到悬崖期结束 + 1 天
-            await time.increase(CLIFF_DURATION + 24 * 60 * 60);
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
             
             await tokenVesting.pause();
             
@@ -326,12 +808,391 @@ describe("TokenVesting", function () {
         });
     });
 
+    describe("更换受益人", function () {
+        let attacker;
+        let newBeneficiary;
+
+        beforeEach(async function () {
+            attacker = addrs[0];
+            newBeneficiary = addrs[1];
+        });
+
+        it("受益人私钥泄露后 owner 可以把锁仓转到新受益人", async function () {
+            // 攻击者用泄露的私钥改写收款地址和委托对象
+            await tokenVesting.connect(beneficiary).setPayoutAddress(attacker.address);
+            await tokenVesting.connect(beneficiary).delegate(attacker.address);
+
+            await expect(tokenVesting.beginBeneficiaryTransfer(newBeneficiary.address))
+                .to.emit(tokenVesting, "BeneficiaryTransferStarted")
+                .withArgs(beneficiary.address, newBeneficiary.address);
+            expect(await tokenVesting.pendingBeneficiary()).to.equal(newBeneficiary.address);
+            expect(await tokenVesting.beneficiary()).to.equal(beneficiary.address);
+
+            await expect(tokenVesting.connect(newBeneficiary).acceptBeneficiaryTransfer())
+                .to.emit(tokenVesting, "BeneficiaryTransferred")
+                .withArgs(beneficiary.address, newBeneficiary.address);
+
+            expect(await tokenVesting.beneficiary()).to.equal(newBeneficiary.address);
+            expect(await tokenVesting.pendingBeneficiary()).to.equal(ethers.ZeroAddress);
+            expect(await tokenVesting.payoutAddress()).to.equal(newBeneficiary.address);
+            expect(await tokenVesting.getDelegate()).to.equal(newBeneficiary.address);
+            expect(await didoToken.getVotes(attacker.address)).to.equal(0);
+
+            // 原受益人不再能修改收款地址或委托
+            await expect(
+                tokenVesting.connect(beneficiary).setPayoutAddress(attacker.address)
+            ).to.be.revertedWith("TokenVesting: only beneficiary can set payout address");
+            await expect(
+                tokenVesting.connect(beneficiary).delegate(attacker.address)
+            ).to.be.revertedWith("TokenVesting: only beneficiary can delegate");
+
+            await time.increaseTo(startTime + TOTAL_DURATION);
+            await tokenVesting.connect(attacker).release();
+            expect(await didoToken.balanceOf(newBeneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect(await didoToken.balanceOf(attacker.address)).to.equal(0);
+        });
+
+        it("未委托时更换受益人不应该产生委托", async function () {
+            await tokenVesting.beginBeneficiaryTransfer(newBeneficiary.address);
+            await tokenVesting.connect(newBeneficiary).acceptBeneficiaryTransfer();
+
+            expect(await tokenVesting.getDelegate()).to.equal(ethers.ZeroAddress);
+        });
+
+        it("应该拒绝无效的受益人更换", async function () {
+            await expect(
+                tokenVesting.connect(beneficiary).beginBeneficiaryTransfer(newBeneficiary.address)
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount");
+
+            await expect(
+                tokenVesting.beginBeneficiaryTransfer(ethers.ZeroAddress)
+            ).to.be.revertedWith("TokenVesting: new beneficiary cannot be zero address");
+
+            await expect(
+                tokenVesting.beginBeneficiaryTransfer(beneficiary.address)
+            ).to.be.revertedWith("TokenVesting: new beneficiary must be different");
+
+            await tokenVesting.beginBeneficiaryTransfer(newBeneficiary.address);
+            await expect(
+                tokenVesting.connect(attacker).acceptBeneficiaryTransfer()
+            ).to.be.revertedWith("TokenVesting: caller is not the pending beneficiary");
+
+            // 接受前覆盖待定地址，原待定地址失效
+            await tokenVesting.beginBeneficiaryTransfer(user2.address);
+            await expect(
+                tokenVesting.connect(newBeneficiary).acceptBeneficiaryTransfer()
+            ).to.be.revertedWith("TokenVesting: caller is not the pending beneficiary");
+        });
+
+        it("启用延迟后发起更换必须先登记并等待", async function () {
+            const DELAY = 2 * 24 * 60 * 60;
+            await tokenVesting.setAdminActionDelay(DELAY);
+
+            await expect(
+                tokenVesting.beginBeneficiaryTransfer(newBeneficiary.address)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+
+            await tokenVesting.scheduleAdminAction(
+                tokenVesting.interface.encodeFunctionData("beginBeneficiaryTransfer", [newBeneficiary.address])
+            );
+            await time.increase(DELAY);
+
+            await tokenVesting.beginBeneficiaryTransfer(newBeneficiary.address);
+            await tokenVesting.connect(newBeneficiary).acceptBeneficiaryTransfer();
+            expect(await tokenVesting.beneficiary()).to.equal(newBeneficiary.address);
+        });
+    });
+
+    describe("撤销锁仓", function () {
+        let receiver;
+
+        beforeEach(async function () {
+            receiver = addrs[0];
+            await tokenVesting.setRevocationReceiver(receiver.address);
+        });
+
+        it("应该允许 owner 设置退回地址", async function () {
+            await expect(tokenVesting.setRevocationReceiver(user1.address))
+                .to.emit(tokenVesting, "RevocationReceiverUpdated")
+                .withArgs(receiver.address, user1.address);
+
+            expect(await tokenVesting.revocationReceiver()).to.equal(user1.address);
+        });
+
+        it("应该拒绝无效的退回地址设置", async function () {
+            await expect(
+                tokenVesting.setRevocationReceiver(ethers.ZeroAddress)
+            ).to.be.revertedWith("TokenVesting: revocation receiver cannot be zero address");
+
+            await expect(
+                tokenVesting.connect(user1).setRevocationReceiver(user1.address)
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount");
+        });
+
+        it("释放期中撤销应该只退回未归属部分", async function () {
+            const revokeTime = startTime + CLIFF_DURATION + RELEASE_DURATION / 3;
+            await time.setNextBlockTimestamp(revokeTime);
+
+            const vestedAmount = VESTING_AMOUNT / 3n;
+            const unvestedAmount = VESTING_AMOUNT - vestedAmount;
+
+            await expect(tokenVesting.revoke())
+                .to.emit(tokenVesting, "VestingRevoked")
+                .withArgs(receiver.address, vestedAmount, unvestedAmount, revokeTime);
+
+            expect(await didoToken.balanceOf(receiver.address)).to.equal(unvestedAmount);
+            expect(await didoToken.balanceOf(await tokenVesting.getAddress())).to.equal(vestedAmount);
+            expect(await tokenVesting.revoked()).to.be.true;
+            expect(await tokenVesting.revokedAt()).to.equal(revokeTime);
+            expect(await tokenVesting.vestedAtRevocation()).to.equal(vestedAmount);
+        });
+
+        it("撤销后归属数量应该冻结，受益人仍可提取已归属部分", async function () {
+            await time.increaseTo(startTime + CLIFF_DURATION + RELEASE_DURATION / 4);
+            await tokenVesting.connect(beneficiary).release();
+            const releasedBefore = await tokenVesting.released();
+
+            const revokeTime = startTime + CLIFF_DURATION + RELEASE_DURATION / 2;
+            await time.setNextBlockTimestamp(revokeTime);
+            await tokenVesting.revoke();
+
+            const vestedAmount = VESTING_AMOUNT / 2n;
+
+            // 撤销后继续推进时间，归属数量不再增长
+            await time.increaseTo(startTime + TOTAL_DURATION);
+            const vestingInfo = await tokenVesting.getVestingInfo();
+            expect(vestingInfo.vestedAmount).to.equal(vestedAmount);
+            expect(vestingInfo.releasableAmount).to.equal(vestedAmount - releasedBefore);
+            expect(vestingInfo.remainingAmount).to.equal(vestedAmount - releasedBefore);
+
+            const initialBalance = await didoToken.balanceOf(beneficiary.address);
+            await tokenVesting.connect(beneficiary).release();
+            expect(await didoToken.balanceOf(beneficiary.address) - initialBalance).to.equal(vestedAmount - releasedBefore);
+            expect(await didoToken.balanceOf(await tokenVesting.getAddress())).to.equal(0);
+
+            await expect(
+                tokenVesting.connect(beneficiary).release()
+            ).to.be.revertedWith("TokenVesting: no tokens to release");
+        });
+
+        it("悬崖期内撤销应该退回全部代币", async function () {
+            await time.increaseTo(startTime + CLIFF_DURATION / 2);
+
+            await tokenVesting.revoke();
+
+            expect(await didoToken.balanceOf(receiver.address)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.getVestedAmount()).to.equal(0);
+
+            await time.increaseTo(startTime + TOTAL_DURATION);
+            expect(await tokenVesting.getReleasableAmount()).to.equal(0);
+        });
+
+        it("撤销后应该只能找回超出已归属未释放额度的 DDT", async function () {
+            await time.setNextBlockTimestamp(startTime + CLIFF_DURATION + RELEASE_DURATION / 2);
+            await tokenVesting.revoke();
+
+            const vestingAddress = await tokenVesting.getAddress();
+            const extraAmount = ethers.parseEther("100");
+            await didoToken.connect(user1).transfer(vestingAddress, extraAmount);
+
+            await expect(
+                tokenVesting.rescueERC20(await didoToken.getAddress(), user1.address, extraAmount + 1n)
+            ).to.be.revertedWith("TokenVesting: cannot rescue vesting tokens");
+            await tokenVesting.rescueERC20(await didoToken.getAddress(), user1.address, extraAmount);
+        });
+
+        it("未足额注资时撤销应该只退回超出已归属额度的余额", async function () {
+            const vestingAddress = await tokenVesting.getAddress();
+            // 紧急提取后合约只剩 40%，低于受益人最终应得的数量
+            await tokenVesting.emergencyWithdraw(VESTING_AMOUNT * 6n / 10n);
+
+            const revokeTime = startTime + CLIFF_DURATION + RELEASE_DURATION / 2;
+            await time.setNextBlockTimestamp(revokeTime);
+            const vestedAmount = VESTING_AMOUNT / 2n;
+
+            // 余额 40% 仍不足已归属的 50%，不退回任何代币
+            await expect(tokenVesting.revoke())
+                .to.emit(tokenVesting, "VestingRevoked")
+                .withArgs(receiver.address, vestedAmount, 0, revokeTime);
+            expect(await didoToken.balanceOf(receiver.address)).to.equal(0);
+            expect(await tokenVesting.getFundingShortfall()).to.equal(vestedAmount - VESTING_AMOUNT * 4n / 10n);
+            expect(await didoToken.balanceOf(vestingAddress)).to.equal(VESTING_AMOUNT * 4n / 10n);
+        });
+
+        it("部分注资时撤销应该先保留受益人已归属的部分", async function () {
+            const vestingAddress = await tokenVesting.getAddress();
+            await tokenVesting.emergencyWithdraw(VESTING_AMOUNT / 4n);
+            const balance = VESTING_AMOUNT * 3n / 4n;
+
+            const revokeTime = startTime + CLIFF_DURATION + RELEASE_DURATION / 2;
+            await time.setNextBlockTimestamp(revokeTime);
+            const vestedAmount = VESTING_AMOUNT / 2n;
+
+            await expect(tokenVesting.revoke())
+                .to.emit(tokenVesting, "VestingRevoked")
+                .withArgs(receiver.address, vestedAmount, balance - vestedAmount, revokeTime);
+            expect(await didoToken.balanceOf(receiver.address)).to.equal(balance - vestedAmount);
+            expect(await tokenVesting.isFunded()).to.be.true;
+
+            const initialBalance = await didoToken.balanceOf(beneficiary.address);
+            await tokenVesting.connect(beneficiary).release();
+            expect(await didoToken.balanceOf(beneficiary.address) - initialBalance).to.equal(vestedAmount);
+            expect(await didoToken.balanceOf(vestingAddress)).to.equal(0);
+        });
+
+        it("启用延迟后撤销必须先登记并等待，归属数量按执行时计算", async function () {
+            const DELAY = 2 * 24 * 60 * 60;
+            await tokenVesting.setAdminActionDelay(DELAY);
+            await time.increaseTo(startTime + CLIFF_DURATION);
+
+            await expect(tokenVesting.revoke()).to.be.revertedWith("AdminActionQueue: action not scheduled");
+
+            await tokenVesting.scheduleAdminAction(tokenVesting.interface.encodeFunctionData("revoke"));
+            await expect(tokenVesting.revoke()).to.be.revertedWith("AdminActionQueue: action not ready");
+
+            const revokeTime = startTime + CLIFF_DURATION + RELEASE_DURATION / 2;
+            await time.setNextBlockTimestamp(revokeTime);
+            await expect(tokenVesting.revoke())
+                .to.emit(tokenVesting, "VestingRevoked")
+                .withArgs(receiver.address, VESTING_AMOUNT / 2n, VESTING_AMOUNT / 2n, revokeTime);
+        });
+
+        it("应该拒绝重复撤销", async function () {
+            await tokenVesting.revoke();
+
+            await expect(tokenVesting.revoke()).to.be.revertedWith("TokenVesting: already revoked");
+        });
+
+        it("全部归属后应该无法撤销", async function () {
+            await time.increaseTo(startTime + TOTAL_DURATION);
+
+            await expect(tokenVesting.revoke()).to.be.revertedWith("TokenVesting: nothing to revoke");
+        });
+
+        it("未设置退回地址时应该无法撤销", async function () {
+            const TokenVesting = await ethers.getContractFactory("TokenVesting");
+            const vesting = await TokenVesting.deploy(await didoToken.getAddress(), beneficiary.address, VESTING_AMOUNT, 0, CLIFF_DURATION, RELEASE_DURATION, 0);
+
+            await expect(vesting.revoke()).to.be.revertedWith("TokenVesting: revocation receiver not set");
+        });
+
+        it("应该只有 owner 可以撤销", async function () {
+            await expect(
+                tokenVesting.connect(beneficiary).revoke()
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("误转资产找回", function () {
+        const EXTRA_AMOUNT = ethers.parseEther("500");
+
+        it("应该允许找回误转入的其他 ERC20 代币", async function () {
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+            const otherToken = await DIDOToken.deploy([user1.address], [ethers.parseEther("1000000")]);
+            await otherToken.connect(user1).transfer(await tokenVesting.getAddress(), EXTRA_AMOUNT);
+            
+            await expect(tokenVesting.rescueERC20(await otherToken.getAddress(), user1.address, EXTRA_AMOUNT))
+                .to.emit(tokenVesting, "ERC20Rescued")
+                .withArgs(await otherToken.getAddress(), user1.address, EXTRA_AMOUNT);
+            
+            expect(await otherToken.balanceOf(await tokenVesting.getAddress())).to.equal(0);
+        });
+
+        it("应该禁止找回受益人应得的锁定代币", async function () {
+            await expect(
+                tokenVesting.rescueERC20(await didoToken.getAddress(), owner.address, 1)
+            ).to.be.revertedWith("TokenVesting: cannot rescue vesting tokens");
+        });
+
+        it("应该只允许找回超出未释放额度的 DDT", async function () {
+            const vestingAddress = await tokenVesting.getAddress();
+            await didoToken.connect(user1).transfer(vestingAddress, EXTRA_AMOUNT);
+            
+            await expect(
+                tokenVesting.rescueERC20(await didoToken.getAddress(), user1.address, EXTRA_AMOUNT + 1n)
+            ).to.be.revertedWith("TokenVesting: cannot rescue vesting tokens");
+            
+            await tokenVesting.rescueERC20(await didoToken.getAddress(), user1.address, EXTRA_AMOUNT);
+            expect(await didoToken.balanceOf(vestingAddress)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("部分释放后仍然保护剩余的未释放额度", async function () {
+            const vestingAddress = await tokenVesting.getAddress();
+            await didoToken.connect(user1).transfer(vestingAddress, EXTRA_AMOUNT);
+            
+            await time.increaseTo(startTime + CLIFF_DURATION + RELEASE_DURATION / 2);
+            await tokenVesting.connect(beneficiary).release();
+            
+            await expect(
+                tokenVesting.rescueERC20(await didoToken.getAddress(), user1.address, EXTRA_AMOUNT + 1n)
+            ).to.be.revertedWith("TokenVesting: cannot rescue vesting tokens");
+            await tokenVesting.rescueERC20(await didoToken.getAddress(), user1.address, EXTRA_AMOUNT);
+            
+            // 剩余余额仍足以支付全部未释放额度
+            await time.increaseTo(startTime + TOTAL_DURATION);
+            await tokenVesting.connect(beneficiary).release();
+            expect(await didoToken.balanceOf(vestingAddress)).to.equal(0);
+        });
+
+        it("应该允许找回强制转入的 ETH", async function () {
+            const vestingAddress = await tokenVesting.getAddress();
+            const ethAmount = ethers.parseEther("1");
+            await setBalance(vestingAddress, ethAmount);
+            
+            await expect(tokenVesting.rescueETH(user1.address, ethAmount))
+                .to.emit(tokenVesting, "ETHRescued")
+                .withArgs(user1.address, ethAmount);
+            expect(await ethers.provider.getBalance(vestingAddress)).to.equal(0);
+        });
+
+        it("应该只有 owner 可以找回资产", async function () {
+            await expect(
+                tokenVesting.connect(user1).rescueERC20(await didoToken.getAddress(), user1.address, 1)
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount");
+            
+            await expect(
+                tokenVesting.connect(user1).rescueETH(user1.address, 1)
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount");
+        });
+    });
+
     describe("所有权管理", function () {
-        it("应该允许 owner 转移所有权", async function () {
+        it("应该在新 owner 接受后完成所有权转移", async function () {
+            await expect(tokenVesting.transferOwnership(user1.address))
+                .to.emit(tokenVesting, "OwnershipTransferStarted")
+                .withArgs(owner.address, user1.address);
+            
+            // 接受前所有权不变
+            expect(await tokenVesting.owner()).to.equal(owner.address);
+            expect(await tokenVesting.pendingOwner()).to.equal(user1.address);
+            
+            await expect(tokenVesting.connect(user1).acceptOwnership())
+                .to.emit(tokenVesting, "OwnershipTransferred")
+                .withArgs(owner.address, user1.address);
+            
+            expect(await tokenVesting.owner()).to.equal(user1.address);
+            expect(await tokenVesting.pendingOwner()).to.equal(ethers.ZeroAddress);
+        });
+
+        it("应该拒绝非待定地址接受所有权", async function () {
             await tokenVesting.transferOwnership(user1.address);
             
-            const newOwner = await tokenVesting.owner();
-            expect(newOwner).to.equal(user1.address);
+            await expect(
+                tokenVesting.connect(user2).acceptOwnership()
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount")
+                .withArgs(user2.address);
+        });
+
+        it("应该允许在接受前覆盖待定地址", async function () {
+            await tokenVesting.transferOwnership(user1.address);
+            await tokenVesting.transferOwnership(user2.address);
+            
+            await expect(
+                tokenVesting.connect(user1).acceptOwnership()
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount");
+            
+            await tokenVesting.connect(user2).acceptOwnership();
+            expect(await tokenVesting.owner()).to.equal(user2.address);
         });
 
         it("应该拒绝转移给零地址", async function () {
@@ -354,30 +1215,128 @@ describe("TokenVesting", function () {
         });
     });
 
+    describe("管理操作延迟队列", function () {
+        const DELAY = 2 * 24 * 60 * 60; // 2 天
+
+        it("应该只有 owner 可以管理延迟队列", async function () {
+            await expect(
+                tokenVesting.connect(user1).setAdminActionDelay(DELAY)
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount");
+            
+            await tokenVesting.setAdminActionDelay(DELAY);
+            
+            await expect(
+                tokenVesting.connect(user1).scheduleAdminAction(
+                    tokenVesting.interface.encodeFunctionData("renounceOwnership")
+                )
+            ).to.be.revertedWithCustomError(tokenVesting, "OwnableUnauthorizedAccount");
+        });
+
+        it("启用延迟后紧急提取必须先登记并等待", async function () {
+            const withdrawAmount = ethers.parseEther("1000");
+            await tokenVesting.setAdminActionDelay(DELAY);
+            
+            await expect(
+                tokenVesting.emergencyWithdraw(withdrawAmount)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+            
+            const data = tokenVesting.interface.encodeFunctionData("emergencyWithdraw", [withdrawAmount]);
+            const actionId = ethers.keccak256(data);
+            await expect(tokenVesting.scheduleAdminAction(data))
+                .to.emit(tokenVesting, "AdminActionScheduled")
+                .withArgs(actionId, data, await time.latest() + 1 + DELAY);
+            
+            await expect(
+                tokenVesting.emergencyWithdraw(withdrawAmount)
+            ).to.be.revertedWith("AdminActionQueue: action not ready");
+            
+            await time.increase(DELAY);
+            
+            // 参数不同的调用不能使用已登记的操作
+            await expect(
+                tokenVesting.emergencyWithdraw(withdrawAmount + 1n)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+            
+            const initialBalance = await didoToken.balanceOf(owner.address);
+            await expect(tokenVesting.emergencyWithdraw(withdrawAmount))
+                .to.emit(tokenVesting, "AdminActionExecuted")
+                .withArgs(actionId);
+            expect(await didoToken.balanceOf(owner.address) - initialBalance).to.equal(withdrawAmount);
+            
+            // 已执行的操作不能重复使用
+            await expect(
+                tokenVesting.emergencyWithdraw(withdrawAmount)
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+        });
+
+        it("启用延迟后放弃所有权必须先登记并等待", async function () {
+            await tokenVesting.setAdminActionDelay(DELAY);
+            const data = tokenVesting.interface.encodeFunctionData("renounceOwnership");
+            
+            await expect(
+                tokenVesting.renounceOwnership()
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+            
+            await tokenVesting.scheduleAdminAction(data);
+            await time.increase(DELAY);
+            await tokenVesting.renounceOwnership();
+            
+            expect(await tokenVesting.owner()).to.equal(ethers.ZeroAddress);
+        });
+
+        it("应该允许在取消窗口内取消操作", async function () {
+            await tokenVesting.setAdminActionDelay(DELAY);
+            const data = tokenVesting.interface.encodeFunctionData("renounceOwnership");
+            const actionId = ethers.keccak256(data);
+            await tokenVesting.scheduleAdminAction(data);
+            
+            await time.increase(DELAY / 2);
+            await expect(tokenVesting.cancelAdminAction(actionId))
+                .to.emit(tokenVesting, "AdminActionCancelled")
+                .withArgs(actionId);
+            
+            await time.increase(DELAY);
+            await expect(
+                tokenVesting.renounceOwnership()
+            ).to.be.revertedWith("AdminActionQueue: action not scheduled");
+        });
+
+        it("不受保护的管理操作不受延迟影响", async function () {
+            await tokenVesting.setAdminActionDelay(DELAY);
+            
+            await tokenVesting.pause();
+            expect(await tokenVesting.paused()).to.be.true;
+        });
+    });
+
     describe("边界情况", function () {
         it("应该处理精确的时间计算", async function () {
             // 快进到悬崖期结束
-            await time.increase(CLIFF_DURATION);
+            await time.increaseTo(startTime + CLIFF_DURATION);
             
             const vestingInfo = await tokenVesting.getVestingInfo();
-            expect(Number(vestingInfo.vestedAmount)).to.be.closeTo(0, 1000000); // 允许小的计算误差
+            expect(vestingInfo.vestedAmount).to.equal(0);
+            
+            // 释放期结束前 1 秒
+            await time.increaseTo(startTime + TOTAL_DURATION - 1);
+            expect(await tokenVesting.getVestedAmount()).to.be.lessThan(VESTING_AMOUNT);
             
             // 快进到释放期结束
-            await time.increase(RELEASE_DURATION);
+            await time.increaseTo(startTime + TOTAL_DURATION);
             
             const finalVestingInfo = await tokenVesting.getVestingInfo();
-            expect(finalVestingInfo.vestedAmount).to.be.closeTo(VESTING_AMOUNT, ethers.parseEther("0.001"));
+            expect(finalVestingInfo.vestedAmount).to.equal(VESTING_AMOUNT);
         });
 
         it("应该处理多次部分释放", async function () {
             // 快进到悬崖期结束 + 1 天
-            await time.increase(CLIFF_DURATION + 24 * 60 * 60);
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
             
             const firstReleasable = await tokenVesting.getReleasableAmount();
             await tokenVesting.connect(beneficiary).release();
             
             // 快进 1 天
-            await time.increase(24 * 60 * 60);
+            await time.increaseTo(startTime + CLIFF_DURATION + 2 * 24 * 60 * 60);
             
             const secondReleasable = await tokenVesting.getReleasableAmount();
             await tokenVesting.connect(beneficiary).release();
@@ -389,13 +1348,13 @@ describe("TokenVesting", function () {
     describe("Gas 优化", function () {
         it("应该使用合理的 gas 进行释放", async function () {
             // 快进到悬崖期结束 + 1 天
-            await time.increase(CLIFF_DURATION + 24 * 60 * 60);
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
             
             const tx = await tokenVesting.connect(beneficiary).release();
             const receipt = await tx.wait();
             
-            // Gas 使用量应该合理（通常 < 100,000）
-            expect(receipt.gasUsed).to.be.lessThan(100000);
+            // Gas 使用量应该合理（通常 < 105,000，其中包含注资检查读取代币余额的开销）
+            expect(receipt.gasUsed).to.be.lessThan(105000);
         });
 
         it("应该使用合理的 gas 进行查询", async function () {
@@ -0,0 +1,774 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * VestingManager 合约测试套件
+ *
+ * 测试覆盖：
+ * - 部署和初始化
+ * - 计划创建（参数校验、未分配余额检查）
+ * - 每个计划独立的悬崖期和线性释放
+ * - 同一受益人的多个计划
+ * - 阶梯释放和分批解锁计划（每个解锁边界的精确数量）
+ * - 汇总查询（按受益人、按合约、指定时间点的归属数量）
+ * - 仓位凭证（ERC-721 铸造、转让开关、转让后释放权跟随持有者、元数据）
+ * - 治理投票权（持有者委托仓位代币的投票权，释放和转让后投票权跟随变化）
+ * - 暂停功能
+ * - 权限控制
+ * - 误转资产找回（不能动用已分配的代币）
+ */
+
+describe("VestingManager", function () {
+    let didoToken;
+    let vestingManager;
+    let owner;
+    let teamWallet;
+    let alice;
+    let bob;
+    let carol;
+    let addrs;
+    let now;
+
+    // 时间常量
+    const DAY = 24 * 60 * 60;
+    const CLIFF_DURATION = 180 * DAY; // 6 个月
+    const RELEASE_DURATION = 540 * DAY; // 18 个月
+
+    // 代币常量
+    const FUNDED_AMOUNT = ethers.parseEther("300000"); // 300,000 DDT
+    const ALICE_AMOUNT = ethers.parseEther("54000");
+    const BOB_AMOUNT = ethers.parseEther("36000");
+
+    beforeEach(async function () {
+        // 获取测试账户
+        [owner, teamWallet, alice, bob, carol, ...addrs] = await ethers.getSigners();
+
+        // 部署 DIDOToken 合约
+        const DIDOToken = await ethers.getContractFactory("DIDOToken");
+        didoToken = await DIDOToken.deploy(
+            [addrs[0].address, teamWallet.address, addrs[1].address, addrs[2].address],
+            [ethers.parseEther("400000"), ethers.parseEther("300000"), ethers.parseEther("200000"), ethers.parseEther("100000")]
+        );
+
+        // 部署 VestingManager 合约并转入团队代币
+        const VestingManager = await ethers.getContractFactory("VestingManager");
+        vestingManager = await VestingManager.deploy(await didoToken.getAddress());
+        await didoToken.connect(teamWallet).transfer(await vestingManager.getAddress(), FUNDED_AMOUNT);
+
+        now = await time.latest();
+    });
+
+    /**
+     * 创建一个从当前时间开始的标准计划（6 个月悬崖期 + 18 个月线性释放）
+     */
+    async function createStandardSchedule(beneficiary, amount, start = now) {
+        return vestingManager.createSchedule(beneficiary.address, amount, start, CLIFF_DURATION, RELEASE_DURATION);
+    }
+
+    describe("部署和初始化", function () {
+        it("应该正确设置合约基本信息", async function () {
+            const info = await vestingManager.getManagerInfo();
+
+            expect(info.tokenAddress).to.equal(await didoToken.getAddress());
+            expect(info.scheduleCount).to.equal(0);
+            expect(info.allocatedAmount).to.equal(0);
+            expect(info.releasedAmount).to.equal(0);
+            expect(info.unallocatedAmount).to.equal(FUNDED_AMOUNT);
+            expect(info.managerPaused).to.be.false;
+            expect(info.managerOwner).to.equal(owner.address);
+        });
+
+        it("应该拒绝零地址代币", async function () {
+            const VestingManager = await ethers.getContractFactory("VestingManager");
+
+            await expect(
+                VestingManager.deploy(ethers.ZeroAddress)
+            ).to.be.revertedWith("VestingManager: token address cannot be zero");
+        });
+    });
+
+    describe("计划创建", function () {
+        it("应该创建计划并触发事件", async function () {
+            await expect(createStandardSchedule(alice, ALICE_AMOUNT))
+                .to.emit(vestingManager, "ScheduleCreated")
+                .withArgs(0, alice.address, ALICE_AMOUNT, now, CLIFF_DURATION, RELEASE_DURATION);
+
+            const schedule = await vestingManager.getSchedule(0);
+            expect(await vestingManager.ownerOf(0)).to.equal(alice.address);
+            expect(schedule.totalAmount).to.equal(ALICE_AMOUNT);
+            expect(schedule.released).to.equal(0);
+            expect(schedule.start).to.equal(now);
+            expect(schedule.cliffDuration).to.equal(CLIFF_DURATION);
+            expect(schedule.releaseDuration).to.equal(RELEASE_DURATION);
+
+            expect(await vestingManager.getScheduleCount()).to.equal(1);
+            expect(await vestingManager.totalAllocated()).to.equal(ALICE_AMOUNT);
+            expect(await vestingManager.getUnallocatedAmount()).to.equal(FUNDED_AMOUNT - ALICE_AMOUNT);
+        });
+
+        it("应该为同一受益人记录多个计划", async function () {
+            await createStandardSchedule(alice, ALICE_AMOUNT);
+            await createStandardSchedule(bob, BOB_AMOUNT);
+            await createStandardSchedule(alice, BOB_AMOUNT, now + 30 * DAY);
+
+            expect(await vestingManager.getBeneficiarySchedules(alice.address)).to.deep.equal([0n, 2n]);
+            expect(await vestingManager.getBeneficiarySchedules(bob.address)).to.deep.equal([1n]);
+            expect(await vestingManager.getBeneficiarySchedules(carol.address)).to.deep.equal([]);
+        });
+
+        it("应该拒绝超过未分配余额的计划", async function () {
+            await createStandardSchedule(alice, FUNDED_AMOUNT);
+
+            await expect(
+                createStandardSchedule(bob, 1n)
+            ).to.be.revertedWith("VestingManager: insufficient unallocated tokens");
+        });
+
+        it("应该拒绝无效的计划参数", async function () {
+            await expect(
+                vestingManager.createSchedule(ethers.ZeroAddress, ALICE_AMOUNT, now, CLIFF_DURATION, RELEASE_DURATION)
+            ).to.be.revertedWith("VestingManager: beneficiary address cannot be zero");
+
+            await expect(
+                vestingManager.createSchedule(alice.address, 0, now, CLIFF_DURATION, RELEASE_DURATION)
+            ).to.be.revertedWith("VestingManager: amount must be greater than zero");
+
+            await expect(
+                vestingManager.createSchedule(alice.address, ALICE_AMOUNT, 0, CLIFF_DURATION, RELEASE_DURATION)
+            ).to.be.revertedWith("VestingManager: start time cannot be zero");
+
+            await expect(
+                vestingManager.createSchedule(alice.address, ALICE_AMOUNT, now, CLIFF_DURATION, 0)
+            ).to.be.revertedWith("VestingManager: release duration must be greater than zero");
+
+            await expect(
+                vestingManager.createSchedule(alice.address, ALICE_AMOUNT, now, 3650 * DAY, 1)
+            ).to.be.revertedWith("VestingManager: vesting duration too long");
+        });
+
+        it("应该只有 owner 可以创建计划", async function () {
+            await expect(
+                vestingManager.connect(alice).createSchedule(alice.address, ALICE_AMOUNT, now, CLIFF_DURATION, RELEASE_DURATION)
+            ).to.be.revertedWithCustomError(vestingManager, "OwnableUnauthorizedAccount");
+        });
+
+        it("查询不存在的计划应该回滚", async function () {
+            await expect(
+                vestingManager.getSchedule(0)
+            ).to.be.revertedWith("VestingManager: schedule does not exist");
+
+            await expect(
+                vestingManager.release(0)
+            ).to.be.revertedWith("VestingManager: schedule does not exist");
+        });
+    });
+
+    describe("释放功能", function () {
+        beforeEach(async function () {
+            await createStandardSchedule(alice, ALICE_AMOUNT);
+            await createStandardSchedule(bob, BOB_AMOUNT, now + 90 * DAY);
+        });
+
+        it("悬崖期内应该无法提取", async function () {
+            await time.increaseTo(now + CLIFF_DURATION - 1);
+
+            expect(await vestingManager.getReleasableAmount(0)).to.equal(0);
+            await expect(
+                vestingManager.connect(alice).release(0)
+            ).to.be.revertedWith("VestingManager: no tokens to release");
+        });
+
+        it("应该按计划线性释放", async function () {
+            // 悬崖期结束后 1/3 释放期
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION / 3);
+            expect(await vestingManager.getVestedAmount(0)).to.equal(ALICE_AMOUNT / 3n);
+
+            await time.setNextBlockTimestamp(now + CLIFF_DURATION + RELEASE_DURATION / 2);
+            await expect(vestingManager.connect(alice).release(0))
+                .to.emit(vestingManager, "TokensReleased")
+                .withArgs(0, alice.address, ALICE_AMOUNT / 2n);
+
+            expect(await didoToken.balanceOf(alice.address)).to.equal(ALICE_AMOUNT / 2n);
+            expect((await vestingManager.getSchedule(0)).released).to.equal(ALICE_AMOUNT / 2n);
+            expect(await vestingManager.totalReleased()).to.equal(ALICE_AMOUNT / 2n);
+        });
+
+        it("每个计划应该按自己的开始时间释放", async function () {
+            // alice 的悬崖期已结束，bob 的计划晚 90 天开始，仍在悬崖期内
+            await time.increaseTo(now + CLIFF_DURATION + 30 * DAY);
+
+            expect(await vestingManager.getVestedAmount(0)).to.be.gt(0);
+            expect(await vestingManager.getVestedAmount(1)).to.equal(0);
+
+            await time.increaseTo(now + 90 * DAY + CLIFF_DURATION + RELEASE_DURATION);
+            expect(await vestingManager.getVestedAmount(0)).to.equal(ALICE_AMOUNT);
+            expect(await vestingManager.getVestedAmount(1)).to.equal(BOB_AMOUNT);
+        });
+
+        it("完全释放后应该无法再次提取", async function () {
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+            await vestingManager.connect(alice).release(0);
+
+            expect(await didoToken.balanceOf(alice.address)).to.equal(ALICE_AMOUNT);
+            await expect(
+                vestingManager.connect(alice).release(0)
+            ).to.be.revertedWith("VestingManager: no tokens to release");
+        });
+
+        it("应该只有计划的受益人可以释放", async function () {
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+
+            await expect(
+                vestingManager.connect(bob).release(0)
+            ).to.be.revertedWith("VestingManager: only beneficiary can release");
+        });
+
+        it("开始时间在将来的计划应该在开始前无法释放", async function () {
+            await createStandardSchedule(carol, BOB_AMOUNT, now + 365 * DAY);
+            await time.increaseTo(now + 365 * DAY + CLIFF_DURATION - 1);
+
+            expect(await vestingManager.getVestedAmount(2)).to.equal(0);
+        });
+
+        it("释放后回收的额度不应该被重新分配", async function () {
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+            await vestingManager.connect(alice).release(0);
+
+            expect(await vestingManager.getUnallocatedAmount()).to.equal(FUNDED_AMOUNT - ALICE_AMOUNT - BOB_AMOUNT);
+        });
+    });
+
+    describe("阶梯释放计划", function () {
+        const STEP = 30 * DAY; // 按月解锁
+        const STEP_COUNT = 18;
+
+        beforeEach(async function () {
+            await vestingManager.createStepSchedule(alice.address, ALICE_AMOUNT, now, CLIFF_DURATION, STEP * STEP_COUNT, STEP);
+        });
+
+        it("应该记录阶梯计划的参数", async function () {
+            const schedule = await vestingManager.getSchedule(0);
+
+            expect(schedule.scheduleType).to.equal(1); // Step
+            expect(schedule.stepDuration).to.equal(STEP);
+            expect(schedule.releaseDuration).to.equal(STEP * STEP_COUNT);
+            expect(await vestingManager.getTranches(0)).to.deep.equal([]);
+        });
+
+        it("每个解锁边界前后的归属数量应该精确", async function () {
+            const cliffEnd = now + CLIFF_DURATION;
+
+            await time.increaseTo(cliffEnd - 1);
+            expect(await vestingManager.getVestedAmount(0)).to.equal(0);
+
+            for (let k = 0; k <= STEP_COUNT; k++) {
+                const boundary = cliffEnd + k * STEP;
+
+                if (k > 0) {
+                    await time.increaseTo(boundary - 1);
+                    expect(await vestingManager.getVestedAmount(0)).to.equal((ALICE_AMOUNT * BigInt(k - 1)) / BigInt(STEP_COUNT));
+                }
+
+                await time.increaseTo(boundary);
+                expect(await vestingManager.getVestedAmount(0)).to.equal((ALICE_AMOUNT * BigInt(k)) / BigInt(STEP_COUNT));
+            }
+        });
+
+        it("应该按已解锁的步数释放", async function () {
+            await time.setNextBlockTimestamp(now + CLIFF_DURATION + 3 * STEP + STEP / 2);
+
+            await expect(vestingManager.connect(alice).release(0))
+                .to.emit(vestingManager, "TokensReleased")
+                .withArgs(0, alice.address, (ALICE_AMOUNT * 3n) / BigInt(STEP_COUNT));
+        });
+
+        it("应该拒绝无效的阶梯参数", async function () {
+            await expect(
+                vestingManager.createStepSchedule(bob.address, BOB_AMOUNT, now, CLIFF_DURATION, STEP * STEP_COUNT, 0)
+            ).to.be.revertedWith("VestingManager: step duration must be greater than zero");
+
+            await expect(
+                vestingManager.createStepSchedule(bob.address, BOB_AMOUNT, now, CLIFF_DURATION, 0, STEP)
+            ).to.be.revertedWith("VestingManager: release duration must be greater than zero");
+
+            await expect(
+                vestingManager.createStepSchedule(bob.address, BOB_AMOUNT, now, CLIFF_DURATION, STEP * STEP_COUNT + DAY, STEP)
+            ).to.be.revertedWith("VestingManager: release duration must be a multiple of step duration");
+
+            await expect(
+                vestingManager.connect(bob).createStepSchedule(bob.address, BOB_AMOUNT, now, CLIFF_DURATION, STEP * STEP_COUNT, STEP)
+            ).to.be.revertedWithCustomError(vestingManager, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("分批解锁计划", function () {
+        // TGE 解锁 10%，之后按自然月（间隔不等）每月解锁 15%
+        const MONTH_LENGTHS = [31, 30, 31, 30, 31, 31];
+        let unlockTimes;
+        let amounts;
+        let tge;
+
+        beforeEach(async function () {
+            tge = now + 7 * DAY;
+            unlockTimes = [tge];
+            amounts = [ALICE_AMOUNT / 10n];
+            let cursor = tge;
+            for (const days of MONTH_LENGTHS) {
+                cursor += days * DAY;
+                unlockTimes.push(cursor);
+                amounts.push((ALICE_AMOUNT * 15n) / 100n);
+            }
+
+            await vestingManager.createTrancheSchedule(alice.address, unlockTimes, amounts);
+        });
+
+        it("应该记录分批计划的参数", async function () {
+            const schedule = await vestingManager.getSchedule(0);
+            const tranches = await vestingManager.getTranches(0);
+
+            expect(schedule.scheduleType).to.equal(2); // Tranche
+            expect(schedule.totalAmount).to.equal(ALICE_AMOUNT);
+            expect(schedule.start).to.equal(tge);
+            expect(schedule.cliffDuration).to.equal(0);
+            expect(schedule.releaseDuration).to.equal(unlockTimes[unlockTimes.length - 1] - tge);
+            expect(tranches.length).to.equal(unlockTimes.length);
+            expect(tranches[1].unlockTime).to.equal(unlockTimes[1]);
+            expect(tranches[1].amount).to.equal(amounts[1]);
+            expect(await vestingManager.totalAllocated()).to.equal(ALICE_AMOUNT);
+        });
+
+        it("每个解锁边界前后的归属数量应该精确", async function () {
+            let cumulative = 0n;
+
+            for (let i = 0; i < unlockTimes.length; i++) {
+                await time.increaseTo(unlockTimes[i] - 1);
+                expect(await vestingManager.getVestedAmount(0)).to.equal(cumulative);
+
+                cumulative += amounts[i];
+                await time.increaseTo(unlockTimes[i]);
+                expect(await vestingManager.getVestedAmount(0)).to.equal(cumulative);
+            }
+
+            expect(cumulative).to.equal(ALICE_AMOUNT);
+        });
+
+        it("应该按时间点查询分批计划的归属数量", async function () {
+            expect(await vestingManager.vestedAmountAt(0, tge - 1)).to.equal(0);
+            expect(await vestingManager.vestedAmountAt(0, tge)).to.equal(amounts[0]);
+            expect(await vestingManager.vestedAmountAt(0, unlockTimes[3])).to.equal(amounts[0] + amounts[1] * 3n);
+            expect(await vestingManager.vestedAmountAt(0, unlockTimes[unlockTimes.length - 1])).to.equal(ALICE_AMOUNT);
+        });
+
+        it("TGE 时应该可以释放首批代币", async function () {
+            await time.setNextBlockTimestamp(tge);
+
+            await expect(vestingManager.connect(alice).release(0))
+                .to.emit(vestingManager, "TokensReleased")
+                .withArgs(0, alice.address, ALICE_AMOUNT / 10n);
+        });
+
+        it("应该拒绝无效的批次参数", async function () {
+            await expect(
+                vestingManager.createTrancheSchedule(bob.address, [], [])
+            ).to.be.revertedWith("VestingManager: empty tranche list");
+
+            await expect(
+                vestingManager.createTrancheSchedule(bob.address, [tge], [1n, 2n])
+            ).to.be.revertedWith("VestingManager: tranche times and amounts length mismatch");
+
+            await expect(
+                vestingManager.createTrancheSchedule(bob.address, [tge, tge], [1n, 2n])
+            ).to.be.revertedWith("VestingManager: tranche times must be increasing");
+
+            await expect(
+                vestingManager.createTrancheSchedule(bob.address, [tge, tge + DAY], [1n, 0n])
+            ).to.be.revertedWith("VestingManager: tranche amount must be greater than zero");
+
+            await expect(
+                vestingManager.createTrancheSchedule(bob.address, [0], [1n])
+            ).to.be.revertedWith("VestingManager: start time cannot be zero");
+
+            await expect(
+                vestingManager.createTrancheSchedule(bob.address, [tge, tge + 3651 * DAY], [1n, 1n])
+            ).to.be.revertedWith("VestingManager: vesting duration too long");
+
+            await expect(
+                vestingManager.createTrancheSchedule(bob.address, [tge], [FUNDED_AMOUNT])
+            ).to.be.revertedWith("VestingManager: insufficient unallocated tokens");
+
+            const tooMany = Array.from({ length: 121 }, (_, i) => tge + i);
+            await expect(
+                vestingManager.createTrancheSchedule(bob.address, tooMany, tooMany.map(() => 1n))
+            ).to.be.revertedWith("VestingManager: too many tranches");
+        });
+
+        it("元数据应该显示释放模型", async function () {
+            const uri = await vestingManager.tokenURI(0);
+            const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString("utf8"));
+
+            expect(metadata.attributes.find(item => item.trait_type === "Schedule Type").value).to.equal("Tranche");
+        });
+    });
+
+    describe("汇总查询", function () {
+        beforeEach(async function () {
+            await createStandardSchedule(alice, ALICE_AMOUNT);
+            await createStandardSchedule(alice, BOB_AMOUNT, now + CLIFF_DURATION);
+            await createStandardSchedule(bob, BOB_AMOUNT);
+        });
+
+        it("应该汇总受益人的所有计划", async function () {
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION / 2);
+            await vestingManager.connect(alice).release(0);
+
+            const info = await vestingManager.getBeneficiaryInfo(alice.address);
+            expect(info.scheduleCount).to.equal(2);
+            expect(info.totalAmount).to.equal(ALICE_AMOUNT + BOB_AMOUNT);
+            expect(info.releasedAmount).to.equal(await vestingManager.getVestedAmount(0));
+            expect(info.vestedAmount).to.equal(
+                (await vestingManager.getVestedAmount(0)) + (await vestingManager.getVestedAmount(1))
+            );
+            expect(info.releasableAmount).to.equal(info.vestedAmount - info.releasedAmount);
+        });
+
+        it("没有计划的地址应该返回零", async function () {
+            const info = await vestingManager.getBeneficiaryInfo(carol.address);
+
+            expect(info.scheduleCount).to.equal(0);
+            expect(info.totalAmount).to.equal(0);
+        });
+
+        it("应该查询任意时间点的归属数量，不需要等待区块时间", async function () {
+            expect(await vestingManager.vestedAmountAt(0, now + CLIFF_DURATION - 1)).to.equal(0);
+            expect(await vestingManager.vestedAmountAt(0, now + CLIFF_DURATION + RELEASE_DURATION / 2)).to.equal(ALICE_AMOUNT / 2n);
+            expect(await vestingManager.vestedAmountAt(1, now + CLIFF_DURATION * 2 - 1)).to.equal(0);
+            expect(await vestingManager.vestedAmountAt(2, now + CLIFF_DURATION + RELEASE_DURATION)).to.equal(BOB_AMOUNT);
+
+            await time.increaseTo(now + CLIFF_DURATION + 30 * DAY);
+            expect(await vestingManager.vestedAmountAt(0, await time.latest())).to.equal(await vestingManager.getVestedAmount(0));
+
+            await expect(
+                vestingManager.vestedAmountAt(3, now)
+            ).to.be.revertedWith("VestingManager: schedule does not exist");
+        });
+
+        it("应该汇总整个合约的分配情况", async function () {
+            const info = await vestingManager.getManagerInfo();
+
+            expect(info.scheduleCount).to.equal(3);
+            expect(info.allocatedAmount).to.equal(ALICE_AMOUNT + BOB_AMOUNT * 2n);
+            expect(info.unallocatedAmount).to.equal(FUNDED_AMOUNT - ALICE_AMOUNT - BOB_AMOUNT * 2n);
+        });
+    });
+
+    describe("仓位凭证", function () {
+        beforeEach(async function () {
+            await createStandardSchedule(alice, ALICE_AMOUNT);
+            await createStandardSchedule(bob, BOB_AMOUNT);
+        });
+
+        /**
+         * 解析 tokenURI 返回的 data URI 元数据
+         */
+        async function readMetadata(tokenId) {
+            const uri = await vestingManager.tokenURI(tokenId);
+            expect(uri.startsWith("data:application/json;base64,")).to.be.true;
+            return JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString("utf8"));
+        }
+
+        function attribute(metadata, traitType) {
+            return metadata.attributes.find(item => item.trait_type === traitType).value;
+        }
+
+        it("创建计划时应该向受益人铸造仓位凭证", async function () {
+            await expect(createStandardSchedule(carol, BOB_AMOUNT))
+                .to.emit(vestingManager, "Transfer")
+                .withArgs(ethers.ZeroAddress, carol.address, 2);
+
+            expect(await vestingManager.name()).to.equal("DIDO Vesting Position");
+            expect(await vestingManager.symbol()).to.equal("vDDT");
+            expect(await vestingManager.ownerOf(2)).to.equal(carol.address);
+            expect(await vestingManager.balanceOf(carol.address)).to.equal(1);
+            expect(await vestingManager.totalSupply()).to.equal(3);
+            expect(await vestingManager.supportsInterface("0x80ac58cd")).to.be.true; // ERC-721
+        });
+
+        it("默认应该禁止转让仓位", async function () {
+            expect(await vestingManager.transfersEnabled()).to.be.false;
+
+            await expect(
+                vestingManager.connect(alice).transferFrom(alice.address, carol.address, 0)
+            ).to.be.revertedWith("VestingManager: position transfers are disabled");
+        });
+
+        it("开启转让后释放权应该跟随新持有者", async function () {
+            await expect(vestingManager.setTransfersEnabled(true))
+                .to.emit(vestingManager, "TransfersEnabledUpdated")
+                .withArgs(true);
+
+            await vestingManager.connect(alice).transferFrom(alice.address, carol.address, 0);
+            expect(await vestingManager.ownerOf(0)).to.equal(carol.address);
+            expect(await vestingManager.getBeneficiarySchedules(alice.address)).to.deep.equal([]);
+            expect(await vestingManager.getBeneficiarySchedules(carol.address)).to.deep.equal([0n]);
+            expect((await vestingManager.getBeneficiaryInfo(carol.address)).totalAmount).to.equal(ALICE_AMOUNT);
+
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+
+            await expect(
+                vestingManager.connect(alice).release(0)
+            ).to.be.revertedWith("VestingManager: only beneficiary can release");
+
+            await expect(vestingManager.connect(carol).release(0))
+                .to.emit(vestingManager, "TokensReleased")
+                .withArgs(0, carol.address, ALICE_AMOUNT);
+            expect(await didoToken.balanceOf(carol.address)).to.equal(ALICE_AMOUNT);
+        });
+
+        it("转让前已释放的部分不应该重复释放", async function () {
+            await vestingManager.setTransfersEnabled(true);
+
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION / 2);
+            await vestingManager.connect(alice).release(0);
+            const releasedByAlice = await didoToken.balanceOf(alice.address);
+
+            await vestingManager.connect(alice).transferFrom(alice.address, carol.address, 0);
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+            await vestingManager.connect(carol).release(0);
+
+            expect(await didoToken.balanceOf(carol.address)).to.equal(ALICE_AMOUNT - releasedByAlice);
+        });
+
+        it("关闭转让后应该再次禁止转让", async function () {
+            await vestingManager.setTransfersEnabled(true);
+            await vestingManager.setTransfersEnabled(false);
+
+            await expect(
+                vestingManager.connect(alice).transferFrom(alice.address, carol.address, 0)
+            ).to.be.revertedWith("VestingManager: position transfers are disabled");
+        });
+
+        it("应该只有 owner 可以修改转让开关", async function () {
+            await expect(
+                vestingManager.connect(alice).setTransfersEnabled(true)
+            ).to.be.revertedWithCustomError(vestingManager, "OwnableUnauthorizedAccount");
+
+            await expect(
+                vestingManager.setTransfersEnabled(false)
+            ).to.be.revertedWith("VestingManager: transfer setting unchanged");
+        });
+
+        it("元数据应该显示计划的释放进度", async function () {
+            let metadata = await readMetadata(0);
+            expect(metadata.name).to.equal("DIDO Vesting Position #0");
+            expect(attribute(metadata, "Total Amount")).to.equal(54000);
+            expect(attribute(metadata, "Vested")).to.equal(0);
+            expect(attribute(metadata, "Start")).to.equal(now);
+            expect(attribute(metadata, "Cliff End")).to.equal(now + CLIFF_DURATION);
+            expect(attribute(metadata, "Vesting End")).to.equal(now + CLIFF_DURATION + RELEASE_DURATION);
+
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION / 2);
+            await vestingManager.connect(alice).release(0);
+
+            metadata = await readMetadata(0);
+            expect(attribute(metadata, "Vested Amount")).to.equal(27000);
+            expect(attribute(metadata, "Released Amount")).to.equal(27000);
+            expect(attribute(metadata, "Vested")).to.equal(50);
+        });
+
+        it("查询不存在仓位的元数据应该回滚", async function () {
+            await expect(
+                vestingManager.tokenURI(99)
+            ).to.be.revertedWithCustomError(vestingManager, "ERC721NonexistentToken");
+        });
+    });
+
+    describe("治理投票权", function () {
+        let delegatee;
+
+        beforeEach(async function () {
+            delegatee = addrs[3];
+            await createStandardSchedule(alice, ALICE_AMOUNT);
+            await createStandardSchedule(bob, BOB_AMOUNT);
+        });
+
+        it("委托前仓位代币不计票", async function () {
+            expect(await vestingManager.getDelegate(0)).to.equal(ethers.ZeroAddress);
+            expect(await vestingManager.escrowOf(0)).to.equal(ethers.ZeroAddress);
+            expect(await didoToken.getVotes(alice.address)).to.equal(0);
+        });
+
+        it("持有者委托后仓位代币转入托管合约并计票，释放后投票权相应减少", async function () {
+            await expect(vestingManager.connect(alice).delegate(0, alice.address))
+                .to.emit(vestingManager, "PositionDelegated")
+                .withArgs(0, alice.address);
+
+            const escrow = await vestingManager.escrowOf(0);
+            expect(await didoToken.balanceOf(escrow)).to.equal(ALICE_AMOUNT);
+            expect(await vestingManager.totalEscrowed()).to.equal(ALICE_AMOUNT);
+            expect(await vestingManager.getUnallocatedAmount()).to.equal(FUNDED_AMOUNT - ALICE_AMOUNT - BOB_AMOUNT);
+            expect(await vestingManager.getDelegate(0)).to.equal(alice.address);
+            expect(await didoToken.getVotes(alice.address)).to.equal(ALICE_AMOUNT);
+
+            // 更换委托对象，投票权整体转移
+            await vestingManager.connect(alice).delegate(0, delegatee.address);
+            expect(await didoToken.getVotes(alice.address)).to.equal(0);
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(ALICE_AMOUNT);
+
+            await time.setNextBlockTimestamp(now + CLIFF_DURATION + RELEASE_DURATION / 2);
+            await vestingManager.connect(alice).release(0);
+
+            expect(await didoToken.balanceOf(alice.address)).to.equal(ALICE_AMOUNT / 2n);
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(ALICE_AMOUNT / 2n);
+            expect(await vestingManager.totalEscrowed()).to.equal(ALICE_AMOUNT / 2n);
+
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+            await vestingManager.connect(alice).release(0);
+            expect(await didoToken.balanceOf(alice.address)).to.equal(ALICE_AMOUNT);
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(0);
+            expect(await vestingManager.totalEscrowed()).to.equal(0);
+        });
+
+        it("委托只影响自己的仓位，其他仓位照常从合约余额释放", async function () {
+            await vestingManager.connect(alice).delegate(0, alice.address);
+
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+            await vestingManager.connect(bob).release(1);
+
+            expect(await didoToken.balanceOf(bob.address)).to.equal(BOB_AMOUNT);
+            expect(await didoToken.getVotes(alice.address)).to.equal(ALICE_AMOUNT);
+            expect(await didoToken.balanceOf(await vestingManager.getAddress())).to.equal(FUNDED_AMOUNT - ALICE_AMOUNT - BOB_AMOUNT);
+        });
+
+        it("仓位转让后投票权应该委托给新持有者", async function () {
+            await vestingManager.setTransfersEnabled(true);
+            await vestingManager.connect(alice).delegate(0, delegatee.address);
+
+            await expect(vestingManager.connect(alice).transferFrom(alice.address, carol.address, 0))
+                .to.emit(vestingManager, "PositionDelegated")
+                .withArgs(0, carol.address);
+
+            expect(await vestingManager.getDelegate(0)).to.equal(carol.address);
+            expect(await didoToken.getVotes(delegatee.address)).to.equal(0);
+            expect(await didoToken.getVotes(carol.address)).to.equal(ALICE_AMOUNT);
+
+            await expect(
+                vestingManager.connect(alice).delegate(0, alice.address)
+            ).to.be.revertedWith("VestingManager: only beneficiary can delegate");
+
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+            await vestingManager.connect(carol).release(0);
+            expect(await didoToken.balanceOf(carol.address)).to.equal(ALICE_AMOUNT);
+        });
+
+        it("应该拒绝无效的委托", async function () {
+            await expect(
+                vestingManager.connect(bob).delegate(0, bob.address)
+            ).to.be.revertedWith("VestingManager: only beneficiary can delegate");
+
+            await expect(
+                vestingManager.connect(alice).delegate(99, alice.address)
+            ).to.be.revertedWith("VestingManager: schedule does not exist");
+
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+            await vestingManager.connect(alice).release(0);
+            await expect(
+                vestingManager.connect(alice).delegate(0, alice.address)
+            ).to.be.revertedWith("VestingManager: no locked tokens to delegate");
+        });
+
+        it("托管合约应该只接受管理合约的调用", async function () {
+            await vestingManager.connect(alice).delegate(0, alice.address);
+            const escrow = await ethers.getContractAt("VestingEscrow", await vestingManager.escrowOf(0));
+
+            expect(await escrow.manager()).to.equal(await vestingManager.getAddress());
+            await expect(
+                escrow.connect(alice).withdraw(alice.address, 1)
+            ).to.be.revertedWith("VestingEscrow: caller is not the manager");
+            await expect(
+                escrow.connect(alice).delegate(bob.address)
+            ).to.be.revertedWith("VestingEscrow: caller is not the manager");
+        });
+
+        it("找回锁仓代币时不应该把托管中的代币算作未分配", async function () {
+            await vestingManager.connect(alice).delegate(0, alice.address);
+            const unallocated = FUNDED_AMOUNT - ALICE_AMOUNT - BOB_AMOUNT;
+
+            await expect(
+                vestingManager.rescueERC20(await didoToken.getAddress(), owner.address, unallocated + 1n)
+            ).to.be.revertedWith("VestingManager: cannot rescue vesting tokens");
+            await vestingManager.rescueERC20(await didoToken.getAddress(), owner.address, unallocated);
+
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+            await vestingManager.connect(alice).release(0);
+            await vestingManager.connect(bob).release(1);
+            expect(await didoToken.balanceOf(alice.address)).to.equal(ALICE_AMOUNT);
+            expect(await didoToken.balanceOf(bob.address)).to.equal(BOB_AMOUNT);
+        });
+    });
+
+    describe("暂停功能", function () {
+        beforeEach(async function () {
+            await createStandardSchedule(alice, ALICE_AMOUNT);
+            await time.increaseTo(now + CLIFF_DURATION + RELEASE_DURATION);
+        });
+
+        it("暂停后应该无法释放", async function () {
+            await expect(vestingManager.pause())
+                .to.emit(vestingManager, "VestingPaused");
+
+            await expect(
+                vestingManager.connect(alice).release(0)
+            ).to.be.revertedWith("VestingManager: vesting is paused");
+
+            await vestingManager.unpause();
+            await vestingManager.connect(alice).release(0);
+            expect(await didoToken.balanceOf(alice.address)).to.equal(ALICE_AMOUNT);
+        });
+
+        it("应该只有 owner 可以暂停", async function () {
+            await expect(
+                vestingManager.connect(alice).pause()
+            ).to.be.revertedWithCustomError(vestingManager, "OwnableUnauthorizedAccount");
+        });
+
+        it("应该拒绝重复暂停或恢复", async function () {
+            await expect(vestingManager.unpause()).to.be.revertedWith("VestingManager: vesting is not paused");
+
+            await vestingManager.pause();
+            await expect(vestingManager.pause()).to.be.revertedWith("VestingManager: vesting is paused");
+        });
+    });
+
+    describe("误转资产找回", function () {
+        beforeEach(async function () {
+            await createStandardSchedule(alice, ALICE_AMOUNT);
+        });
+
+        it("应该只允许找回未分配的锁仓代币", async function () {
+            const unallocated = FUNDED_AMOUNT - ALICE_AMOUNT;
+
+            await expect(
+                vestingManager.rescueERC20(await didoToken.getAddress(), owner.address, unallocated + 1n)
+            ).to.be.revertedWith("VestingManager: cannot rescue vesting tokens");
+
+            await vestingManager.rescueERC20(await didoToken.getAddress(), owner.address, unallocated);
+            expect(await didoToken.balanceOf(await vestingManager.getAddress())).to.equal(ALICE_AMOUNT);
+        });
+
+        it("应该允许找回强制转入的 ETH", async function () {
+            const managerAddress = await vestingManager.getAddress();
+            await setBalance(managerAddress, ethers.parseEther("1"));
+
+            await expect(vestingManager.rescueETH(alice.address, ethers.parseEther("1")))
+                .to.emit(vestingManager, "ETHRescued")
+                .withArgs(alice.address, ethers.parseEther("1"));
+        });
+
+        it("应该只有 owner 可以找回资产", async function () {
+            await expect(
+                vestingManager.connect(alice).rescueERC20(await didoToken.getAddress(), alice.address, 1)
+            ).to.be.revertedWithCustomError(vestingManager, "OwnableUnauthorizedAccount");
+        });
+    });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseAirdropCsv } = require("../scripts/lib/csv");
+const {
+    splitIntoBatches,
+    computeMaxPerBatch,
+    hashCsv,
+    loadProgress,
+    settlePendingBatch
+} = require("../scripts/airdrop");
+
+/**
+ * 空投脚本工具函数测试
+ *
+ * 测试覆盖：
+ * - CSV 解析（表头、注释、地址和数量校验、重复地址）
+ * - 按 gas 计算批次大小与拆分
+ * - 进度文件的读取与一致性校验
+ * - 中断后未确认批次的核对
+ */
+
+describe("空投脚本", function () {
+    const ADDRESS_1 = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const ADDRESS_2 = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+    describe("CSV 解析", function () {
+        it("应该解析地址和数量并跳过表头、注释和空行", async function () {
+            const content = [
+                "address,amount",
+                "# 第一批社区用户",
+                `${ADDRESS_1.toLowerCase()},100`,
+                "",
+                `${ADDRESS_2},0.5`
+            ].join("\r\n");
+
+            const { entries, errors } = parseAirdropCsv(content);
+
+            expect(errors).to.deep.equal([]);
+            expect(entries).to.deep.equal([
+                { line: 3, address: ADDRESS_1, amount: ethers.parseEther("100") },
+                { line: 5, address: ADDRESS_2, amount: ethers.parseEther("0.5") }
+            ]);
+        });
+
+        it("应该报告无效地址、零地址、无效数量和列数错误", async function () {
+            const content = [
+                "0x1234,100",
+                `${ethers.ZeroAddress},100`,
+                `${ADDRESS_1},abc`,
+                `${ADDRESS_2},0`,
+                `${ADDRESS_2},1,extra`
+            ].join("\n");
+
+            const { entries, errors } = parseAirdropCsv(content);
+
+            expect(entries).to.have.length(0);
+            expect(errors).to.have.length(5);
+            expect(errors[0]).to.include("第 1 行");
+            expect(errors[0]).to.include("无效的地址");
+            expect(errors[1]).to.include("零地址");
+            expect(errors[2]).to.include("无效的数量");
+            expect(errors[3]).to.include("必须大于 0");
+            expect(errors[4]).to.include("两列");
+        });
+
+        it("应该报告重复地址（不区分大小写）", async function () {
+            const content = `${ADDRESS_1},1\n${ADDRESS_1.toLowerCase()},2`;
+
+            const { entries, errors } = parseAirdropCsv(content);
+
+            expect(entries).to.have.length(1);
+            expect(errors).to.deep.equal([`第 2 行: 地址 ${ADDRESS_1} 与第 1 行重复`]);
+        });
+    });
+
+    describe("批次拆分", function () {
+        it("应该根据边际 gas 计算单批人数", async function () {
+            // 基础 30,000 gas，每人 35,000 gas
+            expect(computeMaxPerBatch(65_000n, 100_000n, 1_000_000n)).to.equal(27);
+        });
+
+        it("gas 上限不足以发送单笔时应该报错", async function () {
+            expect(() => computeMaxPerBatch(65_000n, 100_000n, 60_000n)).to.throw("不足以发送单笔空投");
+        });
+
+        it("应该从已完成位置开始拆分", async function () {
+            expect(splitIntoBatches(10, 3, 4)).to.deep.equal([
+                { start: 3, end: 7 },
+                { start: 7, end: 10 }
+            ]);
+            expect(splitIntoBatches(10, 10, 4)).to.deep.equal([]);
+        });
+
+        it("应该拒绝无效的单批人数", async function () {
+            expect(() => splitIntoBatches(10, 0, 0)).to.throw("单批接收人数必须为正整数");
+        });
+
+        it("计算出的批次应该能在 gas 上限内执行", async function () {
+            const [, communityWallet] = await ethers.getSigners();
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+            const didoToken = await DIDOToken.deploy([communityWallet.address], [ethers.parseEther("1000000")]);
+            const sender = didoToken.connect(communityWallet);
+
+            const probes = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+            const singleGas = await sender.batchTransfer.estimateGas([probes[0]], [1n]);
+            const doubleGas = await sender.batchTransfer.estimateGas(probes, [1n, 1n]);
+            const gasLimit = 1_000_000n;
+            const maxPerBatch = computeMaxPerBatch(singleGas, doubleGas, gasLimit);
+
+            const recipients = Array.from({ length: maxPerBatch }, () => ethers.Wallet.createRandom().address);
+            const receipt = await (await sender.batchTransfer(recipients, recipients.map(() => 1n), { gasLimit })).wait();
+
+            expect(receipt.status).to.equal(1);
+            expect(receipt.gasUsed).to.be.lte(gasLimit);
+        });
+    });
+
+    describe("进度记录", function () {
+        let progressFile;
+        const identity = { csvHash: hashCsv("a,1"), token: ADDRESS_1, sender: ADDRESS_2 };
+
+        beforeEach(async function () {
+            progressFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-")), "progress.json");
+        });
+
+        afterEach(async function () {
+            fs.rmSync(path.dirname(progressFile), { recursive: true, force: true });
+        });
+
+        it("进度文件不存在时应该从头开始", async function () {
+            expect(loadProgress(progressFile, identity)).to.deep.equal({ ...identity, completed: 0, batches: [] });
+        });
+
+        it("应该读取已有进度", async function () {
+            fs.writeFileSync(progressFile, JSON.stringify({ ...identity, completed: 5, batches: [] }));
+
+            expect(loadProgress(progressFile, identity).completed).to.equal(5);
+        });
+
+        it("CSV 内容变化后应该拒绝旧进度", async function () {
+            fs.writeFileSync(progressFile, JSON.stringify({ ...identity, completed: 5, batches: [] }));
+
+            expect(() => loadProgress(progressFile, { ...identity, csvHash: hashCsv("a,2") })).to.throw("csvHash");
+        });
+
+        it("应该将已上链的未确认批次标记为完成", async function () {
+            const [owner, user1] = await ethers.getSigners();
+            const tx = await owner.sendTransaction({ to: user1.address, value: 1n });
+            await tx.wait();
+            const progress = { completed: 0, batches: [{ index: 0, start: 0, end: 4, txHash: tx.hash, status: "pending" }] };
+
+            await settlePendingBatch(progress, ethers.provider);
+
+            expect(progress.completed).to.equal(4);
+            expect(progress.batches[0].status).to.equal("confirmed");
+        });
+
+        it("应该将找不到的未确认批次标记为失败", async function () {
+            const progress = { completed: 0, batches: [{ index: 0, start: 0, end: 4, txHash: ethers.ZeroHash, status: "pending" }] };
+
+            await settlePendingBatch(progress, ethers.provider);
+
+            expect(progress.completed).to.equal(0);
+            expect(progress.batches[0].status).to.equal("failed");
+        });
+    });
+});
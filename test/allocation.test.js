@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    MAX_SUPPLY,
+    parseAllocation,
+    formatPercentage,
+    toConstructorArgs,
+    allocationFromDeployment
+} = require("../scripts/lib/allocation");
+
+/**
+ * 初始代币分配工具测试
+ *
+ * 测试覆盖：
+ * - 分配列表校验（key、地址、数量、团队分配、总量）
+ * - 比例格式化
+ * - 构造参数生成，部署信息还原后可直接用于部署合约
+ */
+
+describe("初始代币分配", function () {
+    const ADDRESS_1 = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const ADDRESS_2 = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+    const ADDRESS_3 = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+    const ADDRESS_4 = "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65";
+
+    describe("列表校验", function () {
+        it("应该接受自定义的分配比例并统一地址格式", async function () {
+            const { entries, errors } = parseAllocation([
+                { key: "team", address: ADDRESS_1.toLowerCase(), amount: "125000.5" },
+                { key: "faucet", label: "测试网水龙头", address: ADDRESS_2, amount: "874999.5" }
+            ]);
+
+            expect(errors).to.deep.equal([]);
+            expect(entries).to.deep.equal([
+                { key: "team", label: "team", address: ADDRESS_1, amount: ethers.parseEther("125000.5") },
+                { key: "faucet", label: "测试网水龙头", address: ADDRESS_2, amount: ethers.parseEther("874999.5") }
+            ]);
+        });
+
+        it("应该拒绝空列表", async function () {
+            expect(parseAllocation([]).errors).to.deep.equal(["分配列表必须是非空数组"]);
+            expect(parseAllocation({}).errors).to.deep.equal(["分配列表必须是非空数组"]);
+        });
+
+        it("应该报告无效的 key、地址和数量", async function () {
+            const { errors } = parseAllocation([
+                { key: "team", address: ADDRESS_1, amount: "500000" },
+                { address: ADDRESS_2, amount: "1" },
+                { key: "1st", address: ADDRESS_2, amount: "1" },
+                { key: "team", address: ADDRESS_2, amount: "1" },
+                { key: "zero", address: ethers.ZeroAddress, amount: "1" },
+                { key: "dup", address: ADDRESS_1.toLowerCase(), amount: "1" },
+                { key: "bad", address: ADDRESS_3, amount: "abc" },
+                { key: "empty", address: ADDRESS_4, amount: "0" }
+            ]);
+
+            expect(errors).to.have.length(7);
+            expect(errors[0]).to.include("缺少 key");
+            expect(errors[1]).to.include("不能以数字开头");
+            expect(errors[2]).to.include("key team 重复");
+            expect(errors[3]).to.include("无效的地址");
+            expect(errors[4]).to.include("重复");
+            expect(errors[5]).to.include("无效的数量 abc");
+            expect(errors[6]).to.include("数量必须大于 0");
+        });
+
+        it("应该要求包含团队分配", async function () {
+            const { errors } = parseAllocation([{ key: "liquidityPool", address: ADDRESS_1, amount: "1000000" }]);
+
+            expect(errors).to.deep.equal(["缺少 key 为 team 的团队分配"]);
+        });
+
+        it("分配总量必须等于最大供应量", async function () {
+            const { errors } = parseAllocation([
+                { key: "team", address: ADDRESS_1, amount: "300000" },
+                { key: "community", address: ADDRESS_2, amount: "699999.999999999999999999" }
+            ]);
+
+            expect(errors).to.deep.equal(["分配总量 999999.999999999999999999 DDT 必须等于最大供应量 1000000.0 DDT"]);
+        });
+    });
+
+    describe("比例与构造参数", function () {
+        it("比例最多保留两位小数", async function () {
+            expect(formatPercentage(MAX_SUPPLY)).to.equal("100%");
+            expect(formatPercentage(ethers.parseEther("125000"))).to.equal("12.5%");
+            expect(formatPercentage(MAX_SUPPLY / 3n)).to.equal("33.33%");
+        });
+
+        it("部署信息还原的构造参数应该能部署出相同分配的合约", async function () {
+            const { entries } = parseAllocation([
+                { key: "team", label: "团队", address: ADDRESS_1, amount: "600000" },
+                { key: "faucet", label: "测试网水龙头", address: ADDRESS_2, amount: "400000" }
+            ]);
+            // 模拟 deploy.js 写入、verify.js 读取部署信息
+            const tokenAllocation = JSON.parse(JSON.stringify(Object.fromEntries(entries.map(entry => [entry.key, {
+                label: entry.label,
+                address: entry.address,
+                amount: ethers.formatEther(entry.amount),
+                percentage: formatPercentage(entry.amount)
+            }]))));
+
+            const restored = allocationFromDeployment(tokenAllocation);
+            expect(toConstructorArgs(restored)).to.deep.equal(toConstructorArgs(entries));
+            expect(restored.map(entry => entry.percentage)).to.deep.equal(["60%", "40%"]);
+
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+            const didoToken = await DIDOToken.deploy(...toConstructorArgs(restored));
+            expect(await didoToken.balanceOf(ADDRESS_1)).to.equal(ethers.parseEther("600000"));
+            expect(await didoToken.balanceOf(ADDRESS_2)).to.equal(ethers.parseEther("400000"));
+        });
+    });
+});
@@ -0,0 +1,336 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseManifest, tokenVestingArgs } = require("../scripts/lib/manifest");
+const {
+    DETERMINISTIC_DEPLOYMENT_PROXY,
+    initCode,
+    contractSalt,
+    guardedSalt,
+    factoryDeployData,
+    predictFactoryAddress,
+    predictAddress,
+    predictDeployment,
+    handoverCalls
+} = require("../scripts/lib/create2");
+const { runDeployment, predictCreate2Deployment } = require("../scripts/deploy");
+
+/**
+ * CREATE2 确定性部署测试
+ *
+ * 测试覆盖：
+ * - 通过标准确定性部署代理部署 Create2Deployer，地址与预测一致
+ * - 合约地址只由调用者、salt 和初始化代码决定，与网络无关；其他调用者无法占用同一地址
+ * - 工厂在部署交易中移交角色和所有权，任一初始化调用失败则整笔交易回滚
+ * - 部署脚本的 CREATE2 选项：部署到预测地址、复用已有工厂、中断后继续
+ */
+
+describe("CREATE2 确定性部署", function () {
+    // 标准确定性部署代理的运行时代码（https://github.com/Arachnid/deterministic-deployment-proxy）
+    const PROXY_RUNTIME = "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+    const SALT = "dido-token-v1";
+
+    let deployer;
+    let liquidityPool;
+    let team;
+    let community;
+    let reserve;
+    let advisor;
+    let multisig;
+    let attacker;
+    let snapshot;
+    let contractArtifacts;
+
+    const rawManifest = (overrides = {}) => ({
+        network: "hardhat",
+        chainId: 31337,
+        allocations: [
+            { key: "liquidityPool", address: liquidityPool.address, amount: "400000" },
+            { key: "team", address: team.address, amount: "300000" },
+            { key: "community", address: community.address, amount: "200000" },
+            { key: "reserve", address: reserve.address, amount: "100000" }
+        ],
+        vesting: {
+            cliffDays: 180,
+            releaseDays: 540,
+            revocationReceiver: reserve.address,
+            schedules: [
+                { label: "顾问", beneficiary: advisor.address, amount: "50000", cliffDays: 180, releaseDays: 540 }
+            ]
+        },
+        roles: {
+            admin: multisig.address,
+            pausers: [deployer.address, multisig.address],
+            blacklistManagers: [multisig.address]
+        },
+        owner: multisig.address,
+        create2: { salt: SALT },
+        ...overrides
+    });
+    const manifestOf = (raw, expected = { network: "hardhat", chainId: 31337 }) => {
+        const parsed = parseManifest(raw, expected);
+        expect(parsed.errors).to.deep.equal([]);
+        return parsed.manifest;
+    };
+    const hasCode = async address => (await ethers.provider.getCode(address)) !== "0x";
+
+    // 部署工厂（通过标准代理），返回工厂合约
+    const deployFactory = async () => {
+        await deployer.sendTransaction({ to: DETERMINISTIC_DEPLOYMENT_PROXY, data: factoryDeployData(contractArtifacts.Create2Deployer) });
+        return ethers.getContractAt("Create2Deployer", predictFactoryAddress(contractArtifacts.Create2Deployer));
+    };
+    const tokenInitCode = () => initCode(contractArtifacts.DIDOToken, [
+        [liquidityPool.address, team.address, community.address, reserve.address],
+        [ethers.parseEther("400000"), ethers.parseEther("300000"), ethers.parseEther("200000"), ethers.parseEther("100000")]
+    ]);
+
+    before(async function () {
+        [deployer, liquidityPool, team, community, reserve, advisor, multisig, attacker] = await ethers.getSigners();
+        contractArtifacts = {};
+        for (const name of ["Create2Deployer", "DIDOToken", "TokenVesting", "VestingManager"]) {
+            contractArtifacts[name] = await artifacts.readArtifact(name);
+        }
+    });
+
+    beforeEach(async function () {
+        snapshot = await takeSnapshot();
+        await network.provider.send("hardhat_setCode", [DETERMINISTIC_DEPLOYMENT_PROXY, PROXY_RUNTIME]);
+    });
+
+    afterEach(async function () {
+        await snapshot.restore();
+    });
+
+    describe("Create2Deployer", function () {
+        it("通过标准确定性部署代理部署后地址应该与预测一致", async function () {
+            const factoryAddress = predictFactoryAddress(contractArtifacts.Create2Deployer);
+            expect(await hasCode(factoryAddress)).to.equal(false);
+
+            const factory = await deployFactory();
+
+            expect(await factory.getAddress()).to.equal(factoryAddress);
+            expect(await hasCode(factoryAddress)).to.equal(true);
+        });
+
+        it("部署地址应该与 JS 预测和合约 computeAddress 一致", async function () {
+            const factory = await deployFactory();
+            const factoryAddress = await factory.getAddress();
+            const salt = contractSalt(SALT, "DIDOToken");
+            const code = tokenInitCode();
+            const predicted = predictAddress({ factory: factoryAddress, caller: deployer.address, salt, initCode: code });
+
+            expect(await factory.guardedSalt(deployer.address, salt)).to.equal(guardedSalt(deployer.address, salt));
+            expect(await factory.computeAddress(deployer.address, salt, ethers.keccak256(code))).to.equal(predicted);
+            await expect(factory.deploy(salt, code, handoverCalls("DIDOToken", contractArtifacts.DIDOToken, factoryAddress, deployer.address)))
+                .to.emit(factory, "ContractDeployed")
+                .withArgs(deployer.address, salt, predicted);
+
+            const didoToken = await ethers.getContractAt("DIDOToken", predicted);
+            expect(await didoToken.balanceOf(liquidityPool.address)).to.equal(ethers.parseEther("400000"));
+        });
+
+        it("其他调用者使用相同 salt 应该得到不同的地址", async function () {
+            const factory = await deployFactory();
+            const factoryAddress = await factory.getAddress();
+            const salt = contractSalt(SALT, "DIDOToken");
+            const code = tokenInitCode();
+            const predicted = predictAddress({ factory: factoryAddress, caller: deployer.address, salt, initCode: code });
+
+            await factory.connect(attacker).deploy(salt, code, []);
+
+            const attackerAddress = predictAddress({ factory: factoryAddress, caller: attacker.address, salt, initCode: code });
+            expect(attackerAddress).to.not.equal(predicted);
+            expect(await hasCode(attackerAddress)).to.equal(true);
+            expect(await hasCode(predicted)).to.equal(false);
+        });
+
+        it("同一调用者重复使用相同 salt 和初始化代码应该失败", async function () {
+            const factory = await deployFactory();
+            const salt = contractSalt(SALT, "DIDOToken");
+            await factory.deploy(salt, tokenInitCode(), []);
+
+            await expect(factory.deploy(salt, tokenInitCode(), [])).to.be.reverted;
+        });
+
+        it("初始化调用失败时应该回滚整笔部署交易", async function () {
+            const factory = await deployFactory();
+            const factoryAddress = await factory.getAddress();
+            const salt = contractSalt(SALT, "VestingManager");
+            const code = initCode(contractArtifacts.VestingManager, [liquidityPool.address]);
+            const iface = ethers.Interface.from(contractArtifacts.VestingManager.abi);
+
+            // 第二个调用不是合约的函数
+            await expect(factory.deploy(salt, code, [iface.encodeFunctionData("transferOwnership", [deployer.address]), "0x12345678"]))
+                .to.be.reverted;
+            expect(await hasCode(predictAddress({ factory: factoryAddress, caller: deployer.address, salt, initCode: code }))).to.equal(false);
+        });
+
+        it("部署者接受移交后，角色应该与直接部署一致，工厂不再持有任何角色", async function () {
+            const factory = await deployFactory();
+            const factoryAddress = await factory.getAddress();
+            const salt = contractSalt(SALT, "DIDOToken");
+            const code = tokenInitCode();
+            await factory.deploy(salt, code, handoverCalls("DIDOToken", contractArtifacts.DIDOToken, factoryAddress, deployer.address));
+            const didoToken = await ethers.getContractAt("DIDOToken", predictAddress({ factory: factoryAddress, caller: deployer.address, salt, initCode: code }));
+
+            expect(await didoToken.pendingAdmin()).to.equal(deployer.address);
+            await didoToken.acceptAdminTransfer();
+
+            for (const role of [ethers.ZeroHash, ethers.id("PAUSER_ROLE"), ethers.id("BLACKLIST_MANAGER_ROLE")]) {
+                expect(await didoToken.getRoleMembers(role)).to.deep.equal([deployer.address]);
+            }
+            expect(await didoToken.pendingAdmin()).to.equal(ethers.ZeroAddress);
+        });
+    });
+
+    describe("地址预测", function () {
+        it("相同清单和部署者在不同网络应该得到相同的地址", async function () {
+            const local = predictDeployment(manifestOf(rawManifest()), deployer.address, contractArtifacts, tokenVestingArgs);
+            const sepolia = predictDeployment(
+                manifestOf(rawManifest({ network: "sepolia", chainId: 11155111 }), { network: "sepolia", chainId: 11155111 }),
+                deployer.address,
+                contractArtifacts,
+                tokenVestingArgs
+            );
+
+            expect(sepolia.factory).to.equal(local.factory);
+            expect(Object.keys(local.contracts)).to.deep.equal(["DIDOToken", "TokenVesting", "VestingManager"]);
+            for (const name of Object.keys(local.contracts)) {
+                expect(sepolia.contracts[name].address).to.equal(local.contracts[name].address);
+            }
+        });
+
+        it("salt、部署者或构造参数不同时应该得到不同的地址", async function () {
+            const base = predictDeployment(manifestOf(rawManifest()), deployer.address, contractArtifacts, tokenVestingArgs).contracts;
+            const otherSalt = predictDeployment(manifestOf(rawManifest({ create2: { salt: "dido-token-v2" } })), deployer.address, contractArtifacts, tokenVestingArgs).contracts;
+            const otherCaller = predictDeployment(manifestOf(rawManifest()), attacker.address, contractArtifacts, tokenVestingArgs).contracts;
+            const raw = rawManifest();
+            raw.vesting.cliffDays = 90;
+            const otherArgs = predictDeployment(manifestOf(raw), deployer.address, contractArtifacts, tokenVestingArgs).contracts;
+
+            expect(otherSalt.DIDOToken.address).to.not.equal(base.DIDOToken.address);
+            expect(otherCaller.DIDOToken.address).to.not.equal(base.DIDOToken.address);
+            // 锁仓参数只影响 TokenVesting
+            expect(otherArgs.DIDOToken.address).to.equal(base.DIDOToken.address);
+            expect(otherArgs.TokenVesting.address).to.not.equal(base.TokenVesting.address);
+        });
+
+        it("没有多受益人计划时不应该预测 VestingManager", async function () {
+            const raw = rawManifest();
+            raw.vesting.schedules = [];
+
+            const { contracts } = predictDeployment(manifestOf(raw), deployer.address, contractArtifacts, tokenVestingArgs);
+
+            expect(Object.keys(contracts)).to.deep.equal(["DIDOToken", "TokenVesting"]);
+        });
+
+        it("部署清单应该校验 create2 字段", async function () {
+            expect(parseManifest(rawManifest({ create2: {} })).errors).to.deep.equal(["create2.salt: 缺少必填字段"]);
+            expect(parseManifest(rawManifest({ create2: { salt: "" } })).errors).to.deep.equal(["create2.salt: 必须是非空字符串"]);
+            expect(parseManifest(rawManifest({ create2: { salt: SALT, factory: deployer.address } })).errors)
+                .to.deep.equal(["create2.factory: 不支持的字段"]);
+            expect(manifestOf(rawManifest({ create2: undefined })).create2).to.equal(null);
+        });
+    });
+
+    describe("部署脚本的 CREATE2 选项", function () {
+        let tmpDir;
+        let journalFile;
+        let manifest;
+
+        const deploy = (options = {}) => runDeployment({
+            manifest,
+            manifestFile: path.join(tmpDir, "hardhat.json"),
+            manifestHash: "b".repeat(64),
+            deployer,
+            teamSigner: team,
+            journalFile,
+            log: () => {},
+            ...options
+        });
+
+        beforeEach(async function () {
+            manifest = manifestOf(rawManifest());
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dido-create2-"));
+            journalFile = path.join(tmpDir, "hardhat-deployment.json");
+        });
+
+        afterEach(async function () {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it("应该把合约部署到预测地址，角色和所有权与直接部署一致", async function () {
+            const prediction = await predictCreate2Deployment(manifest, deployer.address);
+            const logs = [];
+
+            const journal = await deploy({ log: (...args) => logs.push(args.join(" ")) });
+
+            // 预测地址在发送第一笔交易之前输出
+            expect(logs.some(line => line.includes(prediction.contracts.DIDOToken.address))).to.equal(true);
+            expect(journal.create2).to.deep.equal({ salt: SALT, factory: prediction.factory });
+            expect(Object.keys(journal.steps)[0]).to.equal("deployFactory");
+            expect(journal.steps.deployToken.transactions.map(tx => tx.label)).to.deep.equal(["部署 DIDOToken", "接受 DIDOToken 管理员移交"]);
+            for (const name of ["DIDOToken", "TokenVesting", "VestingManager"]) {
+                expect(journal.contracts[name].address).to.equal(prediction.contracts[name].address);
+            }
+
+            const didoToken = await ethers.getContractAt("DIDOToken", journal.contracts.DIDOToken.address);
+            const tokenVesting = await ethers.getContractAt("TokenVesting", journal.contracts.TokenVesting.address);
+            expect(await tokenVesting.isFunded()).to.equal(true);
+            expect(await didoToken.hasRole(ethers.ZeroHash, prediction.factory)).to.equal(false);
+            expect(journal.roles).to.deep.equal({
+                pendingAdmin: multisig.address,
+                pausers: [deployer.address, multisig.address],
+                blacklistManagers: [multisig.address],
+                admins: [deployer.address]
+            });
+            expect(journal.ownership).to.deep.equal({ owner: deployer.address, pendingOwner: multisig.address });
+        });
+
+        it("工厂已存在时应该直接使用，不再发送工厂部署交易", async function () {
+            await deployFactory();
+
+            const journal = await deploy();
+
+            expect(journal.steps.deployFactory.status).to.equal("completed");
+            expect(journal.steps.deployFactory.transactions).to.deep.equal([]);
+        });
+
+        it("当前网络没有标准确定性部署代理时应该给出明确错误", async function () {
+            await network.provider.send("hardhat_setCode", [DETERMINISTIC_DEPLOYMENT_PROXY, "0x"]);
+
+            await expect(deploy()).to.be.rejectedWith(`当前网络没有标准确定性部署代理 ${DETERMINISTIC_DEPLOYMENT_PROXY}`);
+        });
+
+        it("部署交易上链后中断，重新运行应该只补发接受移交的交易", async function () {
+            await expect(deploy({
+                hooks: {
+                    afterTransaction: async (step, label) => {
+                        if (label === "部署 TokenVesting") {
+                            throw new Error("模拟中断");
+                        }
+                    }
+                }
+            })).to.be.rejectedWith("模拟中断");
+            const tokenVestingAddress = JSON.parse(fs.readFileSync(journalFile, "utf8")).contracts.TokenVesting.address;
+            const tokenVesting = await ethers.getContractAt("TokenVesting", tokenVestingAddress);
+            expect(await tokenVesting.pendingOwner()).to.equal(deployer.address);
+
+            const journal = await deploy();
+
+            expect(journal.contracts.TokenVesting.address).to.equal(tokenVestingAddress);
+            expect(journal.steps.deployVesting.transactions.map(tx => tx.label)).to.deep.equal(["部署 TokenVesting", "接受 TokenVesting 所有权"]);
+            expect(journal.status).to.equal("completed");
+        });
+
+        it("预测地址上已有合约但部署记录中没有时应该拒绝部署", async function () {
+            await deploy();
+            fs.rmSync(journalFile);
+
+            await expect(deploy()).to.be.rejectedWith("上已有 DIDOToken 合约");
+        });
+    });
+});
@@ -0,0 +1,301 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseManifest } = require("../scripts/lib/manifest");
+const { loadJournal, isDeploymentComplete } = require("../scripts/lib/deployJournal");
+const { runDeployment } = require("../scripts/deploy");
+
+/**
+ * 可恢复部署测试
+ *
+ * 测试覆盖：
+ * - 一次完成的部署记录每个步骤，并写出 verify.js、checkBalances.js 使用的部署信息
+ * - 每个步骤完成后立即写入部署记录
+ * - 在步骤之间中断、交易已发出但未记录完成、交易失败后重新运行，都从第一个未完成的步骤继续，不重复部署或发送交易
+ * - 部署完成后重新运行不发送任何交易
+ * - 未完成的部署记录与本次部署的清单或部署者不一致时拒绝继续
+ */
+
+describe("可恢复部署", function () {
+    const STEPS = [
+        "deployToken",
+        "deployVesting",
+        "setRevocationReceiver",
+        "fundVesting",
+        "deployVestingManager",
+        "fundVestingManager",
+        "createSchedules",
+        "assignRoles",
+        "transferOwnership"
+    ];
+    // 部署者 12 笔：3 个合约、撤销退回地址、2 个计划、2 次授予角色、放弃角色、管理员移交、2 次所有权移交
+    // 团队钱包 3 笔：授权、注资、向 VestingManager 转入计划代币
+    const TOTAL_TRANSACTIONS = 15;
+    const MANIFEST_HASH = "a".repeat(64);
+
+    let deployer;
+    let team;
+    let reserve;
+    let multisig;
+    let manifest;
+    let tmpDir;
+    let journalFile;
+
+    const transactionCount = async () => (await ethers.provider.getTransactionCount(deployer.address))
+        + (await ethers.provider.getTransactionCount(team.address));
+    const readJournal = () => JSON.parse(fs.readFileSync(journalFile, "utf8"));
+    const deploy = (options = {}) => runDeployment({
+        manifest,
+        manifestFile: path.join(tmpDir, "hardhat.json"),
+        manifestHash: MANIFEST_HASH,
+        deployer,
+        teamSigner: team,
+        journalFile,
+        log: () => {},
+        ...options
+    });
+
+    beforeEach(async function () {
+        let liquidityPool;
+        let community;
+        let advisorA;
+        let advisorB;
+        [deployer, liquidityPool, team, community, reserve, advisorA, advisorB, multisig] = await ethers.getSigners();
+
+        const parsed = parseManifest({
+            network: "hardhat",
+            chainId: 31337,
+            allocations: [
+                { key: "liquidityPool", address: liquidityPool.address, amount: "400000" },
+                { key: "team", address: team.address, amount: "300000" },
+                { key: "community", address: community.address, amount: "200000" },
+                { key: "reserve", address: reserve.address, amount: "100000" }
+            ],
+            vesting: {
+                cliffDays: 180,
+                releaseDays: 540,
+                revocationReceiver: reserve.address,
+                schedules: [
+                    { label: "顾问 A", beneficiary: advisorA.address, amount: "50000", cliffDays: 180, releaseDays: 540 },
+                    { label: "顾问 B", type: "step", beneficiary: advisorB.address, amount: "12000", cliffDays: 0, releaseDays: 360, stepDays: 30 }
+                ]
+            },
+            roles: {
+                admin: multisig.address,
+                pausers: [deployer.address, multisig.address],
+                blacklistManagers: [multisig.address]
+            },
+            owner: multisig.address
+        }, { network: "hardhat", chainId: 31337 });
+        expect(parsed.errors).to.deep.equal([]);
+        manifest = parsed.manifest;
+
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dido-deploy-"));
+        journalFile = path.join(tmpDir, "hardhat-deployment.json");
+    });
+
+    afterEach(async function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe("完整部署", function () {
+        it("应该执行并记录每个步骤，写出完整的部署信息", async function () {
+            const before = await transactionCount();
+
+            const result = await deploy();
+
+            expect(await transactionCount() - before).to.equal(TOTAL_TRANSACTIONS);
+            const journal = readJournal();
+            expect(journal).to.deep.equal(result);
+            expect(journal.status).to.equal("completed");
+            expect(Object.keys(journal.steps)).to.deep.equal(STEPS);
+            expect(Object.values(journal.steps).map(step => step.status)).to.deep.equal(STEPS.map(() => "completed"));
+            expect(journal.steps.fundVesting.transactions.map(tx => tx.label)).to.deep.equal(["授权时间锁合约", "注资"]);
+
+            const tokenVesting = await ethers.getContractAt("TokenVesting", journal.contracts.TokenVesting.address);
+            const vestingManager = await ethers.getContractAt("VestingManager", journal.contracts.VestingManager.address);
+            expect(await tokenVesting.isFunded()).to.equal(true);
+            expect(await tokenVesting.revocationReceiver()).to.equal(reserve.address);
+            expect(await vestingManager.getScheduleCount()).to.equal(2);
+            expect(journal.contracts.TokenVesting.totalAmount).to.equal("238000.0");
+            expect(journal.contracts.VestingManager.schedules.map(schedule => schedule.id)).to.deep.equal([0, 1]);
+            expect(journal.roles.pendingAdmin).to.equal(multisig.address);
+            expect(journal.roles.blacklistManagers).to.deep.equal([multisig.address]);
+            expect(journal.ownership).to.deep.equal({ owner: deployer.address, pendingOwner: multisig.address });
+            expect(journal.tokenAllocation.team.vestingContract).to.equal(journal.contracts.TokenVesting.address);
+            expect(journal.manifest).to.deep.equal({ file: path.relative(path.join(__dirname, ".."), path.join(tmpDir, "hardhat.json")), sha256: MANIFEST_HASH });
+        });
+
+        it("没有多受益人计划、也不移交所有权时应该跳过对应步骤", async function () {
+            manifest = { ...manifest, schedules: [], owner: null, teamVesting: { ...manifest.teamVesting, revocationReceiver: null } };
+
+            const journal = await deploy();
+
+            expect(journal.steps.setRevocationReceiver.status).to.equal("skipped");
+            expect(journal.steps.deployVestingManager.status).to.equal("skipped");
+            expect(journal.steps.transferOwnership.status).to.equal("skipped");
+            expect(journal.contracts.VestingManager).to.equal(undefined);
+            expect(journal.contracts.TokenVesting.totalAmount).to.equal("300000.0");
+        });
+
+        it("每个步骤完成后应该立即写入部署记录", async function () {
+            const snapshots = {};
+            await deploy({
+                hooks: {
+                    beforeStep: async name => {
+                        const journal = readJournal();
+                        snapshots[name] = Object.keys(journal.steps).filter(step => journal.steps[step].status === "completed");
+                        expect(journal.status).to.equal("in-progress");
+                    }
+                }
+            });
+
+            expect(snapshots.deployToken).to.deep.equal([]);
+            expect(snapshots.fundVesting).to.deep.equal(["deployToken", "deployVesting", "setRevocationReceiver"]);
+            expect(snapshots.transferOwnership).to.deep.equal(STEPS.slice(0, -1));
+        });
+    });
+
+    describe("中断后恢复", function () {
+        it("在步骤之间中断后，应该从第一个未完成的步骤继续，不重新部署代币", async function () {
+            const before = await transactionCount();
+            await expect(deploy({
+                hooks: {
+                    beforeStep: async name => {
+                        if (name === "fundVesting") {
+                            throw new Error("模拟中断");
+                        }
+                    }
+                }
+            })).to.be.rejectedWith("模拟中断");
+
+            const interrupted = readJournal();
+            expect(interrupted.status).to.equal("in-progress");
+            expect(interrupted.steps.deployVesting.status).to.equal("completed");
+            expect(interrupted.steps.fundVesting.status).to.equal("pending");
+
+            const journal = await deploy();
+
+            expect(journal.status).to.equal("completed");
+            expect(journal.contracts.DIDOToken.address).to.equal(interrupted.contracts.DIDOToken.address);
+            expect(journal.contracts.TokenVesting.address).to.equal(interrupted.contracts.TokenVesting.address);
+            expect(journal.deploymentTime).to.equal(interrupted.deploymentTime);
+            expect(await transactionCount() - before).to.equal(TOTAL_TRANSACTIONS);
+        });
+
+        it("交易已发出但未记录完成时，应该以链上状态为准而不是重新部署", async function () {
+            const before = await transactionCount();
+            await expect(deploy({
+                hooks: {
+                    afterTransaction: async name => {
+                        if (name === "deployVesting") {
+                            throw new Error("模拟进程退出");
+                        }
+                    }
+                }
+            })).to.be.rejectedWith("模拟进程退出");
+
+            const interrupted = readJournal();
+            expect(interrupted.steps.deployVesting.status).to.equal("pending");
+            expect(interrupted.steps.deployVesting.transactions).to.have.length(1);
+            expect(interrupted.contracts.TokenVesting.address).to.be.properAddress;
+
+            const journal = await deploy();
+
+            expect(journal.contracts.TokenVesting.address).to.equal(interrupted.contracts.TokenVesting.address);
+            expect(journal.steps.deployVesting.status).to.equal("completed");
+            expect(journal.steps.deployVesting.transactions).to.have.length(1);
+            expect(await transactionCount() - before).to.equal(TOTAL_TRANSACTIONS);
+        });
+
+        it("部分计划创建后中断，应该只创建剩余的计划", async function () {
+            await expect(deploy({
+                hooks: {
+                    afterTransaction: async (name, label) => {
+                        if (label.startsWith("创建计划 #0")) {
+                            throw new Error("模拟进程退出");
+                        }
+                    }
+                }
+            })).to.be.rejectedWith("模拟进程退出");
+
+            const journal = await deploy();
+
+            const vestingManager = await ethers.getContractAt("VestingManager", journal.contracts.VestingManager.address);
+            expect(await vestingManager.getScheduleCount()).to.equal(2);
+            expect(await vestingManager.totalAllocated()).to.equal(ethers.parseEther("62000"));
+            expect(journal.steps.createSchedules.transactions.map(tx => tx.label)).to.deep.equal(["创建计划 #0 (顾问 A)", "创建计划 #1 (顾问 B)"]);
+            expect(journal.contracts.VestingManager.schedules.map(schedule => schedule.label)).to.deep.equal(["顾问 A", "顾问 B"]);
+        });
+
+        it("交易失败后应该重试该步骤，已生效的授权不会重复发送", async function () {
+            const didoToken = () => ethers.getContractAt("DIDOToken", readJournal().contracts.DIDOToken.address);
+            await expect(deploy({
+                hooks: {
+                    afterTransaction: async (name, label) => {
+                        // 授权之后、注资之前团队钱包余额被转走，注资交易失败
+                        if (label === "授权时间锁合约") {
+                            await (await didoToken()).connect(team).transfer(reserve.address, ethers.parseEther("300000"));
+                        }
+                    }
+                }
+            })).to.be.rejected;
+
+            const interrupted = readJournal();
+            expect(interrupted.steps.fundVesting.status).to.equal("pending");
+            expect(interrupted.steps.fundVesting.transactions.map(tx => tx.label)).to.deep.equal(["授权时间锁合约"]);
+
+            await (await didoToken()).connect(reserve).transfer(team.address, ethers.parseEther("300000"));
+            const journal = await deploy();
+
+            expect(journal.status).to.equal("completed");
+            expect(journal.steps.fundVesting.transactions.map(tx => tx.label)).to.deep.equal(["授权时间锁合约", "注资"]);
+            const tokenVesting = await ethers.getContractAt("TokenVesting", journal.contracts.TokenVesting.address);
+            expect(await tokenVesting.isFunded()).to.equal(true);
+        });
+
+        it("部署完成后重新运行不应该发送任何交易", async function () {
+            const first = await deploy();
+            const before = await transactionCount();
+
+            const second = await deploy();
+
+            expect(await transactionCount()).to.equal(before);
+            expect(second).to.deep.equal(first);
+        });
+
+        it("未完成的部署记录与本次清单或部署者不一致时应该拒绝继续", async function () {
+            await expect(deploy({
+                hooks: {
+                    beforeStep: async name => {
+                        if (name === "deployVesting") {
+                            throw new Error("模拟中断");
+                        }
+                    }
+                }
+            })).to.be.rejectedWith("模拟中断");
+
+            await expect(deploy({ manifestHash: "b".repeat(64) })).to.be.rejectedWith("manifest 与本次部署不一致");
+            await expect(deploy({ deployer: multisig })).to.be.rejectedWith("deployer 与本次部署不一致");
+            expect(readJournal().status).to.equal("in-progress");
+        });
+
+        it("开始时间已过时应该在发送任何交易之前拒绝部署", async function () {
+            const past = { ...manifest, teamVesting: { ...manifest.teamVesting, startTime: Math.floor(Date.now() / 1000) - 60 } };
+
+            await expect(deploy({ manifest: past })).to.be.rejectedWith("vesting.startTime 不能早于当前时间");
+            expect(fs.existsSync(journalFile)).to.equal(false);
+        });
+    });
+
+    describe("部署记录", function () {
+        it("早于步骤日志的部署记录应该视为已完成", async function () {
+            fs.writeFileSync(journalFile, JSON.stringify({ network: "hardhat", contracts: {} }));
+
+            expect(isDeploymentComplete(loadJournal(journalFile, {}))).to.equal(true);
+            expect(isDeploymentComplete({ status: "in-progress" })).to.equal(false);
+        });
+    });
+});
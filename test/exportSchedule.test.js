@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    buildTimePoints,
+    buildUnlockSchedule,
+    formatCsv,
+    formatJson
+} = require("../scripts/exportSchedule");
+
+/**
+ * 释放时间表导出脚本测试
+ *
+ * 测试覆盖：
+ * - 按天、按月生成时间点（跨月、闰年、起止时间不在整点）
+ * - 按时间点汇总多个计划的归属数量和本期新增数量
+ * - CSV 和 JSON 格式
+ * - 基于已部署合约的 vestedAmountAt 生成时间表
+ */
+
+describe("释放时间表导出脚本", function () {
+    const DAY = 24 * 60 * 60;
+    const utc = iso => Date.parse(iso) / 1000;
+
+    describe("时间点生成", function () {
+        it("按天应该包含起始时间、期间每个 UTC 零点和结束时间", async function () {
+            const points = buildTimePoints(utc("2028-02-27T12:00:00Z"), utc("2028-03-02T06:00:00Z"), "daily");
+
+            expect(points).to.deep.equal([
+                utc("2028-02-27T12:00:00Z"),
+                utc("2028-02-28T00:00:00Z"),
+                utc("2028-02-29T00:00:00Z"), // 闰年
+                utc("2028-03-01T00:00:00Z"),
+                utc("2028-03-02T00:00:00Z"),
+                utc("2028-03-02T06:00:00Z")
+            ]);
+        });
+
+        it("按月应该取每月 1 日 UTC 零点", async function () {
+            const points = buildTimePoints(utc("2027-11-15T00:00:00Z"), utc("2028-03-01T00:00:00Z"), "monthly");
+
+            expect(points).to.deep.equal([
+                utc("2027-11-15T00:00:00Z"),
+                utc("2027-12-01T00:00:00Z"),
+                utc("2028-01-01T00:00:00Z"),
+                utc("2028-02-01T00:00:00Z"),
+                utc("2028-03-01T00:00:00Z")
+            ]);
+        });
+
+        it("起始时间恰好是整点时不应该重复", async function () {
+            const points = buildTimePoints(utc("2028-01-01T00:00:00Z"), utc("2028-01-03T00:00:00Z"), "daily");
+
+            expect(points).to.deep.equal([
+                utc("2028-01-01T00:00:00Z"),
+                utc("2028-01-02T00:00:00Z"),
+                utc("2028-01-03T00:00:00Z")
+            ]);
+        });
+
+        it("起止时间相同时应该只有一个时间点", async function () {
+            expect(buildTimePoints(1000, 1000, "monthly")).to.deep.equal([1000]);
+        });
+
+        it("应该拒绝无效的参数", async function () {
+            expect(() => buildTimePoints(0, DAY, "weekly")).to.throw("不支持的时间粒度 weekly");
+            expect(() => buildTimePoints(DAY, 0, "daily")).to.throw("结束时间不能早于起始时间");
+        });
+    });
+
+    describe("时间表汇总与格式", function () {
+        const sources = [
+            {
+                label: "团队时间锁",
+                contract: "TokenVesting",
+                address: "0x0000000000000000000000000000000000000001",
+                totalAmount: ethers.parseEther("300"),
+                vestedAmountAt: async timestamp => (timestamp >= 200 ? ethers.parseEther("300") : timestamp >= 100 ? ethers.parseEther("150") : 0n)
+            },
+            {
+                label: "顾问, A #0",
+                contract: "VestingManager",
+                address: "0x0000000000000000000000000000000000000002",
+                scheduleId: 0,
+                totalAmount: ethers.parseEther("100"),
+                vestedAmountAt: async timestamp => (timestamp >= 100 ? ethers.parseEther("100") : 0n)
+            }
+        ];
+
+        it("应该计算每个时间点的合计和本期新增数量", async function () {
+            const rows = await buildUnlockSchedule(sources, [0, 100, 200]);
+
+            expect(rows.map(row => row.totalVested)).to.deep.equal([0n, ethers.parseEther("250"), ethers.parseEther("400")]);
+            expect(rows.map(row => row.unlocked)).to.deep.equal([0n, ethers.parseEther("250"), ethers.parseEther("150")]);
+            expect(rows[1].vested).to.deep.equal([ethers.parseEther("150"), ethers.parseEther("100")]);
+        });
+
+        it("应该生成 CSV，数量以 DDT 为单位", async function () {
+            const rows = await buildUnlockSchedule(sources, [utc("2028-01-01T00:00:00Z")]);
+
+            const csv = formatCsv(sources, rows);
+
+            expect(csv).to.equal([
+                "date,timestamp,团队时间锁,\"顾问, A #0\",total_vested,unlocked_in_period",
+                `2028-01-01T00:00:00Z,${utc("2028-01-01T00:00:00Z")},300.0,100.0,400.0,400.0`,
+                ""
+            ].join("\n"));
+        });
+
+        it("应该生成 JSON，附带计划信息", async function () {
+            const rows = await buildUnlockSchedule(sources, [100]);
+
+            const json = formatJson({ network: "hardhat", resolution: "monthly" }, sources, rows);
+
+            expect(json.network).to.equal("hardhat");
+            expect(json.sources[0]).to.deep.equal({
+                label: "团队时间锁",
+                contract: "TokenVesting",
+                address: sources[0].address,
+                totalAmount: "300.0"
+            });
+            expect(json.sources[1].scheduleId).to.equal(0);
+            expect(json.rows[0]).to.deep.equal({
+                date: "1970-01-01T00:01:40Z",
+                timestamp: 100,
+                vested: { "团队时间锁": "150.0", "顾问, A #0": "100.0" },
+                totalVested: "250.0",
+                unlocked: "250.0"
+            });
+            expect(() => JSON.stringify(json)).to.not.throw(); // 不应残留 bigint
+        });
+    });
+
+    describe("基于合约生成时间表", function () {
+        it("应该使用 vestedAmountAt 查询未来的释放曲线", async function () {
+            const [, beneficiary] = await ethers.getSigners();
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+            const didoToken = await DIDOToken.deploy([beneficiary.address], [ethers.parseEther("1000000")]);
+
+            // 从下一个 UTC 零点开始，无悬崖期，300 天线性释放
+            const start = (Math.floor((await time.latest()) / DAY) + 1) * DAY;
+            const amount = ethers.parseEther("300000");
+            const TokenVesting = await ethers.getContractFactory("TokenVesting");
+            const vesting = await TokenVesting.deploy(await didoToken.getAddress(), beneficiary.address, amount, start, 0, 300 * DAY, 0);
+
+            const points = buildTimePoints(start, start + 300 * DAY, "daily");
+            const rows = await buildUnlockSchedule(
+                [{ label: "团队时间锁", vestedAmountAt: timestamp => vesting.vestedAmountAt(timestamp) }],
+                points
+            );
+
+            expect(rows.length).to.equal(301);
+            expect(rows[0].totalVested).to.equal(0);
+            expect(rows[1].unlocked).to.equal(amount / 300n);
+            expect(rows[150].totalVested).to.equal(amount / 2n);
+            expect(rows[300].totalVested).to.equal(amount);
+            expect(rows.reduce((sum, row) => sum + row.unlocked, 0n)).to.equal(amount);
+        });
+    });
+});
@@ -0,0 +1,318 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    parseManifest,
+    manifestPath,
+    loadManifest,
+    teamVestingAmount,
+    tokenVestingArgs
+} = require("../scripts/lib/manifest");
+
+/**
+ * 部署清单工具测试
+ *
+ * 测试覆盖：
+ * - 结构校验（缺少字段、类型错误、未知字段，错误信息带字段路径）
+ * - 字段约束（网络、分配总量、步长、计划类型字段、计划总量）
+ * - 默认值与地址格式统一
+ * - 清单文件路径、读取与哈希
+ * - 仓库中提交的清单均能通过校验
+ * - 由清单生成的构造参数可直接部署合约
+ */
+
+describe("部署清单", function () {
+    const DAY = 24 * 60 * 60;
+    const TEAM = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+    const OTHER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const ADVISOR = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+    // 每个用例使用独立的副本，可以放心修改
+    function baseManifest() {
+        return {
+            network: "sepolia",
+            chainId: 11155111,
+            allocations: [
+                { key: "liquidityPool", address: OTHER, amount: "700000" },
+                { key: "team", label: "团队", address: TEAM.toLowerCase(), amount: "300000" }
+            ],
+            vesting: { cliffDays: 180, releaseDays: 540 }
+        };
+    }
+
+    describe("结构校验", function () {
+        it("应该报告缺少的必填字段", async function () {
+            const { manifest, errors } = parseManifest({ network: "sepolia" });
+
+            expect(manifest).to.be.null;
+            expect(errors).to.deep.equal([
+                "chainId: 缺少必填字段",
+                "allocations: 缺少必填字段",
+                "vesting: 缺少必填字段"
+            ]);
+        });
+
+        it("应该按字段路径报告类型错误和未知字段", async function () {
+            const raw = baseManifest();
+            raw.chainId = "11155111";
+            raw.allocations[0].adress = OTHER;
+            raw.vesting.cliffDays = -1;
+            raw.vesting.releaseDays = 1.5;
+            raw.roles = { admin: "0x1234", pausers: [] };
+            raw.ownr = OTHER;
+
+            const { errors } = parseManifest(raw);
+
+            expect(errors).to.deep.equal([
+                "chainId: 必须是整数",
+                "allocations[0].adress: 不支持的字段",
+                "vesting.cliffDays: 不能小于 0",
+                "vesting.releaseDays: 必须是整数",
+                "roles.admin: 必须是有效的非零地址",
+                "roles.pausers: 至少需要 1 项",
+                "ownr: 不支持的字段"
+            ]);
+        });
+
+        it("应该校验计划条目的字段", async function () {
+            const raw = baseManifest();
+            raw.vesting.schedules = [
+                { type: "monthly", beneficiary: ethers.ZeroAddress, amount: "abc", start: "soon" }
+            ];
+
+            const { errors } = parseManifest(raw);
+
+            expect(errors).to.deep.equal([
+                "vesting.schedules[0].type: 必须是 linear、step、tranche 之一",
+                "vesting.schedules[0].beneficiary: 必须是有效的非零地址",
+                "vesting.schedules[0].amount: 必须是大于 0 的 DDT 数量",
+                "vesting.schedules[0].start: 必须是 ISO 时间字符串或 Unix 秒"
+            ]);
+        });
+
+        it("根节点不是对象时应该报错", async function () {
+            expect(parseManifest([]).errors).to.deep.equal(["清单: 必须是对象"]);
+        });
+    });
+
+    describe("字段约束", function () {
+        it("网络和链 ID 必须与当前网络一致", async function () {
+            const { errors } = parseManifest(baseManifest(), { network: "mainnet", chainId: 1 });
+
+            expect(errors).to.deep.equal([
+                "network: 清单属于 sepolia，当前网络为 mainnet",
+                "chainId: 清单为 11155111，当前网络为 1"
+            ]);
+        });
+
+        it("应该检查分配总量和团队分配", async function () {
+            const raw = baseManifest();
+            raw.allocations[1].key = "dev";
+            raw.allocations[1].amount = "200000";
+
+            const { errors } = parseManifest(raw);
+
+            expect(errors).to.deep.equal([
+                "allocations: 缺少 key 为 team 的团队分配",
+                "allocations: 分配总量 900000.0 DDT 必须等于最大供应量 1000000.0 DDT"
+            ]);
+        });
+
+        it("应该检查团队时间锁的步长和总时长", async function () {
+            const raw = baseManifest();
+            raw.vesting.stepDays = 7;
+            raw.vesting.cliffDays = 3200;
+
+            const { errors } = parseManifest(raw);
+
+            expect(errors).to.deep.equal([
+                "vesting.stepDays: 必须能整除 releaseDays",
+                "vesting: cliffDays + releaseDays 不能超过 3650 天"
+            ]);
+        });
+
+        it("应该按计划类型检查字段", async function () {
+            const raw = baseManifest();
+            raw.vesting.schedules = [
+                { beneficiary: ADVISOR, amount: "1000", stepDays: 30 },
+                { type: "step", beneficiary: ADVISOR, amount: "1000", releaseDays: 100, stepDays: 30 },
+                { type: "tranche", beneficiary: ADVISOR, amount: "1000" },
+                {
+                    type: "tranche",
+                    beneficiary: ADVISOR,
+                    tranches: [{ time: 2000000000, amount: "1" }, { time: 2000000000, amount: "1" }]
+                }
+            ];
+
+            const { errors } = parseManifest(raw);
+
+            expect(errors).to.deep.equal([
+                "vesting.schedules[0].releaseDays: 缺少必填字段",
+                "vesting.schedules[0].stepDays: 只有阶梯释放计划使用此字段",
+                "vesting.schedules[1].stepDays: 必须能整除 releaseDays",
+                "vesting.schedules[2].amount: 分批解锁计划不使用此字段，数量和时间由 tranches 决定",
+                "vesting.schedules[2].tranches: 分批解锁计划缺少必填字段",
+                "vesting.schedules[3].tranches[1].time: 必须晚于上一批"
+            ]);
+        });
+
+        it("计划总量必须小于团队分配", async function () {
+            const raw = baseManifest();
+            raw.vesting.schedules = [{ beneficiary: ADVISOR, amount: "300000", releaseDays: 365 }];
+
+            const { errors } = parseManifest(raw);
+
+            expect(errors).to.deep.equal([
+                "vesting.schedules: 计划总量 300000.0 DDT 必须小于团队分配 300000.0 DDT"
+            ]);
+        });
+    });
+
+    describe("解析结果", function () {
+        it("未配置的可选字段应该使用默认值", async function () {
+            const { manifest, errors } = parseManifest(baseManifest(), { network: "sepolia", chainId: 11155111 });
+
+            expect(errors).to.deep.equal([]);
+            expect(manifest.allocations[1]).to.deep.equal({ key: "team", label: "团队", address: TEAM, amount: ethers.parseEther("300000") });
+            expect(manifest.teamVesting).to.deep.equal({
+                startTime: 0,
+                cliffDuration: 180 * DAY,
+                releaseDuration: 540 * DAY,
+                stepDuration: 0,
+                revocationReceiver: null
+            });
+            expect(manifest.schedules).to.deep.equal([]);
+            expect(manifest.roles).to.deep.equal({ admin: null, pausers: null, blacklistManagers: null });
+            expect(manifest.owner).to.be.null;
+        });
+
+        it("应该解析计划、角色和所有者", async function () {
+            const raw = baseManifest();
+            raw.vesting.startTime = "2030-01-01T00:00:00Z";
+            raw.vesting.schedules = [
+                { label: "顾问", type: "step", beneficiary: ADVISOR.toLowerCase(), amount: "1200", start: 1900000000, releaseDays: 360, stepDays: 30 },
+                { type: "tranche", beneficiary: ADVISOR, tranches: [{ time: 1900000000, amount: "100" }, { time: "2030-06-01T00:00:00Z", amount: "50.5" }] }
+            ];
+            raw.roles = { admin: OTHER.toLowerCase(), pausers: [OTHER, TEAM] };
+            raw.owner = OTHER.toLowerCase();
+
+            const { manifest, errors } = parseManifest(raw);
+
+            expect(errors).to.deep.equal([]);
+            expect(manifest.teamVesting.startTime).to.equal(Date.parse("2030-01-01T00:00:00Z") / 1000);
+            expect(manifest.schedules[0]).to.deep.equal({
+                label: "顾问",
+                type: "step",
+                beneficiary: ADVISOR,
+                amount: ethers.parseEther("1200"),
+                start: 1900000000,
+                cliffDuration: 0,
+                releaseDuration: 360 * DAY,
+                stepDuration: 30 * DAY
+            });
+            expect(manifest.schedules[1].label).to.equal("vesting.schedules[1]");
+            expect(manifest.schedules[1].amount).to.equal(ethers.parseEther("150.5"));
+            expect(manifest.schedules[1].tranches[1].unlockTime).to.equal(Date.parse("2030-06-01T00:00:00Z") / 1000);
+            expect(manifest.roles).to.deep.equal({ admin: OTHER, pausers: [OTHER, TEAM], blacklistManagers: null });
+            expect(manifest.owner).to.equal(OTHER);
+            expect(teamVestingAmount(manifest)).to.equal(ethers.parseEther("300000") - ethers.parseEther("1350.5"));
+        });
+
+        it("应该解析多签配置，并拒绝同时配置 roles.admin 或 owner", async function () {
+            const raw = baseManifest();
+            raw.multisig = { address: ADVISOR.toLowerCase(), threshold: 2, owners: [OTHER, TEAM.toLowerCase()] };
+
+            const { manifest, errors } = parseManifest(raw);
+
+            expect(errors).to.deep.equal([]);
+            expect(manifest.multisig).to.deep.equal({ address: ADVISOR, threshold: 2, owners: [OTHER, TEAM] });
+            expect(parseManifest(baseManifest()).manifest.multisig).to.be.null;
+
+            raw.multisig.threshold = 3;
+            raw.roles = { admin: OTHER };
+            raw.owner = OTHER;
+            expect(parseManifest(raw).errors).to.deep.equal([
+                "roles.admin: 配置 multisig 后管理员角色移交给多签，不能同时配置",
+                "owner: 配置 multisig 后合约所有权移交给多签，不能同时配置",
+                "multisig.threshold: 不能大于 owners 数量 2"
+            ]);
+
+            raw.multisig = { address: ADVISOR, threshold: 0 };
+            expect(parseManifest(raw).errors).to.deep.equal(["multisig.threshold: 不能小于 1"]);
+        });
+    });
+
+    describe("清单文件", function () {
+        let tmpDir;
+
+        beforeEach(async function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dido-manifest-"));
+        });
+
+        afterEach(async function () {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it("默认路径为 manifests/<network>.json，可由 DEPLOY_MANIFEST 覆盖", async function () {
+            expect(manifestPath("sepolia", {})).to.equal(path.join(__dirname, "..", "manifests", "sepolia.json"));
+            expect(manifestPath("sepolia", { DEPLOY_MANIFEST: "/tmp/custom.json" })).to.equal("/tmp/custom.json");
+        });
+
+        it("应该读取清单并返回内容哈希", async function () {
+            const file = path.join(tmpDir, "sepolia.json");
+            const content = JSON.stringify(baseManifest());
+            fs.writeFileSync(file, content);
+
+            const { manifest, sha256 } = loadManifest(file, { network: "sepolia" });
+
+            expect(manifest.network).to.equal("sepolia");
+            expect(sha256).to.equal(ethers.sha256(ethers.toUtf8Bytes(content)).slice(2));
+        });
+
+        it("文件不存在、不是 JSON 或校验失败时应该抛出包含全部问题的错误", async function () {
+            const file = path.join(tmpDir, "sepolia.json");
+            expect(() => loadManifest(file)).to.throw("找不到部署清单");
+
+            fs.writeFileSync(file, "{ network: sepolia }");
+            expect(() => loadManifest(file)).to.throw("部署清单不是有效的 JSON");
+
+            fs.writeFileSync(file, JSON.stringify({ network: "sepolia", chainId: 0 }));
+            expect(() => loadManifest(file)).to.throw(/allocations: 缺少必填字段\n.*vesting: 缺少必填字段\n.*chainId: 不能小于 1/);
+        });
+
+        it("仓库中的清单都应该通过校验", async function () {
+            const dir = path.join(__dirname, "..", "manifests");
+            const files = fs.readdirSync(dir).filter(file => file.endsWith(".json"));
+
+            expect(files).to.include.members(["example.json", "localhost.json"]);
+            for (const file of files) {
+                expect(parseManifest(JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"))).errors, file).to.deep.equal([]);
+            }
+        });
+    });
+
+    describe("构造参数", function () {
+        it("由清单生成的构造参数应该能部署合约", async function () {
+            const raw = baseManifest();
+            raw.vesting.stepDays = 30;
+            raw.vesting.schedules = [{ beneficiary: ADVISOR, amount: "50000", releaseDays: 365 }];
+            const { manifest } = parseManifest(raw);
+
+            const DIDOToken = await ethers.getContractFactory("DIDOToken");
+            const didoToken = await DIDOToken.deploy(
+                manifest.allocations.map(entry => entry.address),
+                manifest.allocations.map(entry => entry.amount)
+            );
+            const TokenVesting = await ethers.getContractFactory("TokenVesting");
+            const tokenVesting = await TokenVesting.deploy(...tokenVestingArgs(manifest, await didoToken.getAddress()));
+
+            expect(await tokenVesting.beneficiary()).to.equal(TEAM);
+            expect(await tokenVesting.totalAmount()).to.equal(ethers.parseEther("250000"));
+            expect(await tokenVesting.cliffDuration()).to.equal(180 * DAY);
+            expect(await tokenVesting.releaseDuration()).to.equal(540 * DAY);
+            expect(await tokenVesting.stepDuration()).to.equal(30 * DAY);
+        });
+    });
+});
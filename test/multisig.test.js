@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseManifest } = require("../scripts/lib/manifest");
+const { checkMultisig } = require("../scripts/lib/multisig");
+const { runDeployment } = require("../scripts/deploy");
+
+/**
+ * 多签移交测试
+ *
+ * 测试覆盖：
+ * - 多签检查：目标必须是合约、能读取 Safe 的门槛和所有者，门槛和所有者与清单一致
+ * - 部署最后一步把 DIDOToken 管理员角色和 TokenVesting / VestingManager 所有权移交给多签，多签接受后生效
+ * - 移交后部署者不再持有暂停者、黑名单管理员角色（未配置时默认由多签持有，移交前仍持有的转给多签）
+ * - 多签检查不通过时，部署开始前或移交前拒绝，不发送移交交易
+ */
+
+describe("多签移交", function () {
+    let deployer;
+    let liquidityPool;
+    let team;
+    let community;
+    let reserve;
+    let advisor;
+    let signerA;
+    let signerB;
+    let signerC;
+    let safe;
+    let safeAddress;
+
+    beforeEach(async function () {
+        [deployer, liquidityPool, team, community, reserve, advisor, signerA, signerB, signerC] = await ethers.getSigners();
+        safe = await ethers.deployContract("MockSafe", [[signerA.address, signerB.address, signerC.address], 2]);
+        safeAddress = await safe.getAddress();
+    });
+
+    describe("MockSafe", function () {
+        it("应该拒绝无效的门槛和重复的所有者", async function () {
+            await expect(ethers.deployContract("MockSafe", [[signerA.address], 2])).to.be.revertedWith("MockSafe: invalid threshold");
+            await expect(ethers.deployContract("MockSafe", [[signerA.address, signerA.address], 1])).to.be.revertedWith("MockSafe: duplicate owner");
+        });
+
+        it("只有所有者可以以多签身份发起调用", async function () {
+            await expect(safe.connect(deployer).execTransaction(safeAddress, "0x")).to.be.revertedWith("MockSafe: caller is not an owner");
+        });
+    });
+
+    describe("多签检查", function () {
+        it("门槛一致时应该返回链上的门槛和所有者", async function () {
+            const result = await checkMultisig(ethers.provider, { address: safeAddress, threshold: 2, owners: null });
+
+            expect(result).to.deep.equal({ threshold: 2, owners: [signerA.address, signerB.address, signerC.address] });
+        });
+
+        it("配置所有者时应该忽略顺序和大小写比较", async function () {
+            const owners = [signerC.address.toLowerCase(), signerA.address, signerB.address];
+
+            await checkMultisig(ethers.provider, { address: safeAddress, threshold: 2, owners });
+            await expect(checkMultisig(ethers.provider, { address: safeAddress, threshold: 2, owners: [signerA.address, signerB.address] }))
+                .to.be.rejectedWith(`多签 ${safeAddress} 的所有者与清单不一致`);
+        });
+
+        it("门槛与清单不一致时应该报错", async function () {
+            await expect(checkMultisig(ethers.provider, { address: safeAddress, threshold: 3, owners: null }))
+                .to.be.rejectedWith(`多签 ${safeAddress} 的签名门槛为 2/3，清单要求 3`);
+        });
+
+        it("普通账户或非多签合约应该报错", async function () {
+            await expect(checkMultisig(ethers.provider, { address: signerA.address, threshold: 2, owners: null }))
+                .to.be.rejectedWith(`多签地址 ${signerA.address} 不是合约`);
+
+            const other = await ethers.deployContract("Create2Deployer");
+            const otherAddress = await other.getAddress();
+            await expect(checkMultisig(ethers.provider, { address: otherAddress, threshold: 2, owners: null }))
+                .to.be.rejectedWith(`多签地址 ${otherAddress} 不是 Safe 风格的多签合约`);
+        });
+    });
+
+    describe("部署脚本的多签移交步骤", function () {
+        let tmpDir;
+        let journalFile;
+
+        const manifestWith = (multisig, roles = { pausers: [safeAddress], blacklistManagers: [safeAddress] }) => {
+            const parsed = parseManifest({
+                network: "hardhat",
+                chainId: 31337,
+                allocations: [
+                    { key: "liquidityPool", address: liquidityPool.address, amount: "400000" },
+                    { key: "team", address: team.address, amount: "300000" },
+                    { key: "community", address: community.address, amount: "200000" },
+                    { key: "reserve", address: reserve.address, amount: "100000" }
+                ],
+                vesting: {
+                    cliffDays: 180,
+                    releaseDays: 540,
+                    schedules: [{ label: "顾问", beneficiary: advisor.address, amount: "50000", cliffDays: 180, releaseDays: 540 }]
+                },
+                roles,
+                multisig
+            }, { network: "hardhat", chainId: 31337 });
+            expect(parsed.errors).to.deep.equal([]);
+            return parsed.manifest;
+        };
+        const deploy = (manifest, options = {}) => runDeployment({
+            manifest,
+            manifestFile: path.join(tmpDir, "hardhat.json"),
+            manifestHash: "c".repeat(64),
+            deployer,
+            teamSigner: team,
+            journalFile,
+            log: () => {},
+            ...options
+        });
+
+        beforeEach(async function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dido-multisig-"));
+            journalFile = path.join(tmpDir, "hardhat-deployment.json");
+        });
+
+        afterEach(async function () {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it("应该在最后一步把管理员角色和合约所有权移交给多签，多签接受后生效", async function () {
+            const journal = await deploy(manifestWith({ address: safeAddress, threshold: 2 }));
+
+            const steps = Object.keys(journal.steps);
+            expect(steps[steps.length - 1]).to.equal("handoffToMultisig");
+            expect(journal.steps.handoffToMultisig.transactions.map(tx => tx.label)).to.deep.equal([
+                "移交 DIDOToken 管理员",
+                "移交 TokenVesting 所有权",
+                "移交 VestingManager 所有权"
+            ]);
+            expect(journal.roles.pendingAdmin).to.equal(safeAddress);
+            expect(journal.ownership).to.deep.equal({ owner: deployer.address, pendingOwner: safeAddress });
+            expect(journal.multisig).to.deep.equal({
+                address: safeAddress,
+                threshold: 2,
+                owners: [signerA.address, signerB.address, signerC.address]
+            });
+
+            const didoToken = await ethers.getContractAt("DIDOToken", journal.contracts.DIDOToken.address);
+            const tokenVesting = await ethers.getContractAt("TokenVesting", journal.contracts.TokenVesting.address);
+            const vestingManager = await ethers.getContractAt("VestingManager", journal.contracts.VestingManager.address);
+            await safe.connect(signerA).execTransaction(await didoToken.getAddress(), didoToken.interface.encodeFunctionData("acceptAdminTransfer"));
+            for (const contract of [tokenVesting, vestingManager]) {
+                await safe.connect(signerB).execTransaction(await contract.getAddress(), contract.interface.encodeFunctionData("acceptOwnership"));
+            }
+
+            expect(await didoToken.getRoleMembers(ethers.ZeroHash)).to.deep.equal([safeAddress]);
+            expect(await tokenVesting.owner()).to.equal(safeAddress);
+            expect(await vestingManager.owner()).to.equal(safeAddress);
+        });
+
+        it("未配置暂停者和黑名单管理员时应该由多签持有，部署者不保留任何角色", async function () {
+            const logs = [];
+            const journal = await deploy(manifestWith({ address: safeAddress, threshold: 2 }, {}), { log: (...args) => logs.push(args.join(" ")) });
+
+            expect(journal.roles.pausers).to.deep.equal([safeAddress]);
+            expect(journal.roles.blacklistManagers).to.deep.equal([safeAddress]);
+            expect(logs).to.include("   部署者已不持有暂停者、黑名单管理员角色");
+
+            const didoToken = await ethers.getContractAt("DIDOToken", journal.contracts.DIDOToken.address);
+            expect(await didoToken.hasRole(await didoToken.PAUSER_ROLE(), deployer.address)).to.equal(false);
+            expect(await didoToken.hasRole(await didoToken.BLACKLIST_MANAGER_ROLE(), deployer.address)).to.equal(false);
+        });
+
+        it("移交前部署者仍持有的角色应该转给多签后放弃", async function () {
+            const journal = await deploy(manifestWith({ address: safeAddress, threshold: 2 }, { pausers: [team.address] }), {
+                hooks: {
+                    // 模拟部署过程中部署者重新拿到暂停者角色
+                    beforeStep: async step => {
+                        if (step === "handoffToMultisig") {
+                            const partial = JSON.parse(fs.readFileSync(journalFile, "utf8"));
+                            const didoToken = await ethers.getContractAt("DIDOToken", partial.contracts.DIDOToken.address);
+                            await didoToken.grantRole(await didoToken.PAUSER_ROLE(), deployer.address);
+                        }
+                    }
+                }
+            });
+
+            expect(journal.steps.handoffToMultisig.transactions.map(tx => tx.label).slice(0, 2)).to.deep.equal([
+                "授予多签暂停者",
+                "部署者放弃暂停者"
+            ]);
+            expect(journal.roles.pausers).to.deep.equal([team.address, safeAddress]);
+            const didoToken = await ethers.getContractAt("DIDOToken", journal.contracts.DIDOToken.address);
+            expect(await didoToken.hasRole(await didoToken.PAUSER_ROLE(), deployer.address)).to.equal(false);
+        });
+
+        it("清单把角色配置给部署者时应该在发送任何交易之前拒绝部署", async function () {
+            const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+            await expect(deploy(manifestWith({ address: safeAddress, threshold: 2 }, { pausers: [safeAddress, deployer.address] })))
+                .to.be.rejectedWith(`部署清单有误: roles.pausers 包含部署者 ${deployer.address}`);
+
+            expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+        });
+
+        it("多签门槛与清单不一致时应该在发送任何交易之前拒绝部署", async function () {
+            const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+            await expect(deploy(manifestWith({ address: safeAddress, threshold: 3 })))
+                .to.be.rejectedWith("签名门槛为 2/3，清单要求 3");
+
+            expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+            expect(fs.existsSync(journalFile)).to.equal(false);
+        });
+
+        it("移交前多签检查不通过时不应该发送移交交易，修正后重新运行可以继续", async function () {
+            const safeCode = await ethers.provider.getCode(safeAddress);
+            const manifest = manifestWith({ address: safeAddress, threshold: 2 });
+
+            await expect(deploy(manifest, {
+                hooks: {
+                    // 模拟部署过程中多签地址失效
+                    beforeStep: async step => {
+                        if (step === "handoffToMultisig") {
+                            await network.provider.send("hardhat_setCode", [safeAddress, "0x"]);
+                        }
+                    }
+                }
+            })).to.be.rejectedWith(`多签地址 ${safeAddress} 不是合约`);
+
+            const partial = JSON.parse(fs.readFileSync(journalFile, "utf8"));
+            expect(partial.status).to.equal("in-progress");
+            expect(partial.steps.handoffToMultisig.transactions).to.deep.equal([]);
+            const didoToken = await ethers.getContractAt("DIDOToken", partial.contracts.DIDOToken.address);
+            expect(await didoToken.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+            await network.provider.send("hardhat_setCode", [safeAddress, safeCode]);
+            const journal = await deploy(manifest);
+
+            expect(journal.status).to.equal("completed");
+            expect(await didoToken.pendingAdmin()).to.equal(safeAddress);
+        });
+    });
+});
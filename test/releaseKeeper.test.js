@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseKeeperConfig, checkAndRelease } = require("../scripts/releaseKeeper");
+
+/**
+ * 释放 keeper 脚本测试
+ *
+ * 测试覆盖：
+ * - 环境变量解析与校验
+ * - 悬崖期内、暂停、注资不足、低于阈值时跳过
+ * - 由 keeper 账户触发释放，代币转入受益人或其收款地址
+ * - 交易失败时返回错误而不是中断
+ */
+
+describe("释放 keeper 脚本", function () {
+    let didoToken;
+    let tokenVesting;
+    let owner;
+    let beneficiary;
+    let keeper;
+    let payout;
+    let startTime;
+
+    const CLIFF_DURATION = 180 * 24 * 60 * 60;
+    const RELEASE_DURATION = 540 * 24 * 60 * 60;
+    const VESTING_AMOUNT = ethers.parseEther("300000");
+
+    beforeEach(async function () {
+        let liquidityPool;
+        let communityWallet;
+        [owner, beneficiary, liquidityPool, communityWallet, keeper, payout] = await ethers.getSigners();
+
+        const DIDOToken = await ethers.getContractFactory("DIDOToken");
+        didoToken = await DIDOToken.deploy(
+            [liquidityPool.address, beneficiary.address, communityWallet.address, owner.address],
+            [ethers.parseEther("400000"), ethers.parseEther("300000"), ethers.parseEther("200000"), ethers.parseEther("100000")]
+        );
+
+        startTime = (await time.latest()) + 60;
+        const TokenVesting = await ethers.getContractFactory("TokenVesting");
+        tokenVesting = await TokenVesting.deploy(
+            await didoToken.getAddress(),
+            beneficiary.address,
+            VESTING_AMOUNT,
+            startTime,
+            CLIFF_DURATION,
+            RELEASE_DURATION,
+            0
+        );
+        await didoToken.connect(beneficiary).transfer(await tokenVesting.getAddress(), VESTING_AMOUNT);
+
+        tokenVesting = tokenVesting.connect(keeper);
+    });
+
+    describe("配置解析", function () {
+        it("未配置时应该使用默认值", async function () {
+            expect(parseKeeperConfig({})).to.deep.equal({ intervalSeconds: 3600, minAmount: 0n, runOnce: false });
+        });
+
+        it("应该解析检查间隔、最小释放数量和单次运行", async function () {
+            const config = parseKeeperConfig({
+                KEEPER_INTERVAL_SECONDS: "600",
+                KEEPER_MIN_RELEASE: "1000.5",
+                KEEPER_RUN_ONCE: "true"
+            });
+
+            expect(config).to.deep.equal({
+                intervalSeconds: 600,
+                minAmount: ethers.parseEther("1000.5"),
+                runOnce: true
+            });
+        });
+
+        it("应该拒绝无效的配置", async function () {
+            expect(() => parseKeeperConfig({ KEEPER_INTERVAL_SECONDS: "0" })).to.throw("KEEPER_INTERVAL_SECONDS");
+            expect(() => parseKeeperConfig({ KEEPER_INTERVAL_SECONDS: "1.5" })).to.throw("KEEPER_INTERVAL_SECONDS");
+            expect(() => parseKeeperConfig({ KEEPER_MIN_RELEASE: "abc" })).to.throw("KEEPER_MIN_RELEASE");
+            expect(() => parseKeeperConfig({ KEEPER_MIN_RELEASE: "-1" })).to.throw("KEEPER_MIN_RELEASE");
+        });
+    });
+
+    describe("检查并释放", function () {
+        it("悬崖期内应该跳过", async function () {
+            const result = await checkAndRelease(tokenVesting, 0n);
+
+            expect(result).to.deep.equal({ status: "skipped", reason: "nothing-to-release" });
+        });
+
+        it("有可释放代币时应该由 keeper 触发释放，代币转入受益人", async function () {
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * 24 * 60 * 60);
+
+            const result = await checkAndRelease(tokenVesting, 0n);
+
+            expect(result.status).to.equal("released");
+            expect(result.txHash).to.match(/^0x[0-9a-f]{64}$/);
+            const released = await tokenVesting.released();
+            expect(released).to.be.greaterThanOrEqual(result.amount);
+            expect(await didoToken.balanceOf(beneficiary.address)).to.equal(released);
+            expect(await didoToken.balanceOf(keeper.address)).to.equal(0);
+        });
+
+        it("受益人设置收款地址后，keeper 释放的代币应该转入收款地址", async function () {
+            await tokenVesting.connect(beneficiary).setPayoutAddress(payout.address);
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * 24 * 60 * 60);
+
+            await checkAndRelease(tokenVesting, 0n);
+
+            expect(await didoToken.balanceOf(payout.address)).to.equal(await tokenVesting.released());
+            expect(await didoToken.balanceOf(beneficiary.address)).to.equal(0);
+        });
+
+        it("可释放数量低于阈值时应该跳过", async function () {
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
+
+            const result = await checkAndRelease(tokenVesting, ethers.parseEther("10000"));
+
+            expect(result.status).to.equal("skipped");
+            expect(result.reason).to.equal("below-minimum");
+            expect(await tokenVesting.released()).to.equal(0);
+        });
+
+        it("合约暂停时应该跳过", async function () {
+            await tokenVesting.connect(owner).pause();
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
+
+            const result = await checkAndRelease(tokenVesting, 0n);
+
+            expect(result).to.deep.equal({ status: "skipped", reason: "paused" });
+        });
+
+        it("注资不足时应该跳过", async function () {
+            await tokenVesting.connect(owner).emergencyWithdraw(ethers.parseEther("1"));
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
+
+            const result = await checkAndRelease(tokenVesting, 0n);
+
+            expect(result).to.deep.equal({ status: "skipped", reason: "underfunded" });
+        });
+
+        it("交易失败时应该返回失败结果", async function () {
+            await tokenVesting.connect(beneficiary).setPayoutAddress(payout.address);
+            await didoToken.blacklist(payout.address);
+            await time.increaseTo(startTime + CLIFF_DURATION + 24 * 60 * 60);
+
+            const result = await checkAndRelease(tokenVesting, 0n);
+
+            expect(result.status).to.equal("failed");
+            expect(result.reason).to.include("DIDOToken: recipient is blacklisted");
+            expect(await tokenVesting.released()).to.equal(0);
+        });
+    });
+});
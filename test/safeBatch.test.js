@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseManifest } = require("../scripts/lib/manifest");
+const { buildSafeBatch } = require("../scripts/lib/safeBatch");
+const { runDeployment, confirmBatch } = require("../scripts/deploy");
+
+/**
+ * 团队钱包交易批次测试
+ *
+ * 测试覆盖：
+ * - 生成 Safe Transaction Builder 格式的批次
+ * - 团队钱包无法签名时，注资调用写入批次，依赖注资的步骤暂停，部署记录保持未完成
+ * - Safe 执行批次后，确认命令按链上状态记录完成，重新运行部署脚本从暂停处继续
+ * - 批次未执行时确认命令报告未执行，重新运行部署脚本按当前链上状态重新生成批次
+ * - 配置多签时，移交给多签在注资确认之后才进行
+ */
+
+describe("团队钱包交易批次", function () {
+    const TOKEN = "0x1111111111111111111111111111111111111111";
+    const SAFE = "0x2222222222222222222222222222222222222222";
+
+    describe("批次格式", function () {
+        it("应该生成 Safe Transaction Builder 可导入的批次", async function () {
+            const batch = buildSafeBatch({
+                chainId: 11155111n,
+                safeAddress: SAFE,
+                name: "测试批次",
+                description: "请按顺序执行：",
+                calls: [
+                    { label: "授权", to: TOKEN, value: "0", data: "0x095ea7b3" },
+                    { label: "注资", to: SAFE, value: "0", data: "0xb60d4288" }
+                ],
+                createdAt: 1700000000000
+            });
+
+            expect(batch).to.deep.equal({
+                version: "1.0",
+                chainId: "11155111",
+                createdAt: 1700000000000,
+                meta: {
+                    name: "测试批次",
+                    description: `请按顺序执行：\n1. 授权 → ${TOKEN}\n2. 注资 → ${SAFE}`,
+                    createdFromSafeAddress: SAFE
+                },
+                transactions: [
+                    { to: TOKEN, value: "0", data: "0x095ea7b3", contractMethod: null, contractInputsValues: null },
+                    { to: SAFE, value: "0", data: "0xb60d4288", contractMethod: null, contractInputsValues: null }
+                ]
+            });
+        });
+    });
+
+    describe("部署脚本", function () {
+        let deployer;
+        let liquidityPool;
+        let community;
+        let reserve;
+        let advisor;
+        let safeOwner;
+        let teamSafe;
+        let teamSafeAddress;
+        let tmpDir;
+        let journalFile;
+        let batchFile;
+
+        const options = manifest => ({
+            manifest,
+            manifestFile: path.join(tmpDir, "hardhat.json"),
+            manifestHash: "d".repeat(64),
+            deployer,
+            journalFile,
+            log: () => {}
+        });
+        const manifestWith = (schedules, multisig) => {
+            const parsed = parseManifest({
+                network: "hardhat",
+                chainId: 31337,
+                allocations: [
+                    { key: "liquidityPool", address: liquidityPool.address, amount: "400000" },
+                    { key: "team", address: teamSafeAddress, amount: "300000" },
+                    { key: "community", address: community.address, amount: "200000" },
+                    { key: "reserve", address: reserve.address, amount: "100000" }
+                ],
+                vesting: { cliffDays: 180, releaseDays: 540, schedules },
+                multisig
+            }, { network: "hardhat", chainId: 31337 });
+            expect(parsed.errors).to.deep.equal([]);
+            return parsed.manifest;
+        };
+        // 以 Safe 身份依次执行批次中的调用
+        const executeBatch = async () => {
+            const batch = JSON.parse(fs.readFileSync(batchFile, "utf8"));
+            for (const tx of batch.transactions) {
+                await teamSafe.connect(safeOwner).execTransaction(tx.to, tx.data);
+            }
+            return batch;
+        };
+
+        beforeEach(async function () {
+            [deployer, liquidityPool, community, reserve, advisor, safeOwner] = await ethers.getSigners();
+            teamSafe = await ethers.deployContract("MockSafe", [[safeOwner.address], 1]);
+            teamSafeAddress = await teamSafe.getAddress();
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dido-batch-"));
+            journalFile = path.join(tmpDir, "hardhat-deployment.json");
+            batchFile = path.join(tmpDir, "hardhat-team-batch.json");
+        });
+
+        afterEach(async function () {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it("团队钱包无法签名时应该把注资调用写入批次，并在创建计划前暂停", async function () {
+            const manifest = manifestWith([{ label: "顾问", beneficiary: advisor.address, amount: "50000", cliffDays: 180, releaseDays: 540 }]);
+
+            const journal = await runDeployment({ ...options(manifest), teamSigner: null });
+
+            expect(journal.status).to.equal("in-progress");
+            expect(journal.steps.fundVesting.status).to.equal("awaiting-execution");
+            expect(journal.steps.fundVestingManager.status).to.equal("awaiting-execution");
+            expect(journal.steps.deployVestingManager.status).to.equal("completed");
+            expect(journal.steps.createSchedules).to.equal(undefined);
+            expect(journal.pendingBatch).to.deep.equal({ file: "hardhat-team-batch.json", safe: teamSafeAddress, steps: ["fundVesting", "fundVestingManager"] });
+
+            const batch = JSON.parse(fs.readFileSync(batchFile, "utf8"));
+            expect(batch.chainId).to.equal("31337");
+            expect(batch.meta.createdFromSafeAddress).to.equal(teamSafeAddress);
+            const didoToken = await ethers.getContractAt("DIDOToken", journal.contracts.DIDOToken.address);
+            const tokenVesting = await ethers.getContractAt("TokenVesting", journal.contracts.TokenVesting.address);
+            expect(batch.transactions.map(tx => tx.to)).to.deep.equal([
+                journal.contracts.DIDOToken.address,
+                journal.contracts.TokenVesting.address,
+                journal.contracts.DIDOToken.address
+            ]);
+            expect(batch.transactions[0].data).to.equal(didoToken.interface.encodeFunctionData("approve", [journal.contracts.TokenVesting.address, ethers.parseEther("250000")]));
+            expect(batch.transactions[1].data).to.equal(tokenVesting.interface.encodeFunctionData("fund"));
+            expect(batch.transactions[2].data).to.equal(didoToken.interface.encodeFunctionData("transfer", [journal.contracts.VestingManager.address, ethers.parseEther("50000")]));
+        });
+
+        it("Safe 执行批次后，确认命令应该记录完成，重新运行部署从暂停处继续", async function () {
+            const manifest = manifestWith([{ label: "顾问", beneficiary: advisor.address, amount: "50000", cliffDays: 180, releaseDays: 540 }]);
+            await runDeployment({ ...options(manifest), teamSigner: null });
+            await executeBatch();
+
+            const result = await confirmBatch(options(manifest));
+
+            expect(result).to.deep.equal({ confirmed: ["fundVesting", "fundVestingManager"], pending: [] });
+            const confirmed = JSON.parse(fs.readFileSync(journalFile, "utf8"));
+            expect(confirmed.steps.fundVesting.status).to.equal("completed");
+            expect(confirmed.steps.fundVesting.executedBy).to.equal(teamSafeAddress);
+            expect(confirmed.pendingBatch).to.equal(undefined);
+
+            const nonce = await ethers.provider.getTransactionCount(deployer.address);
+            const journal = await runDeployment({ ...options(manifest), teamSigner: null });
+
+            expect(journal.status).to.equal("completed");
+            // 只剩创建计划 1 笔
+            expect(await ethers.provider.getTransactionCount(deployer.address) - nonce).to.equal(1);
+            const tokenVesting = await ethers.getContractAt("TokenVesting", journal.contracts.TokenVesting.address);
+            const vestingManager = await ethers.getContractAt("VestingManager", journal.contracts.VestingManager.address);
+            expect(await tokenVesting.isFunded()).to.equal(true);
+            expect(await vestingManager.getScheduleCount()).to.equal(1);
+        });
+
+        it("批次未执行时确认命令应该报告未执行，重新运行部署按当前状态重新生成批次", async function () {
+            const manifest = manifestWith([]);
+            const first = await runDeployment({ ...options(manifest), teamSigner: null });
+            expect(first.steps.assignRoles.status).to.equal("completed");
+
+            expect(await confirmBatch(options(manifest))).to.deep.equal({ confirmed: [], pending: ["fundVesting"] });
+            expect(JSON.parse(fs.readFileSync(journalFile, "utf8")).steps.fundVesting.status).to.equal("awaiting-execution");
+
+            // Safe 只执行了授权，重新生成的批次只剩注资
+            const didoToken = await ethers.getContractAt("DIDOToken", first.contracts.DIDOToken.address);
+            await teamSafe.connect(safeOwner).execTransaction(
+                first.contracts.DIDOToken.address,
+                didoToken.interface.encodeFunctionData("approve", [first.contracts.TokenVesting.address, ethers.parseEther("300000")])
+            );
+            const second = await runDeployment({ ...options(manifest), teamSigner: null });
+
+            expect(second.status).to.equal("in-progress");
+            const batch = JSON.parse(fs.readFileSync(batchFile, "utf8"));
+            expect(batch.transactions.map(tx => tx.to)).to.deep.equal([first.contracts.TokenVesting.address]);
+
+            await executeBatch();
+            const journal = await runDeployment({ ...options(manifest), teamSigner: null });
+            expect(journal.status).to.equal("completed");
+            expect(journal.pendingBatch).to.equal(undefined);
+        });
+
+        it("配置多签时应该在注资确认之后才移交给多签", async function () {
+            const multisig = await ethers.deployContract("MockSafe", [[safeOwner.address], 1]);
+            const multisigAddress = await multisig.getAddress();
+            const manifest = manifestWith([], { address: multisigAddress, threshold: 1 });
+
+            const first = await runDeployment({ ...options(manifest), teamSigner: null });
+
+            expect(first.status).to.equal("in-progress");
+            expect(first.steps.fundVesting.status).to.equal("awaiting-execution");
+            expect(first.steps.handoffToMultisig).to.equal(undefined);
+            const didoToken = await ethers.getContractAt("DIDOToken", first.contracts.DIDOToken.address);
+            expect(await didoToken.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+            await executeBatch();
+            await confirmBatch(options(manifest));
+            const journal = await runDeployment({ ...options(manifest), teamSigner: null });
+
+            expect(journal.status).to.equal("completed");
+            expect(journal.steps.handoffToMultisig.status).to.equal("completed");
+            expect(await didoToken.pendingAdmin()).to.equal(multisigAddress);
+        });
+    });
+});